@@ -0,0 +1,53 @@
+/**
+ * @file headless.js
+ * @description 无界面启动入口（纯 Node 环境）
+ *
+ * 在 HeadlessHost 上启动完整的 App，推进若干帧后输出游戏状态，
+ * 用于 CI 冒烟检查和数值平衡模拟的起点。微信环境的入口仍是 game.js。
+ *
+ * 用法：node headless.js [帧数]
+ */
+
+import { setHost } from './js/runtime/host.js';
+import HeadlessHost from './js/runtime/host/headless-host.js';
+
+/**
+ * 默认推进的帧数（60帧/秒，即10秒）
+ */
+const DEFAULT_FRAMES = 600;
+
+/**
+ * 等待游戏完成异步初始化的最长轮数
+ */
+const MAX_INIT_ROUNDS = 100;
+
+const frames = process.argv[2] !== undefined ? Number(process.argv[2]) : DEFAULT_FRAMES;
+if (!Number.isInteger(frames) || frames < 0) {
+  throw new Error(`帧数无效: ${process.argv[2]}`);
+}
+
+// 宿主必须在导入 render.js / app.js 之前设置
+const host = new HeadlessHost();
+setHost(host);
+
+const { default: App } = await import('./js/app.js');
+const app = new App();
+
+// 资源预加载在微任务中完成，游戏循环启动后才开始推进虚拟时钟
+for (let round = 0; host.frameCallbacks.size === 0; round++) {
+  if (round >= MAX_INIT_ROUNDS) {
+    throw new Error('游戏初始化超时');
+  }
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+host.runFrames(frames);
+
+const game = app.angelDescent;
+console.log(JSON.stringify({
+  frames,
+  state: game.currentState,
+  layer: game.gameData.currentLayer,
+  ticks: game.tickCount,
+  seed: game.random.getSeed()
+}));
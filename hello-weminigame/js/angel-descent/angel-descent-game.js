@@ -3,17 +3,50 @@
  * @description 天使下凡一百层游戏主控制器
  */
 
-import EventManager from '../event-manager.js';
+import EventManager, { GAME_EVENTS } from '../event-manager.js';
 import Player from './entities/player.js';
 import Platform, { PLATFORM_TYPES } from './entities/platform.js';
-import LevelGenerator from './level/level-generator.js';
+import { getPlatformImagePaths } from './entities/platform-registry.js';
+import { MAGNET_CONFIG } from './entities/power-up.js';
+import LevelGenerator, { HUMAN_WORLD_LAYER, ENDLESS_CONFIG } from './level/level-generator.js';
+import { getRealm, getRealmBackgroundPaths } from './level/realm-definitions.js';
 import TutorialOverlay from './ui/tutorial-overlay.js';
+import DailyCalendar from './ui/daily-calendar.js';
+import MutatorSelect from './ui/mutator-select.js';
+import TimeAttackSelect from './ui/time-attack-select.js';
 import PlatformPool from './core/platform-pool.js';
+import EnemyPool from './core/enemy-pool.js';
+import SeededRandom, { createRandomSeed } from './core/random.js';
+import InputRecorder from './replay/input-recorder.js';
+import ReplayPlayer from './replay/replay-player.js';
+import { serializeReplay } from './replay/replay-format.js';
 import { resourceManager } from '../runtime/resource-manager.js';
 import Music from '../runtime/music.js';
+import SaveManager from '../runtime/save-manager.js';
 import RenderManager from './managers/render-manager.js';
 import EffectsManager from './managers/effects-manager.js';
+import ScoreManager from './managers/score-manager.js';
+import CheckpointManager from './managers/checkpoint-manager.js';
+import GuardianManager from './managers/guardian-manager.js';
+import DailyChallengeManager, { DAILY_CONFIG, getModifierGeneration } from './managers/daily-challenge-manager.js';
+import MutatorManager, { MUTATOR_CONFIG } from './managers/mutator-manager.js';
+import DifficultyDirector from './managers/difficulty-director.js';
+import TimeAttackManager, { TIME_ATTACK_CONFIG } from './managers/time-attack-manager.js';
+import LevelEditor from './managers/level-editor.js';
+import Camera, { CAMERA_MODES, CAMERA_TRAUMA } from './core/camera.js';
+import SpatialIndex from './core/spatial-index.js';
 import { SCREEN_WIDTH, SCREEN_HEIGHT } from '../render.js';
+import { getHost } from '../runtime/host.js';
+
+// 碰撞检测时查询玩家上下多大范围内的对象（像素）
+const COLLISION_QUERY_RANGE = 100;
+
+/**
+ * 判断点是否在矩形内
+ */
+function isInsideRect(x, y, rect) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
 
 // 天使下凡一百层游戏特有的游戏状态
 export const GAME_STATES = {
@@ -22,7 +55,17 @@ export const GAME_STATES = {
   PLAYING: 'playing',
   PAUSED: 'paused',
   GAME_OVER: 'game_over',
-  LEVEL_COMPLETE: 'level_complete'
+  LEVEL_COMPLETE: 'level_complete',
+  EDITOR: 'editor' // 关卡编辑器（试玩时切换为 PLAYING）
+};
+
+// 游戏模式：普通模式越过第100层即通关，无尽模式从人间之下继续生成（通关普通模式后解锁），
+// 每日挑战使用由日期派生的种子和修正，竞速模式以最快速度抵达目标层
+export const GAME_MODES = {
+  NORMAL: 'normal',
+  ENDLESS: 'endless',
+  DAILY: 'daily',
+  TIME_ATTACK: 'time_attack'
 };
 
 /**
@@ -49,10 +92,20 @@ export default class AngelDescentGame {
     this.gameTime = 0;
     this.lastStatsTime = 0; // 用于统计输出控制
     
+    // 固定步长模拟
+    // 逻辑始终以固定间隔推进，与设备刷新率（60Hz/120Hz）和掉帧无关；
+    // 渲染在两个逻辑帧之间插值，保证画面平滑
+    this.fixedTimeStep = 1 / 60;     // 每个逻辑帧的时长（秒）
+    this.maxFrameTime = 0.25;        // 单帧最多计入的真实时间（防止切后台回来后长时间追帧）
+    this.maxStepsPerFrame = 5;       // 单帧最多追赶的逻辑帧数
+    this.accumulator = 0;            // 尚未模拟的累计时间
+    this.interpolationAlpha = 1;     // 渲染插值系数
+    this.tickCount = 0;              // 已执行的逻辑帧数
+    
     // 游戏数据
     this.gameData = {
       currentLayer: 1,
-      maxLayer: 100,
+      maxLayer: HUMAN_WORLD_LAYER,
       playerLives: 3,
       score: 0,
       fallDistance: 0,
@@ -76,16 +129,55 @@ export default class AngelDescentGame {
     this.camera = null;
     this.renderManager = new RenderManager(this);
     this.effectsManager = new EffectsManager(this);
+    this.scoreManager = new ScoreManager(this);
+    this.scoreSummary = null; // 上一局的得分结算（结算界面显示）
+    this.checkpointManager = new CheckpointManager(this);
+    this.guardianManager = new GuardianManager(this);
+    this.dailyChallengeManager = new DailyChallengeManager(this);
+    this.mutatorManager = new MutatorManager(this);
+    this.difficultyDirector = new DifficultyDirector(this);
+    this.timeAttackManager = new TimeAttackManager(this);
+    this.levelEditor = new LevelEditor(this);
     this.platformPool = new PlatformPool(this.audioManager);
-    this.levelGenerator = new LevelGenerator(this.audioManager, this.platformPool);
+    this.enemyPool = new EnemyPool(this.audioManager);
+    
+    // 对局种子：fixedSeed 为空时每局随机，指定后每局都复现同一关卡
+    this.fixedSeed = null;
+    this.random = new SeededRandom();
+    
+    // 本局模式、起始层和种子：从检查点继续时起始层大于1，并沿用上一局的种子
+    this.runMode = GAME_MODES.NORMAL;
+    this.runStartLayer = 1;
+    this.runSeed = null;
+    this.runModifiers = [];  // 本局的每日修正ID
+    this.runMutators = [];   // 本局的突变ID
+    this.runDirector = null; // 本局自适应难度的开局状态，null为纯净
+    this.runTarget = null;   // 竞速模式的目标层数
+    this.dailyRun = null;    // 每日挑战对局信息 { dateKey, practice }
+    this.levelGenerator = new LevelGenerator(this.audioManager, this.platformPool, this.random, this.enemyPool);
+    
+    // 录像系统：每局自动录制输入；replayPlayer 不为空时处于回放模式，触摸不再控制角色
+    this.inputRecorder = new InputRecorder();
+    this.replayPlayer = null;
+    this.lastReplay = null;        // 最近一局完整录像
+    this.lastReplayCheck = null;   // 最近一次回放的结果校验
+    this.seedBeforeReplay = null;  // 回放前的固定种子设置
     this.player = null;
     this.platforms = [];
-    this.lifeFruits = []; // 生命果实数组
+    this.lifeFruits = []; // 收集品数组（生命果实和道具）
+    this.obstacles = []; // 障碍物数组
+    this.enemies = []; // 敌人数组
     
     // 物理常量
     this.gravity = 980; // 重力加速度 (像素/秒²)
     this.layerHeight = 600; // 每层的高度
     
+    // 空间索引（按Y坐标分桶，桶高半层），与 platforms / lifeFruits / obstacles / enemies 数组同步维护
+    this.platformIndex = new SpatialIndex(this.layerHeight / 2);
+    this.lifeFruitIndex = new SpatialIndex(this.layerHeight / 2);
+    this.obstacleIndex = new SpatialIndex(this.layerHeight / 2);
+    this.enemyIndex = new SpatialIndex(this.layerHeight / 2);
+    
     // 输入状态
     this.inputState = {
       leftPressed: false,
@@ -145,9 +237,21 @@ export default class AngelDescentGame {
     
     // UI组件
     this.tutorialOverlay = new TutorialOverlay(canvas);
+    this.dailyCalendar = new DailyCalendar(this.dailyChallengeManager);
+    this.mutatorSelect = new MutatorSelect(this.mutatorManager);
+    this.timeAttackSelect = new TimeAttackSelect(this.timeAttackManager);
     
-    // 新手指引状态跟踪
-    this.hasCompletedTutorial = false;
+    // 玩家档案（最佳纪录、局数、新手指引、音量设置，持久化保存）
+    this.saveManager = new SaveManager();
+    this.profile = this.saveManager.load();
+    this.newRecords = { layer: false, score: false }; // 本局刷新的纪录（结算界面显示）
+    
+    // 新手指引状态跟踪（从档案恢复，完成过的玩家不再显示指引）
+    this.hasCompletedTutorial = this.profile.tutorialCompleted;
+    
+    // 应用保存的音量设置
+    this.audioManager.setBgmVolume(this.profile.settings.bgmVolume);
+    this.audioManager.setSoundEffectVolume(this.profile.settings.soundEffectVolume);
     
     // 背景图像系统
     this.backgroundImages = new Map(); // 存储加载的背景图像
@@ -200,34 +304,20 @@ export default class AngelDescentGame {
       // 预加载美术资源（确保资源加载完成后再创建游戏对象）
       await this.loadGameAssets();
       
-      // 初始化简单的摄像机系统
-      this.camera = {
-        x: 0,
-        y: 0,
-        targetX: 0,
-        targetY: 0,
+      // 初始化摄像机：平滑跟随玩家，下落时向下前瞻
+      this.camera = new Camera(this.logicalWidth, this.logicalHeight, {
+        mode: CAMERA_MODES.SMOOTH,
         smoothing: 0.1,
-        moveTo: function(x, y) {
-          this.x = x;
-          this.y = y;
-        },
-        setTarget: function(x, y) {
-          this.targetX = x;
-          this.targetY = y;
-        },
-        update: function() {
-          this.x += (this.targetX - this.x) * this.smoothing;
-          this.y += (this.targetY - this.y) * this.smoothing;
-        },
-        getOffset: function() {
-          return { x: -this.x, y: -this.y };
-        }
-      };
+        anchor: { x: 0.5, y: 0.25 } // 玩家位于屏幕上部25%位置，提供75%下方视野
+      });
+      
+      // 镜头不移出世界左右边界（与玩家的移动范围一致，留出半个角色的余量）
+      const worldHalfWidth = 375 * 1.5;
+      this.camera.setBounds({ left: -worldHalfWidth - 40, right: worldHalfWidth + 40 });
       
-      // 设置摄像机初始位置，配合新的视野设置
-      const initialScreenCenterX = this.logicalWidth / 2;
-      const initialScreenOffsetY = this.logicalHeight * 0.25;
-      this.camera.moveTo(187.5 - initialScreenCenterX, 100 - initialScreenOffsetY); // 根据新的25%偏移调整
+      // 设置摄像机初始位置，对准玩家出生点
+      this.camera.follow(187.5, 100);
+      this.camera.snapToTarget();
       
       // 重置游戏数据
       this.resetGameData();
@@ -276,7 +366,7 @@ export default class AngelDescentGame {
       await this.detectAvailableResources();
       
       // 使用ResourceManager预加载背景图像
-      const backgroundMap = await resourceManager.preloadBackgrounds();
+      const backgroundMap = await resourceManager.preloadBackgrounds(getRealmBackgroundPaths());
       
       // 预加载角色图像
       const characterMap = await resourceManager.preloadCharacters();
@@ -285,7 +375,7 @@ export default class AngelDescentGame {
       const characterEffectsMap = await resourceManager.preloadCharacterEffects();
       
       // 预加载平台图像
-      const platformMap = await resourceManager.preloadPlatforms();
+      const platformMap = await resourceManager.preloadPlatforms(getPlatformImagePaths());
       
       // 存储加载结果
       this.backgroundImages = backgroundMap;
@@ -373,26 +463,20 @@ export default class AngelDescentGame {
       console.warn('  ✗ Canvas渲染测试失败:', error);
     }
     
-    // 测试触摸事件支持
-    if (typeof wx !== 'undefined') {
-      tests.touchEvents = typeof wx.onTouchStart === 'function' && 
-                         typeof wx.onTouchMove === 'function' && 
-                         typeof wx.onTouchEnd === 'function';
-    }
+    // 测试宿主平台能力（触摸事件、音频）
+    const host = getHost();
+    const capabilities = host.getCapabilities();
+    tests.touchEvents = capabilities.touchEvents;
+    tests.audioSupport = capabilities.audioSupport;
     
     // 测试动画帧支持
     try {
-      tests.animationFrames = typeof requestAnimationFrame === 'function' && 
-                             typeof cancelAnimationFrame === 'function';
+      tests.animationFrames = typeof host.requestAnimationFrame === 'function' && 
+                             typeof host.cancelAnimationFrame === 'function';
     } catch (error) {
       console.warn('  ✗ 动画帧测试失败:', error);
     }
     
-    // 测试音频支持（微信小游戏音频API）
-    if (typeof wx !== 'undefined') {
-      tests.audioSupport = typeof wx.createInnerAudioContext === 'function';
-    }
-    
     // 存储测试结果用于后续参考
     this.compatibilityTestResults = tests;
     
@@ -517,22 +601,23 @@ export default class AngelDescentGame {
   }
   
   /**
-   * 根据当前层数获取背景主题
+   * 根据当前层数获取背景主题（与关卡生成使用同一天界定义，无尽模式的轮换也由关卡生成器决定）
    * 
    * @returns {string} 背景主题名称
    */
   getCurrentBackgroundTheme() {
-    const layer = this.gameData.currentLayer;
-    
-    // 根据游戏层数和主题映射选择背景
-    if (layer <= 10) {
-      return 'dawn';     // 1-10层：朝霞天界，使用朝霞背景
-    } else if (layer <= 50) {
-      return 'cloud';    // 11-50层：云海天界，使用云海背景
-    } else if (layer <= 75) {
-      return 'thunder';  // 51-75层：雷音天界，使用雷电背景
-    } else {
-      return 'earth';    // 76-100层：凡间边界，使用大地背景
+    return this.levelGenerator.getThemeForLayer(this.gameData.currentLayer);
+  }
+
+  /**
+   * 播放指定天界的背景音乐（与正在播放的曲目相同时不打断）
+   * 
+   * @param {string} theme - 主题ID
+   */
+  playRealmMusic(theme) {
+    const realm = getRealm(theme);
+    if (realm && this.audioManager) {
+      this.audioManager.playBgm(realm.music);
     }
   }
   
@@ -542,6 +627,7 @@ export default class AngelDescentGame {
   async initializeGameObjects() {
     // 创建玩家
     this.player = new Player(187.5, 100, this.audioManager);
+    this.mutatorManager.apply(); // 新建的角色也要应用本局突变
     
     // 设置角色图像（如果已加载）
     if (this.characterLoaded && this.characterImages) {
@@ -563,6 +649,9 @@ export default class AngelDescentGame {
       this.handlePlayerDeath();
     });
     
+    // 第一局的自适应难度（之后每局在 restart() 中确定）
+    this.runDirector = this.getDefaultDirectorState();
+    
     // 生成初始关卡
     this.generateInitialLevels();
     
@@ -573,42 +662,100 @@ export default class AngelDescentGame {
    * 生成初始关卡
    */
   generateInitialLevels() {
+    // 上一局未正常结束（如中途重开），结束其录像
+    if (this.inputRecorder.isRecording()) {
+      this.finishRecording('abandoned');
+    }
+    
+    // 确定本局种子（必须在生成任何关卡之前）
+    if (this.runSeed !== null) {
+      this.random.setSeed(this.runSeed);
+    } else {
+      this.random.setSeed(this.fixedSeed !== null ? this.fixedSeed : createRandomSeed());
+    }
+    
+    // 开始本局的自适应难度（同样必须在生成任何关卡之前）
+    this.difficultyDirector.begin(this.runDirector);
+    
+    // 开始录制本局输入
+    this.inputRecorder.begin(this.getRunConfig(), Math.round(1 / this.fixedTimeStep));
+    
     // 清空现有平台
     this.platforms = [];
+    this.platformIndex.clear();
     
-    // 记录最高生成的层数（简化的生成记录）
-    this.maxGeneratedLayer = 0;
+    // 记录最高生成的层数（简化的生成记录），从检查点继续时之前的层不再生成
+    this.maxGeneratedLayer = this.runStartLayer - 1;
     
     // 生成合理的初始层数，避免生成过多会被立即清理的平台
     // 基于屏幕高度计算合理的初始范围
     const screenHeights = Math.ceil(this.logicalHeight / this.layerHeight);
     const initialLayerCount = Math.max(5, screenHeights + 3); // 至少5层，或屏幕高度+3层
-    const initialLayers = this.levelGenerator.generateMultipleLayers(1, initialLayerCount);
+    const initialLayers = this.levelGenerator.generateMultipleLayers(
+      this.runStartLayer,
+      Math.min(this.runStartLayer + initialLayerCount - 1, this.guardianManager.getGenerationLimit())
+    );
     
-    // 提取平台和生命果实，并记录已生成的层
+    // 提取平台、生命果实、障碍物和敌人，并记录已生成的层
     for (const layerData of initialLayers) {
-      this.platforms.push(...layerData.platforms);
-      this.lifeFruits.push(...layerData.lifeFruits);
+      this.addPlatforms(layerData.platforms);
+      this.addLifeFruits(layerData.lifeFruits);
+      this.addObstacles(layerData.obstacles);
+      this.addEnemies(layerData.enemies);
+      if (layerData.guardian) {
+        this.guardianManager.addArena(layerData.guardian);
+      }
       this.maxGeneratedLayer = Math.max(this.maxGeneratedLayer, layerData.layer);
       
     }
     
-    // 在第1层添加一个确保的起始平台
+    // 在起始层上方添加一个确保的起始平台
     const startPlatform = new Platform(
       187.5, // 屏幕中心
-      200,   // 玩家下方一点
+      200 + this.getStartOffsetY(), // 玩家下方一点
       150,   // 更宽的起始平台，便于开始游戏
       20,
       PLATFORM_TYPES.NORMAL,
-      0,     // 第0层（起始层）
+      this.runStartLayer - 1, // 起始层的上一层（从第1层开始时为第0层）
       this.audioManager
     );
     this.platforms.unshift(startPlatform);
+    this.platformIndex.insert(startPlatform);
     // 起始层已记录在maxGeneratedLayer中
     
     // 初始生成平台
   }
 
+  /**
+   * 起始位置相对第1层的竖直偏移（从检查点继续时整体下移）
+   * 
+   * @returns {number} 偏移量（像素）
+   */
+  getStartOffsetY() {
+    return (this.runStartLayer - 1) * this.layerHeight;
+  }
+
+  /**
+   * 指定对局种子
+   * 
+   * 之后开始的每一局都使用该种子，得到相同的关卡、果实和危险判定，
+   * 用于复现玩家反馈和分享对局。传入null恢复每局随机种子。
+   * 
+   * @param {number|string|null} seed - 种子
+   */
+  setSeed(seed) {
+    this.fixedSeed = seed;
+  }
+
+  /**
+   * 获取当前对局种子
+   * 
+   * @returns {number|string} 种子
+   */
+  getSeed() {
+    return this.random.getSeed();
+  }
+
   /**
    * 生成指定层的内容
    */
@@ -617,34 +764,122 @@ export default class AngelDescentGame {
     const layerData = this.levelGenerator.generateLayer(layerNum);
     
     
-    // 添加生成的平台和生命果实
-    this.platforms.push(...layerData.platforms);
-    this.lifeFruits.push(...layerData.lifeFruits);
+    // 添加生成的平台、生命果实、障碍物和敌人
+    this.addPlatforms(layerData.platforms);
+    this.addLifeFruits(layerData.lifeFruits);
+    this.addObstacles(layerData.obstacles);
+    this.addEnemies(layerData.enemies);
     
+    // 守护者层的竞技场交给守护者管理器
+    if (layerData.guardian) {
+      this.guardianManager.addArena(layerData.guardian);
+    }
     
     // 生成完成
   }
 
+  /**
+   * 加入平台（同时加入空间索引）
+   * 
+   * @param {Array<Platform>} platforms - 平台列表
+   */
+  addPlatforms(platforms) {
+    for (const platform of platforms) {
+      this.platforms.push(platform);
+      this.platformIndex.insert(platform);
+    }
+  }
+
+  /**
+   * 加入生命果实和道具（同时加入空间索引）
+   * 
+   * @param {Array<Collectible>} lifeFruits - 收集品列表
+   */
+  addLifeFruits(lifeFruits) {
+    for (const lifeFruit of lifeFruits) {
+      this.lifeFruits.push(lifeFruit);
+      this.lifeFruitIndex.insert(lifeFruit);
+    }
+  }
+
+  /**
+   * 加入障碍物（同时加入空间索引）
+   * 
+   * @param {Array<Obstacle>} obstacles - 障碍物列表
+   */
+  addObstacles(obstacles) {
+    for (const obstacle of obstacles) {
+      this.obstacles.push(obstacle);
+      this.obstacleIndex.insert(obstacle);
+    }
+  }
+
+  /**
+   * 加入敌人（同时加入空间索引）
+   * 
+   * @param {Array<Enemy>} enemies - 敌人列表
+   */
+  addEnemies(enemies) {
+    for (const enemy of enemies) {
+      this.enemies.push(enemy);
+      this.enemyIndex.insert(enemy);
+    }
+  }
 
   /**
-   * 根据层数获取主题颜色（现在由Platform类处理）
+   * 清空世界中的平台、收集品、障碍物和敌人（平台归还对象池）
    */
-  getThemeColor(layerNum) {
-    if (layerNum <= 10) return '#FFB74D'; // 朝霞天界 - 温暖的金色
-    if (layerNum <= 50) return '#81D4FA'; // 云海天界 - 清澈的天蓝色
-    if (layerNum <= 75) return '#CE93D8'; // 雷音天界 - 柔和的紫色
-    return '#8D6E63'; // 凡间边界 - 大地色
+  clearWorld() {
+    for (const platform of this.platforms) {
+      this.platformPool.release(platform);
+    }
+    this.platforms = [];
+    this.lifeFruits = [];
+    this.obstacles = [];
+    this.enemies = [];
+    this.platformIndex.clear();
+    this.lifeFruitIndex.clear();
+    this.obstacleIndex.clear();
+    this.enemyIndex.clear();
   }
 
+
   /**
    * 设置事件监听
    */
   setupEventListeners() {
     // 监听游戏重置事件
-    this.eventManager.on('game_reset', () => {
+    this.eventManager.on(GAME_EVENTS.GAME_RESET, () => {
       this.resetGameData();
     });
     
+    // 计分和镜头震动
+    this.eventManager.on(GAME_EVENTS.PLATFORM_STEP, ({ platform, isFirstStep }) => {
+      this.scoreManager.onPlatformStep(platform, isFirstStep);
+      this.guardianManager.onPlatformStep(platform);
+    });
+    this.eventManager.on(GAME_EVENTS.PLAYER_DAMAGED, () => {
+      this.scoreManager.onPlayerDamaged();
+      this.guardianManager.onPlayerDamaged();
+      this.difficultyDirector.onPlayerDamaged();
+      this.camera.addTrauma(CAMERA_TRAUMA.PLAYER_DAMAGED);
+    });
+    this.eventManager.on(GAME_EVENTS.PLATFORM_BROKEN, () => {
+      this.camera.addTrauma(CAMERA_TRAUMA.PLATFORM_BROKEN);
+    });
+    this.eventManager.on(GAME_EVENTS.PLAYER_BOUNCED, () => {
+      this.camera.addTrauma(CAMERA_TRAUMA.PLAYER_BOUNCED);
+    });
+    
+    // 守护者遭遇战
+    this.eventManager.on(GAME_EVENTS.GUARDIAN_STARTED, () => {
+      this.camera.addTrauma(CAMERA_TRAUMA.GUARDIAN_STARTED);
+    });
+    this.eventManager.on(GAME_EVENTS.GUARDIAN_CLEARED, ({ bonus, flawlessBonus }) => {
+      this.scoreManager.onGuardianCleared(bonus, flawlessBonus);
+      this.camera.addTrauma(CAMERA_TRAUMA.GUARDIAN_CLEARED);
+    });
+    
     // 事件监听设置完成
   }
 
@@ -653,13 +888,22 @@ export default class AngelDescentGame {
    */
   resetGameData() {
     this.gameData = {
-      currentLayer: 1,
-      maxLayer: 100,
+      currentLayer: this.runStartLayer,
+      maxLayer: this.getRunMaxLayer(),
       playerLives: 3,
       score: 0,
       fallDistance: 0,
       totalDistance: 0
     };
+    this.scoreManager.reset();
+    this.guardianManager.reset();
+    this.timeAttackManager.begin(this.isTimeAttackRun() ? this.runTarget : null);
+    this.scoreSummary = null;
+    this.lastPlayerLives = null;
+    
+    if (this.camera) {
+      this.camera.resetShake();
+    }
     
     if (this.player && this.player.reset) {
       this.player.reset();
@@ -670,22 +914,102 @@ export default class AngelDescentGame {
    * 处理触摸事件
    */
   handleTouch(e) {
-    if (!this.running) return;
+    // 失败后游戏循环已停止，但仍需响应失败界面的点击
+    if (!this.running && this.currentState !== GAME_STATES.GAME_OVER) return;
+    
+    // 关卡编辑器：编辑时由编辑器处理触摸，试玩时点击“返回编辑”按钮回到编辑
+    if (this.currentState === GAME_STATES.EDITOR) {
+      const action = this.levelEditor.handleTouch(e);
+      if (action === 'play') {
+        this.startPlayTest();
+      } else if (action === 'exit') {
+        this.closeLevelEditor();
+      }
+      return;
+    }
+    if (this.levelEditor.isPlayTesting() && this.levelEditor.handlePlayTestTouch(e)) {
+      this.stopPlayTest('已停止试玩');
+      return;
+    }
+    
+    // 每日挑战日历打开时由日历处理触摸
+    if (this.dailyCalendar.isShowing()) {
+      if (this.dailyCalendar.handleTouch(e) === 'start') {
+        this.startDaily();
+      } else if (!this.running) {
+        this.render();
+      }
+      return;
+    }
+    
+    // 突变选择界面打开时由选择界面处理触摸
+    if (this.mutatorSelect.isShowing()) {
+      if (this.mutatorSelect.handleTouch(e) === 'start') {
+        this.restart();
+      } else if (!this.running) {
+        this.render();
+      }
+      return;
+    }
+    
+    // 竞速目标选择界面打开时由选择界面处理触摸
+    if (this.timeAttackSelect.isShowing()) {
+      if (this.timeAttackSelect.handleTouch(e) === 'start') {
+        this.startTimeAttack(this.timeAttackSelect.getSelectedTarget());
+      } else if (!this.running) {
+        this.render();
+      }
+      return;
+    }
     
-    // 如果在游戏胜利状态，点击重新开始游戏
+    // 如果在游戏胜利状态，点击无尽模式按钮进入无尽模式，点击其他位置重新开始游戏
     if (this.currentState === GAME_STATES.LEVEL_COMPLETE) {
-      this.restart();
+      const buttons = this.renderManager.getLevelCompleteButtons();
+      const touch = e.touches[0];
+      if (buttons && buttons.endless && isInsideRect(touch.clientX, touch.clientY, buttons.endless)) {
+        this.startEndless();
+      } else if (buttons && buttons.daily && isInsideRect(touch.clientX, touch.clientY, buttons.daily)) {
+        this.openDailyCalendar();
+      } else if (buttons && buttons.mutators && isInsideRect(touch.clientX, touch.clientY, buttons.mutators)) {
+        this.openMutatorSelect();
+      } else if (buttons && buttons.timeAttack && isInsideRect(touch.clientX, touch.clientY, buttons.timeAttack)) {
+        this.openTimeAttackSelect();
+      } else {
+        this.restartRun();
+      }
       return;
     }
     
     // 如果在游戏失败状态，点击重新开始游戏（与胜利状态保持一致）
+    // 有可继续的检查点时显示两个按钮，点击按钮选择重新开始或从检查点继续
     if (this.currentState === GAME_STATES.GAME_OVER) {
+      const buttons = this.renderManager.getGameOverButtons();
+      if (buttons) {
+        const touch = e.touches[0];
+        if (buttons.continue && isInsideRect(touch.clientX, touch.clientY, buttons.continue)) {
+          this.continueFromCheckpoint(buttons.checkpoint.layer);
+        } else if (buttons.endless && isInsideRect(touch.clientX, touch.clientY, buttons.endless)) {
+          this.startEndless();
+        } else if (buttons.daily && isInsideRect(touch.clientX, touch.clientY, buttons.daily)) {
+          this.openDailyCalendar();
+        } else if (buttons.mutators && isInsideRect(touch.clientX, touch.clientY, buttons.mutators)) {
+          this.openMutatorSelect();
+        } else if (buttons.timeAttack && isInsideRect(touch.clientX, touch.clientY, buttons.timeAttack)) {
+          this.openTimeAttackSelect();
+        } else if (buttons.editor && isInsideRect(touch.clientX, touch.clientY, buttons.editor)) {
+          this.openLevelEditor();
+        } else if (isInsideRect(touch.clientX, touch.clientY, buttons.restart)) {
+          this.restartRun();
+        }
+        return;
+      }
+      
       // 清除自动重启定时器
       if (this.restartTimer) {
-        clearTimeout(this.restartTimer);
+        getHost().clearTimeout(this.restartTimer);
         this.restartTimer = null;
       }
-      this.restart();
+      this.restartRun();
       return;
     }
     
@@ -695,6 +1019,9 @@ export default class AngelDescentGame {
         // 指引完成，标记已完成并切换到游戏状态
         this.hasCompletedTutorial = true;
         this.currentState = GAME_STATES.PLAYING;
+        this.profile = this.saveManager.update(profile => {
+          profile.tutorialCompleted = true;
+        });
         
         // 重置输入状态，避免引导完成后的触摸被误处理为移动输入
         this.inputState.leftPressed = false;
@@ -710,15 +1037,15 @@ export default class AngelDescentGame {
       return;
     }
     
-    // 游戏状态下的正常触摸处理
-    if (this.paused) return;
+    // 游戏状态下的正常触摸处理（回放模式下由录像驱动，忽略触摸）
+    if (this.paused || this.replayPlayer) return;
     
     const touch = e.touches[0];
     const x = touch.clientX;
-    const screenWidth = this.logicalWidth;
     
-    // 简单的左右控制：左半屏向左，右半屏向右
-    if (x < screenWidth / 2) {
+    // 左右控制：点在天使左侧向左，右侧向右（镜头贴住世界边界时天使不在屏幕正中）
+    const playerScreen = this.camera.worldToScreen(this.player.x, this.player.y);
+    if (x < playerScreen.x) {
       this.inputState.leftPressed = true;
       this.inputState.rightPressed = false;
     } else {
@@ -732,10 +1059,26 @@ export default class AngelDescentGame {
     }
   }
 
+  /**
+   * 处理触摸移动事件
+   */
+  handleTouchMove(e) {
+    // 只有关卡编辑器使用拖动
+    if (this.currentState === GAME_STATES.EDITOR) {
+      this.levelEditor.handleTouchMove(e);
+    }
+  }
+
   /**
    * 处理触摸结束事件
    */
   handleTouchEnd(e) {
+    if (this.currentState === GAME_STATES.EDITOR) {
+      this.levelEditor.handleTouchEnd(e);
+      return;
+    }
+    if (this.replayPlayer) return;
+    
     // 停止移动
     this.inputState.leftPressed = false;
     this.inputState.rightPressed = false;
@@ -753,10 +1096,12 @@ export default class AngelDescentGame {
     if (this.running) return;
     
     this.running = true;
-    // 使用 Date.now() 代替 performance.now()，兼容微信小游戏
-    this.lastTime = Date.now();
+    // 使用宿主时钟（微信环境为 Date.now()，无界面环境为虚拟时钟）
+    this.lastTime = getHost().now();
+    this.accumulator = 0;
+    this.interpolationAlpha = 1;
     this.gameStep = this.gameStep.bind(this);
-    requestAnimationFrame(this.gameStep);
+    getHost().requestAnimationFrame(this.gameStep);
     
     // 游戏循环已启动
   }
@@ -772,21 +1117,46 @@ export default class AngelDescentGame {
   /**
    * 重新启动游戏
    */
-  restart() {
+  restart(options = {}) {
     // 开始重启游戏
     
     // 停止游戏循环
     this.stop();
     
+    // 本局模式、起始层和种子（默认普通模式从第1层开始，种子按 fixedSeed 或随机）
+    this.runMode = options.mode || GAME_MODES.NORMAL;
+    this.runStartLayer = options.startLayer || 1;
+    this.runSeed = options.seed !== undefined ? options.seed : null;
+    this.runModifiers = options.modifiers || [];
+    this.dailyRun = options.daily || null;
+    this.runTarget = options.target || null;
+    this.dailyCalendar.close();
+    this.mutatorSelect.close();
+    this.timeAttackSelect.close();
+    if (this.levelEditor.isActive()) {
+      this.levelEditor.close();
+    }
+    
+    // 本局突变（默认为玩家选择的突变），须在重置玩家之前应用
+    this.runMutators = options.mutators || this.mutatorManager.getSelected();
+    this.mutatorManager.setActive(this.runMutators);
+    
+    // 本局自适应难度的开局状态（默认按最近几局的结果，纯净模式为null）
+    this.runDirector = options.director !== undefined ? options.director : this.getDefaultDirectorState();
+    
     // 清理定时器
     if (this.restartTimer) {
-      clearTimeout(this.restartTimer);
+      getHost().clearTimeout(this.restartTimer);
       this.restartTimer = null;
     }
     
     // 重置游戏数据
     this.resetGameData();
     
+    // 清除上一局残留的按键状态（玩家重置时已清除自身输入，两者需保持一致，否则录像首帧输入有误）
+    this.inputState.leftPressed = false;
+    this.inputState.rightPressed = false;
+    
     // 重新设置背景主题以匹配第一层
     const correctTheme = this.getCurrentBackgroundTheme();
     if (this.currentBackgroundTheme !== correctTheme) {
@@ -796,20 +1166,29 @@ export default class AngelDescentGame {
       this.backgroundTransition.active = false;
       this.backgroundTransition.progress = 0;
     }
+    this.playRealmMusic(correctTheme);
     
     // 完全清理所有状态
     this.platforms = [];
     this.lifeFruits = [];
+    this.obstacles = [];
+    this.enemies = [];
+    this.platformIndex.clear();
+    this.lifeFruitIndex.clear();
+    this.obstacleIndex.clear();
+    this.enemyIndex.clear();
     this.maxGeneratedLayer = 0;
     
-    // 重置关卡生成器状态，清空生成历史
+    // 重置关卡生成器状态，清空生成历史，应用本局的修正
     if (this.levelGenerator && this.levelGenerator.reset) {
       this.levelGenerator.reset();
+      this.levelGenerator.setModifiers(getModifierGeneration(this.runModifiers));
     }
     
-    // 重置玩家
+    // 重置玩家（从检查点继续时放到起始层上方）
     if (this.player) {
       this.player.reset();
+      this.player.y += this.getStartOffsetY();
       // 重启后重新应用角色图像
       if (this.characterLoaded && this.characterImages) {
         this.player.setCharacterImages(this.characterImages);
@@ -819,9 +1198,15 @@ export default class AngelDescentGame {
     // 重新生成初始关卡
     this.generateInitialLevels();
     
+    // 镜头直接对准玩家，不从上一局结束的位置移过来
+    if (this.player) {
+      this.camera.follow(this.player.x, this.player.y);
+      this.camera.snapToTarget();
+    }
+    
     // 重要：停止动画循环，避免与重新生成冲突
     if (this.animationFrameId !== null) {
-      cancelAnimationFrame(this.animationFrameId);
+      getHost().cancelAnimationFrame(this.animationFrameId);
       this.animationFrameId = null;
     }
     
@@ -863,31 +1248,50 @@ export default class AngelDescentGame {
 
   /**
    * 游戏主循环
+   * 
+   * 固定步长 + 累加器：把真实经过的时间累加起来，按固定的 fixedTimeStep
+   * 逐帧推进逻辑，剩余不足一帧的时间留到下一次，并作为插值系数用于渲染。
+   * 单帧计入的真实时间和追赶帧数都有上限，掉帧时宁可整体变慢也不会卡死。
    */
   gameStep(currentTime) {
     if (!this.running) return;
     
-    // 兼容微信小游戏：如果没有传入currentTime，使用Date.now()
-    const now = currentTime || Date.now();
+    // 兼容微信小游戏：如果没有传入currentTime，使用宿主时钟
+    const now = currentTime || getHost().now();
     
     // 首次运行时初始化lastTime
     if (this.lastTime === 0) {
       this.lastTime = now;
     }
     
-    // 计算时间间隔
-    this.deltaTime = (now - this.lastTime) / 1000;
-    this.deltaTime = Math.max(0, Math.min(this.deltaTime, 1/30)); // 限制最大时间间隔
+    // 计算真实时间间隔（限制上限）
+    const frameTime = Math.max(0, Math.min((now - this.lastTime) / 1000, this.maxFrameTime));
     this.lastTime = now;
     
     if (!this.paused) {
-      // 更新游戏逻辑
-      this.update(this.deltaTime);
-      this.gameTime += this.deltaTime;
+      // 突变可以加快游戏速度：每帧推进更多逻辑帧，逻辑帧时长不变
+      this.accumulator += frameTime * this.mutatorManager.getTimeScale();
+      
+      let steps = 0;
+      while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+        this.tick();
+        this.accumulator -= this.fixedTimeStep;
+        steps++;
+        
+        // 游戏结束等情况会在逻辑帧内停止循环
+        if (!this.running) break;
+      }
+      
+      // 追赶上限已到：丢弃积压时间，避免越积越多
+      if (steps >= this.maxStepsPerFrame) {
+        this.accumulator = Math.min(this.accumulator, this.fixedTimeStep);
+      }
       
-      // 性能统计已移除，避免在主循环中频繁调用console.log
-      // 如需调试性能，请使用微信开发者工具的性能面板
-      // 或在需要时手动调用 this.getPerformanceStats()
+      this.interpolationAlpha = Math.min(1, this.accumulator / this.fixedTimeStep);
+    } else {
+      // 暂停期间不积累时间，画面停在最后一个逻辑帧
+      this.accumulator = 0;
+      this.interpolationAlpha = 1;
     }
     
     // 渲染游戏画面
@@ -895,7 +1299,272 @@ export default class AngelDescentGame {
     
     // 继续循环
     if (this.running) {
-      requestAnimationFrame(this.gameStep);
+      getHost().requestAnimationFrame(this.gameStep);
+    }
+  }
+
+  /**
+   * 执行一个固定逻辑帧
+   */
+  tick() {
+    this.savePreviousPositions();
+    
+    // 只有游戏进行中的逻辑帧会推进世界，录像也只记录这些帧
+    // 回放时同样重新录制，回放得到的录像应与原录像完全一致
+    if (this.currentState === GAME_STATES.PLAYING) {
+      if (this.replayPlayer) {
+        this.applyReplayInput();
+      }
+      this.inputRecorder.record(this.inputState.leftPressed, this.inputState.rightPressed);
+    }
+    
+    this.deltaTime = this.fixedTimeStep;
+    this.update(this.fixedTimeStep);
+    this.gameTime += this.fixedTimeStep;
+    this.tickCount++;
+  }
+
+  /**
+   * 回放模式：用录像中的输入替代触摸输入
+   */
+  applyReplayInput() {
+    const input = this.replayPlayer.next();
+    
+    if (!input) {
+      // 录像输入已用完但游戏仍在进行，交还触摸控制
+      this.stopReplay();
+      return;
+    }
+    
+    if (input.leftPressed !== this.inputState.leftPressed ||
+        input.rightPressed !== this.inputState.rightPressed) {
+      this.inputState.leftPressed = input.leftPressed;
+      this.inputState.rightPressed = input.rightPressed;
+      
+      if (this.player && this.player.setInput) {
+        this.player.setInput(input.leftPressed, input.rightPressed);
+      }
+    }
+  }
+
+  /**
+   * 结束本局录像
+   * 
+   * @param {string} reason - 结束原因
+   */
+  finishRecording(reason) {
+    const result = { reason, layer: this.gameData.currentLayer, score: this.gameData.score };
+    
+    if (this.replayPlayer) {
+      // 回放得到的结果与录像记录对比，用于回归校验
+      this.lastReplayCheck = this.replayPlayer.compareResult(result);
+      if (this.lastReplayCheck.matched === false) {
+        console.warn('录像回放结果与录制时不一致:', this.lastReplayCheck);
+      }
+    }
+    
+    this.inputRecorder.finish(result);
+    this.lastReplay = this.inputRecorder.getReplay();
+  }
+
+  /**
+   * 将本局结果写入玩家档案（回放不计入档案）
+   * 
+   * @param {string} reason - 结束原因（'complete' 或失败原因）
+   */
+  recordRunResult(reason) {
+    if (this.replayPlayer) {
+      this.newRecords = { layer: false, score: false };
+      return;
+    }
+    
+    // 自适应难度参考最近几局的结果决定下一局的开局紧张度
+    this.difficultyDirector.onRunFinished(reason, this.gameData.currentLayer - this.runStartLayer);
+    
+    // 竞速模式只保存各目标的最快用时，不影响普通模式的纪录
+    if (this.isTimeAttackRun()) {
+      const result = this.timeAttackManager.getResult();
+      const newBest = this.saveManager.recordTimeAttackRun(this.runTarget, result ? result.time : null, result ? result.splits : []);
+      this.newRecords = { layer: false, score: false, time: newBest };
+      this.profile = this.saveManager.load();
+      return;
+    }
+    
+    // 每日挑战只记录当天的正式挑战，不影响普通模式的纪录
+    if (this.runMode === GAME_MODES.DAILY) {
+      this.newRecords = { layer: false, score: false };
+      if (this.dailyRun && !this.dailyRun.practice) {
+        this.saveManager.finishDailyAttempt(this.dailyRun.dateKey, this.gameData.currentLayer, this.gameData.score, reason);
+        this.profile = this.saveManager.load();
+      }
+      return;
+    }
+    
+    // 无尽模式的纪录单独保存
+    this.newRecords = this.isEndlessRun()
+      ? this.saveManager.recordEndlessRun(this.gameData.currentLayer, this.gameData.score)
+      : this.saveManager.recordRun(this.gameData.currentLayer, this.gameData.score);
+    this.profile = this.saveManager.load();
+  }
+
+  /**
+   * 设置背景音乐音量并保存
+   * 
+   * @param {number} volume - 音量（0-1）
+   */
+  setBgmVolume(volume) {
+    this.audioManager.setBgmVolume(volume);
+    this.profile = this.saveManager.update(profile => {
+      profile.settings.bgmVolume = volume;
+    });
+  }
+
+  /**
+   * 设置音效音量并保存
+   * 
+   * @param {number} volume - 音量（0-1）
+   */
+  setSoundEffectVolume(volume) {
+    this.audioManager.setSoundEffectVolume(volume);
+    this.profile = this.saveManager.update(profile => {
+      profile.settings.soundEffectVolume = volume;
+    });
+  }
+
+  /**
+   * 设置纯净模式并保存（下一局生效）
+   * 
+   * 纯净模式关闭自适应难度，难度只由层数决定，适合比较成绩。
+   * 
+   * @param {boolean} enabled - 是否开启
+   */
+  setPureMode(enabled) {
+    this.profile = this.saveManager.update(profile => {
+      profile.settings.pureMode = !!enabled;
+    });
+  }
+
+  /**
+   * 设置关卡编辑器入口并保存
+   * 
+   * 开启后失败界面出现“关卡编辑”按钮，供设计师在游戏内编辑和试玩手工布局。
+   * 
+   * @param {boolean} enabled - 是否开启
+   */
+  setLevelEditorEnabled(enabled) {
+    this.profile = this.saveManager.update(profile => {
+      profile.settings.levelEditor = !!enabled;
+    });
+  }
+
+  /**
+   * 默认的自适应难度开局状态
+   * 
+   * @returns {Object|null} { startTension }，纯净模式为null
+   */
+  getDefaultDirectorState() {
+    if (this.profile && this.profile.settings.pureMode) return null;
+    return { startTension: this.difficultyDirector.getStartTension() };
+  }
+
+  /**
+   * 导出录像
+   * 
+   * 本局正在进行时导出截至当前帧的录像，否则导出最近一局的完整录像。
+   * 
+   * @returns {string|null} 录像JSON字符串
+   */
+  exportReplay() {
+    const replay = this.inputRecorder.isRecording() ? this.inputRecorder.getReplay() : this.lastReplay;
+    return replay ? serializeReplay(replay) : null;
+  }
+
+  /**
+   * 本局配置（录像据此重新开始同一局，须在确定种子之后读取）
+   * 
+   * @returns {Object} { seed, startLayer, mode, modifiers, mutators, director, target }
+   */
+  getRunConfig() {
+    return {
+      seed: this.random.getSeed(),
+      startLayer: this.runStartLayer,
+      mode: this.runMode,
+      modifiers: this.runModifiers,
+      mutators: this.runMutators,
+      director: this.runDirector,
+      target: this.runTarget
+    };
+  }
+
+  /**
+   * 回放录像
+   * 
+   * 使用录像中的本局配置重新开始一局，并按逻辑帧注入录像中的输入。
+   * 
+   * @param {string|Object} data - 录像数据（JSON字符串或对象）
+   * @throws {Error} 录像数据无效时抛出
+   */
+  startReplay(data) {
+    const replayPlayer = new ReplayPlayer(data);
+    const run = replayPlayer.getRunConfig();
+    
+    if (!this.replayPlayer) {
+      this.seedBeforeReplay = this.fixedSeed;
+    }
+    this.replayPlayer = replayPlayer;
+    this.lastReplayCheck = null;
+    this.fixedSeed = run.seed;
+    
+    // 录像从游戏开始记录，回放时跳过新手指引
+    this.hasCompletedTutorial = true;
+    this.inputState.leftPressed = false;
+    this.inputState.rightPressed = false;
+    
+    this.restart(run);
+  }
+
+  /**
+   * 退出回放模式，恢复触摸控制和原种子设置
+   */
+  stopReplay() {
+    if (!this.replayPlayer) return;
+    
+    this.replayPlayer = null;
+    this.fixedSeed = this.seedBeforeReplay;
+    this.seedBeforeReplay = null;
+  }
+
+  /**
+   * 是否处于回放模式
+   */
+  isReplaying() {
+    return this.replayPlayer !== null;
+  }
+
+  /**
+   * 记录所有需要插值渲染对象的上一帧位置
+   */
+  savePreviousPositions() {
+    if (this.player) {
+      this.player.savePreviousPosition();
+    }
+    
+    for (const platform of this.platforms) {
+      if (platform.savePreviousPosition) {
+        platform.savePreviousPosition();
+      }
+    }
+    
+    for (const lifeFruit of this.lifeFruits) {
+      lifeFruit.savePreviousPosition();
+    }
+    
+    for (const enemy of this.enemies) {
+      enemy.savePreviousPosition();
+    }
+    
+    if (this.camera && this.camera.savePreviousPosition) {
+      this.camera.savePreviousPosition();
     }
   }
 
@@ -909,11 +1578,16 @@ export default class AngelDescentGame {
       return;
     }
     
+    // 关卡编辑器中世界静止，只在试玩时更新
+    if (this.currentState === GAME_STATES.EDITOR) return;
+    
     // 游戏状态下的正常更新
     if (!this.player) return;
     
-    // 动态生成关卡（在玩家更新前，确保有平台可用）
-    this.updateLevelGeneration();
+    // 动态生成关卡（在玩家更新前，确保有平台可用；试玩时只有编辑的这一层）
+    if (!this.levelEditor.isPlayTesting()) {
+      this.updateLevelGeneration();
+    }
     
     // 更新玩家
     this.player.update(deltaTime);
@@ -924,6 +1598,15 @@ export default class AngelDescentGame {
     // 更新生命果实
     this.updateLifeFruits(deltaTime);
     
+    // 更新障碍物
+    this.updateObstacles(deltaTime);
+    
+    // 更新敌人
+    this.updateEnemies(deltaTime);
+    
+    // 更新守护者遭遇战
+    this.guardianManager.update(deltaTime);
+    
     
     // 更新视觉效果
     this.effectsManager.updateVisualEffects(deltaTime);
@@ -932,11 +1615,28 @@ export default class AngelDescentGame {
     this.effectsManager.updateLivesDisplayEffect(deltaTime);
     
     // 更新摄像机跟随
-    this.updateCamera();
+    this.updateCamera(deltaTime);
     
     // 检查碰撞
     this.checkCollisions();
     
+    // 检测本帧是否受伤
+    this.checkPlayerDamage();
+    
+    // 试玩不计分、不推进层数，落过本层或生命耗尽后回到编辑
+    if (this.levelEditor.isPlayTesting()) {
+      const result = this.levelEditor.updatePlayTest();
+      if (result) {
+        this.stopPlayTest(result);
+      }
+      return;
+    }
+    
+    // 更新计分、自适应难度的层用时和竞速计时
+    this.scoreManager.update(deltaTime);
+    this.difficultyDirector.update(deltaTime);
+    this.timeAttackManager.update(deltaTime);
+    
     // 检查层数变化
     this.checkLayerProgress();
     
@@ -957,11 +1657,9 @@ export default class AngelDescentGame {
     // 清理参数调试日志已移除，避免在帧更新中频繁检查随机数
     // 如需调试清理参数，可在控制台手动调用相关方法
     
-    const beforeUpdateCount = this.platforms.length;
+    const removed = new Set();
     
-    for (let i = this.platforms.length - 1; i >= 0; i--) {
-      const platform = this.platforms[i];
-      
+    for (const platform of this.platforms) {
       // 跳过空层标记对象
       if (platform.isEmpty) {
         continue;
@@ -972,27 +1670,33 @@ export default class AngelDescentGame {
         platform.update(deltaTime);
       }
       
-      // 检查是否需要清理该平台
-      const shouldCleanup = this.shouldCleanupPlatform(platform, cameraY, cleanupDistance);
+      // 移除已销毁的平台
+      if (platform.destroyed) {
+        removed.add(platform);
+      }
+    }
+    
+    // 通过空间索引只检查远离相机的桶，清理屏幕外的平台
+    const keepTop = cameraY - cleanupDistance;
+    const keepBottom = cameraY + this.logicalHeight + cleanupDistance;
+    for (const platform of this.platformIndex.queryOutside(keepTop, keepBottom)) {
+      if (removed.has(platform) || platform.isEmpty) continue;
       
-      // 移除已销毁的平台或屏幕外的平台
-      if ((platform.destroyed && !platform.isEmpty) || shouldCleanup) {
+      if (this.shouldCleanupPlatform(platform, cameraY, cleanupDistance)) {
         // 如果使用了对象池，将平台返回池中
-        if (this.platformPool && !platform.destroyed) {
+        if (this.platformPool) {
           this.platformPool.release(platform);
         }
-        
-        
-        
-        this.platforms.splice(i, 1);
+        removed.add(platform);
       }
     }
     
-    const afterUpdateCount = this.platforms.length;
-    const cleanedByUpdate = beforeUpdateCount - afterUpdateCount;
-    
-    // 平台清理日志已移除，避免在帧更新中频繁检查时间条件
-    // 如需监控平台清理情况，可查看对象池统计信息或使用性能面板
+    if (removed.size > 0) {
+      for (const platform of removed) {
+        this.platformIndex.remove(platform);
+      }
+      this.platforms = this.platforms.filter(platform => !removed.has(platform));
+    }
   }
 
   /**
@@ -1023,24 +1727,109 @@ export default class AngelDescentGame {
     const cleanupDistance = this.logicalHeight * 20; // 生命果实保持更长距离，给玩家回去收集的机会
     
     
-    for (let i = this.lifeFruits.length - 1; i >= 0; i--) {
-      const lifeFruit = this.lifeFruits[i];
-      
-      // 更新生命果实逻辑
+    const removed = new Set();
+    
+    // 果实磁铁：吸引半径内的收集品向玩家移动
+    if (this.player && this.player.hasFlag('magnet')) {
+      const radius = MAGNET_CONFIG.radius;
+      for (const lifeFruit of this.lifeFruitIndex.query(this.player.y - radius, this.player.y + radius)) {
+        const dx = this.player.x - lifeFruit.x;
+        const dy = this.player.y - lifeFruit.y;
+        if (dx * dx + dy * dy <= radius * radius) {
+          lifeFruit.moveToward(this.player.x, this.player.y, MAGNET_CONFIG.speed * deltaTime);
+        }
+      }
+    }
+    
+    for (const lifeFruit of this.lifeFruits) {
+      // 更新收集品逻辑（上下漂浮、被磁铁吸引，需同步索引中的位置）
       lifeFruit.update(deltaTime);
+      this.lifeFruitIndex.update(lifeFruit);
       
-      // 检查是否需要基于距离清理
-      const shouldCleanup = this.shouldCleanupObject(lifeFruit, cameraY, cleanupDistance);
-      
-      
-      
-      // 移除已销毁的生命果实或屏幕外的生命果实
-      if (lifeFruit.destroyed || shouldCleanup) {
-        this.lifeFruits.splice(i, 1);
+      // 移除已销毁的生命果实
+      if (lifeFruit.destroyed) {
+        removed.add(lifeFruit);
+      }
+    }
+    
+    // 通过空间索引只检查远离相机的桶，清理屏幕外的生命果实
+    const keepTop = cameraY - cleanupDistance;
+    const keepBottom = cameraY + this.logicalHeight + cleanupDistance;
+    for (const lifeFruit of this.lifeFruitIndex.queryOutside(keepTop, keepBottom)) {
+      if (this.shouldCleanupObject(lifeFruit, cameraY, cleanupDistance)) {
+        removed.add(lifeFruit);
+      }
+    }
+    
+    if (removed.size > 0) {
+      for (const lifeFruit of removed) {
+        this.lifeFruitIndex.remove(lifeFruit);
+      }
+      this.lifeFruits = this.lifeFruits.filter(lifeFruit => !removed.has(lifeFruit));
+    }
+  }
+
+
+  /**
+   * 更新障碍物
+   */
+  updateObstacles(deltaTime) {
+    const cameraY = this.player.y - this.logicalHeight / 2;
+    const cleanupDistance = this.logicalHeight * 10; // 与平台相同的缓冲距离，预先生成的层不会被提前清理
+    
+    for (const obstacle of this.obstacles) {
+      obstacle.update(deltaTime);
+    }
+    
+    // 通过空间索引只检查远离相机的桶，清理屏幕外的障碍物（障碍物不移动，无需更新索引）
+    const removed = new Set();
+    const keepTop = cameraY - cleanupDistance;
+    const keepBottom = cameraY + this.logicalHeight + cleanupDistance;
+    for (const obstacle of this.obstacleIndex.queryOutside(keepTop, keepBottom)) {
+      if (obstacle.destroyed || this.shouldCleanupObject(obstacle, cameraY, cleanupDistance)) {
+        removed.add(obstacle);
+      }
+    }
+    
+    if (removed.size > 0) {
+      for (const obstacle of removed) {
+        this.obstacleIndex.remove(obstacle);
       }
+      this.obstacles = this.obstacles.filter(obstacle => !removed.has(obstacle));
     }
   }
 
+  /**
+   * 更新敌人（敌人会移动，更新后同步空间索引；清理的敌人返回对象池）
+   */
+  updateEnemies(deltaTime) {
+    const cameraY = this.player.y - this.logicalHeight / 2;
+    const cleanupDistance = this.logicalHeight * 10;
+    
+    for (const enemy of this.enemies) {
+      enemy.update(deltaTime, this.player);
+      this.enemyIndex.update(enemy);
+    }
+    
+    const removed = new Set();
+    const keepTop = cameraY - cleanupDistance;
+    const keepBottom = cameraY + this.logicalHeight + cleanupDistance;
+    for (const enemy of this.enemyIndex.queryOutside(keepTop, keepBottom)) {
+      if (enemy.destroyed || this.shouldCleanupObject(enemy, cameraY, cleanupDistance)) {
+        removed.add(enemy);
+      }
+    }
+    
+    if (removed.size > 0) {
+      for (const enemy of removed) {
+        this.enemyIndex.remove(enemy);
+        if (this.enemyPool) {
+          this.enemyPool.release(enemy);
+        }
+      }
+      this.enemies = this.enemies.filter(enemy => !removed.has(enemy));
+    }
+  }
 
   /**
    * 通用的对象清理判断方法
@@ -1064,63 +1853,138 @@ export default class AngelDescentGame {
   /**
    * 更新摄像机跟随
    */
-  updateCamera() {
-    // 让摄像机紧密跟随玩家，减少平滑延迟来增强下降感
-    this.camera.smoothing = 0.1; // 增加跟随响应速度，几乎实时跟随
-    
-    // 计算屏幕偏移，让玩家显示在屏幕上部更高位置，大幅增加下方视野
-    const screenCenterX = this.logicalWidth / 2;
-    const screenOffsetY = this.logicalHeight * 0.25; // 玩家位于屏幕上部25%位置，提供75%下方视野（原35%改为25%）
-    
-    // 摄像机目标位置 = 玩家位置 - 屏幕偏移
-    const targetX = this.player.x - screenCenterX;
-    const targetY = this.player.y - screenOffsetY;
-    
-    this.camera.setTarget(targetX, targetY);
-    
-    // 确保摄像机立即更新位置
-    this.camera.update();
+  updateCamera(deltaTime) {
+    this.camera.follow(this.player.x, this.player.y, this.player.velocity.y);
+    this.camera.update(deltaTime);
+  }
+
+  /**
+   * 检测玩家生命值减少，触发受伤事件
+   */
+  checkPlayerDamage() {
+    const lives = this.player.lives;
+    if (this.lastPlayerLives !== null && lives < this.lastPlayerLives) {
+      this.eventManager.emit(GAME_EVENTS.PLAYER_DAMAGED, {
+        lives,
+        damage: this.lastPlayerLives - lives
+      });
+    }
+    this.lastPlayerLives = lives;
   }
 
   /**
    * 检查碰撞
    */
   checkCollisions() {
-    // 检查与平台的碰撞
-    for (const platform of this.platforms) {
+    // 检查与玩家附近平台的碰撞（碰撞只可能发生在玩家本帧扫过的范围附近）
+    const startY = this.player.previousY !== null ? this.player.previousY : this.player.y;
+    const nearbyPlatforms = this.platformIndex.query(
+      Math.min(startY, this.player.y) - COLLISION_QUERY_RANGE,
+      Math.max(startY, this.player.y) + COLLISION_QUERY_RANGE
+    );
+    
+    // 扫掠检测，取最早碰到的平台（同一时刻按生成顺序）
+    let landingPlatform = null;
+    let earliestTime = Infinity;
+    for (const platform of nearbyPlatforms) {
       // 跳过空层标记对象
       if (platform.isEmpty) {
         continue;
       }
       
       // 只检查真正的平台对象
-      if (platform.checkCollisionWithPlayer && typeof platform.checkCollisionWithPlayer === 'function') {
-        if (platform.checkCollisionWithPlayer(this.player)) {
-          // 玩家落在平台上
-          this.player.landOnPlatform(platform);
-          platform.onPlayerStep(this.player);
-          break;
+      if (platform.getLandingTime && typeof platform.getLandingTime === 'function') {
+        const landingTime = platform.getLandingTime(this.player);
+        if (landingTime !== null && landingTime < earliestTime) {
+          earliestTime = landingTime;
+          landingPlatform = platform;
         }
       }
     }
     
+    if (landingPlatform) {
+      // 玩家落在平台上
+      const platform = landingPlatform;
+      const isFirstStep = !platform.activated;
+      platform.confirmContact(this.player);
+      this.player.landOnPlatform(platform);
+      const stepEvent = platform.onPlayerStep(this.player);
+      this.eventManager.emit(GAME_EVENTS.PLATFORM_STEP, { platform, isFirstStep });
+      
+      // 平台类型的踩踏效果要求触发的事件（破碎、弹起等）
+      if (stepEvent) {
+        this.eventManager.emit(stepEvent, { platform });
+      }
+    }
+    
     // 检查与生命果实的碰撞
     this.checkLifeFruitCollisions();
+    
+    // 检查与障碍物的碰撞
+    this.checkObstacleCollisions();
+    
+    // 检查与敌人的碰撞
+    this.checkEnemyCollisions();
+    
+    // 检查与守护者招式的碰撞
+    this.guardianManager.checkCollisions(this.player);
+  }
+
+  /**
+   * 检查敌人碰撞（击退和伤害由玩家的 takeDamage 处理）
+   */
+  checkEnemyCollisions() {
+    const nearbyEnemies = this.enemyIndex.query(
+      this.player.y - COLLISION_QUERY_RANGE,
+      this.player.y + COLLISION_QUERY_RANGE
+    );
+    for (const enemy of nearbyEnemies) {
+      if (this.player.destroyed || this.player.isInvulnerable) break;
+      
+      if (enemy.checkCollisionWithPlayer(this.player)) {
+        enemy.onPlayerHit(this.player);
+      }
+    }
   }
 
   /**
-   * 检查生命果实碰撞
+   * 检查障碍物碰撞（伤害由障碍物交给玩家处理，受伤事件由生命值变化触发）
+   */
+  checkObstacleCollisions() {
+    const nearbyObstacles = this.obstacleIndex.query(
+      this.player.y - COLLISION_QUERY_RANGE,
+      this.player.y + COLLISION_QUERY_RANGE
+    );
+    for (const obstacle of nearbyObstacles) {
+      if (this.player.destroyed || this.player.isInvulnerable) break;
+      
+      if (obstacle.checkCollisionWithPlayer(this.player)) {
+        obstacle.onPlayerHit(this.player);
+      }
+    }
+  }
+
+  /**
+   * 检查生命果实和道具碰撞
    */
   checkLifeFruitCollisions() {
-    for (let i = this.lifeFruits.length - 1; i >= 0; i--) {
-      const lifeFruit = this.lifeFruits[i];
+    const nearbyLifeFruits = this.lifeFruitIndex.query(
+      this.player.y - COLLISION_QUERY_RANGE,
+      this.player.y + COLLISION_QUERY_RANGE
+    );
+    for (let i = nearbyLifeFruits.length - 1; i >= 0; i--) {
+      const lifeFruit = nearbyLifeFruits[i];
       
       // 检查是否与玩家碰撞
       if (lifeFruit.checkCollisionWithPlayer(this.player)) {
-        // 收集生命果实
+        // 收集（效果由收集品自身施加，销毁在update中处理）
         if (lifeFruit.collect(this.player)) {
-          // 收集成功，显示UI提示（如果需要）
-          // 生命果实会在update中处理销毁逻辑
+          if (lifeFruit.hasTag('power_up')) {
+            this.scoreManager.onPowerUpCollected();
+          } else {
+            this.scoreManager.onLifeFruitCollected();
+          }
+          this.difficultyDirector.onPickup();
         }
       }
     }
@@ -1137,11 +2001,15 @@ export default class AngelDescentGame {
       const previousLayer = this.gameData.currentLayer;
       this.gameData.currentLayer = currentLayer;
       this.gameData.totalDistance = this.player.y; // 使用Y坐标作为距离
+      this.scoreManager.onLayerReached(previousLayer, currentLayer);
+      this.checkpointManager.onLayerReached(previousLayer, currentLayer);
+      this.difficultyDirector.onLayerReached(previousLayer, currentLayer);
+      this.timeAttackManager.onLayerReached(previousLayer, currentLayer);
       
       // 检查是否需要切换背景主题
       this.updateBackgroundTheme(previousLayer, currentLayer);
       
-      // 检查是否完成游戏（当实际层数超过100层时，显示为0层，表示成功下凡到人间）
+      // 检查是否完成游戏（当实际层数超过100层时，显示为0层，表示成功下凡到人间；竞速模式为越过目标层）
       if (currentLayer > this.gameData.maxLayer) {
         this.gameComplete();
       }
@@ -1171,8 +2039,9 @@ export default class AngelDescentGame {
       // 主题切换调试日志已优化：只在开发调试时启用
       // console.log(`🎨 主题切换: 第${previousLayer}层 → 第${currentLayer}层, ${this.previousBackgroundTheme} → ${newTheme}`);
       
-      // 显示主题切换提示（频率低，不影响性能）
+      // 显示主题切换提示并切换天界音乐（频率低，不影响性能）
       this.renderManager.showThemeTransition(newTheme);
+      this.playRealmMusic(newTheme);
     }
   }
 
@@ -1200,9 +2069,9 @@ export default class AngelDescentGame {
     const playerLayer = Math.max(1, Math.ceil(this.player.y / this.layerHeight));
     const screenHeights = Math.ceil(this.logicalHeight / this.layerHeight);
     
-    // 向前生成足够的层数
+    // 向前生成足够的层数（守护者层未通关前暂停生成它以下的层）
     const aheadLayers = Math.max(8, screenHeights * 2);
-    const targetLayer = Math.min(playerLayer + aheadLayers, this.gameData.maxLayer);
+    const targetLayer = Math.min(playerLayer + aheadLayers, this.gameData.maxLayer, this.guardianManager.getGenerationLimit());
     
     // 只生成比当前最高层更高的层（简化的向前生成）
     for (let layer = this.maxGeneratedLayer + 1; layer <= targetLayer; layer++) {
@@ -1210,9 +2079,9 @@ export default class AngelDescentGame {
         let shouldGenerateLayer = true;
         
         // 只有在特定条件下才创造空隙挑战
-        if (layer % 20 === 0 && layer > 20) {
+        if (layer % 20 === 0 && layer > 20 && !this.levelGenerator.isGuardianLayer(layer)) {
           // 每20层创造一个挑战层（概率性空隙）
-          shouldGenerateLayer = Math.random() > 0.5; // 50%概率，比之前的30%更友好
+          shouldGenerateLayer = this.random.derive(`gap_${layer}`).next() > 0.5; // 50%概率，比之前的30%更友好
         }
         
         if (shouldGenerateLayer) {
@@ -1270,8 +2139,8 @@ export default class AngelDescentGame {
       return;
     }
     
-    // 如果没有找到上方平台且玩家掉落超过2层，也视为失败
-    if (!nearestPlatformAbove && playerY > this.layerHeight * 2) {
+    // 如果没有找到上方平台且玩家从起始位置掉落超过2层，也视为失败
+    if (!nearestPlatformAbove && playerY > this.getStartOffsetY() + this.layerHeight * 2) {
       this.gameOver('fell_into_void');
       return;
     }
@@ -1286,25 +2155,8 @@ export default class AngelDescentGame {
    * 找到玩家上方最近的平台Y坐标
    */
   findNearestPlatformAbove(playerY) {
-    // 过滤出真正的平台对象，且在玩家上方
-    const realPlatforms = this.platforms.filter(p => 
-      !p.isEmpty && !p.destroyed && p.y < playerY
-    );
-    
-    if (realPlatforms.length === 0) return null;
-    
-    let nearestY = null;
-    let minDistance = Infinity;
-    
-    for (const platform of realPlatforms) {
-      const distance = playerY - platform.y; // 只考虑上方平台，所以是正数
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestY = platform.y;
-      }
-    }
-    
-    return nearestY;
+    const nearest = this.platformIndex.findNearestAbove(playerY, p => !p.isEmpty && !p.destroyed);
+    return nearest ? nearest.y : null;
   }
 
   /**
@@ -1316,6 +2168,12 @@ export default class AngelDescentGame {
       return;
     }
     
+    // 试玩中死亡只结束试玩
+    if (this.levelEditor.isPlayTesting()) {
+      this.levelEditor.onPlayerDeath();
+      return;
+    }
+    
     // 玩家死亡
     this.gameOver('player_death');
   }
@@ -1334,24 +2192,298 @@ export default class AngelDescentGame {
     this.gameOverReason = reason; // 保存失败原因用于显示
     this.stop(); // 完全停止游戏循环
     
+    // 结算得分，结束录像并记录档案，回放模式到此结束
+    this.scoreSummary = this.scoreManager.finish(reason);
+    this.finishRecording(reason);
+    this.recordRunResult(reason);
+    this.stopReplay();
+    
     // 清除任何现有的重启定时器
     if (this.restartTimer) {
-      clearTimeout(this.restartTimer);
+      getHost().clearTimeout(this.restartTimer);
     }
     
-    // 3秒后重新开始游戏
-    this.restartTimer = setTimeout(() => {
-      this.restartTimer = null;
+    // 有可继续的检查点或可进入无尽模式时等待玩家选择，否则3秒后重新开始游戏
+    this.restartTimer = null;
+    if (!this.renderManager.getGameOverButtons()) {
+      this.restartTimer = getHost().setTimeout(() => {
+        this.restartTimer = null;
+        this.restartRun();
+      }, 3000);
+    }
+  }
+
+  /**
+   * 从检查点继续：以本局种子从检查点层重新生成世界
+   * 
+   * @param {number} layer - 检查点层号，默认为可继续的最深检查点
+   */
+  continueFromCheckpoint(layer = null) {
+    const checkpoint = layer !== null
+      ? this.checkpointManager.getCheckpoint(layer)
+      : this.checkpointManager.getContinueCheckpoint();
+    if (!checkpoint) {
+      this.restart();
+      return;
+    }
+    
+    this.restart({ startLayer: checkpoint.layer, seed: this.random.getSeed(), mutators: this.runMutators });
+  }
+
+  /**
+   * 本局是否为无尽模式
+   *
+   * @returns {boolean}
+   */
+  isEndlessRun() {
+    return this.runMode === GAME_MODES.ENDLESS;
+  }
+
+  /**
+   * 本局是否为竞速模式
+   *
+   * @returns {boolean}
+   */
+  isTimeAttackRun() {
+    return this.runMode === GAME_MODES.TIME_ATTACK;
+  }
+
+  /**
+   * 本局的终点层：越过该层即完成（无尽模式没有终点，竞速模式为目标层）
+   *
+   * @returns {number}
+   */
+  getRunMaxLayer() {
+    if (this.isEndlessRun()) return Infinity;
+    return this.isTimeAttackRun() ? this.runTarget : HUMAN_WORLD_LAYER;
+  }
+
+  /**
+   * 结算界面的“重新开始”：竞速模式以同一目标重新计时，其他模式开始普通的一局
+   */
+  restartRun() {
+    if (this.isTimeAttackRun()) {
+      this.startTimeAttack(this.runTarget);
+    } else {
       this.restart();
-    }, 3000);
+    }
+  }
+
+  /**
+   * 无尽模式是否已解锁（曾经越过第100层）
+   * 
+   * @returns {boolean}
+   */
+  isEndlessUnlocked() {
+    return !!this.profile && this.profile.bestLayer > HUMAN_WORLD_LAYER;
+  }
+
+  /**
+   * 开始无尽模式：从人间之下的第一层开始新的一局
+   */
+  startEndless() {
+    if (!this.isEndlessUnlocked()) return;
+    this.restart({ mode: GAME_MODES.ENDLESS, startLayer: ENDLESS_CONFIG.startLayer });
+  }
+
+  /**
+   * 每日挑战是否已解锁（完成新手指引并累计完成 DAILY_CONFIG.unlockRuns 局）
+   *
+   * @returns {boolean}
+   */
+  isDailyUnlocked() {
+    return this.hasCompletedTutorial && !!this.profile && this.profile.totalRuns >= DAILY_CONFIG.unlockRuns;
+  }
+
+  /**
+   * 打开每日挑战日历
+   */
+  openDailyCalendar() {
+    if (!this.isDailyUnlocked()) return;
+    this.dailyCalendar.open();
+    if (!this.running) {
+      this.render();
+    }
+  }
+
+  /**
+   * 开始今天的每日挑战：当天第一局为正式挑战，之后为练习
+   */
+  startDaily() {
+    const challenge = this.dailyChallengeManager.getChallenge();
+    const practice = !this.saveManager.startDailyAttempt(challenge.dateKey, challenge.modifiers);
+    this.profile = this.saveManager.load();
+    
+    this.restart({
+      mode: GAME_MODES.DAILY,
+      seed: challenge.seed,
+      modifiers: challenge.modifiers,
+      mutators: [],
+      director: null,
+      daily: { dateKey: challenge.dateKey, practice }
+    });
+  }
+
+  /**
+   * 突变是否已解锁（完成新手指引并累计完成 MUTATOR_CONFIG.unlockRuns 局）
+   *
+   * @returns {boolean}
+   */
+  isMutatorsUnlocked() {
+    return this.hasCompletedTutorial && !!this.profile && this.profile.totalRuns >= MUTATOR_CONFIG.unlockRuns;
+  }
+
+  /**
+   * 打开突变选择界面
+   */
+  openMutatorSelect() {
+    if (!this.isMutatorsUnlocked()) return;
+    this.mutatorSelect.open();
+    if (!this.running) {
+      this.render();
+    }
+  }
+
+  /**
+   * 竞速模式是否已解锁（完成新手指引并累计完成 TIME_ATTACK_CONFIG.unlockRuns 局）
+   *
+   * @returns {boolean}
+   */
+  isTimeAttackUnlocked() {
+    return this.hasCompletedTutorial && !!this.profile && this.profile.totalRuns >= TIME_ATTACK_CONFIG.unlockRuns;
+  }
+
+  /**
+   * 打开竞速目标选择界面
+   */
+  openTimeAttackSelect() {
+    if (!this.isTimeAttackUnlocked()) return;
+    this.timeAttackSelect.open();
+    if (!this.running) {
+      this.render();
+    }
+  }
+
+  /**
+   * 开始竞速模式：不带突变、不调整难度，从第1层计时到越过目标层
+   *
+   * @param {number} target - 目标层数（TIME_ATTACK_CONFIG.targets 之一）
+   */
+  startTimeAttack(target) {
+    if (!TIME_ATTACK_CONFIG.targets.includes(target)) return;
+    this.restart({ mode: GAME_MODES.TIME_ATTACK, target, mutators: [], director: null });
+  }
+
+  /**
+   * 关卡编辑器入口是否开启（开发设置，见 setLevelEditorEnabled()）
+   *
+   * @returns {boolean}
+   */
+  isLevelEditorEnabled() {
+    return !!this.profile && this.profile.settings.levelEditor;
+  }
+
+  /**
+   * 打开关卡编辑器
+   *
+   * 中断当前这一局（录像按中途放弃结束，不计入档案），世界换成要编辑的这一层。
+   * 编辑器中的平台不受突变、每日修正和自适应难度影响。
+   *
+   * @param {string|Object|null} source - 要编辑的手工布局（JSON字符串或对象），null为截取当前世界中的一层
+   * @param {number} layerNum - 截取的层，默认为当前所在的层
+   * @throws {Error} 布局数据无效时抛出（当前状态保持不变）
+   */
+  openLevelEditor(source = null, layerNum = this.gameData.currentLayer) {
+    const layout = source !== null ? this.levelEditor.parseLayout(source) : null;
+    
+    this.stop();
+    if (this.restartTimer) {
+      getHost().clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+    this.dailyCalendar.close();
+    this.mutatorSelect.close();
+    this.timeAttackSelect.close();
+    
+    if (this.inputRecorder.isRecording()) {
+      this.finishRecording('abandoned');
+    }
+    this.stopReplay();
+    
+    this.runMode = GAME_MODES.NORMAL;
+    this.runTarget = null;
+    this.dailyRun = null;
+    this.runModifiers = [];
+    this.runMutators = [];
+    this.mutatorManager.setActive([]);
+    this.levelGenerator.reset();
+    this.levelGenerator.setModifiers({});
+    this.levelGenerator.setDifficultyAdjustment({});
+    this.resetGameData();
+    this.inputState.leftPressed = false;
+    this.inputState.rightPressed = false;
+    
+    this.levelEditor.open(layerNum, layout);
+    this.paused = false;
+    this.currentState = GAME_STATES.EDITOR;
+    this.start();
+  }
+
+  /**
+   * 退出关卡编辑器，开始新的一局
+   */
+  closeLevelEditor() {
+    this.levelEditor.close();
+    this.restart();
+  }
+
+  /**
+   * 试玩正在编辑的这一层
+   */
+  startPlayTest() {
+    this.levelEditor.beginPlayTest();
+    this.inputState.leftPressed = false;
+    this.inputState.rightPressed = false;
+    this.currentState = GAME_STATES.PLAYING;
+  }
+
+  /**
+   * 结束试玩，回到编辑
+   *
+   * @param {string} message - 试玩结果（编辑器状态栏显示）
+   */
+  stopPlayTest(message) {
+    this.levelEditor.endPlayTest(message);
+    this.inputState.leftPressed = false;
+    this.inputState.rightPressed = false;
+    this.currentState = GAME_STATES.EDITOR;
   }
 
   /**
    * 游戏完成
    */
   gameComplete() {
+    // 防止重复触发（层数检查和边界检查可能在同一帧都判定完成）
+    if (this.currentState === GAME_STATES.LEVEL_COMPLETE) {
+      return;
+    }
+
+    // 第100层守护者的深坑低于第100层，遭遇战结束前不算完成（通关后由边界检查再次判定）
+    if (this.guardianManager.isActive()) {
+      return;
+    }
+
     this.currentState = GAME_STATES.LEVEL_COMPLETE;
     this.paused = true; // 暂停游戏循环，但保持LEVEL_COMPLETE状态
+    
+    // 结算得分和竞速用时，结束录像并记录档案，回放模式到此结束
+    if (this.isTimeAttackRun()) {
+      this.timeAttackManager.finish();
+    }
+    this.scoreSummary = this.scoreManager.finish('complete');
+    this.finishRecording('complete');
+    this.recordRunResult('complete');
+    this.stopReplay();
     // 使命完成！恭喜成功抵达人间！
   }
 
@@ -1373,6 +2505,12 @@ export default class AngelDescentGame {
     
     // 游戏状态下的正常渲染，委托给渲染管理器
     this.renderManager.render();
+    
+    // 每日挑战日历、突变和竞速选择界面覆盖在结算界面之上
+    this.dailyCalendar.render(this.ctx);
+    this.mutatorSelect.render(this.ctx);
+    this.timeAttackSelect.render(this.ctx);
+    this.levelEditor.render(this.ctx);
   }
 
   /**
@@ -1394,6 +2532,12 @@ export default class AngelDescentGame {
     // 清理游戏对象
     this.platforms = [];
     this.lifeFruits = [];
+    this.obstacles = [];
+    this.enemies = [];
+    this.platformIndex.clear();
+    this.lifeFruitIndex.clear();
+    this.obstacleIndex.clear();
+    this.enemyIndex.clear();
     this.player = null;
     
     // 清理对象池
@@ -1401,6 +2545,10 @@ export default class AngelDescentGame {
       this.platformPool.destroy();
       this.platformPool = null;
     }
+    if (this.enemyPool) {
+      this.enemyPool.destroy();
+      this.enemyPool = null;
+    }
     
     // 游戏实例已销毁
   }
@@ -1415,6 +2563,9 @@ export default class AngelDescentGame {
       this.platformPool.cleanup();
       // console.log('对象池清理完成', this.platformPool.getPoolStats());
     }
+    if (this.enemyPool) {
+      this.enemyPool.cleanup();
+    }
   }
 
 
@@ -1427,13 +2578,21 @@ export default class AngelDescentGame {
     const stats = {
       activePlatforms: this.platforms.length,
       activeLifeFruits: this.lifeFruits.length,
+      activeObstacles: this.obstacles.length,
+      activeEnemies: this.enemies.length,
+      platformIndex: this.platformIndex.getStats(),
       currentLayer: this.gameData.currentLayer,
-      platformPool: null
+      seed: this.random.getSeed(),
+      platformPool: null,
+      enemyPool: null
     };
     
     if (this.platformPool) {
       stats.platformPool = this.platformPool.getPoolStats();
     }
+    if (this.enemyPool) {
+      stats.enemyPool = this.enemyPool.getPoolStats();
+    }
     
     return stats;
   }
@@ -0,0 +1,453 @@
+/**
+ * @file camera.js
+ * @description 天使下凡一百层游戏摄像机
+ *
+ * 功能：
+ * - 跟随模式：锁定、平滑跟随、死区跟随
+ * - 竖直前瞻：下落越快，镜头越往下多看一段距离
+ * - 创伤值屏幕震动：受伤、平台破碎、弹跳等事件累加创伤值，震动幅度随创伤值平方衰减
+ * - 缩放：围绕画面中心平滑缩放
+ * - 世界边界：镜头不会移出世界范围
+ * - 坐标转换：世界坐标与屏幕坐标互相转换
+ *
+ * 摄像机位置（x, y）为视野左上角的世界坐标，在固定步长的逻辑帧中更新；
+ * 震动偏移只影响渲染，不改变摄像机位置，因此不影响确定性回放。
+ */
+
+/**
+ * 跟随模式
+ */
+export const CAMERA_MODES = {
+  LOCKED: 'locked',       // 始终与目标对齐
+  SMOOTH: 'smooth',       // 按平滑系数逐帧靠近目标
+  DEADZONE: 'deadzone'    // 目标离开死区后才平滑跟随
+};
+
+/**
+ * 默认配置
+ */
+export const CAMERA_DEFAULTS = {
+  mode: CAMERA_MODES.SMOOTH,
+  smoothing: 0.1,                    // 每个 1/60 秒靠近目标的比例
+  anchor: { x: 0.5, y: 0.25 },       // 目标在画面中的位置（比例）
+  deadzone: { width: 60, height: 80 },
+  lookAhead: {
+    enabled: true,
+    time: 0.25,                      // 前瞻距离 = 下落速度 × time
+    max: 120,                        // 最大前瞻距离（像素）
+    smoothing: 0.08
+  },
+  shake: {
+    maxOffset: 12,                   // 创伤值为1时的最大偏移（像素）
+    maxAngle: 0.03,                  // 创伤值为1时的最大旋转（弧度）
+    decay: 1.5,                      // 每秒衰减的创伤值
+    frequency: 28                    // 震动频率
+  },
+  zoomSmoothing: 0.1,
+  minZoom: 0.5,
+  maxZoom: 2
+};
+
+/**
+ * 各类事件增加的创伤值
+ */
+export const CAMERA_TRAUMA = {
+  PLAYER_DAMAGED: 0.6,
+  PLATFORM_BROKEN: 0.35,
+  PLAYER_BOUNCED: 0.15,
+  GUARDIAN_STARTED: 0.4,
+  GUARDIAN_CLEARED: 0.7
+};
+
+/**
+ * 按帧率无关的方式计算平滑插值比例
+ *
+ * @param {number} smoothing - 每 1/60 秒的插值比例
+ * @param {number} deltaTime - 时间间隔（秒）
+ * @returns {number} 本次插值比例
+ */
+function smoothFactor(smoothing, deltaTime) {
+  return 1 - Math.pow(1 - smoothing, deltaTime * 60);
+}
+
+/**
+ * 摄像机
+ *
+ * @class Camera
+ */
+export default class Camera {
+  /**
+   * @constructor
+   * @param {number} viewWidth - 视野宽度（逻辑像素）
+   * @param {number} viewHeight - 视野高度（逻辑像素）
+   * @param {Object} options - 覆盖 CAMERA_DEFAULTS 中的配置
+   */
+  constructor(viewWidth, viewHeight, options = {}) {
+    this.viewWidth = viewWidth;
+    this.viewHeight = viewHeight;
+
+    this.mode = options.mode || CAMERA_DEFAULTS.mode;
+    this.smoothing = options.smoothing !== undefined ? options.smoothing : CAMERA_DEFAULTS.smoothing;
+    this.anchor = { ...CAMERA_DEFAULTS.anchor, ...options.anchor };
+    this.deadzone = { ...CAMERA_DEFAULTS.deadzone, ...options.deadzone };
+    this.lookAhead = { ...CAMERA_DEFAULTS.lookAhead, ...options.lookAhead };
+    this.shakeConfig = { ...CAMERA_DEFAULTS.shake, ...options.shake };
+    this.zoomSmoothing = options.zoomSmoothing !== undefined ? options.zoomSmoothing : CAMERA_DEFAULTS.zoomSmoothing;
+    this.minZoom = options.minZoom || CAMERA_DEFAULTS.minZoom;
+    this.maxZoom = options.maxZoom || CAMERA_DEFAULTS.maxZoom;
+
+    // 位置（视野左上角的世界坐标）
+    this.x = 0;
+    this.y = 0;
+    this.previousX = null;
+    this.previousY = null;
+
+    // 跟随目标（世界坐标中的关注点）
+    this.focusX = 0;
+    this.focusY = 0;
+    this.focusVelocityY = 0;
+    this.lookAheadY = 0;
+
+    // 缩放
+    this.zoom = 1;
+    this.targetZoom = 1;
+
+    // 世界边界，null表示该方向不限制
+    this.bounds = { left: null, right: null, top: null, bottom: null };
+
+    // 震动
+    this.trauma = 0;
+    this.shakeTime = 0;
+    this.shakeX = 0;
+    this.shakeY = 0;
+    this.shakeAngle = 0;
+  }
+
+  /**
+   * 设置跟随模式
+   *
+   * @param {string} mode - CAMERA_MODES 中的值
+   */
+  setMode(mode) {
+    this.mode = mode;
+  }
+
+  /**
+   * 设置世界边界
+   *
+   * @param {Object} bounds - { left, right, top, bottom }，省略或为null的方向不限制
+   */
+  setBounds(bounds) {
+    this.bounds = { left: null, right: null, top: null, bottom: null, ...bounds };
+  }
+
+  /**
+   * 设置跟随目标
+   *
+   * @param {number} x - 目标世界X坐标
+   * @param {number} y - 目标世界Y坐标
+   * @param {number} velocityY - 目标竖直速度（用于前瞻）
+   */
+  follow(x, y, velocityY = 0) {
+    this.focusX = x;
+    this.focusY = y;
+    this.focusVelocityY = velocityY;
+  }
+
+  /**
+   * 立即移动到指定位置（不平滑、不插值）
+   *
+   * @param {number} x - 视野左上角世界X坐标
+   * @param {number} y - 视野左上角世界Y坐标
+   */
+  moveTo(x, y) {
+    const clamped = this.clampToBounds(x, y);
+    this.x = clamped.x;
+    this.y = clamped.y;
+    this.previousX = null;
+    this.previousY = null;
+  }
+
+  /**
+   * 立即对准当前跟随目标
+   */
+  snapToTarget() {
+    this.lookAheadY = this.getLookAheadTarget();
+    const target = this.getTargetPosition();
+    this.moveTo(target.x, target.y);
+  }
+
+  /**
+   * 增加创伤值（0-1），震动幅度为创伤值的平方
+   *
+   * @param {number} amount - 增加量
+   */
+  addTrauma(amount) {
+    this.trauma = Math.min(1, this.trauma + amount);
+  }
+
+  /**
+   * 设置缩放
+   *
+   * @param {number} zoom - 缩放倍数
+   * @param {boolean} immediate - 是否立即生效（否则平滑过渡）
+   */
+  setZoom(zoom, immediate = false) {
+    this.targetZoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    if (immediate) {
+      this.zoom = this.targetZoom;
+    }
+  }
+
+  /**
+   * 当前缩放下的视野世界尺寸
+   */
+  getViewSize() {
+    return {
+      width: this.viewWidth / this.zoom,
+      height: this.viewHeight / this.zoom
+    };
+  }
+
+  /**
+   * 前瞻目标距离：只在下落时向下多看
+   */
+  getLookAheadTarget() {
+    if (!this.lookAhead.enabled) return 0;
+    return Math.max(0, Math.min(this.lookAhead.max, this.focusVelocityY * this.lookAhead.time));
+  }
+
+  /**
+   * 根据关注点计算摄像机目标位置
+   */
+  getTargetPosition() {
+    const view = this.getViewSize();
+    return {
+      x: this.focusX - view.width * this.anchor.x,
+      y: this.focusY + this.lookAheadY - view.height * this.anchor.y
+    };
+  }
+
+  /**
+   * 将位置限制在世界边界内（视野比世界宽时居中）
+   */
+  clampToBounds(x, y) {
+    const view = this.getViewSize();
+    const { left, right, top, bottom } = this.bounds;
+
+    if (left !== null && right !== null && right - left < view.width) {
+      x = (left + right - view.width) / 2;
+    } else {
+      if (left !== null) x = Math.max(left, x);
+      if (right !== null) x = Math.min(right - view.width, x);
+    }
+
+    if (top !== null && bottom !== null && bottom - top < view.height) {
+      y = (top + bottom - view.height) / 2;
+    } else {
+      if (top !== null) y = Math.max(top, y);
+      if (bottom !== null) y = Math.min(bottom - view.height, y);
+    }
+
+    return { x, y };
+  }
+
+  /**
+   * 每个逻辑帧更新
+   *
+   * @param {number} deltaTime - 时间间隔（秒）
+   */
+  update(deltaTime) {
+    // 缩放
+    if (this.zoom !== this.targetZoom) {
+      this.zoom += (this.targetZoom - this.zoom) * smoothFactor(this.zoomSmoothing, deltaTime);
+      if (Math.abs(this.targetZoom - this.zoom) < 0.001) {
+        this.zoom = this.targetZoom;
+      }
+    }
+
+    // 前瞻
+    this.lookAheadY += (this.getLookAheadTarget() - this.lookAheadY) * smoothFactor(this.lookAhead.smoothing, deltaTime);
+
+    // 跟随
+    const target = this.getTargetPosition();
+    let nextX = this.x;
+    let nextY = this.y;
+
+    switch (this.mode) {
+      case CAMERA_MODES.LOCKED:
+        nextX = target.x;
+        nextY = target.y;
+        break;
+
+      case CAMERA_MODES.DEADZONE: {
+        // 目标超出死区的部分才需要追赶
+        const halfWidth = this.deadzone.width / 2;
+        const halfHeight = this.deadzone.height / 2;
+        const dx = target.x - this.x;
+        const dy = target.y - this.y;
+        const excessX = Math.abs(dx) > halfWidth ? dx - Math.sign(dx) * halfWidth : 0;
+        const excessY = Math.abs(dy) > halfHeight ? dy - Math.sign(dy) * halfHeight : 0;
+        const factor = smoothFactor(this.smoothing, deltaTime);
+        nextX += excessX * factor;
+        nextY += excessY * factor;
+        break;
+      }
+
+      case CAMERA_MODES.SMOOTH:
+      default: {
+        const factor = smoothFactor(this.smoothing, deltaTime);
+        nextX += (target.x - this.x) * factor;
+        nextY += (target.y - this.y) * factor;
+        break;
+      }
+    }
+
+    const clamped = this.clampToBounds(nextX, nextY);
+    this.x = clamped.x;
+    this.y = clamped.y;
+
+    this.updateShake(deltaTime);
+  }
+
+  /**
+   * 更新震动偏移
+   *
+   * 使用不同频率的正弦叠加代替随机数，震动平滑且不消耗随机数。
+   */
+  updateShake(deltaTime) {
+    if (this.trauma <= 0) {
+      this.shakeX = 0;
+      this.shakeY = 0;
+      this.shakeAngle = 0;
+      return;
+    }
+
+    this.shakeTime += deltaTime;
+    const { maxOffset, maxAngle, decay, frequency } = this.shakeConfig;
+    const intensity = this.trauma * this.trauma;
+    const t = this.shakeTime * frequency;
+
+    this.shakeX = maxOffset * intensity * (Math.sin(t * 1.0) * 0.6 + Math.sin(t * 2.3 + 1.7) * 0.4);
+    this.shakeY = maxOffset * intensity * (Math.sin(t * 1.3 + 0.5) * 0.6 + Math.sin(t * 2.9 + 2.1) * 0.4);
+    this.shakeAngle = maxAngle * intensity * Math.sin(t * 0.9 + 3.1);
+
+    this.trauma = Math.max(0, this.trauma - decay * deltaTime);
+  }
+
+  /**
+   * 清除震动
+   */
+  resetShake() {
+    this.trauma = 0;
+    this.shakeX = 0;
+    this.shakeY = 0;
+    this.shakeAngle = 0;
+  }
+
+  /**
+   * 保存当前位置（用于插值渲染）
+   */
+  savePreviousPosition() {
+    this.previousX = this.x;
+    this.previousY = this.y;
+  }
+
+  /**
+   * 获取插值后的位置
+   *
+   * @param {number} alpha - 插值系数（0-1）
+   */
+  getInterpolatedPosition(alpha = 1) {
+    if (this.previousX === null || alpha >= 1) {
+      return { x: this.x, y: this.y };
+    }
+    return {
+      x: this.previousX + (this.x - this.previousX) * alpha,
+      y: this.previousY + (this.y - this.previousY) * alpha
+    };
+  }
+
+  /**
+   * 获取摄像机偏移（缩放为1时的平移量）
+   */
+  getOffset() {
+    return { x: -this.x, y: -this.y };
+  }
+
+  /**
+   * 获取插值后的摄像机偏移
+   *
+   * @param {number} alpha - 插值系数（0-1）
+   */
+  getInterpolatedOffset(alpha) {
+    const position = this.getInterpolatedPosition(alpha);
+    return { x: -position.x, y: -position.y };
+  }
+
+  /**
+   * 将摄像机变换（缩放、震动、平移）应用到画布
+   *
+   * 调用方负责 ctx.save() / ctx.restore()。
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} alpha - 插值系数（0-1）
+   */
+  applyTransform(ctx, alpha = 1) {
+    const position = this.getInterpolatedPosition(alpha);
+    const view = this.getViewSize();
+
+    ctx.translate(this.viewWidth / 2 + this.shakeX, this.viewHeight / 2 + this.shakeY);
+    if (this.shakeAngle !== 0) {
+      ctx.rotate(this.shakeAngle);
+    }
+    if (this.zoom !== 1) {
+      ctx.scale(this.zoom, this.zoom);
+    }
+    ctx.translate(-(position.x + view.width / 2), -(position.y + view.height / 2));
+  }
+
+  /**
+   * 当前可见区域（世界坐标）
+   *
+   * @param {number} margin - 向外扩展的距离
+   * @returns {Object} { left, top, right, bottom }
+   */
+  getVisibleBounds(margin = 0) {
+    const view = this.getViewSize();
+    return {
+      left: this.x - margin,
+      top: this.y - margin,
+      right: this.x + view.width + margin,
+      bottom: this.y + view.height + margin
+    };
+  }
+
+  /**
+   * 世界坐标转屏幕坐标（不含震动）
+   *
+   * @param {number} worldX - 世界X坐标
+   * @param {number} worldY - 世界Y坐标
+   * @returns {Object} { x, y } 屏幕逻辑坐标
+   */
+  worldToScreen(worldX, worldY) {
+    return {
+      x: (worldX - this.x) * this.zoom,
+      y: (worldY - this.y) * this.zoom
+    };
+  }
+
+  /**
+   * 屏幕坐标转世界坐标（不含震动）
+   *
+   * @param {number} screenX - 屏幕逻辑X坐标
+   * @param {number} screenY - 屏幕逻辑Y坐标
+   * @returns {Object} { x, y } 世界坐标
+   */
+  screenToWorld(screenX, screenY) {
+    return {
+      x: screenX / this.zoom + this.x,
+      y: screenY / this.zoom + this.y
+    };
+  }
+}
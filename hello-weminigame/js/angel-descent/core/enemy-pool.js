@@ -0,0 +1,208 @@
+/**
+ * @file enemy-pool.js
+ * @description 敌人对象池系统
+ *
+ * 与 PlatformPool 相同的对象池设计：按敌人类型分池管理，
+ * 敌人离开屏幕后回收，生成新层时优先复用，减少运行时的内存分配。
+ *
+ * 敌人数量远少于平台，因此预热数量和池子上限都更小。
+ */
+
+import Enemy, { ENEMY_TYPES } from '../entities/enemy.js';
+
+/**
+ * 敌人对象池类
+ */
+export default class EnemyPool {
+  constructor(audioManager = null) {
+    // 音频管理器引用
+    this.audioManager = audioManager;
+
+    // 按类型分组的对象池
+    this.pools = new Map();
+
+    Object.values(ENEMY_TYPES).forEach(type => {
+      this.pools.set(type, []);
+    });
+
+    // 池子配置
+    this.config = {
+      initialSize: 2,        // 每种类型的初始对象数量
+      maxSize: 20,          // 单个池子的最大容量
+      cleanupThreshold: 10, // 清理阈值
+      maxIdleTime: 30000    // 对象最大闲置时间（毫秒）
+    };
+
+    // 统计信息
+    this.stats = {
+      totalCreated: 0,
+      totalReused: 0,
+      totalReleased: 0,
+      currentActive: 0
+    };
+
+    this.preWarmPools();
+  }
+
+  /**
+   * 预热对象池
+   */
+  preWarmPools() {
+    Object.values(ENEMY_TYPES).forEach(type => {
+      const pool = this.pools.get(type);
+
+      for (let i = 0; i < this.config.initialSize; i++) {
+        const enemy = this.createNewEnemy(type);
+        enemy.pooled = true;
+        enemy.lastUsedTime = Date.now();
+        pool.push(enemy);
+      }
+    });
+  }
+
+  /**
+   * 获取敌人对象
+   *
+   * @param {string} type - 敌人类型
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   * @param {number} layer - 层数
+   * @returns {Enemy} 配置好的敌人对象（还需调用 spawn 设置行为参数）
+   */
+  get(type, x, y, layer) {
+    const pool = this.pools.get(type);
+    if (!pool) {
+      console.warn(`未知的敌人类型: ${type}`);
+      return this.createNewEnemy(type, x, y, layer);
+    }
+
+    let enemy;
+    if (pool.length > 0) {
+      enemy = pool.pop();
+      this.stats.totalReused++;
+    } else {
+      enemy = this.createNewEnemy(type, x, y, layer);
+      this.stats.totalCreated++;
+    }
+
+    this.resetEnemy(enemy, x, y, layer);
+
+    enemy.pooled = false;
+    enemy.lastUsedTime = Date.now();
+    this.stats.currentActive++;
+
+    return enemy;
+  }
+
+  /**
+   * 释放敌人对象
+   *
+   * @param {Enemy} enemy - 要释放的敌人对象
+   */
+  release(enemy) {
+    if (!enemy || enemy.pooled) {
+      return;
+    }
+
+    const pool = this.pools.get(enemy.enemyType);
+    if (!pool) {
+      console.warn(`无法释放未知类型的敌人: ${enemy.enemyType}`);
+      return;
+    }
+
+    this.stats.currentActive--;
+
+    if (pool.length >= this.config.maxSize) {
+      return;
+    }
+
+    enemy.reset();
+    enemy.pooled = true;
+    enemy.lastUsedTime = Date.now();
+    pool.push(enemy);
+
+    this.stats.totalReleased++;
+  }
+
+  /**
+   * 创建新的敌人对象
+   */
+  createNewEnemy(type, x = 0, y = 0, layer = 1) {
+    return new Enemy(x, y, type, this.audioManager, layer);
+  }
+
+  /**
+   * 重置敌人对象状态
+   */
+  resetEnemy(enemy, x, y, layer) {
+    enemy.reset();
+
+    enemy.x = x;
+    enemy.y = y;
+    enemy.layer = layer;
+    enemy.audioManager = this.audioManager;
+
+    // 以新位置为基准重新初始化行为参数
+    enemy.initializeTypeProperties();
+    enemy.resetInterpolation();
+  }
+
+  /**
+   * 定期清理长期未使用的对象
+   */
+  cleanup() {
+    const currentTime = Date.now();
+
+    this.pools.forEach(pool => {
+      if (pool.length <= this.config.cleanupThreshold) {
+        return;
+      }
+
+      for (let i = pool.length - 1; i >= 0; i--) {
+        if (currentTime - pool[i].lastUsedTime > this.config.maxIdleTime) {
+          pool.splice(i, 1);
+        }
+      }
+    });
+  }
+
+  /**
+   * 获取池子统计信息
+   *
+   * @returns {Object} 统计信息
+   */
+  getPoolStats() {
+    const poolSizes = {};
+    let totalPooled = 0;
+
+    this.pools.forEach((pool, type) => {
+      poolSizes[type] = pool.length;
+      totalPooled += pool.length;
+    });
+
+    return {
+      poolSizes,
+      totalPooled,
+      totalCreated: this.stats.totalCreated,
+      totalReused: this.stats.totalReused,
+      totalReleased: this.stats.totalReleased,
+      currentActive: this.stats.currentActive,
+      reuseRate: this.stats.totalReused / Math.max(1, this.stats.totalCreated + this.stats.totalReused)
+    };
+  }
+
+  /**
+   * 销毁对象池
+   */
+  destroy() {
+    this.pools.forEach(pool => pool.length = 0);
+    this.pools.clear();
+
+    this.stats = {
+      totalCreated: 0,
+      totalReused: 0,
+      totalReleased: 0,
+      currentActive: 0
+    };
+  }
+}
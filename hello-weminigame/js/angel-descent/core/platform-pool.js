@@ -7,7 +7,7 @@
  * 
  * 核心设计理念：
  * - 对象复用：避免频繁的内存分配和垃圾回收
- * - 类型分离：不同类型平台使用独立的池子管理
+ * - 类型分离：不同类型平台使用独立的池子管理，平台类型取自平台类型注册表
  * - 自动扩展：池子容量不足时自动扩展
  * - 状态重置：确保复用对象的状态完全重置
  * 
@@ -19,6 +19,7 @@
  */
 
 import Platform, { PLATFORM_TYPES } from '../entities/platform.js';
+import { getPlatformTypeIds, hasPlatformType } from '../entities/platform-registry.js';
 
 /**
  * 平台对象池类
@@ -39,8 +40,8 @@ export default class PlatformPool {
     // 按类型分组的对象池
     this.pools = new Map();
     
-    // 初始化所有平台类型的池子
-    Object.values(PLATFORM_TYPES).forEach(type => {
+    // 初始化所有已注册平台类型的池子（之后注册的类型在第一次使用时建池）
+    getPlatformTypeIds().forEach(type => {
       this.pools.set(type, []);
     });
     
@@ -72,9 +73,7 @@ export default class PlatformPool {
    * 根据游戏数据统计，普通平台使用频率最高，特殊平台相对较少。
    */
   preWarmPools() {
-    Object.values(PLATFORM_TYPES).forEach(type => {
-      const pool = this.pools.get(type);
-      
+    this.pools.forEach((pool, type) => {
       // 根据平台类型调整预创建数量
       let preWarmCount = this.config.initialSize;
       if (type === PLATFORM_TYPES.NORMAL) {
@@ -107,7 +106,7 @@ export default class PlatformPool {
    * @returns {Platform} 配置好的平台对象
    */
   get(type, x, y, width, height, layer) {
-    const pool = this.pools.get(type);
+    const pool = this.getPool(type);
     if (!pool) {
       console.warn(`未知的平台类型: ${type}`);
       return this.createNewPlatform(type, x, y, width, height, layer);
@@ -149,7 +148,7 @@ export default class PlatformPool {
       return; // 已经在池子中或无效对象
     }
     
-    const pool = this.pools.get(platform.platformType);
+    const pool = this.getPool(platform.platformType);
     if (!pool) {
       console.warn(`无法释放未知类型的平台: ${platform.platformType}`);
       return;
@@ -172,6 +171,21 @@ export default class PlatformPool {
     this.stats.currentActive--;
   }
 
+  /**
+   * 平台类型的对象池
+   * 
+   * 对象池创建后才注册的平台类型在这里补建池子。
+   * 
+   * @param {string} type - 平台类型
+   * @returns {Array<Platform>|null} 类型未注册时为null
+   */
+  getPool(type) {
+    if (!this.pools.has(type) && hasPlatformType(type)) {
+      this.pools.set(type, []);
+    }
+    return this.pools.get(type) || null;
+  }
+
   /**
    * 创建新的平台对象
    * 
@@ -0,0 +1,138 @@
+/**
+ * @file random.js
+ * @description 天使下凡一百层游戏可种子化随机数生成器
+ *
+ * 关卡生成与玩法判定（平台类型、位置、生命果实、危险平台伤害等）
+ * 统一通过本模块取随机数，保证相同种子得到完全相同的100层关卡和判定结果，
+ * 便于复现玩家反馈的问题、分享对局以及编写稳定的生成器测试。
+ *
+ * 算法：Mulberry32（32位状态，周期2^32，速度快、分布足够均匀）
+ * 种子：支持数字或字符串，字符串经 FNV-1a 哈希转换为32位整数
+ */
+
+/**
+ * 将任意种子转换为32位无符号整数
+ *
+ * @param {number|string} seed - 数字或字符串种子
+ * @returns {number} 32位无符号整数种子
+ */
+export function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  // FNV-1a 字符串哈希
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 生成一个新的随机种子（用于未指定种子的普通对局）
+ *
+ * @returns {number} 32位无符号整数种子
+ */
+export function createRandomSeed() {
+  return (Date.now() ^ Math.floor(Math.random() * 0xffffffff)) >>> 0;
+}
+
+/**
+ * 可种子化随机数生成器
+ *
+ * 提供与 Math.random() 相同的 [0, 1) 浮点数接口，以及常用的
+ * 范围、整数、概率判定、数组抽取等便捷方法。
+ *
+ * @class SeededRandom
+ */
+export default class SeededRandom {
+  /**
+   * @constructor
+   * @param {number|string} seed - 初始种子，省略时随机生成
+   */
+  constructor(seed = createRandomSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * 重新设置种子，生成序列从头开始
+   *
+   * @param {number|string} seed - 新种子
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.state = hashSeed(seed);
+  }
+
+  /**
+   * 获取当前种子（原始值，便于记录和分享）
+   *
+   * @returns {number|string} 种子
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * 生成 [0, 1) 区间的浮点数（Mulberry32）
+   *
+   * @returns {number} 随机数
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * 生成 [min, max) 区间的浮点数
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * 生成 [0, max) 区间的整数
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * 按概率判定
+   *
+   * @param {number} probability - 成功概率（0-1）
+   * @returns {boolean} 是否命中
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * 从数组中随机抽取一个元素
+   *
+   * @param {Array} array - 候选数组
+   * @returns {*} 抽中的元素，空数组返回undefined
+   */
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  /**
+   * 派生子生成器
+   *
+   * 子生成器的种子由父种子和标签共同决定，与父生成器已消耗的随机数无关，
+   * 因此按需生成的各层、各平台之间互不影响，生成顺序不同也能得到相同结果。
+   *
+   * @param {number|string} label - 派生标签（如层号、平台序号）
+   * @returns {SeededRandom} 子生成器
+   */
+  derive(label) {
+    return new SeededRandom(`${this.seed}_${label}`);
+  }
+}
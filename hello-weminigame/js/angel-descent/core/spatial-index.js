@@ -0,0 +1,234 @@
+/**
+ * @file spatial-index.js
+ * @description 天使下凡一百层游戏空间索引（按Y坐标分桶的均匀网格）
+ *
+ * 游戏世界是竖直方向的长条，水平范围很小，因此只按Y坐标分桶：
+ * 每个对象按中心Y放入一个桶，查询时只遍历与查询范围相交的桶。
+ * 碰撞检测、渲染裁剪、清理和“上方最近平台”查询都通过索引完成，
+ * 帧耗时只与玩家附近的对象数量有关，而不随已生成的对象总数线性增长。
+ *
+ * 查询结果按插入顺序排列，与直接遍历对象数组的顺序一致，
+ * 保证碰撞判定顺序不变（回放结果不受影响）。
+ */
+
+/**
+ * 空间索引
+ *
+ * @class SpatialIndex
+ */
+export default class SpatialIndex {
+  /**
+   * @constructor
+   * @param {number} cellSize - 桶高度（像素）
+   */
+  constructor(cellSize = 300) {
+    this.cellSize = cellSize;
+    this.cells = new Map();       // 桶编号 -> Set<对象>
+    this.entries = new Map();     // 对象 -> { cell, order }
+    this.sortedCells = [];        // 升序排列的非空桶编号
+    this.nextOrder = 0;
+  }
+
+  /**
+   * 对象数量
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Y坐标所在的桶编号
+   *
+   * @param {number} y - 世界Y坐标
+   * @returns {number} 桶编号
+   */
+  getCell(y) {
+    return Math.floor(y / this.cellSize);
+  }
+
+  /**
+   * 加入对象（已存在时忽略）
+   *
+   * @param {Object} object - 带有 y 属性的对象
+   */
+  insert(object) {
+    if (this.entries.has(object)) return;
+
+    const cell = this.getCell(object.y);
+    this.entries.set(object, { cell, order: this.nextOrder++ });
+    this.addToCell(cell, object);
+  }
+
+  /**
+   * 移除对象
+   *
+   * @param {Object} object - 对象
+   * @returns {boolean} 是否存在并已移除
+   */
+  remove(object) {
+    const entry = this.entries.get(object);
+    if (!entry) return false;
+
+    this.entries.delete(object);
+    this.removeFromCell(entry.cell, object);
+    return true;
+  }
+
+  /**
+   * 对象移动后更新所在的桶
+   *
+   * @param {Object} object - 对象
+   */
+  update(object) {
+    const entry = this.entries.get(object);
+    if (!entry) return;
+
+    const cell = this.getCell(object.y);
+    if (cell !== entry.cell) {
+      this.removeFromCell(entry.cell, object);
+      entry.cell = cell;
+      this.addToCell(cell, object);
+    }
+  }
+
+  /**
+   * 清空索引
+   */
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+    this.sortedCells = [];
+    this.nextOrder = 0;
+  }
+
+  /**
+   * 查询Y坐标在 [top, bottom] 附近的对象
+   *
+   * 返回与查询范围相交的所有桶中的对象，调用方自行做精确判断。
+   *
+   * @param {number} top - 范围上边界（世界Y坐标）
+   * @param {number} bottom - 范围下边界（世界Y坐标）
+   * @returns {Array<Object>} 按插入顺序排列的对象
+   */
+  query(top, bottom) {
+    const firstCell = this.getCell(top);
+    const lastCell = this.getCell(bottom);
+    const result = [];
+
+    for (const cell of this.sortedCells) {
+      if (cell < firstCell) continue;
+      if (cell > lastCell) break;
+      for (const object of this.cells.get(cell)) {
+        result.push(object);
+      }
+    }
+
+    return this.sortByOrder(result);
+  }
+
+  /**
+   * 查询不完全位于 [top, bottom] 内的桶中的对象（清理候选）
+   *
+   * 跨越边界的桶也会返回，调用方自行做精确判断。
+   *
+   * @param {number} top - 保留范围上边界
+   * @param {number} bottom - 保留范围下边界
+   * @returns {Array<Object>} 按插入顺序排列的对象
+   */
+  queryOutside(top, bottom) {
+    const result = [];
+
+    for (const cell of this.sortedCells) {
+      const cellTop = cell * this.cellSize;
+      const cellBottom = cellTop + this.cellSize;
+      if (cellTop >= top && cellBottom <= bottom) continue;
+      for (const object of this.cells.get(cell)) {
+        result.push(object);
+      }
+    }
+
+    return this.sortByOrder(result);
+  }
+
+  /**
+   * 查找Y坐标小于 y 的对象中最靠下的一个
+   *
+   * 从 y 所在的桶开始逐桶向上查找，找到后即停止。
+   *
+   * @param {number} y - 世界Y坐标
+   * @param {Function} filter - 过滤函数，返回false的对象被忽略
+   * @returns {Object|null} 对象，不存在时为null
+   */
+  findNearestAbove(y, filter = null) {
+    const startCell = this.getCell(y);
+
+    for (let i = this.sortedCells.length - 1; i >= 0; i--) {
+      const cell = this.sortedCells[i];
+      if (cell > startCell) continue;
+
+      let nearest = null;
+      for (const object of this.cells.get(cell)) {
+        if (object.y >= y) continue;
+        if (filter && !filter(object)) continue;
+        if (!nearest || object.y > nearest.y) {
+          nearest = object;
+        }
+      }
+
+      if (nearest) return nearest;
+    }
+
+    return null;
+  }
+
+  /**
+   * 统计信息
+   */
+  getStats() {
+    return {
+      objects: this.entries.size,
+      cells: this.cells.size,
+      cellSize: this.cellSize
+    };
+  }
+
+  /**
+   * 按插入顺序排序
+   */
+  sortByOrder(objects) {
+    return objects.sort((a, b) => this.entries.get(a).order - this.entries.get(b).order);
+  }
+
+  /**
+   * 加入桶，必要时创建桶
+   */
+  addToCell(cell, object) {
+    let bucket = this.cells.get(cell);
+    if (!bucket) {
+      bucket = new Set();
+      this.cells.set(cell, bucket);
+
+      // 维护有序的桶编号列表（新桶很少出现，插入排序即可）
+      let index = this.sortedCells.length;
+      while (index > 0 && this.sortedCells[index - 1] > cell) {
+        index--;
+      }
+      this.sortedCells.splice(index, 0, cell);
+    }
+    bucket.add(object);
+  }
+
+  /**
+   * 移出桶，桶为空时删除
+   */
+  removeFromCell(cell, object) {
+    const bucket = this.cells.get(cell);
+    if (!bucket) return;
+
+    bucket.delete(object);
+    if (bucket.size === 0) {
+      this.cells.delete(cell);
+      this.sortedCells.splice(this.sortedCells.indexOf(cell), 1);
+    }
+  }
+}
@@ -87,6 +87,14 @@ export default class Sprite extends Emitter {
     this.x = x;      // 水平位置（像素）
     this.y = y;      // 垂直位置（像素）
     
+    /**
+     * 插值渲染系统
+     * 记录上一个固定逻辑帧开始时的位置，渲染时在两帧之间插值，
+     * 为null表示没有可用的上一帧位置（刚创建、从对象池取出或瞬移后）
+     */
+    this.previousX = null;
+    this.previousY = null;
+    
     /**
      * 几何尺寸系统
      * 定义精灵的可见区域和基础碰撞检测边界
@@ -215,6 +223,51 @@ export default class Sprite extends Emitter {
     }
   }
   
+  /**
+   * 插值渲染
+   * 
+   * 固定步长模拟下，渲染时刻通常落在两个逻辑帧之间。
+   * 按插值系数临时把位置放到上一帧与当前帧之间再调用render()，
+   * 渲染完成后恢复真实位置，子类的渲染代码无需任何修改。
+   * 
+   * @param {CanvasRenderingContext2D} ctx 渲染上下文
+   * @param {number} alpha 插值系数（0为上一逻辑帧，1为当前逻辑帧）
+   */
+  renderInterpolated(ctx, alpha = 1) {
+    if (this.previousX === null || alpha >= 1) {
+      this.render(ctx);
+      return;
+    }
+    
+    const currentX = this.x;
+    const currentY = this.y;
+    this.x = this.previousX + (currentX - this.previousX) * alpha;
+    this.y = this.previousY + (currentY - this.previousY) * alpha;
+    
+    try {
+      this.render(ctx);
+    } finally {
+      this.x = currentX;
+      this.y = currentY;
+    }
+  }
+  
+  /**
+   * 记录当前位置作为上一逻辑帧位置（每个固定逻辑帧开始前调用）
+   */
+  savePreviousPosition() {
+    this.previousX = this.x;
+    this.previousY = this.y;
+  }
+  
+  /**
+   * 清除插值记录（瞬移后调用，避免渲染出从旧位置滑过来的轨迹）
+   */
+  resetInterpolation() {
+    this.previousX = null;
+    this.previousY = null;
+  }
+  
   /**
    * 判断是否应该使用图像渲染
    * 
@@ -401,6 +454,7 @@ export default class Sprite extends Emitter {
     this.visible = true;
     this.velocity.x = 0;
     this.velocity.y = 0;
+    this.resetInterpolation();
     
     // 重置图像相关状态（但保留已加载的图像）
     this.imageRotation = 0;
@@ -0,0 +1,326 @@
+/**
+ * @file collectible.js
+ * @description 收集品基类
+ *
+ * 生命果实和各种道具的公共部分：漂浮动画、与玩家的碰撞判定、
+ * 收集流程和收集特效。子类只需实现 applyEffect(player) 决定收集后的效果，
+ * 并按需覆盖渲染和收集特效。
+ *
+ * 漂浮相位由生成器用种子随机数传入，漂浮位置影响碰撞判定，
+ * 因此不能使用 Math.random()，否则同一录像回放时收集时机可能不同。
+ */
+
+import Sprite from '../core/sprite.js';
+
+/**
+ * 收集品基类
+ *
+ * @class Collectible
+ */
+export default class Collectible extends Sprite {
+  /**
+   * @constructor
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   * @param {number} size - 视觉尺寸（正方形边长）
+   * @param {AudioManager} audioManager - 音频管理器
+   * @param {number} layer - 所属层数
+   * @param {Object} options - { phase: 漂浮初始相位（弧度） }
+   */
+  constructor(x, y, size, audioManager = null, layer = 1, options = {}) {
+    super(x, y, size, size);
+
+    this.audioManager = audioManager;
+    this.collected = false; // 是否已被收集
+    this.layer = layer; // 所属层数，用于管理和调试
+
+    // 漂浮动画
+    this.floatPhase = options.phase || 0;
+    this.floatSpeed = 2; // 漂浮速度
+    this.floatAmplitude = 8; // 漂浮幅度
+    this.originalY = y; // 漂浮中心Y坐标
+
+    // 收集特效
+    this.collectEffect = {
+      active: false,
+      duration: 1.0, // 收集特效持续时间
+      timer: 0,
+      particles: []
+    };
+
+    // 碰撞检测盒（比视觉大小稍大，便于收集）
+    const boxSize = size + 6;
+    this.collisionBox = {
+      x: -boxSize / 2,
+      y: -boxSize / 2,
+      width: boxSize,
+      height: boxSize
+    };
+
+    this.type = 'collectible';
+    this.addTag('collectible');
+  }
+
+  /**
+   * 更新收集品逻辑
+   * @param {number} deltaTime - 时间间隔
+   */
+  update(deltaTime) {
+    if (this.collected && !this.collectEffect.active) {
+      // 已被收集且收集特效结束，标记为销毁
+      this.destroy();
+      return;
+    }
+
+    // 更新动画效果
+    this.updateAnimations(deltaTime);
+
+    // 更新收集特效
+    if (this.collectEffect.active) {
+      this.updateCollectEffect(deltaTime);
+    }
+
+    // 调用父类更新
+    super.update(deltaTime);
+  }
+
+  /**
+   * 更新动画效果（子类可扩展）
+   * @param {number} deltaTime - 时间间隔
+   */
+  updateAnimations(deltaTime) {
+    if (this.collected) return; // 收集后停止常规动画
+
+    this.floatPhase += deltaTime * this.floatSpeed;
+    this.y = this.originalY + Math.sin(this.floatPhase) * this.floatAmplitude;
+  }
+
+  /**
+   * 向目标位置移动（道具磁铁）
+   *
+   * 移动的是漂浮中心，漂浮动画照常进行。
+   *
+   * @param {number} x - 目标X坐标
+   * @param {number} y - 目标Y坐标
+   * @param {number} distance - 本帧最多移动的距离
+   */
+  moveToward(x, y, distance) {
+    if (this.collected) return;
+
+    const dx = x - this.x;
+    const dy = y - this.originalY;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) return;
+
+    const step = Math.min(distance, length);
+    this.x += (dx / length) * step;
+    this.originalY += (dy / length) * step;
+  }
+
+  /**
+   * 更新收集特效粒子
+   * @param {number} deltaTime - 时间间隔
+   */
+  updateCollectEffect(deltaTime) {
+    this.collectEffect.timer += deltaTime;
+
+    for (let i = this.collectEffect.particles.length - 1; i >= 0; i--) {
+      const particle = this.collectEffect.particles[i];
+
+      particle.life -= deltaTime;
+      particle.x += particle.vx * deltaTime;
+      particle.y += particle.vy * deltaTime;
+      particle.alpha = particle.life / particle.maxLife;
+
+      // 根据粒子类型应用不同的物理效果
+      if (particle.type === 'reward_float') {
+        // 奖励粒子继续向上飘散
+        particle.vy -= 30 * deltaTime;
+      } else {
+        // 其他粒子轻微的重力效果
+        particle.vy += 20 * deltaTime;
+      }
+
+      // 添加轻微的阻力
+      particle.vx *= 0.98;
+      particle.vy *= 0.98;
+
+      if (particle.life <= 0) {
+        this.collectEffect.particles.splice(i, 1);
+      }
+    }
+
+    // 检查收集特效是否结束
+    if (this.collectEffect.timer >= this.collectEffect.duration) {
+      this.collectEffect.active = false;
+    }
+  }
+
+  /**
+   * 检查与玩家的碰撞
+   *
+   * 收集品使用玩家的整个身体进行碰撞检测，而不是只用脚部。
+   *
+   * @param {Player} player - 玩家对象
+   * @returns {boolean} 是否发生碰撞
+   */
+  checkCollisionWithPlayer(player) {
+    if (this.collected || this.destroyed) return false;
+
+    const left = this.x + this.collisionBox.x;
+    const right = left + this.collisionBox.width;
+    const top = this.y + this.collisionBox.y;
+    const bottom = top + this.collisionBox.height;
+
+    const playerLeft = player.x - player.width/2;
+    const playerRight = player.x + player.width/2;
+    const playerTop = player.y - player.height/2;
+    const playerBottom = player.y + player.height/2;
+
+    return !(right < playerLeft ||
+             left > playerRight ||
+             bottom < playerTop ||
+             top > playerBottom);
+  }
+
+  /**
+   * 被玩家收集
+   * @param {Player} player - 收集的玩家
+   * @returns {boolean} 是否收集成功
+   */
+  collect(player) {
+    if (this.collected) return false;
+
+    this.collected = true;
+
+    this.applyEffect(player);
+    this.playCollectSound();
+    this.startCollectEffect();
+
+    return true;
+  }
+
+  /**
+   * 收集后的效果（子类实现）
+   * @param {Player} player - 收集的玩家
+   */
+  applyEffect(player) {
+  }
+
+  /**
+   * 播放收集音效
+   */
+  playCollectSound() {
+    if (this.audioManager) {
+      this.audioManager.playLifeFruitCollect();
+    }
+  }
+
+  /**
+   * 启动收集特效：径向闪光和向上飘散的奖励粒子
+   *
+   * @param {string} color - 主色
+   */
+  startCollectEffect(color = '#FFFFFF') {
+    this.collectEffect.active = true;
+    this.collectEffect.timer = 0;
+    this.collectEffect.particles = [];
+
+    // 径向闪光
+    for (let i = 0; i < 10; i++) {
+      const angle = (Math.PI * 2 * i) / 10;
+      const speed = 100 + Math.random() * 60;
+      const life = 0.8 + Math.random() * 0.4;
+
+      this.collectEffect.particles.push({
+        x: this.x,
+        y: this.y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        size: 4 + Math.random() * 3,
+        life,
+        maxLife: life,
+        alpha: 1,
+        color: i % 2 === 0 ? color : '#FFFFFF',
+        type: 'sparkle_burst'
+      });
+    }
+
+    // 向上飘散的奖励粒子
+    for (let i = 0; i < 5; i++) {
+      const life = 1.2 + Math.random() * 0.6;
+
+      this.collectEffect.particles.push({
+        x: this.x + (Math.random() - 0.5) * 30,
+        y: this.y + (Math.random() - 0.5) * 30,
+        vx: (Math.random() - 0.5) * 50,
+        vy: -80 - Math.random() * 60,
+        size: 5 + Math.random() * 3,
+        life,
+        maxLife: life,
+        alpha: 1,
+        color,
+        type: 'reward_float'
+      });
+    }
+  }
+
+  /**
+   * 渲染收集特效
+   * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+   */
+  renderCollectEffect(ctx) {
+    for (const particle of this.collectEffect.particles) {
+      ctx.save();
+
+      ctx.globalAlpha = particle.alpha;
+      ctx.fillStyle = particle.color;
+
+      if (particle.type === 'sparkle_burst') {
+        // 十字星形闪光
+        ctx.translate(particle.x, particle.y);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = particle.color;
+        ctx.beginPath();
+        ctx.moveTo(-particle.size, 0);
+        ctx.lineTo(particle.size, 0);
+        ctx.moveTo(0, -particle.size);
+        ctx.lineTo(0, particle.size);
+        ctx.stroke();
+      } else {
+        // 双层发光圆形
+        ctx.globalAlpha = particle.alpha * 0.4;
+        ctx.beginPath();
+        ctx.arc(particle.x, particle.y, particle.size * 1.3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = particle.alpha;
+        ctx.beginPath();
+        ctx.arc(particle.x, particle.y, particle.size * 0.7, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      ctx.restore();
+    }
+  }
+
+  /**
+   * 销毁收集品
+   */
+  destroy() {
+    this.destroyed = true;
+    this.active = false;
+    this.visible = false;
+    this.collectEffect.particles = [];
+  }
+
+  /**
+   * 获取状态信息
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      collected: this.collected,
+      collectEffectActive: this.collectEffect.active
+    };
+  }
+}
@@ -0,0 +1,496 @@
+/**
+ * @file enemy.js
+ * @description 敌人实体类和敌人类型定义
+ *
+ * 敌人是会移动的威胁，由关卡生成器按天界的刷怪表生成，通过 EnemyPool 复用。
+ * 玩家身体碰到敌人即受到伤害并被击退（交给 Player.takeDamage 处理，
+ * 护盾和受伤后的无敌时间同样有效）。
+ *
+ * 各天界的敌人行为：
+ * - 霜灵（云海天界）：绕所属平台做椭圆环绕
+ * - 风暴精魄（雷音天界）：玩家进入感应范围后缓慢飘向玩家，离开后回到原处
+ * - 乌鸦（凡间边界）：在固定高度左右巡逻，到达巡逻边界后掉头
+ *
+ * 敌人的行为只依赖生成参数、逻辑帧时长和玩家位置，不使用 Math.random()，
+ * 保证同一录像回放时敌人的位置完全一致。
+ */
+
+import Sprite from '../core/sprite.js';
+
+/**
+ * 敌人类型
+ */
+export const ENEMY_TYPES = {
+  FROST_SPRITE: 'frost_sprite',   // 霜灵
+  STORM_WISP: 'storm_wisp',       // 风暴精魄
+  CROW: 'crow'                    // 乌鸦
+};
+
+/**
+ * 敌人参数
+ *
+ * knockback 为击退速度（像素/秒），水平方向按敌人相对玩家的位置决定正负；
+ * hitboxScale 为伤害判定范围相对于视觉尺寸的比例。
+ */
+export const ENEMY_CONFIGS = {
+  [ENEMY_TYPES.FROST_SPRITE]: {
+    name: '霜灵',
+    width: 26,
+    height: 26,
+    damage: 1,
+    hitboxScale: 0.7,
+    knockback: { x: 180, y: -220 },
+    orbitSpeed: 1.2,       // 环绕角速度（弧度/秒）
+    color: '#E1F5FE',
+    accentColor: '#4FC3F7'
+  },
+  [ENEMY_TYPES.STORM_WISP]: {
+    name: '风暴精魄',
+    width: 28,
+    height: 28,
+    damage: 1,
+    hitboxScale: 0.65,
+    knockback: { x: 220, y: -260 },
+    speed: 70,             // 追踪速度（像素/秒），明显慢于玩家
+    aggroRadius: 220,      // 感应半径（像素）
+    leashRadius: 260,      // 离开原处的最远距离（像素）
+    color: '#CE93D8',
+    accentColor: '#FFEE58'
+  },
+  [ENEMY_TYPES.CROW]: {
+    name: '乌鸦',
+    width: 36,
+    height: 22,
+    damage: 1,
+    hitboxScale: 0.7,
+    knockback: { x: 260, y: -200 },
+    speed: 90,             // 巡逻速度（像素/秒）
+    color: '#37474F',
+    accentColor: '#FFB300'
+  }
+};
+
+/**
+ * 敌人类
+ *
+ * @class Enemy
+ */
+export default class Enemy extends Sprite {
+  /**
+   * @constructor
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   * @param {string} enemyType - 敌人类型（ENEMY_TYPES）
+   * @param {AudioManager} audioManager - 音频管理器
+   * @param {number} layer - 所属层数
+   */
+  constructor(x, y, enemyType, audioManager = null, layer = 1) {
+    const config = ENEMY_CONFIGS[enemyType];
+    super(x, y, config.width, config.height);
+
+    this.enemyType = enemyType;
+    this.audioManager = audioManager;
+    this.layer = layer;
+
+    this.type = 'enemy';
+    this.addTag('enemy');
+    this.addTag('hazard');
+
+    this.initializeTypeProperties();
+  }
+
+  /**
+   * 根据敌人类型初始化属性（对象池复用时也会调用）
+   */
+  initializeTypeProperties() {
+    const config = ENEMY_CONFIGS[this.enemyType];
+    this.config = config;
+    this.width = config.width;
+    this.height = config.height;
+    this.color = config.color;
+
+    // 行为参数（由 spawn 设置）
+    this.homeX = this.x;
+    this.homeY = this.y;
+    this.facing = 1;           // 朝向：1向右，-1向左
+    this.animationTime = 0;
+    this.hitFlash = 0;
+
+    // 伤害判定盒
+    const hitWidth = config.width * config.hitboxScale;
+    const hitHeight = config.height * config.hitboxScale;
+    this.collisionBox = {
+      x: -hitWidth / 2,
+      y: -hitHeight / 2,
+      width: hitWidth,
+      height: hitHeight
+    };
+
+    switch (this.enemyType) {
+      case ENEMY_TYPES.FROST_SPRITE:
+        this.orbitAngle = 0;
+        this.orbitRadiusX = 60;
+        this.orbitRadiusY = 24;
+        this.orbitDirection = 1;
+        break;
+
+      case ENEMY_TYPES.STORM_WISP:
+        this.tracking = false;
+        break;
+
+      case ENEMY_TYPES.CROW:
+        this.patrolLeft = this.x - 100;
+        this.patrolRight = this.x + 100;
+        break;
+    }
+  }
+
+  /**
+   * 设置生成参数
+   *
+   * - 霜灵：{ centerX, centerY, radiusX, radiusY, angle, direction }
+   * - 风暴精魄：原处即生成位置
+   * - 乌鸦：{ left, right, direction }
+   *
+   * @param {Object} options - 生成参数
+   */
+  spawn(options = {}) {
+    this.homeX = this.x;
+    this.homeY = this.y;
+
+    switch (this.enemyType) {
+      case ENEMY_TYPES.FROST_SPRITE:
+        this.homeX = options.centerX !== undefined ? options.centerX : this.x;
+        this.homeY = options.centerY !== undefined ? options.centerY : this.y;
+        this.orbitRadiusX = options.radiusX || this.orbitRadiusX;
+        this.orbitRadiusY = options.radiusY || this.orbitRadiusY;
+        this.orbitAngle = options.angle || 0;
+        this.orbitDirection = options.direction || 1;
+        this.updateOrbitPosition();
+        break;
+
+      case ENEMY_TYPES.CROW:
+        this.patrolLeft = options.left !== undefined ? options.left : this.x - 100;
+        this.patrolRight = options.right !== undefined ? options.right : this.x + 100;
+        this.facing = options.direction || 1;
+        break;
+    }
+
+    this.resetInterpolation();
+  }
+
+  /**
+   * 更新敌人
+   * @param {number} deltaTime - 时间间隔
+   * @param {Player} player - 玩家（风暴精魄追踪用）
+   */
+  update(deltaTime, player = null) {
+    this.animationTime += deltaTime;
+    this.hitFlash = Math.max(0, this.hitFlash - deltaTime * 3);
+
+    switch (this.enemyType) {
+      case ENEMY_TYPES.FROST_SPRITE:
+        this.updateFrostSprite(deltaTime);
+        break;
+
+      case ENEMY_TYPES.STORM_WISP:
+        this.updateStormWisp(deltaTime, player);
+        break;
+
+      case ENEMY_TYPES.CROW:
+        this.updateCrow(deltaTime);
+        break;
+    }
+  }
+
+  /**
+   * 霜灵：绕平台做椭圆环绕
+   */
+  updateFrostSprite(deltaTime) {
+    this.orbitAngle += this.config.orbitSpeed * this.orbitDirection * deltaTime;
+    this.updateOrbitPosition();
+  }
+
+  /**
+   * 按环绕角度计算霜灵位置
+   */
+  updateOrbitPosition() {
+    const previousX = this.x;
+    this.x = this.homeX + Math.cos(this.orbitAngle) * this.orbitRadiusX;
+    this.y = this.homeY + Math.sin(this.orbitAngle) * this.orbitRadiusY;
+    if (this.x !== previousX) {
+      this.facing = this.x > previousX ? 1 : -1;
+    }
+  }
+
+  /**
+   * 风暴精魄：玩家在感应范围内且未超出活动范围时飘向玩家，否则回到原处
+   */
+  updateStormWisp(deltaTime, player) {
+    const { speed, aggroRadius, leashRadius } = this.config;
+    let targetX = this.homeX;
+    let targetY = this.homeY;
+
+    this.tracking = false;
+    if (player && !player.destroyed) {
+      const dx = player.x - this.x;
+      const dy = player.y - this.y;
+      const homeDx = player.x - this.homeX;
+      const homeDy = player.y - this.homeY;
+      if (dx * dx + dy * dy <= aggroRadius * aggroRadius &&
+          homeDx * homeDx + homeDy * homeDy <= leashRadius * leashRadius) {
+        targetX = player.x;
+        targetY = player.y;
+        this.tracking = true;
+      }
+    }
+
+    const dx = targetX - this.x;
+    const dy = targetY - this.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance > 0.5) {
+      const step = Math.min(distance, speed * deltaTime);
+      this.x += (dx / distance) * step;
+      this.y += (dy / distance) * step;
+      if (Math.abs(dx) > 0.5) {
+        this.facing = dx > 0 ? 1 : -1;
+      }
+    }
+
+    // 原地时上下轻微浮动
+    if (!this.tracking) {
+      this.y += Math.sin(this.animationTime * 2) * 6 * deltaTime;
+    }
+  }
+
+  /**
+   * 乌鸦：左右巡逻
+   */
+  updateCrow(deltaTime) {
+    this.x += this.config.speed * this.facing * deltaTime;
+
+    if (this.x >= this.patrolRight) {
+      this.x = this.patrolRight;
+      this.facing = -1;
+    } else if (this.x <= this.patrolLeft) {
+      this.x = this.patrolLeft;
+      this.facing = 1;
+    }
+  }
+
+  /**
+   * 检查与玩家的碰撞（使用玩家的整个身体）
+   *
+   * @param {Player} player - 玩家对象
+   * @returns {boolean} 是否碰到
+   */
+  checkCollisionWithPlayer(player) {
+    if (this.destroyed || !this.active) return false;
+
+    const left = this.x + this.collisionBox.x;
+    const right = left + this.collisionBox.width;
+    const top = this.y + this.collisionBox.y;
+    const bottom = top + this.collisionBox.height;
+
+    const playerLeft = player.x - player.width/2;
+    const playerRight = player.x + player.width/2;
+    const playerTop = player.y - player.height/2;
+    const playerBottom = player.y + player.height/2;
+
+    return !(right < playerLeft ||
+             left > playerRight ||
+             bottom < playerTop ||
+             top > playerBottom);
+  }
+
+  /**
+   * 玩家碰到敌人：造成伤害并把玩家向远离敌人的方向击退
+   *
+   * @param {Player} player - 玩家对象
+   * @returns {boolean} 是否造成了伤害（无敌或护盾抵挡时为false）
+   */
+  onPlayerHit(player) {
+    if (!player || !player.takeDamage || player.isInvulnerable) return false;
+
+    const direction = player.x >= this.x ? 1 : -1;
+    const knockback = {
+      x: this.config.knockback.x * direction,
+      y: this.config.knockback.y
+    };
+
+    const livesBefore = player.lives;
+    player.takeDamage(this.config.damage, this.enemyType, knockback);
+    this.hitFlash = 1;
+
+    return player.lives < livesBefore;
+  }
+
+  /**
+   * 渲染敌人
+   * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+   */
+  render(ctx) {
+    if (this.destroyed || !this.visible) return;
+
+    ctx.save();
+    ctx.translate(this.x, this.y);
+
+    switch (this.enemyType) {
+      case ENEMY_TYPES.FROST_SPRITE:
+        this.renderFrostSprite(ctx);
+        break;
+      case ENEMY_TYPES.STORM_WISP:
+        this.renderStormWisp(ctx);
+        break;
+      case ENEMY_TYPES.CROW:
+        this.renderCrow(ctx);
+        break;
+    }
+
+    // 击中闪光
+    if (this.hitFlash > 0) {
+      ctx.globalAlpha = this.hitFlash * 0.6;
+      ctx.fillStyle = '#FFFFFF';
+      ctx.beginPath();
+      ctx.arc(0, 0, this.width * 0.7, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * 霜灵：带六角冰花的光球
+   */
+  renderFrostSprite(ctx) {
+    const radius = this.width / 2;
+    const pulse = 0.8 + 0.2 * Math.sin(this.animationTime * 5);
+
+    ctx.globalAlpha = 0.35 * pulse;
+    ctx.fillStyle = this.config.accentColor;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius + 5, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.globalAlpha = 0.9;
+    ctx.fillStyle = this.config.color;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius * 0.7, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 冰花
+    ctx.strokeStyle = this.config.accentColor;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let i = 0; i < 6; i++) {
+      const angle = i * Math.PI / 3 + this.animationTime;
+      ctx.moveTo(0, 0);
+      ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+    }
+    ctx.stroke();
+  }
+
+  /**
+   * 风暴精魄：紫色云团，追踪时闪出电光
+   */
+  renderStormWisp(ctx) {
+    const radius = this.width / 2;
+
+    ctx.globalAlpha = 0.85;
+    ctx.fillStyle = this.config.color;
+    for (let i = 0; i < 3; i++) {
+      const angle = this.animationTime * 2 + i * Math.PI * 2 / 3;
+      ctx.beginPath();
+      ctx.arc(Math.cos(angle) * 5, Math.sin(angle) * 4, radius * 0.65, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // 眼睛朝向移动方向
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = this.tracking ? this.config.accentColor : '#FFFFFF';
+    ctx.beginPath();
+    ctx.arc(this.facing * 4 - 3, -2, 2.5, 0, Math.PI * 2);
+    ctx.arc(this.facing * 4 + 3, -2, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+
+    if (this.tracking) {
+      ctx.strokeStyle = this.config.accentColor;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      const flicker = Math.sin(this.animationTime * 30) * 3;
+      ctx.moveTo(-radius, radius * 0.3);
+      ctx.lineTo(-radius * 0.5, radius * 0.6 + flicker);
+      ctx.lineTo(-radius * 0.2, radius * 0.4);
+      ctx.moveTo(radius, radius * 0.3);
+      ctx.lineTo(radius * 0.5, radius * 0.6 - flicker);
+      ctx.lineTo(radius * 0.2, radius * 0.4);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * 乌鸦：身体、扇动的翅膀和喙，朝向巡逻方向
+   */
+  renderCrow(ctx) {
+    const halfWidth = this.width / 2;
+    const halfHeight = this.height / 2;
+    const flap = Math.sin(this.animationTime * 12) * halfHeight;
+
+    ctx.scale(this.facing, 1);
+
+    // 翅膀
+    ctx.fillStyle = '#263238';
+    ctx.beginPath();
+    ctx.moveTo(-halfWidth * 0.3, 0);
+    ctx.lineTo(-halfWidth * 0.1, -halfHeight - flap);
+    ctx.lineTo(halfWidth * 0.3, 0);
+    ctx.closePath();
+    ctx.fill();
+
+    // 身体
+    ctx.fillStyle = this.config.color;
+    ctx.beginPath();
+    ctx.ellipse(0, 0, halfWidth * 0.7, halfHeight * 0.6, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 头和喙
+    ctx.beginPath();
+    ctx.arc(halfWidth * 0.6, -halfHeight * 0.2, halfHeight * 0.45, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = this.config.accentColor;
+    ctx.beginPath();
+    ctx.moveTo(halfWidth * 0.9, -halfHeight * 0.3);
+    ctx.lineTo(halfWidth * 1.2, -halfHeight * 0.1);
+    ctx.lineTo(halfWidth * 0.9, 0);
+    ctx.closePath();
+    ctx.fill();
+
+    // 眼睛
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.arc(halfWidth * 0.7, -halfHeight * 0.3, 1.5, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * 重置敌人状态（对象池复用）
+   */
+  reset() {
+    super.reset();
+    this.layer = 1;
+    this.initializeTypeProperties();
+  }
+
+  /**
+   * 获取状态信息
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      enemyType: this.enemyType,
+      x: this.x,
+      y: this.y,
+      tracking: !!this.tracking
+    };
+  }
+}
@@ -4,9 +4,10 @@
  * 
  * 生命果实是一种特殊的收集品，玩家收集后可以增加一条生命
  * 具有闪耀的粒子特效和脉动动画，增强视觉吸引力
+ * 漂浮、碰撞和收集流程由 Collectible 基类提供
  */
 
-import Sprite from '../core/sprite.js';
+import Collectible from './collectible.js';
 
 /**
  * 生命果实类
@@ -17,30 +18,20 @@ import Sprite from '../core/sprite.js';
  * - 玩家接触时自动收集
  * - 播放收集音效和特效
  */
-export default class LifeFruit extends Sprite {
-  constructor(x, y, audioManager = null, layer = 1) {
-    // 生命果实尺寸：24x24像素
-    super(x, y, 24, 24);
-    
-    // 音频管理器引用
-    this.audioManager = audioManager;
+export default class LifeFruit extends Collectible {
+  constructor(x, y, audioManager = null, layer = 1, options = {}) {
+    // 生命果实尺寸：24x24像素（碰撞盒30x30，比视觉尺寸稍大）
+    super(x, y, 24, audioManager, layer, options);
     
     // 生命果实特有属性
     this.lifeValue = 1; // 增加的生命值
-    this.collected = false; // 是否已被收集
-    this.layer = layer; // 所属层数，用于管理和调试
     
     // 视觉属性
     this.color = '#FF4081'; // 生命果实的粉红色
     this.coreColor = '#FFFFFF'; // 核心白色
     this.glowColor = '#FF80AB'; // 发光颜色
     
-    // 动画属性
-    this.floatPhase = Math.random() * Math.PI * 2; // 随机漂浮相位
-    this.floatSpeed = 2; // 漂浮速度
-    this.floatAmplitude = 8; // 漂浮幅度
-    this.originalY = y; // 记录原始Y坐标
-    
+    // 动画属性（漂浮动画由基类处理）
     this.pulsePhase = Math.random() * Math.PI * 2; // 脉动相位
     this.pulseSpeed = 5; // 增加脉动速度
     this.pulseAmplitude = 0.3; // 增加脉动幅度
@@ -98,24 +89,7 @@ export default class LifeFruit extends Sprite {
       ]
     };
     
-    // 收集特效
-    this.collectEffect = {
-      active: false,
-      duration: 1.0, // 收集特效持续时间
-      timer: 0,
-      particles: []
-    };
-    
-    // 碰撞检测盒（比视觉大小稍大，便于收集）
-    this.collisionBox = {
-      x: -15, // 相对于中心的偏移，扩大碰撞盒
-      y: -15,
-      width: 30, // 比视觉尺寸(24x24)稍大
-      height: 30
-    };
-    
     this.type = 'life_fruit';
-    this.addTag('collectible');
     this.addTag('life_fruit');
     
     // 生命果实创建完成
@@ -126,24 +100,10 @@ export default class LifeFruit extends Sprite {
    * @param {number} deltaTime - 时间间隔
    */
   update(deltaTime) {
-    if (this.collected && !this.collectEffect.active) {
-      // 已被收集且收集特效结束，标记为销毁
-      this.destroy();
-      return;
-    }
-    
-    // 更新动画效果
-    this.updateAnimations(deltaTime);
-    
     // 更新粒子效果
     this.updateParticleSystem(deltaTime);
     
-    // 更新收集特效
-    if (this.collectEffect.active) {
-      this.updateCollectEffect(deltaTime);
-    }
-    
-    // 调用父类更新
+    // 漂浮动画、收集特效和销毁由基类处理
     super.update(deltaTime);
   }
   
@@ -155,8 +115,7 @@ export default class LifeFruit extends Sprite {
     if (this.collected) return; // 收集后停止常规动画
     
     // 更新漂浮动画
-    this.floatPhase += deltaTime * this.floatSpeed;
-    this.y = this.originalY + Math.sin(this.floatPhase) * this.floatAmplitude;
+    super.updateAnimations(deltaTime);
     
     // 更新脉动动画
     this.pulsePhase += deltaTime * this.pulseSpeed;
@@ -271,95 +230,11 @@ export default class LifeFruit extends Sprite {
   }
   
   /**
-   * 更新收集特效
-   * @param {number} deltaTime - 时间间隔
-   */
-  updateCollectEffect(deltaTime) {
-    this.collectEffect.timer += deltaTime;
-    
-    // 更新收集特效粒子
-    for (let i = this.collectEffect.particles.length - 1; i >= 0; i--) {
-      const particle = this.collectEffect.particles[i];
-      
-      particle.life -= deltaTime;
-      particle.x += particle.vx * deltaTime;
-      particle.y += particle.vy * deltaTime;
-      particle.alpha = particle.life / particle.maxLife;
-      
-      // 根据粒子类型应用不同的物理效果
-      if (particle.type === 'reward_float') {
-        // 奖励粒子继续向上飘散
-        particle.vy -= 30 * deltaTime;
-      } else {
-        // 其他粒子轻微的重力效果
-        particle.vy += 20 * deltaTime;
-      }
-      
-      // 添加轻微的阻力
-      particle.vx *= 0.98;
-      particle.vy *= 0.98;
-      
-      if (particle.life <= 0) {
-        this.collectEffect.particles.splice(i, 1);
-      }
-    }
-    
-    // 检查收集特效是否结束
-    if (this.collectEffect.timer >= this.collectEffect.duration) {
-      this.collectEffect.active = false;
-    }
-  }
-  
-  /**
-   * 检查与玩家的碰撞
-   * @param {Player} player - 玩家对象
-   * @returns {boolean} 是否发生碰撞
-   */
-  checkCollisionWithPlayer(player) {
-    if (this.collected || this.destroyed) return false;
-    
-    // 获取生命果实的碰撞盒
-    const fruitLeft = this.x + this.collisionBox.x;
-    const fruitRight = fruitLeft + this.collisionBox.width;
-    const fruitTop = this.y + this.collisionBox.y;
-    const fruitBottom = fruitTop + this.collisionBox.height;
-    
-    // 对于生命果实，使用玩家的整个身体进行碰撞检测，而不是只用脚部
-    // 玩家尺寸：42x63，中心对齐
-    const playerLeft = player.x - player.width/2;
-    const playerRight = player.x + player.width/2;
-    const playerTop = player.y - player.height/2;
-    const playerBottom = player.y + player.height/2;
-    
-    // 检查矩形碰撞
-    return !(fruitRight < playerLeft || 
-             fruitLeft > playerRight || 
-             fruitBottom < playerTop || 
-             fruitTop > playerBottom);
-  }
-  
-  /**
-   * 被玩家收集
+   * 收集效果：增加玩家生命值
    * @param {Player} player - 收集的玩家
    */
-  collect(player) {
-    if (this.collected) return false;
-    
-    this.collected = true;
-    
-    // 增加玩家生命值
+  applyEffect(player) {
     player.lives = Math.min(player.lives + this.lifeValue, player.maxLives);
-    
-    // 播放收集音效
-    if (this.audioManager) {
-      this.audioManager.playLifeFruitCollect();
-    }
-    
-    // 启动收集特效
-    this.startCollectEffect();
-    
-    // 生命果实被收集
-    return true;
   }
   
   /**
@@ -677,13 +552,10 @@ export default class LifeFruit extends Sprite {
    * 销毁生命果实
    */
   destroy() {
-    this.destroyed = true;
-    this.active = false;
-    this.visible = false;
+    super.destroy();
     
     // 清理粒子
     this.particles = [];
-    this.collectEffect.particles = [];
   }
   
   /**
@@ -0,0 +1,384 @@
+/**
+ * @file obstacle.js
+ * @description 障碍物实体类和障碍物类型定义
+ *
+ * 障碍物是关卡生成器放置在平台之间的静态危险物，不能站立，
+ * 玩家身体碰到即受到伤害（伤害来源为障碍物类型，交给 Player.takeDamage 处理，
+ * 护盾和受伤后的无敌时间同样有效）。
+ *
+ * 各天界的障碍物：
+ * - 冰晶（云海天界）：造成伤害并短暂冰冻
+ * - 避雷针（雷音天界）：周期性放电，只有放电时造成伤害，蓄电时发光预警
+ * - 荆棘丛（凡间边界）：始终造成伤害
+ *
+ * 避雷针的放电相位由生成器用种子随机数传入，不能使用 Math.random()，
+ * 否则同一录像回放时受伤时机可能不同。
+ */
+
+import Sprite from '../core/sprite.js';
+
+/**
+ * 障碍物类型
+ */
+export const OBSTACLE_TYPES = {
+  ICE_CRYSTAL: 'ice_crystal',       // 冰晶
+  LIGHTNING_ROD: 'lightning_rod',   // 避雷针
+  THORN_CLUSTER: 'thorn_cluster'    // 荆棘丛
+};
+
+/**
+ * 障碍物参数
+ *
+ * hitboxScale 为伤害判定范围相对于视觉尺寸的比例，略小于外观，避免擦边受伤。
+ */
+export const OBSTACLE_CONFIGS = {
+  [OBSTACLE_TYPES.ICE_CRYSTAL]: {
+    name: '冰晶',
+    width: 34,
+    height: 40,
+    damage: 1,
+    hitboxScale: 0.7,
+    freezeDuration: 1.0,   // 冰冻时间（秒）
+    color: '#B3E5FC',
+    edgeColor: '#0288D1'
+  },
+  [OBSTACLE_TYPES.LIGHTNING_ROD]: {
+    name: '避雷针',
+    width: 18,
+    height: 70,
+    damage: 1,
+    hitboxScale: 0.8,
+    chargeTime: 2.0,       // 蓄电时间（秒）
+    dischargeTime: 0.6,    // 放电时间（秒）
+    arcRadius: 30,         // 放电时的伤害半径（像素）
+    color: '#FFEE58',
+    edgeColor: '#6A1B9A'
+  },
+  [OBSTACLE_TYPES.THORN_CLUSTER]: {
+    name: '荆棘丛',
+    width: 56,
+    height: 30,
+    damage: 1,
+    hitboxScale: 0.75,
+    color: '#6D4C41',
+    edgeColor: '#33691E'
+  }
+};
+
+/**
+ * 障碍物类
+ *
+ * @class Obstacle
+ */
+export default class Obstacle extends Sprite {
+  /**
+   * @constructor
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   * @param {string} obstacleType - 障碍物类型（OBSTACLE_TYPES）
+   * @param {AudioManager} audioManager - 音频管理器
+   * @param {number} layer - 所属层数
+   * @param {Object} options - { phase: 避雷针放电周期的初始进度（0-1） }
+   */
+  constructor(x, y, obstacleType, audioManager = null, layer = 1, options = {}) {
+    const config = OBSTACLE_CONFIGS[obstacleType];
+    super(x, y, config.width, config.height);
+
+    this.obstacleType = obstacleType;
+    this.config = config;
+    this.audioManager = audioManager;
+    this.layer = layer;
+    this.color = config.color;
+
+    // 避雷针放电周期
+    this.cycleTime = 0;
+    if (obstacleType === OBSTACLE_TYPES.LIGHTNING_ROD) {
+      this.cycleTime = (options.phase || 0) * (config.chargeTime + config.dischargeTime);
+    }
+
+    // 视觉效果
+    this.animationTime = 0;
+    this.hitFlash = 0; // 击中玩家时的闪光
+
+    // 伤害判定盒
+    const hitWidth = config.width * config.hitboxScale;
+    const hitHeight = config.height * config.hitboxScale;
+    this.collisionBox = {
+      x: -hitWidth / 2,
+      y: -hitHeight / 2,
+      width: hitWidth,
+      height: hitHeight
+    };
+
+    this.type = 'obstacle';
+    this.addTag('obstacle');
+    this.addTag('hazard');
+  }
+
+  /**
+   * 更新障碍物
+   * @param {number} deltaTime - 时间间隔
+   */
+  update(deltaTime) {
+    this.animationTime += deltaTime;
+    this.hitFlash = Math.max(0, this.hitFlash - deltaTime * 3);
+
+    if (this.obstacleType === OBSTACLE_TYPES.LIGHTNING_ROD) {
+      const period = this.config.chargeTime + this.config.dischargeTime;
+      this.cycleTime = (this.cycleTime + deltaTime) % period;
+    }
+
+    super.update(deltaTime);
+  }
+
+  /**
+   * 是否正在放电（仅避雷针）
+   */
+  isDischarging() {
+    return this.obstacleType === OBSTACLE_TYPES.LIGHTNING_ROD &&
+      this.cycleTime >= this.config.chargeTime;
+  }
+
+  /**
+   * 当前是否会造成伤害
+   */
+  isHarmful() {
+    if (this.destroyed) return false;
+    if (this.obstacleType === OBSTACLE_TYPES.LIGHTNING_ROD) {
+      return this.isDischarging();
+    }
+    return true;
+  }
+
+  /**
+   * 检查与玩家的碰撞
+   *
+   * 障碍物使用玩家的整个身体进行碰撞检测；避雷针放电时按电弧半径判定。
+   *
+   * @param {Player} player - 玩家对象
+   * @returns {boolean} 是否碰到
+   */
+  checkCollisionWithPlayer(player) {
+    if (!this.isHarmful()) return false;
+
+    const playerLeft = player.x - player.width/2;
+    const playerRight = player.x + player.width/2;
+    const playerTop = player.y - player.height/2;
+    const playerBottom = player.y + player.height/2;
+
+    if (this.obstacleType === OBSTACLE_TYPES.LIGHTNING_ROD) {
+      // 电弧从针尖向四周放出：取玩家身体上离针尖最近的点
+      const tipY = this.y - this.height / 2;
+      const nearestX = Math.max(playerLeft, Math.min(this.x, playerRight));
+      const nearestY = Math.max(playerTop, Math.min(tipY, playerBottom));
+      const dx = nearestX - this.x;
+      const dy = nearestY - tipY;
+      if (dx * dx + dy * dy <= this.config.arcRadius * this.config.arcRadius) {
+        return true;
+      }
+    }
+
+    const left = this.x + this.collisionBox.x;
+    const right = left + this.collisionBox.width;
+    const top = this.y + this.collisionBox.y;
+    const bottom = top + this.collisionBox.height;
+
+    return !(right < playerLeft ||
+             left > playerRight ||
+             bottom < playerTop ||
+             top > playerBottom);
+  }
+
+  /**
+   * 玩家碰到障碍物
+   *
+   * @param {Player} player - 玩家对象
+   * @returns {boolean} 是否造成了伤害（无敌或护盾抵挡时为false）
+   */
+  onPlayerHit(player) {
+    if (!player || !player.takeDamage || player.isInvulnerable) return false;
+
+    const livesBefore = player.lives;
+    player.takeDamage(this.config.damage, this.obstacleType);
+    const damaged = player.lives < livesBefore;
+
+    this.hitFlash = 1;
+
+    // 冰晶额外冰冻玩家（冰冻免疫时无效）
+    if (damaged && this.obstacleType === OBSTACLE_TYPES.ICE_CRYSTAL && !player.destroyed && player.freeze) {
+      player.freeze(this.config.freezeDuration);
+    }
+
+    return damaged;
+  }
+
+  /**
+   * 渲染障碍物
+   * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+   */
+  render(ctx) {
+    if (this.destroyed || !this.visible) return;
+
+    ctx.save();
+    ctx.translate(this.x, this.y);
+
+    switch (this.obstacleType) {
+      case OBSTACLE_TYPES.ICE_CRYSTAL:
+        this.renderIceCrystal(ctx);
+        break;
+      case OBSTACLE_TYPES.LIGHTNING_ROD:
+        this.renderLightningRod(ctx);
+        break;
+      case OBSTACLE_TYPES.THORN_CLUSTER:
+        this.renderThornCluster(ctx);
+        break;
+    }
+
+    // 击中闪光
+    if (this.hitFlash > 0) {
+      ctx.globalAlpha = this.hitFlash * 0.6;
+      ctx.fillStyle = '#FFFFFF';
+      ctx.beginPath();
+      ctx.arc(0, 0, Math.max(this.width, this.height) * 0.6, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * 冰晶：几枚向上的尖棱，缓慢闪烁
+   */
+  renderIceCrystal(ctx) {
+    const halfWidth = this.width / 2;
+    const halfHeight = this.height / 2;
+    const shimmer = 0.75 + 0.25 * Math.sin(this.animationTime * 3);
+    const shards = [
+      { x: -halfWidth * 0.55, height: halfHeight * 1.2, width: 9 },
+      { x: 0, height: halfHeight * 2, width: 12 },
+      { x: halfWidth * 0.55, height: halfHeight * 1.4, width: 9 }
+    ];
+
+    ctx.globalAlpha = shimmer;
+    ctx.strokeStyle = this.config.edgeColor;
+    ctx.lineWidth = 1.5;
+    for (const shard of shards) {
+      ctx.fillStyle = this.config.color;
+      ctx.beginPath();
+      ctx.moveTo(shard.x - shard.width / 2, halfHeight);
+      ctx.lineTo(shard.x, halfHeight - shard.height);
+      ctx.lineTo(shard.x + shard.width / 2, halfHeight);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    // 高光
+    ctx.globalAlpha = shimmer * 0.8;
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.moveTo(-2, halfHeight - 6);
+    ctx.lineTo(-1, -halfHeight + 8);
+    ctx.stroke();
+  }
+
+  /**
+   * 避雷针：金属针和底座，蓄电时针尖逐渐变亮，放电时向四周放出电弧
+   */
+  renderLightningRod(ctx) {
+    const halfHeight = this.height / 2;
+    const tipY = -halfHeight;
+    const charge = Math.min(1, this.cycleTime / this.config.chargeTime);
+
+    // 底座和针身
+    ctx.fillStyle = '#455A64';
+    ctx.fillRect(-this.width / 2, halfHeight - 8, this.width, 8);
+    ctx.strokeStyle = '#B0BEC5';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(0, halfHeight - 8);
+    ctx.lineTo(0, tipY);
+    ctx.stroke();
+
+    // 针尖光球：蓄电越满越亮
+    ctx.globalAlpha = 0.3 + charge * 0.7;
+    ctx.fillStyle = this.config.color;
+    ctx.beginPath();
+    ctx.arc(0, tipY, 3 + charge * 3, 0, Math.PI * 2);
+    ctx.fill();
+
+    if (this.isDischarging()) {
+      // 电弧（折线，随时间变换形状）
+      const radius = this.config.arcRadius;
+      ctx.globalAlpha = 0.9;
+      ctx.strokeStyle = this.config.color;
+      ctx.lineWidth = 2;
+      for (let i = 0; i < 5; i++) {
+        const angle = i * Math.PI * 2 / 5 + this.animationTime * 7;
+        ctx.beginPath();
+        ctx.moveTo(0, tipY);
+        for (let j = 1; j <= 3; j++) {
+          const distance = radius * j / 3;
+          const jitter = Math.sin(this.animationTime * 40 + i * 3 + j) * 5;
+          ctx.lineTo(
+            Math.cos(angle) * distance - Math.sin(angle) * jitter,
+            tipY + Math.sin(angle) * distance + Math.cos(angle) * jitter
+          );
+        }
+        ctx.stroke();
+      }
+
+      // 电弧范围
+      ctx.globalAlpha = 0.2;
+      ctx.beginPath();
+      ctx.arc(0, tipY, radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * 荆棘丛：交错的枝条和尖刺
+   */
+  renderThornCluster(ctx) {
+    const halfWidth = this.width / 2;
+    const halfHeight = this.height / 2;
+
+    // 枝条
+    ctx.fillStyle = this.config.color;
+    ctx.beginPath();
+    ctx.ellipse(0, halfHeight * 0.3, halfWidth, halfHeight * 0.7, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 尖刺（轻微摆动）
+    ctx.fillStyle = this.config.edgeColor;
+    ctx.strokeStyle = '#1B1B1B';
+    ctx.lineWidth = 1;
+    const sway = Math.sin(this.animationTime * 2) * 1.5;
+    const thorns = 7;
+    for (let i = 0; i < thorns; i++) {
+      const angle = Math.PI + (i + 0.5) * Math.PI / thorns;
+      const baseX = Math.cos(angle) * halfWidth * 0.85;
+      const baseY = halfHeight * 0.3 + Math.sin(angle) * halfHeight * 0.6;
+      const tipX = Math.cos(angle) * (halfWidth + 6) + sway;
+      const tipY = halfHeight * 0.3 + Math.sin(angle) * (halfHeight + 8);
+      ctx.beginPath();
+      ctx.moveTo(baseX - 4, baseY);
+      ctx.lineTo(tipX, tipY);
+      ctx.lineTo(baseX + 4, baseY);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * 获取状态信息
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      obstacleType: this.obstacleType,
+      harmful: this.isHarmful()
+    };
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * @file platform-registry.js
+ * @description 天使下凡一百层游戏平台类型注册表
+ *
+ * 每种平台类型是一个自成一体的行为模块（platform-types/ 目录下），按类型ID注册。
+ * 平台、平台对象池、关卡生成器（含可达性验证）、计分、资源预加载和关卡编辑器都从注册表查找类型，
+ * 新增平台类型只需编写一个行为模块并注册，不用改动 Platform 本身。
+ *
+ * 行为对象的字段（除 id 外均可省略）：
+ * - id：类型ID，即平台的 platformType
+ * - name：显示名称（关卡编辑器）
+ * - color / edgeColor：主色和边框色（没有图像时纯色渲染，也用于图像着色）
+ * - image：平台图像路径（游戏预加载时交给资源管理器）
+ * - sound：类型音效，音频管理器的方法名（钩子中用 platform.playTypeSound() 播放）
+ * - shockwave：首次踩踏的冲击波 { color, radius（平台宽度的倍数）, lineWidth }
+ * - score：踩过并安全离开（到达下一层前未受伤）的得分，省略时不计分
+ * - generation：关卡生成参数 { width：基础宽度, applyDifficulty(platform, difficulty)：按本层难度调整属性,
+ *     holdsCollectibles：能否放置生命果实和道具（默认true）, structureSource：能否改造成平台组合（默认true） }
+ * - reachability：可达性验证（见 reachability-analyzer.js），省略时按稳定平台处理
+ *   { catchSpan(platform, halfWidth)：着陆区间 [左, 右]（halfWidth 为静止时的着陆半宽）,
+ *     takeoff(platform, landing, analyzer)：着陆后的起跳支撑点（可用 analyzer 的 edgeTakeoff / spanTakeoff / walkTakeoff）,
+ *     shift(platform, dx)：修补不可达的层时水平移动平台 }
+ * - init(platform)：设置类型属性（创建平台和对象池复用时调用，maxSteps 默认-1、friction 默认1.0）
+ * - update(platform, deltaTime)：每逻辑帧更新（平台销毁后不再调用）
+ * - keepsVelocityOnLand：着陆时保留玩家的竖直速度、不算站在地面上（由 onStep 决定弹起速度）
+ * - onStep(platform, player)：玩家踩上平台，可返回要触发的游戏事件（GAME_EVENTS 中的值，事件数据为 { platform }）
+ * - renderOverlay(platform, ctx, x, y, width, height)：在平台图像上叠加颜色
+ * - renderDecorations(platform, ctx, x, y, width, height)：绘制类型装饰（矩形已计入缩放和震动）
+ *
+ * 钩子中影响玩法的随机数必须取自 platform.random（录像需要复现），纯视觉效果可以用 Math.random。
+ */
+
+import normal from './platform-types/normal.js';
+import fragile from './platform-types/fragile.js';
+import moving from './platform-types/moving.js';
+import disappearing from './platform-types/disappearing.js';
+import ice from './platform-types/ice.js';
+import bounce from './platform-types/bounce.js';
+import dangerous from './platform-types/dangerous.js';
+import conveyor from './platform-types/conveyor.js';
+import crumbling from './platform-types/crumbling.js';
+import teleporter from './platform-types/teleporter.js';
+import spring from './platform-types/spring.js';
+
+/**
+ * 已注册的平台类型（类型ID → 行为对象，保持注册顺序）
+ */
+const behaviors = new Map();
+
+/**
+ * 注册平台类型
+ *
+ * @param {Object} behavior - 行为对象（字段见文件说明）
+ * @returns {Object} 注册的行为对象
+ * @throws {Error} 缺少ID或ID已注册时抛出
+ */
+export function registerPlatformType(behavior) {
+  if (!behavior || typeof behavior.id !== 'string' || behavior.id.length === 0) {
+    throw new Error('平台类型缺少ID');
+  }
+  if (behaviors.has(behavior.id)) {
+    throw new Error(`平台类型已注册: ${behavior.id}`);
+  }
+  behaviors.set(behavior.id, behavior);
+  return behavior;
+}
+
+/**
+ * 平台类型的行为对象
+ *
+ * @param {string} type - 类型ID
+ * @returns {Object|null} 未注册时为null
+ */
+export function getPlatformBehavior(type) {
+  return behaviors.get(type) || null;
+}
+
+/**
+ * 类型是否已注册
+ *
+ * @param {string} type - 类型ID
+ * @returns {boolean}
+ */
+export function hasPlatformType(type) {
+  return behaviors.has(type);
+}
+
+/**
+ * 所有已注册的类型ID（按注册顺序）
+ *
+ * @returns {Array<string>}
+ */
+export function getPlatformTypeIds() {
+  return Array.from(behaviors.keys());
+}
+
+/**
+ * 各平台类型的图像路径
+ *
+ * @returns {Object} { 类型ID: 路径 }，没有图像的类型不列出
+ */
+export function getPlatformImagePaths() {
+  const paths = {};
+  for (const [type, behavior] of behaviors) {
+    if (behavior.image) {
+      paths[type] = behavior.image;
+    }
+  }
+  return paths;
+}
+
+// 内置平台类型
+[
+  normal,
+  fragile,
+  moving,
+  disappearing,
+  ice,
+  bounce,
+  dangerous,
+  conveyor,
+  crumbling,
+  teleporter,
+  spring
+].forEach(registerPlatformType);
@@ -0,0 +1,127 @@
+/**
+ * @file bounce.js
+ * @description 弹跳平台：把天使高高弹起，伴随能量环和能量粒子
+ */
+
+import { getHost } from '../../../runtime/host.js';
+import { GAME_EVENTS } from '../../../event-manager.js';
+
+export default {
+  id: 'bounce',
+  name: '弹跳',
+  color: '#32CD32',     // 绿色，表示弹跳
+  edgeColor: '#228B22', // 森林绿边框
+  image: 'images/platforms/platform_bounce.png',
+  shockwave: { color: '#00FF00', radius: 2.2, lineWidth: 5 }, // 亮绿色
+  keepsVelocityOnLand: true, // 着陆后由 onStep 直接弹起
+  
+  generation: {
+    width: 120
+  },
+  
+  reachability: {
+    // 反复弹跳可在平台上任意调整位置，每次都以向上的初速度起跳
+    takeoff: (platform, landing, analyzer) =>
+      analyzer.spanTakeoff(platform, -analyzer.config.bounceSpeed * (platform.bounciness || 1))
+  },
+  
+  init(platform) {
+    platform.bounciness = 1.5; // 弹跳力度
+  },
+  
+  onStep(platform, player) {
+    // 安全检查：确保player和velocity存在
+    if (!player || !player.velocity) return;
+    
+    // 给玩家强力的向上速度
+    player.velocity.y = -400 * platform.bounciness;
+    
+    // 玩家不再在地面上（开始弹跳）
+    player.onGround = false;
+    
+    // 增强的弹跳特效
+    platform.impactTime = 0.6;          // 冲击效果持续时间
+    platform.impactIntensity = 1.0;     // 最大冲击强度
+    platform.glowIntensity = 1.5;       // 强烈发光
+    platform.shakeAmount = 2;           // 轻微震动效果（弹跳时需要）
+    
+    // 弹性压缩效果（改用动画而不是setTimeout）
+    platform.scale.y = 0.6;             // 更强的压缩
+    platform.scale.x = 1.2;             // 水平扩张
+    
+    // 创建弹跳粒子特效
+    platform.createBounceParticles();
+    
+    // 创建能量环效果
+    platform.energyRings.push({
+      radius: 0,
+      maxRadius: platform.width * 1.5,
+      life: 1.0,
+      alpha: 0.8
+    });
+    
+    // 如果有多个环，创建延迟环
+    getHost().setTimeout(() => {
+      if (platform.energyRings) {
+        platform.energyRings.push({
+          radius: 0,
+          maxRadius: platform.width * 2.0,
+          life: 1.0,
+          alpha: 0.6
+        });
+      }
+    }, 100);
+    
+    return GAME_EVENTS.PLAYER_BOUNCED;
+  },
+  
+  renderDecorations(platform, ctx, x, y, width, height) {
+    // 绘制能量环效果
+    for (const ring of platform.energyRings) {
+      ctx.strokeStyle = `rgba(0, 255, 100, ${ring.alpha})`;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(platform.x, platform.y, ring.radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    // 增强的弹簧图案
+    const springGlow = 0.5 + platform.impactIntensity * 0.5;
+    ctx.strokeStyle = `rgba(255, 215, 0, ${springGlow})`;
+    ctx.lineWidth = 3 + platform.impactIntensity * 2;
+    ctx.beginPath();
+    
+    // 弹簧螺旋效果（带动画）
+    for (let i = 0; i < 4; i++) {
+      const springX = x + (i + 1) * width / 5;
+      const segments = 6;
+      let lastY = y + 3;
+      
+      ctx.moveTo(springX, lastY);
+      for (let j = 1; j < segments; j++) {
+        const segmentY = y + 3 + (j * (height - 6) / segments);
+        const zigzag = (j % 2 === 0) ? -3 : 3;
+        const animatedZigzag = zigzag * (1 + platform.impactIntensity * 0.5);
+        ctx.lineTo(springX + animatedZigzag, segmentY);
+      }
+      ctx.lineTo(springX, y + height - 3);
+    }
+    ctx.stroke();
+    
+    // 底部波纹效果
+    if (platform.impactIntensity > 0) {
+      const waveHeight = 6 * platform.impactIntensity;
+      const waveFreq = 8;
+      ctx.strokeStyle = `rgba(0, 255, 100, ${platform.impactIntensity * 0.6})`;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, y + height + 5);
+      
+      for (let px = 0; px <= width; px += 2) {
+        const waveY = y + height + 5 + Math.sin((px / width) * Math.PI * waveFreq) * waveHeight;
+        ctx.lineTo(x + px, waveY);
+      }
+      ctx.stroke();
+    }
+  }
+};
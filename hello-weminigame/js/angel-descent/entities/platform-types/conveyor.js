@@ -0,0 +1,74 @@
+/**
+ * @file conveyor.js
+ * @description 传送带平台：站在上面时被推向一侧，箭头沿推动方向滚动
+ */
+
+export default {
+  id: 'conveyor',
+  name: '传送带',
+  color: '#607D8B',     // 蓝灰色，表示传送带
+  edgeColor: '#37474F', // 深蓝灰色边框
+  image: 'images/platforms/platform_normal.png', // 复用普通平台，渲染时添加蓝灰色覆盖
+  sound: 'playConveyorStart',
+  shockwave: { color: '#B0BEC5', radius: 1.5, lineWidth: 3 }, // 浅蓝灰色
+  score: 15,           // 安全通过得分
+  
+  generation: {
+    width: 120, // 较宽，留出被推动的余地
+    applyDifficulty(platform, difficulty) {
+      // 推动速度随难度增加，方向由平台随机数决定
+      platform.conveyorSpeed = 60 + difficulty.specialPlatformChance * 60;
+      platform.conveyorDirection = platform.random && platform.random.chance(0.5) ? -1 : 1;
+    }
+  },
+  
+  init(platform) {
+    platform.conveyorSpeed = 70; // 推动速度（像素/秒）
+    platform.conveyorDirection = 1; // 1向右，-1向左
+    platform.beltOffset = 0; // 传送带纹理滚动偏移
+  },
+  
+  update(platform, deltaTime) {
+    // 传送带纹理随推动方向滚动
+    platform.beltOffset = (platform.beltOffset + platform.conveyorSpeed * platform.conveyorDirection * deltaTime) % 16;
+  },
+  
+  /**
+   * 玩家站立时每次接触都会刷新推动，离开平台后推动很快结束
+   */
+  onStep(platform, player) {
+    if (!player || !player.applyConveyor) return;
+    
+    if (platform.stepCount === 1) {
+      platform.playTypeSound();
+    }
+    
+    player.applyConveyor(platform.conveyorSpeed * platform.conveyorDirection);
+  },
+  
+  renderOverlay(platform, ctx, x, y, width, height) {
+    platform.tintImage(ctx, x, y, width, height);
+  },
+  
+  renderDecorations(platform, ctx, x, y, width, height) {
+    // 沿推动方向滚动的箭头
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, width, height);
+    ctx.clip();
+    
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.lineWidth = 2;
+    const direction = platform.conveyorDirection;
+    const midY = y + height / 2;
+    for (let px = -16 + platform.beltOffset; px < width + 16; px += 16) {
+      const tipX = x + px + direction * 4;
+      ctx.beginPath();
+      ctx.moveTo(tipX - direction * 5, midY - 5);
+      ctx.lineTo(tipX, midY);
+      ctx.lineTo(tipX - direction * 5, midY + 5);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+};
@@ -0,0 +1,110 @@
+/**
+ * @file crumbling.js
+ * @description 崩塌链平台：踩到一节后，整条链从这一节开始向两侧依次崩塌
+ *
+ * 同一条链的平台由关卡生成器设置 chain（链上所有平台）和 chainIndex（序号）。
+ */
+
+export default {
+  id: 'crumbling',
+  name: '崩塌',
+  color: '#A1887F',     // 浅褐色，表示风化的石块
+  edgeColor: '#5D4037', // 深褐色边框
+  image: 'images/platforms/platform_normal.png', // 复用普通平台，渲染时添加褐色覆盖
+  sound: 'playPlatformCrumble',
+  shockwave: { color: '#D7CCC8', radius: 1.8, lineWidth: 3 }, // 浅褐色
+  score: 35,           // 安全通过得分
+  
+  generation: {
+    applyDifficulty(platform, difficulty) {
+      platform.crumbleDelay = Math.max(0.35, 0.8 - difficulty.specialPlatformChance * 0.5);
+    }
+  },
+  
+  reachability: {
+    // 崩塌前能走多远，崩塌后从所在位置下落（被踩的一节最先崩塌）
+    takeoff: (platform, landing, analyzer) => analyzer.walkTakeoff(platform, landing, platform.crumbleDelay || 0)
+  },
+  
+  init(platform) {
+    platform.chain = null; // 同一条崩塌链的所有平台（由关卡生成器设置）
+    platform.chainIndex = 0; // 在链中的序号
+    platform.crumbleDelay = 0.6; // 被踩的一节崩塌前的延迟（秒）
+    platform.crumbleInterval = 0.25; // 相邻两节崩塌的间隔（秒）
+    platform.crumbleTimer = 0; // 崩塌倒计时
+    platform.crumbleTriggered = false;
+  },
+  
+  update(platform, deltaTime) {
+    if (!platform.crumbleTriggered) return;
+    
+    platform.crumbleTimer -= deltaTime;
+    
+    // 越接近崩塌震动越强
+    const progress = 1 - Math.max(0, platform.crumbleTimer) / (platform.crumbleDelay + platform.crumbleInterval * 2);
+    platform.shakeAmount = Math.max(platform.shakeAmount, 1 + progress * 5);
+    platform.crackProgress = Math.max(platform.crackProgress, progress);
+    
+    if (platform.crumbleTimer <= 0) {
+      platform.breakPlatform();
+    }
+  },
+  
+  onStep(platform, player) {
+    platform.impactTime = 0.3;
+    platform.shakeAmount = Math.max(platform.shakeAmount, 3);
+    
+    if (platform.crumbleTriggered) return;
+    
+    const links = platform.chain || [platform];
+    for (const link of links) {
+      if (link.destroyed || link.crumbleTriggered || (link !== platform && link.chain !== platform.chain)) continue;
+      
+      link.crumbleTriggered = true;
+      link.crumbleTimer = link.crumbleDelay + Math.abs(link.chainIndex - platform.chainIndex) * link.crumbleInterval;
+    }
+    
+    platform.playTypeSound();
+  },
+  
+  renderOverlay(platform, ctx, x, y, width, height) {
+    platform.tintImage(ctx, x, y, width, height);
+  },
+  
+  renderDecorations(platform, ctx, x, y, width, height) {
+    // 石块接缝，触发后出现裂纹和掉落的碎屑
+    ctx.save();
+    ctx.strokeStyle = 'rgba(62, 39, 35, 0.7)';
+    ctx.lineWidth = 1.5;
+    
+    // 石块接缝
+    ctx.beginPath();
+    for (let i = 1; i < 3; i++) {
+      const seamX = x + width * i / 3;
+      ctx.moveTo(seamX, y);
+      ctx.lineTo(seamX + (i % 2 === 0 ? 3 : -3), y + height);
+    }
+    ctx.stroke();
+    
+    if (platform.crumbleTriggered) {
+      // 裂纹随崩塌进度加深
+      ctx.strokeStyle = `rgba(62, 39, 35, ${0.5 + platform.crackProgress * 0.5})`;
+      ctx.lineWidth = 1 + platform.crackProgress * 2;
+      ctx.beginPath();
+      ctx.moveTo(x + width * 0.2, y);
+      ctx.lineTo(x + width * 0.45, y + height * platform.crackProgress);
+      ctx.moveTo(x + width * 0.8, y);
+      ctx.lineTo(x + width * 0.6, y + height * platform.crackProgress);
+      ctx.stroke();
+      
+      // 碎屑
+      ctx.fillStyle = `rgba(121, 85, 72, ${platform.crackProgress})`;
+      for (let i = 0; i < 4; i++) {
+        const debrisX = x + width * (0.15 + i * 0.23);
+        const debrisY = y + height + ((platform.animationTime * 40 + i * 7) % 14);
+        ctx.fillRect(debrisX, debrisY, 3, 3);
+      }
+    }
+    ctx.restore();
+  }
+};
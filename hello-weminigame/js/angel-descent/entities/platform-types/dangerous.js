@@ -0,0 +1,82 @@
+/**
+ * @file dangerous.js
+ * @description 危险平台：表面布满尖刺，踩上去有几率受伤
+ */
+
+export default {
+  id: 'dangerous',
+  name: '危险',
+  color: '#DC143C',     // 深红色，表示危险
+  edgeColor: '#8B0000', // 暗红色边框
+  image: 'images/platforms/platform_danger.png',
+  shockwave: { color: '#FF0000', radius: 1.6, lineWidth: 4 }, // 纯红色
+  score: 40,           // 安全通过得分
+  
+  generation: {
+    width: 115,
+    applyDifficulty(platform, difficulty) {
+      // 危险平台的伤害几率随层数增加
+      platform.damageChance = Math.min(0.5, 0.2 + difficulty.specialPlatformChance * 0.3);
+      platform.damageAmount = 1;
+    }
+  },
+  
+  init(platform) {
+    platform.damageChance = 0.3; // 30%几率造成伤害
+    platform.damageAmount = 1;
+  },
+  
+  onStep(platform, player) {
+    // 危险平台有几率对玩家造成伤害
+    const roll = platform.random ? platform.random.next() : Math.random();
+    if (roll < platform.damageChance && player && player.takeDamage) {
+      player.takeDamage(platform.damageAmount, 'dangerous_platform');
+      
+      // 创建伤害视觉效果
+      platform.createDamageEffect();
+    }
+    
+    // 危险平台会发光警告
+    platform.glowIntensity = Math.max(platform.glowIntensity, 0.8);
+  },
+  
+  renderDecorations(platform, ctx, x, y, width, height) {
+    // 使用视觉尺寸进行特效绘制，与图像渲染保持一致
+    const visualWidth = width * 1.4;
+    const visualHeight = height * 1.2;
+    const visualX = x - (visualWidth - width) / 2;
+    const visualY = y - (visualHeight - height) / 2;
+    
+    // 绘制增强的尖刺装饰
+    const spikeAnimation = Math.sin(platform.animationTime * 6) * 0.3; // 温和的动画幅度
+    
+    // 主要尖刺（从平台表面朝上）- 更大更明显
+    ctx.fillStyle = '#FF0000'; // 更鲜艳的红色
+    ctx.strokeStyle = '#8B0000'; // 深红色边框
+    ctx.lineWidth = 3; // 更粗的边框
+    
+    for (let i = 0; i < Math.floor(visualWidth / 10); i++) { // 更密集的尖刺
+      const spikeX = visualX + 6 + i * 10;
+      const spikeHeight = 15 + spikeAnimation * 3; // 适度的尖刺高度变化
+      ctx.beginPath();
+      ctx.moveTo(spikeX, visualY);
+      ctx.lineTo(spikeX - 7, visualY + spikeHeight); // 更宽的底部
+      ctx.lineTo(spikeX + 7, visualY + spikeHeight);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+    
+    // 危险警告标记
+    ctx.fillStyle = '#FFFF00';
+    ctx.strokeStyle = '#FF5722'; // 一致的警告色
+    ctx.lineWidth = 3;
+    ctx.font = 'bold 18px Arial';
+    ctx.textAlign = 'center';
+    
+    // 绘制带边框的警告符号，使其更明显
+    const warningY = visualY + visualHeight/2 + 6;
+    ctx.strokeText('⚠', visualX + visualWidth/2, warningY);
+    ctx.fillText('⚠', visualX + visualWidth/2, warningY);
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * @file disappearing.js
+ * @description 消失平台：第一次被踩后开始倒计时，闪烁加快，倒计时结束时消失
+ */
+
+export default {
+  id: 'disappearing',
+  name: '消失',
+  color: '#FF69B4',     // 粉红色，表示会消失
+  edgeColor: '#FF1493', // 深粉红色边框
+  image: 'images/platforms/platform_normal.png', // 复用普通平台，渲染时添加粉色覆盖
+  sound: 'playPlatformVanish',
+  shockwave: { color: '#FF69B4', radius: 1.7, lineWidth: 3 }, // 亮粉色
+  score: 30,           // 安全通过得分
+  
+  generation: {
+    width: 100,
+    holdsCollectibles: false, // 平台消失后果实和道具会悬空
+    applyDifficulty(platform, difficulty) {
+      platform.disappearDelay = Math.max(0.5, 1.5 - difficulty.specialPlatformChance);
+    }
+  },
+  
+  reachability: {
+    // 消失前能走多远，消失后从所在位置下落
+    takeoff: (platform, landing, analyzer) => analyzer.walkTakeoff(platform, landing, platform.disappearDelay || 0)
+  },
+  
+  init(platform) {
+    platform.maxSteps = 1; // 踩一次就消失
+    platform.disappearDelay = 1.0; // 消失延迟
+    platform.disappearTimer = 0;
+  },
+  
+  update(platform, deltaTime) {
+    // 倒计时未启动（disappearTimer 为0）时什么也不做
+    if (platform.disappearTimer <= 0) return;
+    
+    platform.disappearTimer -= deltaTime;
+    
+    // 计算消失进度 (0 = 开始消失, 1 = 完全消失)
+    const disappearProgress = 1 - (platform.disappearTimer / platform.disappearDelay);
+    platform.dissolveEffect = disappearProgress;
+    
+    // 闪烁警告效果 - 随着时间加快
+    const flashSpeed = 3 + disappearProgress * 5;
+    platform.flashTime += deltaTime * flashSpeed;
+    
+    // 增强警告效果
+    platform.glowIntensity = 0.5 + Math.sin(platform.flashTime * 10) * 0.5;
+    platform.pulsePhase += deltaTime * 8;
+    
+    if (platform.disappearTimer <= 0) {
+      // 创建消失特效
+      platform.createVanishEffect();
+      // 消失平台消失
+      platform.destroy();
+    }
+  },
+  
+  onStep(platform, player) {
+    // 消失平台第一次被踩踏时就开始倒计时
+    if (platform.stepCount !== 1 || platform.disappearTimer > 0) return;
+    
+    // 开始消失倒计时，但不造成伤害
+    platform.disappearTimer = platform.disappearDelay;
+    platform.flashTime = 0; // 重置闪烁计时器
+    
+    // 播放消失音效 - 在玩家踩上去时立即播放
+    platform.playTypeSound();
+    
+    // 消失特效
+    platform.impactTime = 0.4;
+    platform.impactIntensity = 0.7;
+    platform.glowIntensity = 1.0;
+    platform.shakeAmount = 2;  // 轻微震动提示即将消失
+    
+    // 消失平台只是消失，不直接伤害玩家
+    // 玩家需要在平台消失前跳到其他平台
+  },
+  
+  renderOverlay(platform, ctx, x, y, width, height) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'screen';
+    ctx.fillStyle = '#FF0080'; // 极其鲜艳的粉色 (Magenta/Hot Pink)
+    ctx.globalAlpha = 0.8;
+    ctx.fillRect(x, y, width, height);
+    ctx.restore();
+  }
+};
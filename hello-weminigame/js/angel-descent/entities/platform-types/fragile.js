@@ -0,0 +1,131 @@
+/**
+ * @file fragile.js
+ * @description 易碎平台：踩几次就碎，每次踩踏都变得更红、裂纹更深
+ */
+
+import { GAME_EVENTS } from '../../../event-manager.js';
+
+export default {
+  id: 'fragile',
+  name: '易碎',
+  color: '#8B4513',     // 棕色，表示易碎
+  edgeColor: '#654321', // 深棕色边框
+  image: 'images/platforms/platform_fragile.png',
+  shockwave: { color: '#FF6600', radius: 1.6, lineWidth: 3 }, // 更亮的橙红色
+  score: 25,           // 安全通过得分
+  
+  generation: {
+    width: 95,
+    applyDifficulty(platform, difficulty) {
+      platform.maxSteps = difficulty.fragilePlatformDurability;
+    }
+  },
+  
+  reachability: {
+    takeoff(platform, landing, analyzer) {
+      // 踩一次即碎时从着陆位置直接下落，否则可以走到边缘
+      if (platform.maxSteps > 0 && platform.maxSteps <= 1) {
+        return analyzer.walkTakeoff(platform, landing, 0);
+      }
+      return analyzer.edgeTakeoff(platform);
+    }
+  },
+  
+  init(platform) {
+    platform.maxSteps = 3; // 踩3次就碎
+  },
+  
+  onStep(platform, player) {
+    // 增强的震动效果
+    platform.shakeAmount = 6 + platform.stepCount * 2;
+    platform.impactTime = 0.4;
+    platform.impactIntensity = 0.8;
+    
+    // 逐渐增加裂纹
+    platform.crackProgress = Math.min(1.0, platform.stepCount / platform.maxSteps);
+    
+    // 检查是否需要破碎
+    if (platform.stepCount >= platform.maxSteps) {
+      // 易碎平台破碎时不造成直接伤害，只是消失
+      // 玩家需要找到其他平台落脚，如果掉落过深才会触发游戏失败
+      platform.breakPlatform();
+      return GAME_EVENTS.PLATFORM_BROKEN;
+    } else {
+      // 改变颜色警告，每次踩踏都变得更红
+      const damageRatio = platform.stepCount / platform.maxSteps;
+      const r = Math.floor(139 + (255 - 139) * damageRatio); // 从棕色变红
+      const g = Math.floor(69 * (1 - damageRatio));
+      const b = Math.floor(19 * (1 - damageRatio));
+      platform.color = `rgb(${r}, ${g}, ${b})`;
+      
+      // 强化发光警告
+      platform.glowIntensity = Math.max(platform.glowIntensity, damageRatio * 1.2);
+      
+      // 闪烁警告
+      platform.flashTime = 0.5;
+    }
+  },
+  
+  renderDecorations(platform, ctx, x, y, width, height) {
+    // 增强的裂纹渲染
+    if (platform.crackProgress <= 0) return;
+    
+    const crackAlpha = 0.6 + platform.impactIntensity * 0.4;
+    const crackWidth = 2 + platform.impactIntensity * 3;
+    
+    ctx.save();
+    ctx.strokeStyle = `rgba(139, 0, 0, ${crackAlpha})`;
+    ctx.lineWidth = crackWidth;
+    
+    // 主裂纹 - 动态生长
+    const mainCrackProgress = Math.min(1, platform.crackProgress * 3);
+    if (mainCrackProgress > 0) {
+      ctx.beginPath();
+      const endY = y + height * mainCrackProgress;
+      ctx.moveTo(x + width/4, y);
+      ctx.lineTo(x + width*3/4, endY);
+      ctx.stroke();
+    }
+    
+    // 第二条裂纹
+    const secondCrackProgress = Math.max(0, (platform.crackProgress - 0.33) * 3);
+    if (secondCrackProgress > 0) {
+      ctx.beginPath();
+      const endY = y + height * secondCrackProgress;
+      ctx.moveTo(x + width*3/4, y);
+      ctx.lineTo(x + width/4, endY);
+      ctx.stroke();
+    }
+    
+    // 第三条裂纹 - 垂直
+    const thirdCrackProgress = Math.max(0, (platform.crackProgress - 0.66) * 3);
+    if (thirdCrackProgress > 0) {
+      ctx.beginPath();
+      const endY = y + height * thirdCrackProgress;
+      ctx.moveTo(x + width/2, y);
+      ctx.lineTo(x + width/2, endY);
+      ctx.stroke();
+    }
+    
+    ctx.restore();
+    
+    // 碎片效果 - 在即将破碎时
+    if (platform.crackProgress > 0.8 && platform.impactIntensity > 0) {
+      ctx.save();
+      for (let i = 0; i < 5; i++) {
+        const debrisX = x + Math.random() * width;
+        const debrisY = y + Math.random() * height;
+        const debrisSize = 2 + Math.random() * 3;
+        
+        ctx.fillStyle = `rgba(139, 69, 19, ${platform.impactIntensity})`;
+        ctx.fillRect(
+          debrisX - debrisSize/2, 
+          debrisY - debrisSize/2, 
+          debrisSize, 
+          debrisSize
+        );
+      }
+      ctx.restore();
+    }
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * @file ice.js
+ * @description 冰块平台：摩擦力低，踩上去会把天使冻住一会儿（有冷却）
+ */
+
+export default {
+  id: 'ice',
+  name: '冰块',
+  color: '#87CEEB',     // 天蓝色，表示冰块
+  edgeColor: '#4682B4', // 钢蓝色边框
+  image: 'images/platforms/platform_normal.png', // 复用普通平台，渲染时添加蓝色覆盖
+  shockwave: { color: '#00BFFF', radius: 1.8, lineWidth: 4 }, // 深天蓝色
+  
+  generation: {
+    width: 105
+  },
+  
+  init(platform) {
+    platform.friction = 0.3; // 低摩擦力，滑溜
+    platform.lastFreezeTime = -Infinity; // 上次冰冻时间（平台自身时钟，未冰冻过为-Infinity）
+    platform.freezeCooldown = 3.0; // 冰冻冷却时间（秒）
+  },
+  
+  update(platform, deltaTime) {
+    // 冰块发光效果
+    platform.glowIntensity = 0.3 + Math.sin(platform.animationTime * 3) * 0.2;
+    // 表面光泽缓慢流动
+    platform.surfaceShine = (Math.sin(platform.animationTime * 1.5) + 1) * 0.3;
+  },
+  
+  onStep(platform, player) {
+    // 冰块特效增强
+    platform.impactTime = 0.5;
+    platform.impactIntensity = 0.4;
+    platform.surfaceShine = 1.0; // 强化表面光泽
+    platform.glowIntensity = Math.max(platform.glowIntensity, 0.8);
+    
+    // 检查冷却时间，防止重复冰冻
+    // 使用平台自身的逻辑时钟（animationTime随逻辑帧累加），保证录像回放结果一致
+    const currentTime = platform.animationTime;
+    if (player && player.freeze && (currentTime - platform.lastFreezeTime > platform.freezeCooldown)) {
+      player.freeze(2.0); // 冰冻2秒
+      platform.lastFreezeTime = currentTime; // 记录冰冻时间
+      
+      // 冰冻时的视觉效果
+      platform.shakeAmount = 2;
+      platform.flashTime = 0.5;
+    }
+  },
+  
+  renderOverlay(platform, ctx, x, y, width, height) {
+    // 冰块平台：使用platform_normal渲染成蓝色
+    ctx.save();
+    
+    // 第一层：白色打底，提亮底色
+    ctx.globalCompositeOperation = 'screen';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.globalAlpha = 0.6;
+    ctx.fillRect(x, y, width, height);
+    
+    // 第二层：蓝色覆盖
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = '#87CEEB'; // 天蓝色
+    ctx.globalAlpha = 0.8;
+    ctx.fillRect(x, y, width, height);
+    
+    // 第三层：深蓝色加强
+    ctx.globalCompositeOperation = 'overlay';
+    ctx.fillStyle = '#4682B4'; // 钢蓝色
+    ctx.globalAlpha = 0.5;
+    ctx.fillRect(x, y, width, height);
+    
+    ctx.restore();
+  },
+  
+  renderDecorations(platform, ctx, x, y, width, height) {
+    // 动态表面光泽效果（简化版）
+    const shineIntensity = platform.surfaceShine * (0.3 + platform.impactIntensity * 0.7);
+    const shineOffset = (platform.animationTime * 50) % (width + 20) - 10;
+    
+    // 移动的光泽条纹
+    if (shineIntensity > 0) {
+      const gradient = ctx.createLinearGradient(x + shineOffset - 10, y, x + shineOffset + 10, y);
+      gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+      gradient.addColorStop(0.5, `rgba(255, 255, 255, ${shineIntensity})`);
+      gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(x + shineOffset - 10, y, 20, height);
+    }
+    
+    // 边缘冰霜效果
+    ctx.fillStyle = `rgba(255, 255, 255, ${0.6 + platform.glowIntensity * 0.4})`;
+    ctx.fillRect(x + 2, y + 2, width - 4, 2);
+    ctx.fillRect(x + 2, y + height - 4, width - 4, 2);
+    
+    // 简化的边缘结霜 - 锯齿状效果
+    ctx.fillStyle = `rgba(240, 248, 255, ${0.8 + platform.impactIntensity * 0.2})`;
+    for (let i = 0; i < width; i += 12) { // 间距加大减少计算
+      const frostHeight = 2 + Math.sin(i * 0.5 + platform.animationTime * 3) * 1;
+      // 顶部结霜
+      ctx.fillRect(x + i, y - 1, 3, frostHeight);
+      // 底部结霜
+      ctx.fillRect(x + i, y + height - frostHeight + 1, 3, frostHeight);
+    }
+    
+    // 简化的冰晶装饰
+    ctx.fillStyle = `rgba(255, 255, 255, ${0.8 + platform.impactIntensity * 0.2})`;
+    for (let i = 0; i < 3; i++) {
+      const crystalX = x + (i + 1) * width / 4;
+      const crystalY = y + height / 2;
+      const crystalSize = 1 + platform.impactIntensity * 1;
+      
+      // 主冰晶
+      ctx.fillRect(crystalX - crystalSize, crystalY - crystalSize * 2, crystalSize * 2, crystalSize * 4);
+      ctx.fillRect(crystalX - crystalSize * 2, crystalY - crystalSize, crystalSize * 4, crystalSize * 2);
+    }
+    
+    // 冰花粒子效果（踩踏时）
+    if (platform.impactIntensity > 0) {
+      ctx.fillStyle = `rgba(173, 216, 230, ${platform.impactIntensity})`;
+      for (let i = 0; i < 6; i++) { // 减少粒子数量
+        const sparkleX = x + Math.random() * width;
+        const sparkleY = y + Math.random() * height;
+        const sparkleSize = 1 + Math.random() * 2;
+        ctx.fillRect(sparkleX, sparkleY, sparkleSize, sparkleSize);
+      }
+    }
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * @file moving.js
+ * @description 移动平台：在起点两侧往返移动，身后留下能量尾迹
+ */
+
+export default {
+  id: 'moving',
+  name: '移动',
+  color: '#FFD700',     // 金色，表示移动
+  edgeColor: '#FFA500', // 橙色边框
+  image: 'images/platforms/platform_normal.png', // 复用普通平台，渲染时添加金色覆盖
+  shockwave: { color: '#FFFF00', radius: 1.6, lineWidth: 3 }, // 纯黄色
+  
+  generation: {
+    width: 100,
+    holdsCollectibles: false, // 果实和道具不随平台移动
+    structureSource: false,   // 不改造成传送门或崩塌链
+    applyDifficulty(platform, difficulty) {
+      platform.moveSpeed = difficulty.movePlatformSpeed;
+    }
+  },
+  
+  reachability: {
+    // 在往返范围内任意位置都可能接住玩家
+    catchSpan(platform, halfWidth) {
+      const centerX = platform.startX !== undefined ? platform.startX : platform.x;
+      const range = halfWidth + (platform.moveRange || 0);
+      return [centerX - range, centerX + range];
+    },
+    // 平台移开后玩家在任意位置下落
+    takeoff: (platform, landing, analyzer) => analyzer.spanTakeoff(platform),
+    // 修补时连同往返中心一起平移
+    shift(platform, dx) {
+      platform.x += dx;
+      if (platform.startX !== undefined) {
+        platform.startX += dx;
+      }
+    }
+  },
+  
+  init(platform) {
+    platform.moveSpeed = 30; // 移动速度
+    platform.moveRange = 60; // 移动范围
+    platform.startX = platform.x;
+    platform.moveDirection = 1;
+  },
+  
+  update(platform, deltaTime) {
+    // 保存旧位置用于生成轨迹
+    const oldX = platform.x;
+    
+    // 水平移动
+    platform.x += platform.moveSpeed * platform.moveDirection * deltaTime;
+    
+    // 检查移动边界
+    if (platform.x <= platform.startX - platform.moveRange) {
+      platform.x = platform.startX - platform.moveRange;
+      platform.moveDirection = 1;
+    } else if (platform.x >= platform.startX + platform.moveRange) {
+      platform.x = platform.startX + platform.moveRange;
+      platform.moveDirection = -1;
+    }
+    
+    // 优化：添加粒子生成间隔控制，显著减少粒子生成频率
+    if (!platform.lastTrailTime) platform.lastTrailTime = 0;
+    const currentTime = Date.now();
+    
+    // 只有在平台明显移动且距离上次生成超过200ms时才生成粒子
+    if (Math.abs(platform.x - oldX) > 0.1 && 
+        (currentTime - platform.lastTrailTime) > 200 && 
+        Math.random() < 0.2) { // 概率从60%降到20%
+      platform.createMovingTrailParticles();
+      platform.lastTrailTime = currentTime;
+    }
+  },
+  
+  renderOverlay(platform, ctx, x, y, width, height) {
+    // 金色平台：使用多层渲染强制覆盖灰色
+    ctx.save();
+    
+    // 第一层：白色打底，提亮底色
+    ctx.globalCompositeOperation = 'screen';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.globalAlpha = 0.7;
+    ctx.fillRect(x, y, width, height);
+    
+    // 第二层：金色覆盖
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = '#FFD700';
+    ctx.globalAlpha = 0.9;
+    ctx.fillRect(x, y, width, height);
+    
+    // 第三层：再次金色加强
+    ctx.globalCompositeOperation = 'overlay';
+    ctx.fillStyle = '#FFA500';
+    ctx.globalAlpha = 0.6;
+    ctx.fillRect(x, y, width, height);
+    
+    ctx.restore();
+  },
+  
+  renderDecorations(platform, ctx, x, y, width, height) {
+    // 绘制方向箭头和移动轨迹
+    ctx.fillStyle = '#FFFF00';
+    ctx.beginPath();
+    
+    const arrowSize = 4;
+    const arrowY = y + height / 2;
+    
+    if (platform.moveDirection > 0) {
+      // 右箭头
+      ctx.moveTo(x + width - 8, arrowY);
+      ctx.lineTo(x + width - 8 - arrowSize, arrowY - arrowSize);
+      ctx.lineTo(x + width - 8 - arrowSize, arrowY + arrowSize);
+    } else {
+      // 左箭头
+      ctx.moveTo(x + 8, arrowY);
+      ctx.lineTo(x + 8 + arrowSize, arrowY - arrowSize);
+      ctx.lineTo(x + 8 + arrowSize, arrowY + arrowSize);
+    }
+    ctx.fill();
+    
+    // 绘制移动轨迹指示
+    ctx.strokeStyle = 'rgba(255, 255, 0, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, y + height + 5);
+    ctx.lineTo(x + width, y + height + 5);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * @file normal.js
+ * @description 普通平台：无限耐久，没有特殊效果
+ */
+
+export default {
+  id: 'normal',
+  name: '普通',
+  color: '#808080',     // 灰色，经典平台颜色
+  edgeColor: '#FFFFFF',
+  image: 'images/platforms/platform_normal.png',
+  shockwave: { color: '#FFFFFF', radius: 1.5, lineWidth: 3 } // 白色
+};
@@ -0,0 +1,126 @@
+/**
+ * @file spring.js
+ * @description 定时弹簧平台：周期性蓄能，蓄满时踩上去才会弹射，否则与普通平台相同
+ *
+ * 蓄能周期：蓄能 chargeTime 秒后进入蓄满状态，保持 armedTime 秒，未被触发则泄能重新蓄能。
+ */
+
+import { GAME_EVENTS } from '../../../event-manager.js';
+
+/**
+ * 是否已蓄满
+ */
+function isArmed(platform) {
+  return platform.chargeTimer >= platform.chargeTime;
+}
+
+/**
+ * 蓄能进度（0-1）
+ */
+function getChargeProgress(platform) {
+  return Math.min(1, platform.chargeTimer / platform.chargeTime);
+}
+
+export default {
+  id: 'spring',
+  name: '弹簧',
+  color: '#FF9800',     // 橙色，表示弹簧
+  edgeColor: '#E65100', // 深橙色边框
+  image: 'images/platforms/platform_bounce.png', // 复用弹跳平台，渲染时添加橙色覆盖
+  sound: 'playSpringLaunch',
+  shockwave: { color: '#FFB74D', radius: 1.8, lineWidth: 4 }, // 亮橙色
+  
+  generation: {
+    width: 100,
+    applyDifficulty(platform, difficulty) {
+      // 各弹簧的蓄能周期错开
+      if (platform.random) {
+        platform.chargeTimer = platform.random.next() * (platform.chargeTime + platform.armedTime);
+      }
+    }
+  },
+  
+  init(platform) {
+    platform.springPower = 1.8; // 弹射力度（与弹跳平台的 bounciness 含义相同）
+    platform.chargeTime = 1.5; // 蓄能时间（秒）
+    platform.armedTime = 0.6; // 蓄满后保持的时间（秒），超时未触发则泄能重新蓄能
+    platform.chargeTimer = 0; // 当前蓄能周期内经过的时间
+  },
+  
+  update(platform, deltaTime) {
+    platform.chargeTimer += deltaTime;
+    if (platform.chargeTimer >= platform.chargeTime + platform.armedTime) {
+      platform.chargeTimer = 0;
+    }
+    
+    if (isArmed(platform)) {
+      platform.glowIntensity = Math.max(platform.glowIntensity, 0.5 + Math.sin(platform.animationTime * 12) * 0.3);
+    }
+  },
+  
+  onStep(platform, player) {
+    if (!isArmed(platform) || !player || !player.velocity) return;
+    
+    player.velocity.y = -400 * platform.springPower;
+    player.onGround = false;
+    platform.chargeTimer = 0;
+    
+    platform.impactTime = 0.6;
+    platform.impactIntensity = 1.0;
+    platform.glowIntensity = 1.5;
+    platform.scale.y = 0.5;
+    platform.scale.x = 1.2;
+    platform.energyRings.push({
+      radius: 0,
+      maxRadius: platform.width * 1.5,
+      life: 1.0,
+      alpha: 0.8
+    });
+    
+    platform.playTypeSound();
+    return GAME_EVENTS.PLAYER_BOUNCED;
+  },
+  
+  renderOverlay(platform, ctx, x, y, width, height) {
+    platform.tintImage(ctx, x, y, width, height);
+  },
+  
+  renderDecorations(platform, ctx, x, y, width, height) {
+    // 弹簧图案和平台下方的蓄能条
+    const progress = getChargeProgress(platform);
+    const armed = isArmed(platform);
+    
+    ctx.save();
+    
+    // 弹簧线圈，蓄能越多压得越紧
+    ctx.strokeStyle = armed ? '#FFF59D' : 'rgba(255, 255, 255, 0.7)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const coilWidth = 4 - progress * 2;
+    const centerX = x + width / 2;
+    ctx.moveTo(centerX, y + 2);
+    for (let j = 1; j < 6; j++) {
+      ctx.lineTo(centerX + (j % 2 === 0 ? -coilWidth : coilWidth) * 2, y + 2 + j * (height - 4) / 6);
+    }
+    ctx.lineTo(centerX, y + height - 2);
+    ctx.stroke();
+    
+    // 蓄能条
+    const barY = y + height + 4;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.fillRect(x, barY, width, 4);
+    ctx.fillStyle = armed ? '#FFEB3B' : '#FF9800';
+    ctx.fillRect(x, barY, width * progress, 4);
+    
+    // 能量环（弹射时）
+    for (const ring of platform.energyRings) {
+      ctx.strokeStyle = `rgba(255, 152, 0, ${ring.alpha})`;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(platform.x, platform.y, ring.radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    ctx.restore();
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * @file teleporter.js
+ * @description 传送门平台：成对出现，踩上入口会被传送到下方的出口平台上
+ *
+ * 入口和出口由关卡生成器配对：入口的 teleportTarget 指向出口，出口的 teleportSource 指向入口。
+ */
+
+export default {
+  id: 'teleporter',
+  name: '传送门',
+  color: '#7C4DFF',     // 紫色，表示传送门
+  edgeColor: '#311B92', // 深紫色边框
+  image: 'images/platforms/platform_normal.png', // 复用普通平台，渲染时添加紫色覆盖
+  sound: 'playPlatformTeleport',
+  shockwave: { color: '#B388FF', radius: 2.0, lineWidth: 4 }, // 亮紫色
+  
+  generation: {
+    structureSource: false // 已经是平台组合，不再改造成崩塌链
+  },
+  
+  reachability: {
+    // 入口把玩家传送到出口平台，从出口平台的边缘下落；出口按稳定平台处理
+    takeoff: (platform, landing, analyzer) => analyzer.edgeTakeoff(platform.teleportTarget || platform)
+  },
+  
+  init(platform) {
+    platform.teleportTarget = null; // 入口：传送目标平台（由关卡生成器设置）
+    platform.teleportSource = null; // 出口：对应的入口平台
+    platform.portalPhase = 0; // 传送门旋转相位
+  },
+  
+  update(platform, deltaTime) {
+    platform.portalPhase = (platform.portalPhase + deltaTime * 3) % (Math.PI * 2);
+  },
+  
+  onStep(platform, player) {
+    platform.impactTime = 0.5;
+    platform.glowIntensity = Math.max(platform.glowIntensity, 1.2);
+    
+    const target = platform.teleportTarget;
+    if (!target || target.destroyed || !player || !player.teleportTo) return;
+    
+    // 出口平台表面上方1像素，下一帧自然落到出口平台上
+    player.teleportTo(target.x, target.y - target.height/2 - player.height/2 - 1);
+    
+    target.impactTime = 0.5;
+    target.glowIntensity = Math.max(target.glowIntensity, 1.2);
+    target.createShockwave();
+    
+    platform.playTypeSound();
+  },
+  
+  renderOverlay(platform, ctx, x, y, width, height) {
+    platform.tintImage(ctx, x, y, width, height);
+  },
+  
+  renderDecorations(platform, ctx, x, y, width, height) {
+    // 平台上方旋转的椭圆光环，入口紫色、出口青色
+    const isExit = platform.teleportSource !== null && platform.teleportTarget === null;
+    const color = isExit ? '0, 229, 255' : '179, 136, 255';
+    const centerX = x + width / 2;
+    const centerY = y - 10;
+    
+    ctx.save();
+    ctx.lineWidth = 2;
+    for (let i = 0; i < 3; i++) {
+      const phase = platform.portalPhase + i * Math.PI * 2 / 3;
+      const radiusX = width * (0.25 + 0.1 * Math.sin(phase));
+      ctx.strokeStyle = `rgba(${color}, ${0.35 + 0.25 * (1 + Math.sin(phase)) / 2 + platform.impactIntensity * 0.3})`;
+      ctx.beginPath();
+      ctx.ellipse(centerX, centerY, radiusX, 6 + i * 2, 0, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    // 入口标记向下箭头，出口标记圆点
+    ctx.fillStyle = `rgba(${color}, 0.9)`;
+    ctx.beginPath();
+    if (isExit) {
+      ctx.arc(centerX, y + height / 2, 3, 0, Math.PI * 2);
+    } else {
+      ctx.moveTo(centerX - 5, y + 4);
+      ctx.lineTo(centerX + 5, y + 4);
+      ctx.lineTo(centerX, y + height - 4);
+      ctx.closePath();
+    }
+    ctx.fill();
+    ctx.restore();
+  }
+};
@@ -1,13 +1,18 @@
 /**
  * @file platform.js
  * @description 天使下凡一百层游戏平台类
+ *
+ * Platform 负责所有平台共有的部分：碰撞、踩踏计数、震动/闪烁/冲击波/粒子等通用特效和渲染。
+ * 各平台类型的属性、更新、踩踏效果、装饰、音效和图像由 platform-types/ 下的行为模块提供，
+ * 按类型ID注册在 platform-registry.js 中，新增类型不用修改本文件。
  */
 
 import Sprite from '../core/sprite.js';
 import { resourceManager } from '../../runtime/resource-manager.js';
+import { getPlatformBehavior } from './platform-registry.js';
 
 /**
- * 平台类型枚举
+ * 内置平台类型ID（行为模块见 platform-types/）
  */
 export const PLATFORM_TYPES = {
   NORMAL: 'normal',          // 普通平台
@@ -16,9 +21,34 @@ export const PLATFORM_TYPES = {
   DISAPPEARING: 'disappearing', // 消失平台
   ICE: 'ice',               // 冰块平台（滑溜）
   BOUNCE: 'bounce',         // 弹跳平台
-  DANGEROUS: 'dangerous'    // 危险平台（会造成伤害）
+  DANGEROUS: 'dangerous',   // 危险平台（会造成伤害）
+  CONVEYOR: 'conveyor',     // 传送带平台（站立时被推向一侧）
+  CRUMBLING: 'crumbling',   // 崩塌链平台（踩到一节后整条链依次崩塌）
+  TELEPORTER: 'teleporter', // 传送门平台（成对出现，踩入口传送到下方的出口）
+  SPRING: 'spring'          // 定时弹簧平台（蓄能满时才弹射）
 };
 
+/**
+ * 未注册类型的冲击波样式
+ */
+const DEFAULT_SHOCKWAVE = { color: '#FFD700', radius: 1.5, lineWidth: 3 };
+
+/**
+ * 单轴扫掠：计算移动区间 [minA, maxA] 以位移 delta 移动时与静止区间 [minB, maxB] 重叠的时间段
+ * 
+ * @returns {Object|null} { entry, exit }（以本帧位移为单位），永不重叠时为null
+ */
+function sweepAxis(minA, maxA, minB, maxB, delta) {
+  if (delta === 0) {
+    // 不移动：当前重叠则全程重叠，否则永不重叠
+    return maxA > minB && minA < maxB ? { entry: -Infinity, exit: Infinity } : null;
+  }
+  
+  const entry = delta > 0 ? (minB - maxA) / delta : (maxB - minA) / delta;
+  const exit = delta > 0 ? (maxB - minA) / delta : (minB - maxA) / delta;
+  return { entry, exit };
+}
+
 /**
  * 平台类
  */
@@ -39,6 +69,12 @@ export default class Platform extends Sprite {
     // 防止重复触发的状态跟踪
     this.lastContactedPlayer = null;
     
+    // 玩法随机数生成器（由关卡生成器注入，未注入时退回Math.random）
+    this.random = null;
+    
+    // 在守护者竞技场中的角色（'floor' / 'exit' / 'pit'），普通平台为null
+    this.guardianRole = null;
+    
     // 物理属性（先初始化默认值）
     this.friction = 1.0; // 摩擦力（影响玩家水平移动）
     this.bounciness = 0; // 弹性（影响玩家垂直反弹）
@@ -87,54 +123,18 @@ export default class Platform extends Sprite {
 
   /**
    * 初始化类型特定属性
+   * 
+   * 按平台类型查找注册的行为模块（见 platform-registry.js），由行为模块设置类型属性。
+   * 对象池复用平台时修改 platformType 后也会重新调用。
    */
   initializeTypeProperties() {
-    switch (this.platformType) {
-      case PLATFORM_TYPES.NORMAL:
-        this.maxSteps = -1; // 无限耐久
-        this.friction = 1.0;
-        break;
-        
-      case PLATFORM_TYPES.FRAGILE:
-        this.maxSteps = 3; // 踩3次就碎
-        this.friction = 1.0;
-        break;
-        
-      case PLATFORM_TYPES.MOVING:
-        this.maxSteps = -1;
-        this.friction = 1.0;
-        this.moveSpeed = 30; // 移动速度
-        this.moveRange = 60; // 移动范围
-        this.startX = this.x;
-        this.moveDirection = 1;
-        break;
-        
-      case PLATFORM_TYPES.DISAPPEARING:
-        this.maxSteps = 1; // 踩一次就消失
-        this.disappearDelay = 1.0; // 消失延迟
-        this.disappearTimer = 0;
-        this.friction = 1.0;
-        break;
-        
-      case PLATFORM_TYPES.ICE:
-        this.maxSteps = -1;
-        this.friction = 0.3; // 低摩擦力，滑溜
-        this.lastFreezeTime = 0; // 上次冰冻时间
-        this.freezeCooldown = 3.0; // 冰冻冷却时间（秒）
-        break;
-        
-      case PLATFORM_TYPES.BOUNCE:
-        this.maxSteps = -1;
-        this.friction = 1.0;
-        this.bounciness = 1.5; // 弹跳力度
-        break;
-        
-      case PLATFORM_TYPES.DANGEROUS:
-        this.maxSteps = -1;
-        this.friction = 1.0;
-        this.damageChance = 0.3; // 30%几率造成伤害
-        this.damageAmount = 1;
-        break;
+    this.behavior = getPlatformBehavior(this.platformType);
+    
+    this.maxSteps = -1; // 默认无限耐久
+    this.friction = 1.0;
+    
+    if (this.behavior && this.behavior.init) {
+      this.behavior.init(this);
     }
   }
 
@@ -143,62 +143,16 @@ export default class Platform extends Sprite {
    * 所有平台使用统一的颜色方案，不随主题变化
    */
   getPlatformTypeColor(type) {
-    switch (type) {
-      case PLATFORM_TYPES.NORMAL:
-        return '#808080'; // 灰色，经典平台颜色
-        
-      case PLATFORM_TYPES.FRAGILE:
-        return '#8B4513'; // 棕色，表示易碎
-        
-      case PLATFORM_TYPES.MOVING:
-        return '#FFD700'; // 金色，表示移动
-        
-      case PLATFORM_TYPES.DISAPPEARING:
-        return '#FF69B4'; // 粉红色，表示会消失
-        
-      case PLATFORM_TYPES.ICE:
-        return '#87CEEB'; // 天蓝色，表示冰块
-        
-      case PLATFORM_TYPES.BOUNCE:
-        return '#32CD32'; // 绿色，表示弹跳
-        
-      case PLATFORM_TYPES.DANGEROUS:
-        return '#DC143C'; // 深红色，表示危险
-        
-      default:
-        return '#808080'; // 默认使用标准灰色
-    }
+    const behavior = getPlatformBehavior(type);
+    return behavior && behavior.color ? behavior.color : '#808080'; // 未注册的类型使用标准灰色
   }
 
   /**
    * 根据平台类型获取边框颜色
    */
   getPlatformTypeEdgeColor(type) {
-    switch (type) {
-      case PLATFORM_TYPES.NORMAL:
-        return '#FFFFFF';
-        
-      case PLATFORM_TYPES.FRAGILE:
-        return '#654321'; // 深棕色边框
-        
-      case PLATFORM_TYPES.MOVING:
-        return '#FFA500'; // 橙色边框
-        
-      case PLATFORM_TYPES.DISAPPEARING:
-        return '#FF1493'; // 深粉红色边框
-        
-      case PLATFORM_TYPES.ICE:
-        return '#4682B4'; // 钢蓝色边框
-        
-      case PLATFORM_TYPES.BOUNCE:
-        return '#228B22'; // 森林绿边框
-        
-      case PLATFORM_TYPES.DANGEROUS:
-        return '#8B0000'; // 暗红色边框
-        
-      default:
-        return '#FFFFFF';
-    }
+    const behavior = getPlatformBehavior(type);
+    return behavior && behavior.edgeColor ? behavior.edgeColor : '#FFFFFF';
   }
 
   /**
@@ -249,90 +203,11 @@ export default class Platform extends Sprite {
    * 更新类型特定逻辑
    */
   updateTypeSpecific(deltaTime) {
-    switch (this.platformType) {
-      case PLATFORM_TYPES.MOVING:
-        this.updateMovingPlatform(deltaTime);
-        break;
-        
-      case PLATFORM_TYPES.DISAPPEARING:
-        this.updateDisappearingPlatform(deltaTime);
-        break;
-        
-      case PLATFORM_TYPES.ICE:
-        this.updateIcePlatform(deltaTime);
-        break;
+    if (this.behavior && this.behavior.update) {
+      this.behavior.update(this, deltaTime);
     }
   }
 
-  /**
-   * 更新移动平台
-   */
-  updateMovingPlatform(deltaTime) {
-    // 保存旧位置用于生成轨迹
-    const oldX = this.x;
-    
-    // 水平移动
-    this.x += this.moveSpeed * this.moveDirection * deltaTime;
-    
-    // 检查移动边界
-    if (this.x <= this.startX - this.moveRange) {
-      this.x = this.startX - this.moveRange;
-      this.moveDirection = 1;
-    } else if (this.x >= this.startX + this.moveRange) {
-      this.x = this.startX + this.moveRange;
-      this.moveDirection = -1;
-    }
-    
-    // 优化：添加粒子生成间隔控制，显著减少粒子生成频率
-    if (!this.lastTrailTime) this.lastTrailTime = 0;
-    const currentTime = Date.now();
-    
-    // 只有在平台明显移动且距离上次生成超过200ms时才生成粒子
-    if (Math.abs(this.x - oldX) > 0.1 && 
-        (currentTime - this.lastTrailTime) > 200 && 
-        Math.random() < 0.2) { // 概率从60%降到20%
-      this.createMovingTrailParticles();
-      this.lastTrailTime = currentTime;
-    }
-  }
-
-  /**
-   * 更新消失平台
-   */
-  updateDisappearingPlatform(deltaTime) {
-    // 如果倒计时已启动（disappearTimer > 0），开始倒计时
-    if (this.disappearTimer > 0) {
-      this.disappearTimer -= deltaTime;
-      
-      // 计算消失进度 (0 = 开始消失, 1 = 完全消失)
-      const disappearProgress = 1 - (this.disappearTimer / this.disappearDelay);
-      this.dissolveEffect = disappearProgress;
-      
-      // 闪烁警告效果 - 随着时间加快
-      const flashSpeed = 3 + disappearProgress * 5;
-      this.flashTime += deltaTime * flashSpeed;
-      
-      // 增强警告效果
-      this.glowIntensity = 0.5 + Math.sin(this.flashTime * 10) * 0.5;
-      this.pulsePhase += deltaTime * 8;
-      
-      if (this.disappearTimer <= 0) {
-        // 创建消失特效
-        this.createVanishEffect();
-        // 消失平台消失
-        this.destroy();
-      }
-    }
-  }
-
-  /**
-   * 更新冰块平台
-   */
-  updateIcePlatform(deltaTime) {
-    // 冰块发光效果
-    this.glowIntensity = 0.3 + Math.sin(this.animationTime * 3) * 0.2;
-  }
-
   /**
    * 更新视觉效果
    */
@@ -393,11 +268,6 @@ export default class Platform extends Sprite {
       this.glowIntensity = 0; // 直接清零
     }
     
-    // 优化：简化持续动画，减少计算频率
-    if (this.platformType === PLATFORM_TYPES.ICE && hasActiveEffects) {
-      this.surfaceShine = (Math.sin(this.animationTime * 1.5) + 1) * 0.3; // 减慢动画
-    }
-    
     // 减少脉动更新频率
     if (hasActiveEffects) {
       this.pulsePhase += deltaTime * 2; // 减慢脉动
@@ -406,9 +276,12 @@ export default class Platform extends Sprite {
 
   /**
    * 玩家踩踏平台
+   * 
+   * @param {Player} player - 玩家
+   * @returns {string|null} 行为模块要求触发的游戏事件，没有时为null
    */
   onPlayerStep(player) {
-    if (!this.solid || this.destroyed) return false;
+    if (!this.solid || this.destroyed) return null;
     
     // 只有第一次被踩踏才创建冲击波
     const isFirstStep = !this.activated;
@@ -422,188 +295,27 @@ export default class Platform extends Sprite {
     }
     
     // 处理类型特定效果
-    this.handleTypeSpecificStep(player);
-    
-    return true;
+    return this.handleTypeSpecificStep(player);
   }
 
   /**
    * 处理类型特定的踩踏效果
    */
   handleTypeSpecificStep(player) {
-    switch (this.platformType) {
-      case PLATFORM_TYPES.FRAGILE:
-        this.handleFragileStep(player);
-        break;
-        
-      case PLATFORM_TYPES.DISAPPEARING:
-        this.handleDisappearingStep(player);
-        break;
-        
-      case PLATFORM_TYPES.BOUNCE:
-        this.handleBounceStep(player);
-        break;
-        
-      case PLATFORM_TYPES.ICE:
-        this.handleIceStep(player);
-        break;
-        
-      case PLATFORM_TYPES.DANGEROUS:
-        this.handleDangerousStep(player);
-        break;
-    }
-  }
-
-  /**
-   * 处理易碎平台踩踏
-   */
-  handleFragileStep(player) {
-    // 增强的震动效果
-    this.shakeAmount = 6 + this.stepCount * 2;
-    this.impactTime = 0.4;
-    this.impactIntensity = 0.8;
-    
-    // 逐渐增加裂纹
-    this.crackProgress = Math.min(1.0, this.stepCount / this.maxSteps);
-    
-    // 检查是否需要破碎
-    if (this.stepCount >= this.maxSteps) {
-      // 易碎平台破碎时不造成直接伤害，只是消失
-      // 玩家需要找到其他平台落脚，如果掉落过深才会触发游戏失败
-      this.breakPlatform();
-    } else {
-      // 改变颜色警告，每次踩踏都变得更红
-      const damageRatio = this.stepCount / this.maxSteps;
-      const r = Math.floor(139 + (255 - 139) * damageRatio); // 从棕色变红
-      const g = Math.floor(69 * (1 - damageRatio));
-      const b = Math.floor(19 * (1 - damageRatio));
-      this.color = `rgb(${r}, ${g}, ${b})`;
-      
-      // 强化发光警告
-      this.glowIntensity = Math.max(this.glowIntensity, damageRatio * 1.2);
-      
-      // 闪烁警告
-      this.flashTime = 0.5;
-    }
-  }
-
-  /**
-   * 处理消失平台踩踏
-   */
-  handleDisappearingStep(player) {
-    // 消失平台第一次被踩踏时就开始倒计时
-    if (this.stepCount === 1 && this.disappearTimer <= 0) {
-      // 开始消失倒计时，但不造成伤害
-      this.disappearTimer = this.disappearDelay;
-      this.flashTime = 0; // 重置闪烁计时器
-      
-      // 播放消失音效 - 在玩家踩上去时立即播放
-      if (this.audioManager) {
-        this.audioManager.playPlatformVanish();
-      }
-      
-      // 消失特效
-      this.impactTime = 0.4;
-      this.impactIntensity = 0.7;
-      this.glowIntensity = 1.0;
-      this.shakeAmount = 2;  // 轻微震动提示即将消失
-      
-      // 消失平台只是消失，不直接伤害玩家
-      // 玩家需要在平台消失前跳到其他平台
-      // 消失平台开始倒计时
-    }
-  }
-
-  /**
-   * 处理弹跳平台踩踏
-   */
-  handleBounceStep(player) {
-    // 安全检查：确保player和velocity存在
-    if (!player || !player.velocity) {
-      // 玩家对象或velocity属性未定义，跳过弹跳处理
-      return;
-    }
-    
-    // 给玩家强力的向上速度
-    player.velocity.y = -400 * this.bounciness;
-    
-    // 玩家不再在地面上（开始弹跳）
-    player.onGround = false;
-    
-    // 增强的弹跳特效
-    this.impactTime = 0.6;          // 冲击效果持续时间
-    this.impactIntensity = 1.0;     // 最大冲击强度
-    this.glowIntensity = 1.5;       // 强烈发光
-    this.shakeAmount = 2;           // 轻微震动效果（弹跳时需要）
-    
-    // 弹性压缩效果（改用动画而不是setTimeout）
-    this.scale.y = 0.6;             // 更强的压缩
-    this.scale.x = 1.2;             // 水平扩张
-    
-    // 创建弹跳粒子特效
-    this.createBounceParticles();
-    
-    // 创建能量环效果
-    this.energyRings.push({
-      radius: 0,
-      maxRadius: this.width * 1.5,
-      life: 1.0,
-      alpha: 0.8
-    });
-    
-    // 如果有多个环，创建延迟环
-    setTimeout(() => {
-      if (this.energyRings) {
-        this.energyRings.push({
-          radius: 0,
-          maxRadius: this.width * 2.0,
-          life: 1.0,
-          alpha: 0.6
-        });
-      }
-    }, 100);
-  }
-
-  /**
-   * 处理冰块平台踩踏
-   */
-  handleIceStep(player) {
-    // 冰块特效增强
-    this.impactTime = 0.5;
-    this.impactIntensity = 0.4;
-    this.surfaceShine = 1.0; // 强化表面光泽
-    this.glowIntensity = Math.max(this.glowIntensity, 0.8);
-    
-    // 创建冰花效果
-    this.createIceSparkles();
-    
-    // 检查冷却时间，防止重复冰冻
-    const currentTime = Date.now() / 1000; // 转换为秒
-    if (player && player.freeze && (currentTime - this.lastFreezeTime > this.freezeCooldown)) {
-      player.freeze(2.0); // 冰冻2秒
-      this.lastFreezeTime = currentTime; // 记录冰冻时间
-      
-      // 冰冻时的视觉效果
-      this.shakeAmount = 2;
-      this.flashTime = 0.5;
-      // 玩家被冰冻
+    if (this.behavior && this.behavior.onStep) {
+      return this.behavior.onStep(this, player) || null;
     }
+    return null;
   }
 
   /**
-   * 处理危险平台踩踏
+   * 播放平台类型的音效（行为模块的 sound，音频管理器的方法名）
    */
-  handleDangerousStep(player) {
-    // 危险平台有几率对玩家造成伤害
-    if (Math.random() < this.damageChance && player && player.takeDamage) {
-      player.takeDamage(this.damageAmount, 'dangerous_platform');
-      
-      // 创建伤害视觉效果
-      this.createDamageEffect();
+  playTypeSound() {
+    const sound = this.behavior && this.behavior.sound;
+    if (sound && this.audioManager && this.audioManager[sound]) {
+      this.audioManager[sound]();
     }
-    
-    // 危险平台会发光警告
-    this.glowIntensity = Math.max(this.glowIntensity, 0.8);
   }
 
   /**
@@ -630,53 +342,11 @@ export default class Platform extends Sprite {
       this.shockwaves.shift(); // 移除最旧的冲击波
     }
     
-    // 根据平台类型设置不同的冲击波颜色和大小
-    let color = '#FFFFFF';
-    let maxRadius = this.width * 1.5;
-    let maxLineWidth = 3;
-    
-    switch (this.platformType) {
-      case PLATFORM_TYPES.NORMAL:
-        color = '#FFFFFF'; // 白色 - 普通平台
-        maxRadius = this.width * 1.5;
-        maxLineWidth = 3;
-        break;
-      case PLATFORM_TYPES.BOUNCE:
-        color = '#00FF00'; // 亮绿色 - 弹跳平台
-        maxRadius = this.width * 2.2;
-        maxLineWidth = 5;
-        break;
-      case PLATFORM_TYPES.ICE:
-        color = '#00BFFF'; // 深天蓝色 - 冰块平台
-        maxRadius = this.width * 1.8;
-        maxLineWidth = 4;
-        break;
-      case PLATFORM_TYPES.DANGEROUS:
-        color = '#FF0000'; // 纯红色 - 危险平台
-        maxRadius = this.width * 1.6;
-        maxLineWidth = 4;
-        break;
-      case PLATFORM_TYPES.FRAGILE:
-        color = '#FF6600'; // 更亮的橙红色 - 易碎平台
-        maxRadius = this.width * 1.6; // 增大半径
-        maxLineWidth = 3; // 增加线宽
-        break;
-      case PLATFORM_TYPES.DISAPPEARING:
-        color = '#FF69B4'; // 亮粉色 - 消失平台
-        maxRadius = this.width * 1.7;
-        maxLineWidth = 3;
-        break;
-      case PLATFORM_TYPES.MOVING:
-        color = '#FFFF00'; // 纯黄色 - 移动平台
-        maxRadius = this.width * 1.6;
-        maxLineWidth = 3;
-        break;
-      default:
-        color = '#FFD700'; // 金色 - 默认未知平台
-        maxRadius = this.width * 1.5;
-        maxLineWidth = 3;
-        break;
-    }
+    // 冲击波颜色和大小由平台类型决定，未注册的类型使用金色
+    const style = (this.behavior && this.behavior.shockwave) || DEFAULT_SHOCKWAVE;
+    const color = style.color;
+    const maxRadius = this.width * style.radius;
+    const maxLineWidth = style.lineWidth;
     
     // 创建新冲击波
     const shockwave = {
@@ -694,13 +364,6 @@ export default class Platform extends Sprite {
     this.shockwaves.push(shockwave);
   }
 
-  /**
-   * 创建冰花效果
-   */
-  createIceSparkles() {
-    // 冰花粒子效果
-  }
-
   /**
    * 创建伤害效果
    */
@@ -1063,43 +726,89 @@ export default class Platform extends Sprite {
 
   /**
    * 检查与玩家的碰撞
+   * 
+   * @param {Player} player - 玩家
+   * @returns {boolean} 玩家是否落在平台上
    */
   checkCollisionWithPlayer(player) {
-    if (!this.solid || this.destroyed) return false;
+    if (this.getLandingTime(player) === null) return false;
+    
+    this.confirmContact(player);
+    return true;
+  }
+
+  /**
+   * 计算玩家本帧落到平台上的时刻（扫掠碰撞）
+   * 
+   * 用玩家脚步碰撞盒从上一逻辑帧位置扫到当前位置，与平台做扫掠AABB检测，
+   * 即使一帧内下落距离超过平台厚度也不会穿过平台。
+   * 移动平台按两者的相对位移计算。
+   * 
+   * @param {Player} player - 玩家
+   * @returns {number|null} 碰撞时刻（0-1，0表示帧初已重叠），未落到平台上时为null
+   */
+  getLandingTime(player) {
+    if (!this.solid || this.destroyed) return null;
     
-    // AABB碰撞检测 - 使用Player的精确脚步碰撞盒而不是整体尺寸
-    const playerLeft = player.x + player.collisionBox.x;
-    const playerRight = player.x + player.collisionBox.x + player.collisionBox.width;
-    const playerTop = player.y + player.collisionBox.y;
-    const playerBottom = player.y + player.collisionBox.y + player.collisionBox.height;
+    const box = player.collisionBox;
     
     // 使用视觉宽度进行碰撞检测，与渲染效果保持一致
-    const visualWidth = this.width * 1.4;
-    const platformLeft = this.x - visualWidth/2;
-    const platformRight = this.x + visualWidth/2;
-    const platformTop = this.y - this.height/2;
-    const platformBottom = this.y + this.height/2;
-    
-    // 检查重叠
-    const overlapping = playerRight > platformLeft && 
-                       playerLeft < platformRight && 
-                       playerBottom > platformTop && 
-                       playerTop < platformBottom;
-    
-    // 改进的着陆检测逻辑
+    const halfWidth = this.width * 1.4 / 2;
+    const halfHeight = this.height / 2;
+    
+    // 当前帧是否重叠（用于接触状态重置）
+    const overlapping = player.x + box.x + box.width > this.x - halfWidth &&
+                       player.x + box.x < this.x + halfWidth &&
+                       player.y + box.y + box.height > this.y - halfHeight &&
+                       player.y + box.y < this.y + halfHeight;
+    
+    // 扫掠起点：上一逻辑帧位置（新生成或刚重置的对象没有上一帧位置，视为静止）
+    const playerStartX = player.previousX !== null ? player.previousX : player.x;
+    const playerStartY = player.previousY !== null ? player.previousY : player.y;
+    const platformStartX = this.previousX !== null ? this.previousX : this.x;
+    const platformStartY = this.previousY !== null ? this.previousY : this.y;
+    
+    // 玩家相对平台的位移
+    const dx = (player.x - playerStartX) - (this.x - platformStartX);
+    const dy = (player.y - playerStartY) - (this.y - platformStartY);
+    
+    const timeX = sweepAxis(
+      playerStartX + box.x, playerStartX + box.x + box.width,
+      platformStartX - halfWidth, platformStartX + halfWidth, dx
+    );
+    const timeY = sweepAxis(
+      playerStartY + box.y, playerStartY + box.y + box.height,
+      platformStartY - halfHeight, platformStartY + halfHeight, dy
+    );
+    
+    // 碰撞时刻：本帧内开始接触时取扫掠结果；
+    // 帧初已接触（如站在平台上、走到平台边缘）时按帧末是否仍重叠判断，避免被擦边接住
+    let landingTime = null;
+    if (timeX && timeY) {
+      const entry = Math.max(timeX.entry, timeY.entry);
+      const exit = Math.min(timeX.exit, timeY.exit);
+      if (entry > 0 && entry < 1 && entry < exit) {
+        landingTime = entry;
+      } else if (overlapping) {
+        landingTime = 0;
+      }
+    }
+    
+    // 着陆条件
     // 1. 玩家必须正在向下移动
-    // 2. 玩家从上方接触平台（避免从侧面或下方触发）
+    // 2. 玩家从上方接触平台（玩家中心点在平台中心点上方，避免从侧面或下方触发）
     // 3. 确保是首次接触这个平台
-    const isMovingDown = player.velocity.y > 0;
-    const isFallingFromAbove = player.y < this.y; // 玩家中心点在平台中心点上方
-    const isFirstContact = this.lastContactedPlayer !== player;
-    
-    // 只有满足所有着陆条件时才认为是有效碰撞
-    if (overlapping && isMovingDown && isFallingFromAbove && isFirstContact) {
-      this.lastContactedPlayer = player;
-      // 设置一个短暂的标记，防止同一帧内重复触发
-      this.lastContactFrame = player.totalDistance || Date.now();
-      return true;
+    if (landingTime !== null) {
+      const isMovingDown = player.velocity.y > 0;
+      const checkTime = landingTime > 0 ? landingTime : 1;
+      const playerYAtImpact = playerStartY + (player.y - playerStartY) * checkTime;
+      const platformYAtImpact = platformStartY + (this.y - platformStartY) * checkTime;
+      const isFallingFromAbove = playerYAtImpact < platformYAtImpact;
+      const isFirstContact = this.lastContactedPlayer !== player;
+      
+      if (isMovingDown && isFallingFromAbove && isFirstContact) {
+        return landingTime;
+      }
     }
     
     // 改进的接触状态重置逻辑
@@ -1110,7 +819,18 @@ export default class Platform extends Sprite {
       this.lastContactFrame = null;
     }
     
-    return false;
+    return null;
+  }
+
+  /**
+   * 确认玩家落在平台上，同一次接触不再重复触发
+   * 
+   * @param {Player} player - 玩家
+   */
+  confirmContact(player) {
+    this.lastContactedPlayer = player;
+    // 设置一个短暂的标记，防止同一帧内重复触发
+    this.lastContactFrame = player.totalDistance || Date.now();
   }
 
   /**
@@ -1221,75 +941,33 @@ export default class Platform extends Sprite {
    * 为特殊平台类型应用颜色覆盖
    */
   applyColorOverlay(ctx, imageX, imageY, imageWidth, imageHeight) {
-    switch (this.platformType) {
-      case PLATFORM_TYPES.DISAPPEARING:
-        ctx.save();
-        ctx.globalCompositeOperation = 'screen';
-        ctx.fillStyle = '#FF0080'; // 极其鲜艳的粉色 (Magenta/Hot Pink)
-        ctx.globalAlpha = 0.8;
-        ctx.fillRect(imageX, imageY, imageWidth, imageHeight);
-        ctx.restore();
-        break;
-        
-      case PLATFORM_TYPES.MOVING:
-        // 金色平台：使用多层渲染强制覆盖灰色
-        ctx.save();
-        
-        // 第一层：白色打底，提亮底色
-        ctx.globalCompositeOperation = 'screen';
-        ctx.fillStyle = '#FFFFFF';
-        ctx.globalAlpha = 0.7;
-        ctx.fillRect(imageX, imageY, imageWidth, imageHeight);
-        
-        // 第二层：金色覆盖
-        ctx.globalCompositeOperation = 'multiply';
-        ctx.fillStyle = '#FFD700';
-        ctx.globalAlpha = 0.9;
-        ctx.fillRect(imageX, imageY, imageWidth, imageHeight);
-        
-        // 第三层：再次金色加强
-        ctx.globalCompositeOperation = 'overlay';
-        ctx.fillStyle = '#FFA500';
-        ctx.globalAlpha = 0.6;
-        ctx.fillRect(imageX, imageY, imageWidth, imageHeight);
-        
-        ctx.restore();
-        break;
-        
-      case PLATFORM_TYPES.ICE:
-        // 冰块平台：使用platform_normal渲染成蓝色
-        ctx.save();
-        
-        // 第一层：白色打底，提亮底色
-        ctx.globalCompositeOperation = 'screen';
-        ctx.fillStyle = '#FFFFFF';
-        ctx.globalAlpha = 0.6;
-        ctx.fillRect(imageX, imageY, imageWidth, imageHeight);
-        
-        // 第二层：蓝色覆盖
-        ctx.globalCompositeOperation = 'multiply';
-        ctx.fillStyle = '#87CEEB'; // 天蓝色
-        ctx.globalAlpha = 0.8;
-        ctx.fillRect(imageX, imageY, imageWidth, imageHeight);
-        
-        // 第三层：深蓝色加强
-        ctx.globalCompositeOperation = 'overlay';
-        ctx.fillStyle = '#4682B4'; // 钢蓝色
-        ctx.globalAlpha = 0.5;
-        ctx.fillRect(imageX, imageY, imageWidth, imageHeight);
-        
-        ctx.restore();
-        break;
-        
-      default:
-        return; // 其他类型不需要颜色覆盖
+    if (this.behavior && this.behavior.renderOverlay) {
+      this.behavior.renderOverlay(this, ctx, imageX, imageY, imageWidth, imageHeight);
     }
   }
 
+  /**
+   * 复用其他类型的平台图像时，按本类型的主色和边框色着色
+   */
+  tintImage(ctx, imageX, imageY, imageWidth, imageHeight) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = this.color;
+    ctx.globalAlpha = 0.85;
+    ctx.fillRect(imageX, imageY, imageWidth, imageHeight);
+    ctx.globalCompositeOperation = 'overlay';
+    ctx.fillStyle = this.edgeColor;
+    ctx.globalAlpha = 0.4;
+    ctx.fillRect(imageX, imageY, imageWidth, imageHeight);
+    ctx.restore();
+  }
+
   /**
    * 渲染类型特有的装饰
    */
   renderTypeSpecificDecorations(ctx, offsetX, offsetY) {
+    if (!this.behavior || !this.behavior.renderDecorations) return;
+    
     // 应用缩放效果
     const scaledWidth = this.width * this.scale.x;
     const scaledHeight = this.height * this.scale.y;
@@ -1298,258 +976,7 @@ export default class Platform extends Sprite {
     const x = this.x - scaledHalfWidth + offsetX;
     const y = this.y - scaledHalfHeight + offsetY;
     
-    switch (this.platformType) {
-      case PLATFORM_TYPES.FRAGILE:
-        // 增强的裂纹渲染
-        if (this.crackProgress > 0) {
-          const crackAlpha = 0.6 + this.impactIntensity * 0.4;
-          const crackWidth = 2 + this.impactIntensity * 3;
-          
-          ctx.save();
-          ctx.strokeStyle = `rgba(139, 0, 0, ${crackAlpha})`;
-          ctx.lineWidth = crackWidth;
-          
-          // 主裂纹 - 动态生长
-          const mainCrackProgress = Math.min(1, this.crackProgress * 3);
-          if (mainCrackProgress > 0) {
-            ctx.beginPath();
-            const endY = y + scaledHeight * mainCrackProgress;
-            ctx.moveTo(x + scaledWidth/4, y);
-            ctx.lineTo(x + scaledWidth*3/4, endY);
-            ctx.stroke();
-          }
-          
-          // 第二条裂纹
-          const secondCrackProgress = Math.max(0, (this.crackProgress - 0.33) * 3);
-          if (secondCrackProgress > 0) {
-            ctx.beginPath();
-            const endY = y + scaledHeight * secondCrackProgress;
-            ctx.moveTo(x + scaledWidth*3/4, y);
-            ctx.lineTo(x + scaledWidth/4, endY);
-            ctx.stroke();
-          }
-          
-          // 第三条裂纹 - 垂直
-          const thirdCrackProgress = Math.max(0, (this.crackProgress - 0.66) * 3);
-          if (thirdCrackProgress > 0) {
-            ctx.beginPath();
-            const endY = y + scaledHeight * thirdCrackProgress;
-            ctx.moveTo(x + scaledWidth/2, y);
-            ctx.lineTo(x + scaledWidth/2, endY);
-            ctx.stroke();
-          }
-          
-          ctx.restore();
-          
-          // 碎片效果 - 在即将破碎时
-          if (this.crackProgress > 0.8 && this.impactIntensity > 0) {
-            ctx.save();
-            for (let i = 0; i < 5; i++) {
-              const debrisX = x + Math.random() * scaledWidth;
-              const debrisY = y + Math.random() * scaledHeight;
-              const debrisSize = 2 + Math.random() * 3;
-              
-              ctx.fillStyle = `rgba(139, 69, 19, ${this.impactIntensity})`;
-              ctx.fillRect(
-                debrisX - debrisSize/2, 
-                debrisY - debrisSize/2, 
-                debrisSize, 
-                debrisSize
-              );
-            }
-            ctx.restore();
-          }
-        }
-        break;
-        
-      case PLATFORM_TYPES.ICE:
-        // 动态表面光泽效果（简化版）
-        const shineIntensity = this.surfaceShine * (0.3 + this.impactIntensity * 0.7);
-        const shineOffset = (this.animationTime * 50) % (scaledWidth + 20) - 10;
-        
-        // 移动的光泽条纹
-        if (shineIntensity > 0) {
-          const gradient = ctx.createLinearGradient(x + shineOffset - 10, y, x + shineOffset + 10, y);
-          gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
-          gradient.addColorStop(0.5, `rgba(255, 255, 255, ${shineIntensity})`);
-          gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-          ctx.fillStyle = gradient;
-          ctx.fillRect(x + shineOffset - 10, y, 20, scaledHeight);
-        }
-        
-        // 边缘冰霜效果
-        ctx.fillStyle = `rgba(255, 255, 255, ${0.6 + this.glowIntensity * 0.4})`;
-        ctx.fillRect(x + 2, y + 2, scaledWidth - 4, 2);
-        ctx.fillRect(x + 2, y + scaledHeight - 4, scaledWidth - 4, 2);
-        
-        // 简化的边缘结霜 - 锯齿状效果
-        ctx.fillStyle = `rgba(240, 248, 255, ${0.8 + this.impactIntensity * 0.2})`;
-        for (let i = 0; i < scaledWidth; i += 12) { // 间距加大减少计算
-          const frostHeight = 2 + Math.sin(i * 0.5 + this.animationTime * 3) * 1;
-          // 顶部结霜
-          ctx.fillRect(x + i, y - 1, 3, frostHeight);
-          // 底部结霜
-          ctx.fillRect(x + i, y + scaledHeight - frostHeight + 1, 3, frostHeight);
-        }
-        
-        // 简化的冰晶装饰
-        ctx.fillStyle = `rgba(255, 255, 255, ${0.8 + this.impactIntensity * 0.2})`;
-        for (let i = 0; i < 3; i++) {
-          const crystalX = x + (i + 1) * scaledWidth / 4;
-          const crystalY = y + scaledHeight / 2;
-          const crystalSize = 1 + this.impactIntensity * 1;
-          
-          // 主冰晶
-          ctx.fillRect(crystalX - crystalSize, crystalY - crystalSize * 2, crystalSize * 2, crystalSize * 4);
-          ctx.fillRect(crystalX - crystalSize * 2, crystalY - crystalSize, crystalSize * 4, crystalSize * 2);
-        }
-        
-        // 冰花粒子效果（踩踏时）
-        if (this.impactIntensity > 0) {
-          ctx.fillStyle = `rgba(173, 216, 230, ${this.impactIntensity})`;
-          for (let i = 0; i < 6; i++) { // 减少粒子数量
-            const sparkleX = x + Math.random() * scaledWidth;
-            const sparkleY = y + Math.random() * scaledHeight;
-            const sparkleSize = 1 + Math.random() * 2;
-            ctx.fillRect(sparkleX, sparkleY, sparkleSize, sparkleSize);
-          }
-        }
-        break;
-        
-      case PLATFORM_TYPES.BOUNCE:
-        // 绘制能量环效果
-        for (const ring of this.energyRings) {
-          ctx.strokeStyle = `rgba(0, 255, 100, ${ring.alpha})`;
-          ctx.lineWidth = 3;
-          ctx.beginPath();
-          ctx.arc(this.x, this.y, ring.radius, 0, Math.PI * 2);
-          ctx.stroke();
-        }
-        
-        // 增强的弹簧图案
-        const springGlow = 0.5 + this.impactIntensity * 0.5;
-        ctx.strokeStyle = `rgba(255, 215, 0, ${springGlow})`;
-        ctx.lineWidth = 3 + this.impactIntensity * 2;
-        ctx.beginPath();
-        
-        // 弹簧螺旋效果（带动画）
-        for (let i = 0; i < 4; i++) {
-          const springX = x + (i + 1) * scaledWidth / 5;
-          const segments = 6;
-          let lastY = y + 3;
-          
-          ctx.moveTo(springX, lastY);
-          for (let j = 1; j < segments; j++) {
-            const segmentY = y + 3 + (j * (scaledHeight - 6) / segments);
-            const zigzag = (j % 2 === 0) ? -3 : 3;
-            const animatedZigzag = zigzag * (1 + this.impactIntensity * 0.5);
-            ctx.lineTo(springX + animatedZigzag, segmentY);
-          }
-          ctx.lineTo(springX, y + scaledHeight - 3);
-        }
-        ctx.stroke();
-        
-        // 底部波纹效果
-        if (this.impactIntensity > 0) {
-          const waveHeight = 6 * this.impactIntensity;
-          const waveFreq = 8;
-          ctx.strokeStyle = `rgba(0, 255, 100, ${this.impactIntensity * 0.6})`;
-          ctx.lineWidth = 2;
-          ctx.beginPath();
-          ctx.moveTo(x, y + scaledHeight + 5);
-          
-          for (let px = 0; px <= scaledWidth; px += 2) {
-            const waveY = y + scaledHeight + 5 + Math.sin((px / scaledWidth) * Math.PI * waveFreq) * waveHeight;
-            ctx.lineTo(x + px, waveY);
-          }
-          ctx.stroke();
-        }
-        break;
-        
-      case PLATFORM_TYPES.MOVING:
-        // 绘制方向箭头和移动轨迹
-        ctx.fillStyle = '#FFFF00';
-        ctx.beginPath();
-        
-        const arrowSize = 4;
-        const arrowY = y + scaledHeight / 2;
-        
-        if (this.moveDirection > 0) {
-          // 右箭头
-          ctx.moveTo(x + scaledWidth - 8, arrowY);
-          ctx.lineTo(x + scaledWidth - 8 - arrowSize, arrowY - arrowSize);
-          ctx.lineTo(x + scaledWidth - 8 - arrowSize, arrowY + arrowSize);
-        } else {
-          // 左箭头
-          ctx.moveTo(x + 8, arrowY);
-          ctx.lineTo(x + 8 + arrowSize, arrowY - arrowSize);
-          ctx.lineTo(x + 8 + arrowSize, arrowY + arrowSize);
-        }
-        ctx.fill();
-        
-        // 绘制移动轨迹指示
-        ctx.strokeStyle = 'rgba(255, 255, 0, 0.3)';
-        ctx.lineWidth = 1;
-        ctx.setLineDash([3, 3]);
-        ctx.beginPath();
-        ctx.moveTo(x, y + scaledHeight + 5);
-        ctx.lineTo(x + scaledWidth, y + scaledHeight + 5);
-        ctx.stroke();
-        ctx.setLineDash([]);
-        break;
-        
-      case PLATFORM_TYPES.DISAPPEARING:
-        // 高级溶解效果
-        if (this.disappearTimer > 0) {
-          const warningIntensity = this.dissolveEffect;
-          
-          // 边缘溶解效果已移除 - 避免红色视觉干扰
-          
-          // 消失粒子效果和虚线边框已移除 - 避免红色视觉干扰
-        }
-        break;
-        
-      case PLATFORM_TYPES.DANGEROUS:
-        // 使用视觉尺寸进行特效绘制，与图像渲染保持一致
-        const visualWidth = scaledWidth * 1.4;
-        const visualHeight = scaledHeight * 1.2;
-        const visualX = x - (visualWidth - scaledWidth) / 2;
-        const visualY = y - (visualHeight - scaledHeight) / 2;
-        
-        // 绘制增强的尖刺装饰
-        const spikeAnimation = Math.sin(this.animationTime * 6) * 0.3; // 温和的动画幅度
-        
-        // 主要尖刺（从平台表面朝上）- 更大更明显
-        ctx.fillStyle = '#FF0000'; // 更鲜艳的红色
-        ctx.strokeStyle = '#8B0000'; // 深红色边框
-        ctx.lineWidth = 3; // 更粗的边框
-        
-        for (let i = 0; i < Math.floor(visualWidth / 10); i++) { // 更密集的尖刺
-          const spikeX = visualX + 6 + i * 10;
-          const spikeHeight = 15 + spikeAnimation * 3; // 适度的尖刺高度变化
-          ctx.beginPath();
-          ctx.moveTo(spikeX, visualY);
-          ctx.lineTo(spikeX - 7, visualY + spikeHeight); // 更宽的底部
-          ctx.lineTo(spikeX + 7, visualY + spikeHeight);
-          ctx.closePath();
-          ctx.fill();
-          ctx.stroke();
-        }
-        
-        // 危险警告标记
-        ctx.fillStyle = '#FFFF00';
-        ctx.strokeStyle = '#FF5722'; // 一致的警告色
-        ctx.lineWidth = 3;
-        ctx.font = 'bold 18px Arial';
-        ctx.textAlign = 'center';
-        
-        // 绘制带边框的警告符号，使其更明显
-        const warningY = visualY + visualHeight/2 + 6;
-        ctx.strokeText('⚠', visualX + visualWidth/2, warningY);
-        ctx.fillText('⚠', visualX + visualWidth/2, warningY);
-        
-        break;
-    }
+    this.behavior.renderDecorations(this, ctx, x, y, scaledWidth, scaledHeight);
   }
   
   /**
@@ -1809,6 +1236,20 @@ export default class Platform extends Sprite {
     // 重置危险平台状态
     this.damageChance = 0.3;
     this.damageAmount = 1;
+    this.random = null;
+    
+    // 重置传送带、崩塌链、传送门和定时弹簧状态（引用的其他平台必须清除，避免复用后互相影响）
+    this.conveyorDirection = 1;
+    this.beltOffset = 0;
+    this.chain = null;
+    this.chainIndex = 0;
+    this.crumbleTimer = 0;
+    this.crumbleTriggered = false;
+    this.teleportTarget = null;
+    this.teleportSource = null;
+    this.portalPhase = 0;
+    this.chargeTimer = 0;
+    this.guardianRole = null;
     
     // 重置视觉颜色属性（将在resetPlatform中被重新设置）
     this.baseColor = '#808080';
@@ -6,6 +6,8 @@
 import Sprite from '../core/sprite.js';
 import AnimationManager, { TRANSITION_MODES } from '../core/animation-manager.js';
 import { LOOP_MODES } from '../core/animation.js';
+import { POWERUP_TYPES, POWERUP_EFFECTS } from './power-up.js';
+import { getPlatformBehavior } from './platform-registry.js';
 
 
 /**
@@ -29,7 +31,6 @@ export default class Player extends Sprite {
     // 玩家特有属性
     this.lives = 3;
     this.maxLives = 3;
-    this.score = 0;
     this.fallDistance = 0;
     this.totalDistance = 0;
     
@@ -40,6 +41,10 @@ export default class Player extends Sprite {
     this.maxFallSpeed = 600; // 最大下降速度
     this.onGround = false;
     this.groundTime = 0; // 在地面停留的时间
+    this.conveyorSpeed = 0; // 传送带推动速度（像素/秒）
+    this.conveyorTime = 0; // 传送带推动剩余时间，站在传送带上时每次接触都会刷新
+    this.knockbackSpeed = 0; // 击退的水平速度（像素/秒），输入每帧会覆盖velocity.x，所以单独记录
+    this.knockbackTime = 0; // 击退剩余时间
     
     // 状态属性
     this.isInvulnerable = false; // 无敌状态
@@ -51,6 +56,13 @@ export default class Player extends Sprite {
     this.frozenOverlayColor = '#87CEEB'; // 冰冻覆盖层颜色
     this.frozenGlowColor = '#00FFFF'; // 冰冻发光颜色 - 青色
     
+    // 道具效果：类型 -> { type, remaining, duration }，按逻辑帧计时
+    this.activeEffects = new Map();
+    
+    // 本局突变规则（整局生效，由 setRunRules() 设置，reset() 不清除）
+    this.runModifiers = {};       // 属性倍率，与道具效果的倍率相乘
+    this.mirrorControls = false;  // 左右操作互换
+    
     // 输入状态
     this.inputState = {
       leftPressed: false,
@@ -245,6 +257,11 @@ export default class Player extends Sprite {
    * @param {boolean} rightPressed - 是否按下右键
    */
   setInput(leftPressed, rightPressed) {
+    // 镜像操控：在角色这一层互换，游戏和录像记录的仍是玩家的实际操作
+    if (this.mirrorControls) {
+      [leftPressed, rightPressed] = [rightPressed, leftPressed];
+    }
+    
     this.inputState.leftPressed = leftPressed;
     this.inputState.rightPressed = rightPressed;
     
@@ -309,11 +326,11 @@ export default class Player extends Sprite {
    * @param {number} deltaTime - 时间间隔
    */
   updatePhysics(deltaTime) {
-    // 应用重力
+    // 应用重力（道具效果可修正重力和最大下降速度）
     if (!this.onGround) {
-      this.velocity.y += this.gravity * deltaTime;
+      this.velocity.y += this.gravity * this.getModifier('gravity') * deltaTime;
       // 限制最大下降速度
-      this.velocity.y = Math.min(this.velocity.y, this.maxFallSpeed);
+      this.velocity.y = Math.min(this.velocity.y, this.maxFallSpeed * this.getModifier('maxFallSpeed'));
     } else {
       this.groundTime += deltaTime;
     }
@@ -323,6 +340,18 @@ export default class Player extends Sprite {
     this.x += this.velocity.x * deltaTime;
     this.y += this.velocity.y * deltaTime;
     
+    // 传送带推动（离开传送带后很快结束）
+    if (this.conveyorTime > 0) {
+      this.x += this.conveyorSpeed * deltaTime;
+      this.conveyorTime -= deltaTime;
+    }
+    
+    // 击退的水平推力（随剩余时间衰减）
+    if (this.knockbackTime > 0) {
+      this.x += this.knockbackSpeed * (this.knockbackTime / 0.3) * deltaTime;
+      this.knockbackTime -= deltaTime;
+    }
+    
     
     // 边界检查（左右）- 适度扩展移动范围，创建合理的游戏世界
     const screenWidth = 375;
@@ -390,6 +419,9 @@ export default class Player extends Sprite {
       }
     }
     
+    // 更新道具效果
+    this.updateEffects(deltaTime);
+    
     // 更新光环动画
     this.updateHaloSystem(deltaTime);
     
@@ -649,8 +681,9 @@ export default class Player extends Sprite {
     this.y = platform.y - platform.height/2 - this.height/2;
     
     // 不要立即重置velocity.y，让平台类型决定如何处理速度
-    // 弹跳平台需要设置向上速度，其他平台才重置为0
-    if (platform.platformType !== 'bounce') {
+    // 弹跳类平台（keepsVelocityOnLand）由踩踏效果设置向上速度，其他平台才重置为0
+    const behavior = getPlatformBehavior(platform.platformType);
+    if (!behavior || !behavior.keepsVelocityOnLand) {
       this.velocity.y = 0;
       this.onGround = true;
     }
@@ -668,6 +701,52 @@ export default class Player extends Sprite {
 
 
 
+  /**
+   * 受到传送带推动
+   * @param {number} speed - 推动速度（像素/秒，正数向右）
+   */
+  applyConveyor(speed) {
+    this.conveyorSpeed = speed;
+    this.conveyorTime = 0.12;
+  }
+
+  /**
+   * 被击退
+   * @param {number} vx - 水平击退速度（像素/秒，正数向右）
+   * @param {number} vy - 垂直速度（负数向上弹起）
+   */
+  applyKnockback(vx, vy) {
+    this.knockbackSpeed = vx;
+    this.knockbackTime = 0.3;
+    this.velocity.y = vy;
+    this.onGround = false;
+  }
+
+  /**
+   * 被传送门传送到指定位置
+   * 
+   * 传送的距离计入下降距离；清除插值记录，避免渲染出穿过中间平台的轨迹。
+   * 
+   * @param {number} x - 目标X坐标
+   * @param {number} y - 目标Y坐标
+   */
+  teleportTo(x, y) {
+    const dy = y - this.y;
+    if (dy > 0) {
+      this.fallDistance += dy;
+      this.totalDistance += dy;
+    }
+    
+    this.x = x;
+    this.y = y;
+    this.resetInterpolation();
+    this.velocity.x = 0;
+    this.velocity.y = 0;
+    this.onGround = false;
+    this.conveyorTime = 0;
+    this.knockbackTime = 0;
+  }
+
   /**
    * 创建着陆效果
    */
@@ -698,12 +777,26 @@ export default class Player extends Sprite {
    * 受到伤害
    * @param {number} damage - 伤害值
    * @param {string} source - 伤害来源
+   * @param {Object} knockback - 击退速度 {x, y}，护盾抵挡伤害时同样会被击退
    */
-  takeDamage(damage = 1, source = 'unknown') {
+  takeDamage(damage = 1, source = 'unknown', knockback = null) {
     if (this.isInvulnerable || this.destroyed) {
       return false;
     }
     
+    if (knockback) {
+      this.applyKnockback(knockback.x, knockback.y);
+    }
+    
+    // 护盾抵挡这次伤害，护盾破裂后短暂无敌
+    if (this.hasFlag('shield')) {
+      this.consumeFlag('shield');
+      this.isInvulnerable = true;
+      this.invulnerabilityTime = 1.0;
+      this.blinkTime = 0;
+      return false;
+    }
+    
     this.lives -= damage;
     this.lastHitTime = Date.now();
     
@@ -736,7 +829,7 @@ export default class Player extends Sprite {
    * @param {number} duration - 冰冻持续时间（秒）
    */
   freeze(duration = 2.0) {
-    if (this.destroyed) {
+    if (this.destroyed || this.hasFlag('freezeImmune')) {
       return false;
     }
     
@@ -956,6 +1049,7 @@ export default class Player extends Sprite {
   respawn(x = 187.5, y = 100) {
     this.x = x;
     this.y = y;
+    this.resetInterpolation();
     this.velocity.x = 0;
     this.velocity.y = 0;
     this.lives = this.maxLives;
@@ -963,6 +1057,7 @@ export default class Player extends Sprite {
     this.active = true;
     this.visible = true;
     this.onGround = false;
+    this.knockbackTime = 0;
     this.isInvulnerable = true;
     this.invulnerabilityTime = 2.0; // 复活后2秒无敌
     
@@ -978,10 +1073,10 @@ export default class Player extends Sprite {
   reset() {
     this.x = 187.5;
     this.y = 100;
+    this.resetInterpolation();
     this.velocity.x = 0;
     this.velocity.y = 0;
     this.lives = this.maxLives;
-    this.score = 0;
     this.fallDistance = 0;
     this.totalDistance = 0;
     this.destroyed = false;
@@ -990,8 +1085,16 @@ export default class Player extends Sprite {
     this.onGround = false;
     this.isInvulnerable = false;
     this.invulnerabilityTime = 0;
+    this.blinkTime = 0;
+    this.isFrozen = false;
+    this.freezeTime = 0;
     this.groundTime = 0;
+    this.conveyorSpeed = 0;
+    this.conveyorTime = 0;
+    this.knockbackSpeed = 0;
+    this.knockbackTime = 0;
     this.particles = [];
+    this.activeEffects.clear();
     
     // 重置音效播放状态
     this.lastLandingSoundTime = 0;
@@ -1015,6 +1118,134 @@ export default class Player extends Sprite {
     
   }
 
+  /**
+   * 设置本局突变规则
+   * 
+   * @param {Object} rules - { modifiers: 属性倍率, maxLives: 生命上限, mirrorControls: 是否左右互换 }
+   */
+  setRunRules(rules = {}) {
+    this.runModifiers = rules.modifiers || {};
+    this.maxLives = rules.maxLives || 3;
+    this.mirrorControls = !!rules.mirrorControls;
+    this.lives = Math.min(this.lives, this.maxLives);
+  }
+
+  /**
+   * 获得道具效果
+   * 
+   * 已有同类效果时按效果定义的叠加规则处理：
+   * refresh 重置为完整持续时间，extend 累加剩余时间（不超过 maxDuration）。
+   * 
+   * @param {string} type - 道具类型（POWERUP_TYPES）
+   * @returns {Object|null} 效果状态 { type, remaining, duration }，未知类型时为null
+   */
+  addEffect(type) {
+    const definition = POWERUP_EFFECTS[type];
+    if (!definition) return null;
+    
+    let effect = this.activeEffects.get(type);
+    if (!effect) {
+      effect = { type, remaining: definition.duration, duration: definition.duration };
+      this.activeEffects.set(type, effect);
+    } else if (definition.stacking === 'extend') {
+      const maxDuration = definition.maxDuration || definition.duration;
+      effect.remaining = Math.min(effect.remaining + definition.duration, maxDuration);
+      effect.duration = Math.max(effect.duration, effect.remaining);
+    } else {
+      effect.remaining = Math.max(effect.remaining, definition.duration);
+      effect.duration = effect.remaining;
+    }
+    
+    // 获得冰冻免疫时立即解冻
+    if (this.isFrozen && this.hasFlag('freezeImmune')) {
+      this.isFrozen = false;
+      this.freezeTime = 0;
+    }
+    
+    return effect;
+  }
+
+  /**
+   * 移除道具效果
+   * @param {string} type - 道具类型
+   */
+  removeEffect(type) {
+    this.activeEffects.delete(type);
+  }
+
+  /**
+   * 是否有指定类型的道具效果
+   * @param {string} type - 道具类型
+   */
+  hasEffect(type) {
+    return this.activeEffects.has(type);
+  }
+
+  /**
+   * 当前生效的道具效果（按获得顺序）
+   * @returns {Array<Object>} [{ type, remaining, duration }]
+   */
+  getActiveEffects() {
+    return Array.from(this.activeEffects.values());
+  }
+
+  /**
+   * 道具效果和本局突变对某个属性的总倍率（多个效果相乘）
+   * @param {string} name - 属性名（如 gravity、maxFallSpeed、scoreMultiplier）
+   * @returns {number} 倍率，没有效果时为1
+   */
+  getModifier(name) {
+    let modifier = this.runModifiers[name] !== undefined ? this.runModifiers[name] : 1;
+    for (const type of this.activeEffects.keys()) {
+      const modifiers = POWERUP_EFFECTS[type].modifiers;
+      if (modifiers && modifiers[name] !== undefined) {
+        modifier *= modifiers[name];
+      }
+    }
+    return modifier;
+  }
+
+  /**
+   * 是否有道具效果提供指定的状态标记
+   * @param {string} flag - 状态标记（如 shield、magnet、freezeImmune）
+   */
+  hasFlag(flag) {
+    for (const type of this.activeEffects.keys()) {
+      const flags = POWERUP_EFFECTS[type].flags;
+      if (flags && flags[flag]) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 消耗一个提供指定状态标记的效果（如护盾抵挡伤害后破裂）
+   * @param {string} flag - 状态标记
+   * @returns {boolean} 是否有效果被消耗
+   */
+  consumeFlag(flag) {
+    for (const type of this.activeEffects.keys()) {
+      const flags = POWERUP_EFFECTS[type].flags;
+      if (flags && flags[flag]) {
+        this.activeEffects.delete(type);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 更新道具效果剩余时间，移除到期的效果
+   * @param {number} deltaTime - 时间间隔
+   */
+  updateEffects(deltaTime) {
+    for (const [type, effect] of this.activeEffects) {
+      effect.remaining -= deltaTime;
+      if (effect.remaining <= 0) {
+        this.activeEffects.delete(type);
+      }
+    }
+  }
+
   /**
    * 获取当前层数
    */
@@ -1176,9 +1407,35 @@ export default class Player extends Sprite {
         );
         ctx.restore();
       }
+      
+      // 护盾泡泡（在玩家上层）
+      if (this.hasFlag('shield')) {
+        this.renderShieldBubble(ctx);
+      }
     }
   }
 
+  /**
+   * 渲染护盾泡泡
+   * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+   */
+  renderShieldBubble(ctx) {
+    const radius = this.height * 0.62 + Math.sin(this.haloSystem.pulsePhase) * 2;
+    
+    ctx.save();
+    ctx.globalAlpha = 0.18;
+    ctx.fillStyle = POWERUP_EFFECTS[POWERUP_TYPES.SHIELD].color;
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.globalAlpha = 0.7;
+    ctx.strokeStyle = POWERUP_EFFECTS[POWERUP_TYPES.SHIELD].color;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.restore();
+  }
+
   /**
    * 渲染粒子效果
    * @param {CanvasRenderingContext2D} ctx - 渲染上下文
@@ -1331,11 +1588,11 @@ export default class Player extends Sprite {
     return {
       lives: this.lives,
       maxLives: this.maxLives,
-      score: this.score,
       totalDistance: this.totalDistance,
       currentLayer: this.getCurrentLayer(),
       onGround: this.onGround,
       isInvulnerable: this.isInvulnerable,
+      effects: this.getActiveEffects().map(effect => ({ ...effect })),
       velocity: { ...this.velocity }
     };
   }
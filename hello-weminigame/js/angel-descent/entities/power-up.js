@@ -0,0 +1,211 @@
+/**
+ * @file power-up.js
+ * @description 道具实体类和道具效果定义
+ *
+ * 道具是带有持续时间的收集品，收集后在玩家身上挂一个限时效果。
+ * 效果是数据驱动的：POWERUP_EFFECTS 中每项描述持续时间、叠加规则，
+ * 以及对玩家属性的倍率修正（modifiers）和状态标记（flags），
+ * Player 只按修正值和标记工作，不需要知道具体是哪种道具。
+ *
+ * 叠加规则：
+ * - refresh：重复获得时剩余时间重置为完整持续时间（取较大值）
+ * - extend：重复获得时剩余时间累加，不超过 maxDuration
+ */
+
+import Collectible from './collectible.js';
+
+/**
+ * 道具类型
+ */
+export const POWERUP_TYPES = {
+  SHIELD: 'shield',                 // 护盾泡泡：抵挡一次伤害
+  SLOW_FALL: 'slow_fall',           // 缓降羽翼：降低重力和最大下落速度
+  MAGNET: 'magnet',                 // 果实磁铁：吸引附近的收集品
+  FREEZE_IMMUNITY: 'freeze_immunity', // 暖阳护符：暂时免疫冰冻
+  DOUBLE_SCORE: 'double_score'      // 双倍得分
+};
+
+/**
+ * 道具效果定义
+ *
+ * modifiers 中的倍率在多个效果同时生效时相乘；flags 为真表示具有该状态。
+ */
+export const POWERUP_EFFECTS = {
+  [POWERUP_TYPES.SHIELD]: {
+    name: '护盾',
+    icon: '◎',
+    color: '#4FC3F7',
+    duration: 15,
+    stacking: 'refresh',
+    flags: { shield: true }
+  },
+  [POWERUP_TYPES.SLOW_FALL]: {
+    name: '缓降',
+    icon: '⇣',
+    color: '#B2FF59',
+    duration: 8,
+    stacking: 'extend',
+    maxDuration: 16,
+    modifiers: { gravity: 0.6, maxFallSpeed: 0.5 }
+  },
+  [POWERUP_TYPES.MAGNET]: {
+    name: '磁铁',
+    icon: '∪',
+    color: '#FF5252',
+    duration: 10,
+    stacking: 'extend',
+    maxDuration: 20,
+    flags: { magnet: true }
+  },
+  [POWERUP_TYPES.FREEZE_IMMUNITY]: {
+    name: '暖阳',
+    icon: '☀',
+    color: '#FFB74D',
+    duration: 12,
+    stacking: 'refresh',
+    flags: { freezeImmune: true }
+  },
+  [POWERUP_TYPES.DOUBLE_SCORE]: {
+    name: '双倍',
+    icon: '×2',
+    color: '#FFD700',
+    duration: 10,
+    stacking: 'extend',
+    maxDuration: 20,
+    modifiers: { scoreMultiplier: 2 }
+  }
+};
+
+/**
+ * 磁铁参数
+ */
+export const MAGNET_CONFIG = {
+  radius: 180,   // 吸引半径（像素）
+  speed: 320     // 收集品向玩家移动的速度（像素/秒）
+};
+
+/**
+ * 道具类
+ *
+ * @class PowerUp
+ */
+export default class PowerUp extends Collectible {
+  /**
+   * @constructor
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   * @param {string} powerUpType - 道具类型（POWERUP_TYPES）
+   * @param {AudioManager} audioManager - 音频管理器
+   * @param {number} layer - 所属层数
+   * @param {Object} options - 传给 Collectible 的选项
+   */
+  constructor(x, y, powerUpType, audioManager = null, layer = 1, options = {}) {
+    super(x, y, 26, audioManager, layer, options);
+
+    this.powerUpType = powerUpType;
+    this.effect = POWERUP_EFFECTS[powerUpType];
+    this.color = this.effect.color;
+
+    // 外圈旋转和光晕呼吸
+    this.rotation = 0;
+    this.glowPhase = this.floatPhase;
+
+    this.type = 'power_up';
+    this.addTag('power_up');
+  }
+
+  /**
+   * 更新动画效果
+   * @param {number} deltaTime - 时间间隔
+   */
+  updateAnimations(deltaTime) {
+    if (this.collected) return;
+
+    super.updateAnimations(deltaTime);
+    this.rotation = (this.rotation + deltaTime * 1.2) % (Math.PI * 2);
+    this.glowPhase += deltaTime * 4;
+  }
+
+  /**
+   * 收集效果：给玩家挂上限时效果
+   * @param {Player} player - 收集的玩家
+   */
+  applyEffect(player) {
+    player.addEffect(this.powerUpType);
+  }
+
+  /**
+   * 启动收集特效（使用道具颜色）
+   */
+  startCollectEffect() {
+    super.startCollectEffect(this.color);
+  }
+
+  /**
+   * 渲染道具：半透明泡泡包裹图标
+   * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+   */
+  render(ctx) {
+    if (this.destroyed) return;
+
+    if (this.collected) {
+      this.renderCollectEffect(ctx);
+      return;
+    }
+
+    const radius = this.width / 2;
+    const glow = 0.35 + 0.15 * Math.sin(this.glowPhase);
+
+    ctx.save();
+    ctx.translate(this.x, this.y);
+
+    // 光晕
+    ctx.globalAlpha = glow;
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius + 6, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 泡泡
+    ctx.globalAlpha = 0.85;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    // 旋转的虚线外圈
+    ctx.save();
+    ctx.rotate(this.rotation);
+    ctx.globalAlpha = 0.7;
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.arc(0, 0, radius + 3, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+
+    // 图标
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = this.color;
+    ctx.font = 'bold 14px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(this.effect.icon, 0, 1);
+
+    ctx.restore();
+  }
+
+  /**
+   * 获取状态信息
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      powerUpType: this.powerUpType
+    };
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * @file guardian-encounters.js
+ * @description 守护者层定义
+ *
+ * 每25层（第25、50、75、100层）是一个手工设计的守护者层，其中第50、75、100层
+ * 正是云海、雷音、凡间三个天界的最后一层。各天界的守护者（时长、招式、奖励）
+ * 在天界定义（realm-definitions.js）的 guardian 中定义。守护者层不走普通的平台生成：
+ * 关卡生成器按 GUARDIAN_ARENA 搭建固定的竞技场，GuardianManager 负责遭遇战的流程。
+ *
+ * 竞技场结构（从层顶部向下）：
+ * - 地面：横跨整个可移动范围的一排平台，其中一端是出口平台（开启后踩上即通关）
+ * - 深坑：地面下方的一排平台，掉进去会受伤并被弹回地面
+ *
+ * 遭遇战按顺序循环各招式阶段，坚持到时间结束或踩上已开启的出口即通关，
+ * 通关后竞技场崩塌，天使继续下落，获得天界奖励（全程无伤额外奖励）。
+ * 遭遇战期间暂停生成守护者层以下的层。
+ */
+
+/**
+ * 守护者层间隔
+ */
+export const GUARDIAN_INTERVAL = 25;
+
+/**
+ * 守护者招式
+ */
+export const GUARDIAN_PATTERNS = {
+  FALLING_FEATHERS: 'falling_feathers',     // 落羽：羽毛从玩家上方附近落下
+  SWEEPING_LIGHTNING: 'sweeping_lightning', // 扫雷：雷柱逐列扫过竞技场，每列先预警再落雷
+  COLLAPSING_FLOOR: 'collapsing_floor'      // 塌陷：玩家脚下的地面震动后塌陷，一段时间后恢复
+};
+
+/**
+ * 招式参数
+ */
+export const GUARDIAN_PATTERN_CONFIGS = {
+  [GUARDIAN_PATTERNS.FALLING_FEATHERS]: {
+    name: '落羽',
+    interval: 0.4,        // 生成间隔（秒）
+    spread: 180,          // 相对玩家的水平散布（像素）
+    spawnHeight: 360,     // 在地面上方多高处生成
+    fallSpeed: 210,       // 下落速度（像素/秒）
+    width: 10,
+    height: 26,
+    damage: 1
+  },
+  [GUARDIAN_PATTERNS.SWEEPING_LIGHTNING]: {
+    name: '扫雷',
+    interval: 0.3,        // 相邻两列的间隔（秒）
+    columnWidth: 70,      // 雷柱宽度
+    step: 110,            // 相邻两列的水平距离
+    warnTime: 0.7,        // 预警时间
+    strikeTime: 0.25,     // 落雷持续时间
+    damage: 1
+  },
+  [GUARDIAN_PATTERNS.COLLAPSING_FLOOR]: {
+    name: '塌陷',
+    interval: 1.4,        // 塌陷间隔（秒）
+    warnTime: 1.0,        // 震动预警时间
+    reformTime: 3.0,      // 塌陷后恢复的时间
+    maxOpen: 2            // 同时塌陷（含预警中）的地面数量上限
+  }
+};
+
+/**
+ * 竞技场几何参数（相对层顶部）
+ */
+export const GUARDIAN_ARENA = {
+  floorOffset: 150,       // 地面距层顶部的距离
+  pitOffset: 420,         // 深坑距层顶部的距离
+  segmentCount: 8,        // 地面和深坑各由多少段平台组成
+  segmentWidth: 140,      // 每段宽度，8段横跨玩家的整个可移动范围
+  segmentHeight: 20,
+  pitBounceSpeed: 780,    // 深坑把玩家弹回的初速度，足够越过地面
+  pitDamage: 1,
+  phaseDuration: 6,       // 每个招式阶段的时长（秒）
+  collapseStagger: 0.08   // 通关后竞技场逐段崩塌的间隔（秒）
+};
@@ -12,10 +12,11 @@
  * - 可重现性：支持种子系统，便于调试和测试
  * 
  * 生成算法核心：
- * 1. 分层主题系统：朝霞天界10层，其他主题25层为单位划分不同主题区域
+ * 1. 分层主题系统：按天界定义（realm-definitions.js）的层数范围划分主题区域
  * 2. 难度渐进算法：基于数学函数的平滑难度增长
- * 3. 平台分布算法：空间分析确保平台的可达性和挑战性
+ * 3. 平台分布算法：空间分析确保平台的可达性和挑战性，生成后按真实下落弧线验证可达性
  * 4. 类型权重系统：根据主题和难度动态调整平台类型概率
+ * 5. 手工布局：设计师用 JSON 描述的整层平台（set-piece-layouts.js），在指定层插入或按天界和难度抽取
  * 
  * 数学模型：
  * - 难度函数：D(n) = base + scale * f(n)，其中n为层数
@@ -29,25 +30,62 @@
  */
 
 import Platform, { PLATFORM_TYPES } from '../entities/platform.js';
+import { getPlatformBehavior, hasPlatformType } from '../entities/platform-registry.js';
 import LifeFruit from '../entities/life-fruit.js';
+import PowerUp from '../entities/power-up.js';
+import Obstacle, { OBSTACLE_CONFIGS } from '../entities/obstacle.js';
+import Enemy, { ENEMY_TYPES, ENEMY_CONFIGS } from '../entities/enemy.js';
+import SeededRandom from '../core/random.js';
+import ReachabilityAnalyzer from './reachability-analyzer.js';
+import { GUARDIAN_INTERVAL, GUARDIAN_ARENA } from './guardian-encounters.js';
+import { REALM_THEMES, REALMS, HUMAN_WORLD_LAYER, findRealmForLayer, expandWeights } from './realm-definitions.js';
+import { parseSetPiece, matchesPool } from './set-piece-format.js';
+import { SET_PIECE_LAYOUTS } from './set-piece-layouts.js';
+
+// 天界主题和人间层由天界定义决定，保留从关卡生成器导入的方式
+export { REALM_THEMES, HUMAN_WORLD_LAYER };
 
 /**
- * 天界主题枚举
- * 
- * 定义四个渐进式主题区域，朝霞天界10层，其他主题25层关卡，
- * 形成完整的100层天界体系。主题设计遵循从温和到极端的难度梯度。
- * 
- * 主题设计哲学：
- * - DAWN（朝霞天界）：入门区域，以常规和易碎平台为主
- * - CLOUD（云海天界）：进阶区域，引入冰滑和移动平台
- * - THUNDER（雷音天界）：高级区域，弹跳和消失平台增加挑战
- * - EARTH（凡间边界）：终极区域，所有平台类型混合，最高难度
+ * 无尽模式配置
+ *
+ * 无尽模式从人间之下的第101层开始，云海、雷音、凡间三个天界每25层轮换一次，
+ * 每段的最后一层仍是该天界的守护者层。难度曲线在第100层的基础上渐近增长：
+ * 深入 halfLayers 层时追加量达到上限的一半，永远不会超过上限。
+ */
+export const ENDLESS_CONFIG = {
+  startLayer: HUMAN_WORLD_LAYER + 1,
+  realmCycle: [REALM_THEMES.CLOUD, REALM_THEMES.THUNDER, REALM_THEMES.EARTH],
+  realmLength: 25,                  // 每个天界持续的层数
+  halfLayers: 150,                  // 追加难度达到一半所需的层数
+  maxSpecialChanceBonus: 0.15,      // 特殊平台概率追加上限（70% → 85%）
+  maxMoveSpeedBonus: 40,            // 移动平台速度追加上限（80 → 120像素/秒）
+  fruitChance: 0.25                 // 生命果实基础概率（不随轮换的天界回升，与第100层相同）
+};
+
+/**
+ * 生成修正系数的默认值
+ *
+ * 每日挑战等玩法可以通过 setModifiers() 整局放大或缩小各类内容的生成概率，
+ * 系数为1时生成结果与不修正完全一致（乘以1不改变浮点数）。
  */
-export const REALM_THEMES = {
-  DAWN: 'dawn',        // 朝霞天界 (1-10层) - 新手友好，温暖色调
-  CLOUD: 'cloud',      // 云海天界 (11-50层) - 滑动机制，冷色调
-  THUNDER: 'thunder',  // 雷音天界 (51-75层) - 动态元素，紫色调
-  EARTH: 'earth'       // 凡间边界 (76-100层) - 极限挑战，暗色调
+export const DEFAULT_GENERATION_MODIFIERS = {
+  hazardDensity: 1,   // 障碍物密度
+  enemyChance: 1,     // 敌人出现概率
+  fruitChance: 1,     // 生命果实出现概率
+  powerUpChance: 1    // 道具出现概率
+};
+
+/**
+ * 难度调整的默认值（不调整）
+ *
+ * 自适应难度通过 setDifficultyAdjustment() 在按层数计算出的难度上微调，
+ * 调整后的值限制在安全范围内（见 applyDifficultyAdjustment()）。
+ */
+export const DEFAULT_DIFFICULTY_ADJUSTMENT = {
+  platformCount: 0,           // 平台数量增减
+  specialPlatformChance: 1,   // 特殊平台概率倍率
+  movePlatformSpeed: 1,       // 移动平台速度倍率
+  fruitChance: 1              // 生命果实出现概率倍率
 };
 
 /**
@@ -86,13 +124,40 @@ export default class LevelGenerator {
    * 
    * @constructor
    * @param {Object} audioManager - 音频管理器，用于平台音效
+   * @param {PlatformPool} platformPool - 平台对象池
+   * @param {SeededRandom} random - 可种子化随机数生成器，省略时使用随机种子
+   * @param {EnemyPool} enemyPool - 敌人对象池
    */
-  constructor(audioManager = null, platformPool = null) {
+  constructor(audioManager = null, platformPool = null, random = null, enemyPool = null) {
     // 音频管理器引用
     this.audioManager = audioManager;
     
     // 平台对象池引用
     this.platformPool = platformPool;
+    
+    // 敌人对象池引用
+    this.enemyPool = enemyPool;
+    
+    /**
+     * 种子随机数生成器
+     * 所有生成随机数都从这里派生，相同种子得到完全相同的关卡
+     */
+    this.random = random || new SeededRandom();
+    
+    /**
+     * 生成修正系数（整局生效，由 setModifiers() 设置）
+     */
+    this.modifiers = { ...DEFAULT_GENERATION_MODIFIERS };
+    
+    /**
+     * 平台类型替换函数（整局生效，由 setPlatformTypeFilter() 设置，null 为不替换）
+     */
+    this.platformTypeFilter = null;
+    
+    /**
+     * 难度调整（随玩家表现变化，由 setDifficultyAdjustment() 设置）
+     */
+    this.difficultyAdjustment = { ...DEFAULT_DIFFICULTY_ADJUSTMENT };
     /**
      * 空间几何参数
      * 基于游戏物理和玩家操作能力设计的空间常量
@@ -127,7 +192,7 @@ export default class LevelGenerator {
     
     /**
      * 主题配置系统
-     * 存储四个天界主题的详细参数，包括颜色、平台类型分布、危险度等
+     * 来自天界定义（realm-definitions.js），包括颜色、平台类型分布、危险度等
      */
     this.themeConfigs = this.initializeThemeConfigs();
     
@@ -144,73 +209,86 @@ export default class LevelGenerator {
      */
     this.generationHistory = new Map();
     
+    /**
+     * 可达性验证
+     * 
+     * 每层生成后按玩家真实物理参数验证能否从上一层落到本层平台上；
+     * 不可达时用派生种子重新生成，多次失败后移动一个平台修补。
+     * lastLayerExit 记录上一层所有可到达平台的起跳状态，作为下一层的入口。
+     */
+    this.reachabilityAnalyzer = new ReachabilityAnalyzer({ failFallDistance: this.layerHeight * 2 });
+    this.maxRegenerateAttempts = 3;
+    this.lastLayerExit = null;
+    
+    /**
+     * 手工布局（set piece）
+     * 
+     * fixedSetPieces 按层号记录固定插入的布局；没有固定布局的普通层
+     * 以 setPieceChance 的概率成为抽取位，从布局池中抽取符合本层天界和难度的布局，
+     * 之前 setPieceSpacing 层内有固定布局或抽取位时不抽取。
+     * 抽取位只由种子和层号决定，与生成顺序无关（从检查点继续时与整局一致）。
+     */
+    this.setPieces = [];
+    this.fixedSetPieces = new Map();
+    this.setPieceChance = 0.1;
+    this.setPieceSpacing = 5;
+    SET_PIECE_LAYOUTS.forEach(layout => this.addSetPiece(layout));
   }
 
   /**
    * 初始化主题配置
+   * 
+   * 以天界定义为准，把平台类型权重展开为抽取列表（同一类型出现多次即提高其被选中的权重）。
+   * 权重中的平台类型必须已在平台类型注册表中注册。
+   * 
+   * @throws {Error} 天界使用了未注册的平台类型时抛出
    */
   initializeThemeConfigs() {
-    return {
-      [REALM_THEMES.DAWN]: {
-        name: '朝霞天界',
-        layers: [1, 10],
-        primaryPlatforms: [PLATFORM_TYPES.NORMAL, PLATFORM_TYPES.FRAGILE],
-        specialPlatforms: [PLATFORM_TYPES.DISAPPEARING, PLATFORM_TYPES.MOVING, PLATFORM_TYPES.DANGEROUS],
-        hazardDensity: 0.1,
-        platformSpacing: { min: 120, max: 200 },
-        colors: {
-          primary: '#FFB74D',
-          secondary: '#FFD54F',
-          accent: '#FFA726'
-        }
-      },
-      [REALM_THEMES.CLOUD]: {
-        name: '云海天界',
-        layers: [11, 50],
-        primaryPlatforms: [PLATFORM_TYPES.NORMAL, PLATFORM_TYPES.ICE],
-        specialPlatforms: [PLATFORM_TYPES.MOVING, PLATFORM_TYPES.FRAGILE, PLATFORM_TYPES.DANGEROUS],
-        hazardDensity: 0.15,
-        platformSpacing: { min: 140, max: 220 },
-        colors: {
-          primary: '#81D4FA',
-          secondary: '#B3E5FC',
-          accent: '#4FC3F7'
-        }
-      },
-      [REALM_THEMES.THUNDER]: {
-        name: '雷音天界',
-        layers: [51, 75],
-        primaryPlatforms: [PLATFORM_TYPES.NORMAL, PLATFORM_TYPES.BOUNCE],
-        specialPlatforms: [PLATFORM_TYPES.MOVING, PLATFORM_TYPES.DISAPPEARING, PLATFORM_TYPES.ICE, PLATFORM_TYPES.DANGEROUS],
-        hazardDensity: 0.2,
-        platformSpacing: { min: 160, max: 240 },
-        colors: {
-          primary: '#CE93D8',
-          secondary: '#E1BEE7',
-          accent: '#AB47BC'
-        }
-      },
-      [REALM_THEMES.EARTH]: {
-        name: '凡间边界',
-        layers: [76, 100],
-        primaryPlatforms: [PLATFORM_TYPES.NORMAL, PLATFORM_TYPES.FRAGILE, PLATFORM_TYPES.DANGEROUS],
-        specialPlatforms: [PLATFORM_TYPES.DISAPPEARING, PLATFORM_TYPES.MOVING, PLATFORM_TYPES.BOUNCE, PLATFORM_TYPES.ICE, PLATFORM_TYPES.DANGEROUS],
-        hazardDensity: 0.25,
-        platformSpacing: { min: 180, max: 280 },
-        colors: {
-          primary: '#8D6E63',
-          secondary: '#BCAAA4',
-          accent: '#6D4C41'
-        }
+    const configs = {};
+    for (const [theme, realm] of Object.entries(REALMS)) {
+      const types = [...Object.keys(realm.platformWeights.primary), ...Object.keys(realm.platformWeights.special)];
+      const unknownType = types.find(type => !hasPlatformType(type));
+      if (unknownType !== undefined) {
+        throw new Error(`天界 ${theme} 使用了未注册的平台类型: ${unknownType}`);
       }
-    };
+      configs[theme] = {
+        ...realm,
+        primaryPlatforms: expandWeights(realm.platformWeights.primary),
+        specialPlatforms: expandWeights(realm.platformWeights.special)
+      };
+    }
+    return configs;
+  }
+
+  /**
+   * 设置生成种子
+   * 
+   * @param {number|string} seed - 种子
+   */
+  setSeed(seed) {
+    this.random.setSeed(seed);
+  }
+
+  /**
+   * 获取当前生成种子
+   * 
+   * @returns {number|string} 种子
+   */
+  getSeed() {
+    return this.random.getSeed();
   }
 
   /**
    * 生成指定层的内容
+   * 
+   * 每层使用独立派生的随机数生成器，层内容取决于种子和层号（按需向前生成和批量生成结果一致）。
+   * 可达性验证以上一次生成的层为入口，不可达时的重新生成和修补同样由种子决定。
+   * 
+   * @param {number} layerNum - 层数
+   * @param {number|string} seed - 指定本层种子，省略时由全局种子派生
    */
   generateLayer(layerNum, seed = null) {
-
+    const random = seed !== null ? new SeededRandom(seed) : this.random.derive(`layer_${layerNum}`);
     
     // 获取主题配置
     const theme = this.getThemeForLayer(layerNum);
@@ -219,19 +297,40 @@ export default class LevelGenerator {
     // 计算难度参数
     const difficulty = this.calculateDifficulty(layerNum);
     
-    // 生成平台
-    const platforms = this.generatePlatforms(layerNum, config, difficulty);
+    // 守护者层使用固定的竞技场，不走普通生成
+    const guardian = this.getGuardianForLayer(layerNum);
+    if (guardian) {
+      return this.generateGuardianLayer(layerNum, theme, config, difficulty, guardian, random);
+    }
+    
+    // 手工布局（无法从上一层到达时为null，改用程序化生成）
+    const setPiece = this.placeSetPiece(layerNum, theme, difficulty, random);
+    
+    // 生成平台，并验证从上一层可以到达
+    const { platforms, reachability } = setPiece || this.generateReachablePlatforms(layerNum, config, difficulty, random);
     
+    // 生成生命果实和道具（手工布局按布局放置）
+    const lifeFruits = setPiece
+      ? this.createSetPieceCollectibles(layerNum, setPiece, random.derive('collectibles'))
+      : this.generateLifeFruits(layerNum, platforms, config, difficulty, random);
     
-    // 生成生命果实
-    const lifeFruits = this.generateLifeFruits(layerNum, platforms, config, difficulty);
+    // 放置障碍物（独立派生的随机数，不影响平台和果实；手工布局层不放置）
+    const obstacles = setPiece ? [] : this.generateObstacles(layerNum, platforms, config, difficulty, random.derive('obstacles'));
+    
+    // 生成敌人（同样使用独立派生的随机数；手工布局层不生成）
+    const enemies = setPiece ? [] : this.generateEnemies(layerNum, platforms, config, difficulty, random.derive('enemies'));
     
     // 记录生成历史
     this.generationHistory.set(layerNum, {
       theme,
       platformCount: platforms.length,
-      lifeFruitCount: lifeFruits.length,
-      difficulty
+      obstacleCount: obstacles.length,
+      enemyCount: enemies.length,
+      lifeFruitCount: lifeFruits.filter(collectible => !collectible.hasTag('power_up')).length,
+      powerUpCount: lifeFruits.filter(collectible => collectible.hasTag('power_up')).length,
+      difficulty,
+      reachability,
+      setPiece: setPiece ? setPiece.layout.id : null
     });
     
     // 减少日志输出
@@ -241,8 +340,310 @@ export default class LevelGenerator {
       theme,
       platforms,
       lifeFruits,
+      obstacles,
+      enemies,
       config,
-      difficulty
+      difficulty,
+      setPiece: setPiece ? { id: setPiece.layout.id, name: setPiece.layout.name } : null
+    };
+  }
+
+  /**
+   * 添加手工布局
+   * 
+   * 布局在添加时按格式校验，插入时再按可达性规则验证能否从上一层到达。
+   * 
+   * @param {string|Object} data - 布局的 JSON 字符串或对象（格式见 set-piece-format.js）
+   * @returns {Object} 校验通过的布局
+   * @throws {Error} 格式不正确、ID重复或指定的层已有布局时抛出
+   */
+  addSetPiece(data) {
+    const layout = parseSetPiece(data);
+    if (this.setPieces.some(other => other.id === layout.id)) {
+      throw new Error(`布局ID重复: ${layout.id}`);
+    }
+    const layers = layout.layers || [];
+    const taken = layers.find(layer => this.fixedSetPieces.has(layer));
+    if (taken !== undefined) {
+      throw new Error(`第${taken}层已有布局 ${this.fixedSetPieces.get(taken).id}`);
+    }
+    
+    this.setPieces.push(layout);
+    layers.forEach(layer => this.fixedSetPieces.set(layer, layout));
+    return layout;
+  }
+
+  /**
+   * 选择本层的手工布局
+   * 
+   * 指定了本层的布局优先；否则本层是抽取位时，从布局池中按权重抽取符合本层天界和难度（特殊平台概率）的布局。
+   * 
+   * @param {number} layerNum - 层数
+   * @param {string} theme - 本层主题
+   * @param {Object} difficulty - 难度参数
+   * @param {SeededRandom} random - 布局抽取专用随机数
+   * @returns {Object|null} 布局，本层不使用手工布局时为null
+   */
+  chooseSetPiece(layerNum, theme, difficulty, random) {
+    if (this.fixedSetPieces.has(layerNum)) {
+      return this.fixedSetPieces.get(layerNum);
+    }
+    if (!this.isSetPieceSlot(layerNum)) return null;
+    
+    const candidates = this.setPieces.filter(layout => matchesPool(layout, theme, difficulty.specialPlatformChance));
+    if (candidates.length === 0) return null;
+    
+    const weights = {};
+    for (const layout of candidates) {
+      weights[layout.id] = layout.pool.weight || 1;
+    }
+    const id = this.chooseWeighted(weights, random);
+    return candidates.find(layout => layout.id === id);
+  }
+
+  /**
+   * 本层是否为手工布局的抽取位
+   * 
+   * 每层以 setPieceChance 的概率掷出抽取位（按层号派生的随机数，守护者层不掷），
+   * 之前 setPieceSpacing 层内有固定布局或掷出过抽取位时本层不是抽取位。
+   * 只看种子和层号，不看生成历史，因此不受生成顺序和从哪一层开始生成的影响。
+   * 
+   * @param {number} layerNum - 层数
+   * @returns {boolean}
+   */
+  isSetPieceSlot(layerNum) {
+    const rollsSlot = (layer) => !this.isGuardianLayer(layer) &&
+      this.random.derive(`set_piece_slot_${layer}`).chance(this.setPieceChance);
+    
+    if (!rollsSlot(layerNum)) return false;
+    
+    for (let layer = Math.max(1, layerNum - this.setPieceSpacing); layer < layerNum; layer++) {
+      if (this.fixedSetPieces.has(layer) || rollsSlot(layer)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 按手工布局搭建本层平台，并验证从上一层可以到达
+   * 
+   * 手工布局不重新生成也不修补（会破坏设计），不可达时释放平台，本层改用程序化生成。
+   * 
+   * @param {number} layerNum - 层数
+   * @param {string} theme - 本层主题
+   * @param {Object} difficulty - 难度参数
+   * @param {SeededRandom} random - 本层随机数生成器
+   * @returns {Object|null} { layout, slots, platforms, reachability }，slots 与布局的平台一一对应
+   */
+  placeSetPiece(layerNum, theme, difficulty, random) {
+    const layout = this.chooseSetPiece(layerNum, theme, difficulty, random.derive('set_piece'));
+    if (!layout) return null;
+    
+    const slots = this.createSetPiecePlatforms(layerNum, layout, difficulty, random);
+    const platforms = slots.filter(Boolean);
+    const analysis = this.reachabilityAnalyzer.analyzeLayer(platforms, this.getLayerEntry(layerNum));
+    
+    if (!analysis.solvable) {
+      console.warn(`第${layerNum}层的手工布局 ${layout.id} 无法从上一层到达，改用程序化生成`);
+      this.releasePlatforms(platforms);
+      return null;
+    }
+    
+    this.lastLayerExit = { layer: layerNum, supports: analysis.exits };
+    return {
+      layout,
+      slots,
+      platforms,
+      reachability: { attempts: 1, patched: false, solvable: true }
+    };
+  }
+
+  /**
+   * 创建手工布局的平台
+   * 
+   * 平台属性（移动速度、消失延迟等）和程序化平台一样按本层难度设置；
+   * 整局的平台类型替换同样生效，但传送门和崩塌链保持原样（与程序化的平台组合一致）。
+   * 
+   * @param {number} layerNum - 层数
+   * @param {Object} layout - 布局
+   * @param {Object} difficulty - 难度参数
+   * @param {SeededRandom} random - 本层随机数生成器
+   * @returns {Array<Platform|null>} 与布局的平台一一对应，创建失败的位置为null
+   */
+  createSetPiecePlatforms(layerNum, layout, difficulty, random) {
+    const top = this.getLayerTopY(layerNum);
+    const chains = new Map();
+    
+    const slots = layout.platforms.map((data, index) => {
+      const isStructure = data.type === PLATFORM_TYPES.TELEPORTER || data.chain !== undefined;
+      const platformType = this.platformTypeFilter && !isStructure
+        ? this.platformTypeFilter(data.type, layerNum)
+        : data.type;
+      
+      const platform = this.createPlatform(platformType, data.x, top + data.y, data.width, 20, layerNum);
+      if (!platform) {
+        console.error(`平台创建失败! 布局=${layout.id}, 序号=${index}`);
+        return null;
+      }
+      
+      platform.random = random.derive(`platform_${index}`);
+      if (platformType === PLATFORM_TYPES.MOVING && data.moveRange !== undefined) {
+        platform.moveRange = data.moveRange;
+      }
+      this.applySpecialPlatformProperties(platform, difficulty);
+      
+      if (data.chain !== undefined) {
+        const chain = chains.get(data.chain) || [];
+        platform.chain = chain;
+        platform.chainIndex = chain.length;
+        chain.push(platform);
+        chains.set(data.chain, chain);
+      }
+      return platform;
+    });
+    
+    layout.platforms.forEach((data, index) => {
+      const entry = slots[index];
+      const exit = data.link !== undefined ? slots[data.link] : null;
+      if (entry && exit) {
+        entry.teleportTarget = exit;
+        exit.teleportSource = entry;
+      }
+    });
+    
+    return slots;
+  }
+
+  /**
+   * 按手工布局放置生命果实和道具
+   * 
+   * 布局中的收集品是设计的一部分，不受生成修正系数和难度调整影响。
+   * 
+   * @param {number} layerNum - 层数
+   * @param {Object} setPiece - placeSetPiece() 的结果
+   * @param {SeededRandom} random - 收集品专用随机数（漂浮相位）
+   * @returns {Array} 生命果实和道具
+   */
+  createSetPieceCollectibles(layerNum, setPiece, random) {
+    const collectibles = [];
+    
+    setPiece.layout.platforms.forEach((data, index) => {
+      const platform = setPiece.slots[index];
+      if (!data.fruit || !platform) return;
+      
+      const phase = random.next() * Math.PI * 2;
+      if (data.fruit === 'life') {
+        collectibles.push(new LifeFruit(
+          platform.x, platform.y - platform.height/2 - 20, this.audioManager, layerNum, { phase }
+        ));
+      } else {
+        collectibles.push(new PowerUp(
+          platform.x, platform.y - platform.height/2 - 22, data.fruit, this.audioManager, layerNum, { phase }
+        ));
+      }
+    });
+    
+    return collectibles;
+  }
+
+  /**
+   * 获取层对应的守护者
+   * 
+   * @param {number} layerNum - 层数
+   * @returns {Object|null} 主题配置中的守护者，不是守护者层时为null
+   */
+  getGuardianForLayer(layerNum) {
+    if (layerNum <= 0 || layerNum % GUARDIAN_INTERVAL !== 0) return null;
+    return this.themeConfigs[this.getThemeForLayer(layerNum)].guardian || null;
+  }
+
+  /**
+   * 是否为守护者层
+   * 
+   * @param {number} layerNum - 层数
+   * @returns {boolean}
+   */
+  isGuardianLayer(layerNum) {
+    return this.getGuardianForLayer(layerNum) !== null;
+  }
+
+  /**
+   * 生成守护者层：横跨整个可移动范围的地面（一端为出口）和下方的深坑
+   * 
+   * 地面连续无缺口，从任意位置都能落到，因此无需可达性验证；
+   * 下一层的入口是地面上的任意位置（通关后竞技场崩塌，从地面高度开始下落）。
+   * 
+   * @param {number} layerNum - 层数
+   * @param {string} theme - 主题
+   * @param {Object} config - 主题配置
+   * @param {Object} difficulty - 难度参数
+   * @param {Object} guardian - 守护者定义
+   * @param {SeededRandom} random - 本层随机数生成器
+   * @returns {Object} 层数据，guardian 字段为竞技场信息
+   */
+  generateGuardianLayer(layerNum, theme, config, difficulty, guardian, random) {
+    const top = this.getLayerTopY(layerNum);
+    const floorY = top + GUARDIAN_ARENA.floorOffset;
+    const pitY = top + GUARDIAN_ARENA.pitOffset;
+    const { segmentCount, segmentWidth, segmentHeight } = GUARDIAN_ARENA;
+    const left = -segmentCount * segmentWidth / 2;
+    const exitIndex = random.chance(0.5) ? 0 : segmentCount - 1;
+    
+    const floor = [];
+    const pit = [];
+    let exit = null;
+    for (let i = 0; i < segmentCount; i++) {
+      const x = left + (i + 0.5) * segmentWidth;
+      
+      const segment = this.createPlatform(PLATFORM_TYPES.NORMAL, x, floorY, segmentWidth, segmentHeight, layerNum);
+      segment.guardianRole = i === exitIndex ? 'exit' : 'floor';
+      if (i === exitIndex) {
+        exit = segment;
+      }
+      floor.push(segment);
+      
+      const pitSegment = this.createPlatform(PLATFORM_TYPES.NORMAL, x, pitY, segmentWidth, segmentHeight, layerNum);
+      pitSegment.guardianRole = 'pit';
+      pit.push(pitSegment);
+    }
+    
+    const worldHalfWidth = this.screenWidth * 1.5 / 2;
+    this.lastLayerExit = {
+      layer: layerNum,
+      supports: [{ y: floorY, vy0: 0, intervals: [[-worldHalfWidth, worldHalfWidth]] }]
+    };
+    
+    const platforms = floor.concat(pit);
+    this.generationHistory.set(layerNum, {
+      theme,
+      guardian: guardian.name,
+      platformCount: platforms.length,
+      obstacleCount: 0,
+      enemyCount: 0,
+      lifeFruitCount: 0,
+      powerUpCount: 0,
+      difficulty,
+      reachability: { attempts: 1, patched: false, solvable: true }
+    });
+    
+    return {
+      layer: layerNum,
+      theme,
+      platforms,
+      lifeFruits: [],
+      obstacles: [],
+      enemies: [],
+      config,
+      difficulty,
+      guardian: {
+        layer: layerNum,
+        encounter: guardian,
+        top,
+        floorY,
+        pitY,
+        floor,
+        exit,
+        pit
+      }
     };
   }
 
@@ -250,10 +651,27 @@ export default class LevelGenerator {
    * 获取层数对应的主题
    */
   getThemeForLayer(layerNum) {
-    if (layerNum <= 10) return REALM_THEMES.DAWN;
-    if (layerNum <= 50) return REALM_THEMES.CLOUD;
-    if (layerNum <= 75) return REALM_THEMES.THUNDER;
-    return REALM_THEMES.EARTH;
+    const theme = findRealmForLayer(Math.max(1, layerNum));
+    if (theme) return theme;
+
+    // 无尽模式：三个天界轮换
+    const { startLayer, realmCycle, realmLength } = ENDLESS_CONFIG;
+    const segment = Math.floor((layerNum - startLayer) / realmLength);
+    return realmCycle[segment % realmCycle.length];
+  }
+
+  /**
+   * 无尽模式的追加难度强度
+   *
+   * 第100层及以前为0，之后按 d / (d + halfLayers) 渐近趋向1（d为超出第100层的层数）。
+   *
+   * @param {number} layerNum - 层数
+   * @returns {number} 0-1之间的强度
+   */
+  getEndlessIntensity(layerNum) {
+    const depth = layerNum - HUMAN_WORLD_LAYER;
+    if (depth <= 0) return 0;
+    return depth / (depth + ENDLESS_CONFIG.halfLayers);
   }
 
   /**
@@ -266,7 +684,8 @@ export default class LevelGenerator {
    * 1. 分段线性函数：避免突然的难度跳跃
    * 2. 多维度平衡：不同难度参数相互制衡
    * 3. 上下界限制：防止极端难度导致无解
-   * 4. 层数归一化：基于100层设计的标准化计算
+   * 4. 层数归一化：基于100层设计的标准化计算，第100层以后（无尽模式）基础曲线停在
+   *    第100层的数值，再按 getEndlessIntensity() 渐近追加特殊平台概率和移动速度
    * 
    * 数学模型详解：
    * - 平台数量：递减函数，初期较多平台，后期稀少
@@ -275,11 +694,14 @@ export default class LevelGenerator {
    * - 耐久度：阶梯函数，每20层一个档次
    * 
    * @method calculateDifficulty
-   * @param {number} layerNum - 层数（1-100）
+   * @param {number} layerNum - 层数（1-100，无尽模式下可超过100）
    * @returns {Object} 难度参数对象，包含所有维度的数值
    */
   calculateDifficulty(layerNum) {
-    return {
+    const baseLayer = Math.min(layerNum, HUMAN_WORLD_LAYER);
+    const endlessIntensity = this.getEndlessIntensity(layerNum);
+    
+    const difficulty = {
       /**
        * 平台数量计算 - 递减难度模型
        * 
@@ -292,7 +714,7 @@ export default class LevelGenerator {
        */
       platformCount: Math.max(
         this.minPlatforms,  // 保底2个平台，确保可通过性
-        this.maxPlatforms - Math.floor(layerNum / 10) * this.difficultyScale.platformReduction
+        this.maxPlatforms - Math.floor(baseLayer / 10) * this.difficultyScale.platformReduction
       ),
       
       /**
@@ -302,13 +724,14 @@ export default class LevelGenerator {
        * - 第1层：30%特殊平台概率
        * - 第40层：70%特殊平台概率（达到上限）
        * - 第40层以后：维持70%概率
+       * - 第100层以后（无尽模式）：渐近追加，最高85%
        * 
        * 设计意图：逐步引入复杂平台类型，避免新手被吓退
        */
       specialPlatformChance: Math.min(
         0.7,  // 上限70%，避免过度复杂
-        0.3 + layerNum * this.difficultyScale.specialPlatformIncrease
-      ),
+        0.3 + baseLayer * this.difficultyScale.specialPlatformIncrease
+      ) + endlessIntensity * ENDLESS_CONFIG.maxSpecialChanceBonus,
       
       /**
        * 平台间距倍数 - 当前为恒定值
@@ -318,7 +741,7 @@ export default class LevelGenerator {
        * 
        * 预留设计：后期可增大平台间距，提升跳跃难度
        */
-      gapMultiplier: 1 + Math.floor(layerNum / 10) * this.difficultyScale.gapIncrease,
+      gapMultiplier: 1 + Math.floor(baseLayer / 10) * this.difficultyScale.gapIncrease,
       
       /**
        * 移动平台速度 - 线性增长模型
@@ -327,10 +750,11 @@ export default class LevelGenerator {
        * - 第1层：30像素/秒，较慢移动
        * - 第50层：55像素/秒，中等速度
        * - 第100层：80像素/秒，快速移动
+       * - 第100层以后（无尽模式）：渐近追加，最高120像素/秒
        * 
        * 设计意图：随层数增加移动平台速度，考验玩家反应能力
        */
-      movePlatformSpeed: 30 + layerNum * 0.5,
+      movePlatformSpeed: 30 + baseLayer * 0.5 + endlessIntensity * ENDLESS_CONFIG.maxMoveSpeedBonus,
       
       /**
        * 易碎平台耐久度 - 阶梯递减模型
@@ -342,17 +766,49 @@ export default class LevelGenerator {
        * 
        * 设计意图：阶梯式降低容错率，迫使玩家更精确操作
        */
-      fragilePlatformDurability: Math.max(1, 3 - Math.floor(layerNum / 20))
+      fragilePlatformDurability: Math.max(1, 3 - Math.floor(baseLayer / 20)),
+      
+      /**
+       * 无尽模式追加强度（0-1），第100层及以前为0
+       */
+      endlessIntensity
     };
+    
+    return this.applyDifficultyAdjustment(difficulty);
+  }
+
+  /**
+   * 在按层数计算的难度上应用自适应难度调整
+   * 
+   * 平台数量不少于 minPlatforms、最多比 maxPlatforms 多一个，特殊平台概率不超过85%，
+   * 移动平台速度不低于20像素/秒。不调整时返回值与原难度完全相同。
+   * 
+   * @param {Object} difficulty - calculateDifficulty() 计算出的原始难度
+   * @returns {Object} 调整后的难度
+   */
+  applyDifficultyAdjustment(difficulty) {
+    const adjustment = this.difficultyAdjustment;
+    if (adjustment.platformCount !== 0) {
+      difficulty.platformCount = Math.max(
+        this.minPlatforms,
+        Math.min(this.maxPlatforms + 1, difficulty.platformCount + adjustment.platformCount)
+      );
+    }
+    if (adjustment.specialPlatformChance !== 1) {
+      difficulty.specialPlatformChance = Math.min(0.85, difficulty.specialPlatformChance * adjustment.specialPlatformChance);
+    }
+    if (adjustment.movePlatformSpeed !== 1) {
+      difficulty.movePlatformSpeed = Math.max(20, difficulty.movePlatformSpeed * adjustment.movePlatformSpeed);
+    }
+    return difficulty;
   }
 
   /**
    * 生成平台
    */
-  generatePlatforms(layerNum, config, difficulty) {
+  generatePlatforms(layerNum, config, difficulty, random = this.random) {
     const platforms = [];
-    // 调整层坐标计算：第1层从400开始，后续层在此基础上递增
-    const layerY = 400 + (layerNum - 1) * this.layerHeight;
+    const layerY = this.getLayerTopY(layerNum);
     const platformCount = Math.floor(difficulty.platformCount);
     
     // 计算平台放置区域
@@ -363,60 +819,274 @@ export default class LevelGenerator {
     for (let i = 0; i < platformCount; i++) {
       // 计算平台位置
       const platformData = this.calculatePlatformPosition(
-        layerY, i, platformCount, minGap, maxGap
+        layerY, i, platformCount, minGap, maxGap, random
       );
       
       // 选择平台类型
       const platformType = this.choosePlatformType(
-        layerNum, config, difficulty.specialPlatformChance
+        layerNum, config, difficulty.specialPlatformChance, random
       );
       
       // 计算平台尺寸
-      const platformSize = this.calculatePlatformSize(platformType, layerNum);
+      const platformSize = this.calculatePlatformSize(platformType, layerNum, random);
       
-      // 创建平台 - 优先使用对象池
-      let platform;
-      if (this.platformPool) {
-        platform = this.platformPool.get(
-          platformType,
-          platformData.x,
-          platformData.y,
-          platformSize.width,
-          platformSize.height,
-          layerNum
-        );
-        // console.log(`通过对象池创建平台: 类型=${platformType}, 层=${layerNum}, 位置=(${platformData.x}, ${platformData.y}), 可见=${platform.visible}, 激活=${platform.active}`);
-      } else {
-        // 后备方案：直接创建新对象
-        platform = new Platform(
-          platformData.x,
-          platformData.y,
-          platformSize.width,
-          platformSize.height,
-          platformType,
-          layerNum,
-          this.audioManager
-        );
-        console.log(`直接创建平台: 类型=${platformType}, 层=${layerNum}, 位置=(${platformData.x}, ${platformData.y})`);
-      }
+      // 创建平台
+      const platform = this.createPlatform(
+        platformType,
+        platformData.x,
+        platformData.y,
+        platformSize.width,
+        platformSize.height,
+        layerNum
+      );
       
       if (!platform) {
         console.error(`平台创建失败! 类型=${platformType}, 层=${layerNum}`);
         continue;
       }
       
+      // 平台玩法判定（如危险平台伤害、传送带方向）使用独立派生的随机数
+      platform.random = random.derive(`platform_${i}`);
+      
       // 应用特殊属性
       this.applySpecialPlatformProperties(platform, difficulty);
       
       platforms.push(platform);
     }
     
+    // 平台组合（传送门对、崩塌链）
+    this.applyPlatformStructures(layerNum, platforms, config, difficulty, random.derive('structures'));
+    
     // 确保至少有一个可到达的平台
     this.ensurePlatformAccessibility(platforms, layerY);
     
     return platforms;
   }
 
+  /**
+   * 创建平台 - 优先使用对象池
+   * 
+   * @returns {Platform|null} 平台
+   */
+  createPlatform(platformType, x, y, width, height, layerNum) {
+    if (this.platformPool) {
+      return this.platformPool.get(platformType, x, y, width, height, layerNum);
+    }
+    
+    // 后备方案：直接创建新对象
+    console.log(`直接创建平台: 类型=${platformType}, 层=${layerNum}, 位置=(${x}, ${y})`);
+    return new Platform(x, y, width, height, platformType, layerNum, this.audioManager);
+  }
+
+  /**
+   * 生成平台组合
+   * 
+   * 按主题配置 structures 的概率，把已生成的平台改造成需要多个平台配合的组合：
+   * - 传送门对：最上方的平台作为入口，最下方的平台作为出口（至少相距200像素）
+   * - 崩塌链：一个平台拆成三节相邻的崩塌平台
+   * 平台类型的 generation.structureSource 为 false 时（如移动平台）不参与改造。
+   * 
+   * @param {number} layerNum - 层数
+   * @param {Array<Platform>} platforms - 本层平台（原地修改）
+   * @param {Object} config - 主题配置
+   * @param {Object} difficulty - 难度参数
+   * @param {SeededRandom} random - 平台组合专用随机数
+   */
+  applyPlatformStructures(layerNum, platforms, config, difficulty, random) {
+    const structures = config.structures;
+    if (!structures) return;
+    
+    const wantsTeleporter = random.chance(structures.teleporterPairChance);
+    const wantsChain = random.chance(structures.crumblingChainChance);
+    
+    if (wantsTeleporter) {
+      this.createTeleporterPair(layerNum, platforms);
+    }
+    if (wantsChain) {
+      this.createCrumblingChain(layerNum, platforms, difficulty, random);
+    }
+  }
+
+  /**
+   * 把本层最上方和最下方的平台改造成一对传送门
+   * 
+   * @returns {boolean} 是否生成
+   */
+  createTeleporterPair(layerNum, platforms) {
+    const candidates = platforms
+      .filter(platform => this.canBuildStructure(platform))
+      .sort((a, b) => a.y - b.y);
+    if (candidates.length < 2) return false;
+    
+    const entrySource = candidates[0];
+    const exitSource = candidates[candidates.length - 1];
+    if (exitSource.y - entrySource.y < 200) return false;
+    
+    const entry = this.replacePlatform(platforms, entrySource, PLATFORM_TYPES.TELEPORTER, layerNum);
+    const exit = this.replacePlatform(platforms, exitSource, PLATFORM_TYPES.TELEPORTER, layerNum);
+    if (!entry || !exit) return false;
+    
+    entry.teleportTarget = exit;
+    exit.teleportSource = entry;
+    return true;
+  }
+
+  /**
+   * 把一个平台拆成三节相邻的崩塌链
+   * 
+   * @returns {boolean} 是否生成
+   */
+  createCrumblingChain(layerNum, platforms, difficulty, random) {
+    const candidates = platforms.filter(platform => this.canBuildStructure(platform));
+    if (candidates.length === 0) return false;
+    
+    const source = random.pick(candidates);
+    const linkCount = 3;
+    const linkWidth = source.width * 0.35;
+    const spacing = linkWidth * 1.4 + 4; // 平台图像按1.4倍宽度绘制，相邻两节之间留出缝隙
+    
+    // 整条链保持在世界范围内
+    const worldHalfWidth = this.screenWidth * 1.5 / 2;
+    const maxCenter = worldHalfWidth - spacing - linkWidth * 0.7;
+    const centerX = Math.max(-maxCenter, Math.min(maxCenter, source.x));
+    
+    const chain = [];
+    for (let k = 0; k < linkCount; k++) {
+      const link = this.createPlatform(
+        PLATFORM_TYPES.CRUMBLING,
+        centerX + (k - 1) * spacing,
+        source.y,
+        linkWidth,
+        source.height,
+        layerNum
+      );
+      if (!link) continue;
+      
+      link.chain = chain;
+      link.chainIndex = k;
+      link.random = source.random ? source.random.derive(`link_${k}`) : null;
+      this.applySpecialPlatformProperties(link, difficulty);
+      chain.push(link);
+    }
+    
+    platforms.splice(platforms.indexOf(source), 1, ...chain);
+    this.releasePlatforms([source]);
+    return true;
+  }
+
+  /**
+   * 用指定类型的新平台替换原平台（位置、尺寸和随机数不变）
+   * 
+   * @returns {Platform|null} 新平台，创建失败时保留原平台并返回null
+   */
+  replacePlatform(platforms, source, platformType, layerNum) {
+    const platform = this.createPlatform(
+      platformType, source.x, source.y, source.width, source.height, layerNum
+    );
+    if (!platform) return null;
+    
+    platform.random = source.random;
+    platforms[platforms.indexOf(source)] = platform;
+    this.releasePlatforms([source]);
+    return platform;
+  }
+
+  /**
+   * 获取层顶部的Y坐标
+   * 
+   * 第1层从400开始，后续层在此基础上递增
+   * 
+   * @param {number} layerNum - 层数
+   * @returns {number} Y坐标
+   */
+  getLayerTopY(layerNum) {
+    return 400 + (layerNum - 1) * this.layerHeight;
+  }
+
+  /**
+   * 生成可到达的平台
+   * 
+   * 入口为上一次生成的层（挑战空层不生成，入口可能是上上层）的出口；
+   * 没有上一层记录时（首层或单独生成某层），假设玩家从层顶部任意水平位置开始下落。
+   * 
+   * @param {number} layerNum - 层数
+   * @param {Object} config - 主题配置
+   * @param {Object} difficulty - 难度参数
+   * @param {SeededRandom} random - 本层随机数生成器
+   * @returns {Object} { platforms, reachability: { attempts, patched, solvable } }
+   */
+  generateReachablePlatforms(layerNum, config, difficulty, random) {
+    const entry = this.getLayerEntry(layerNum);
+    let platforms = this.generatePlatforms(layerNum, config, difficulty, random);
+    let analysis = this.reachabilityAnalyzer.analyzeLayer(platforms, entry);
+    let attempts = 1;
+    
+    // 不可达：用派生种子重新生成（仍由种子决定，回放结果一致）
+    while (!analysis.solvable && attempts <= this.maxRegenerateAttempts) {
+      this.releasePlatforms(platforms);
+      platforms = this.generatePlatforms(layerNum, config, difficulty, random.derive(`retry_${attempts}`));
+      analysis = this.reachabilityAnalyzer.analyzeLayer(platforms, entry);
+      attempts++;
+    }
+    
+    // 多次重新生成仍不可达：移动一个平台到可达范围
+    let patched = false;
+    if (!analysis.solvable) {
+      const worldHalfWidth = this.screenWidth * 1.5 / 2 - 50;
+      patched = this.reachabilityAnalyzer.patchLayer(platforms, entry, {
+        left: -worldHalfWidth,
+        right: worldHalfWidth
+      }) !== null;
+      analysis = this.reachabilityAnalyzer.analyzeLayer(platforms, entry);
+      
+      if (!analysis.solvable) {
+        console.warn(`第${layerNum}层修补后仍不可达`);
+      }
+    }
+    
+    // 不可达时保留原入口，下一层仍从之前可到达的位置计算
+    if (analysis.solvable) {
+      this.lastLayerExit = { layer: layerNum, supports: analysis.exits };
+    }
+    
+    return {
+      platforms,
+      reachability: { attempts, patched, solvable: analysis.solvable }
+    };
+  }
+
+  /**
+   * 获取本层的入口支撑点
+   * 
+   * @param {number} layerNum - 层数
+   * @returns {Array<Object>} 支撑点列表
+   */
+  getLayerEntry(layerNum) {
+    if (this.lastLayerExit && this.lastLayerExit.layer < layerNum) {
+      return this.lastLayerExit.supports;
+    }
+    
+    const worldHalfWidth = this.screenWidth * 1.5 / 2;
+    return [{
+      y: this.getLayerTopY(layerNum),
+      vy0: 0,
+      intervals: [[-worldHalfWidth, worldHalfWidth]]
+    }];
+  }
+
+  /**
+   * 释放未使用的平台（重新生成时调用）
+   * 
+   * @param {Array<Platform>} platforms - 平台数组
+   */
+  releasePlatforms(platforms) {
+    if (!this.platformPool) return;
+    
+    for (const platform of platforms) {
+      this.platformPool.release(platform);
+    }
+  }
+
   /**
    * 平台位置计算算法 - 二维空间分布优化系统
    * 
@@ -440,9 +1110,10 @@ export default class LevelGenerator {
    * @param {number} totalCount - 当前层平台总数
    * @param {number} minGap - 最小平台间距（像素）
    * @param {number} maxGap - 最大平台间距（像素）
+   * @param {SeededRandom} random - 随机数生成器
    * @returns {Object} 包含x、y坐标的位置对象
    */
-  calculatePlatformPosition(layerY, index, totalCount, minGap, maxGap) {
+  calculatePlatformPosition(layerY, index, totalCount, minGap, maxGap, random = this.random) {
     /**
      * Y轴位置计算 - 垂直分层分布算法
      * 
@@ -465,7 +1136,7 @@ export default class LevelGenerator {
     
     // 计算基础Y位置（区段中心）+ 随机扰动（±15%区段高度）
     const baseY = layerStart + (index + 0.5) * sectionHeight + 
-                  (Math.random() - 0.5) * sectionHeight * 0.3;
+                  (random.next() - 0.5) * sectionHeight * 0.3;
     
     /**
      * X轴位置计算 - 水平分区分布算法
@@ -489,7 +1160,7 @@ export default class LevelGenerator {
        * 单平台布局策略
        * 在世界中央60%区域内随机放置，避免过于偏向边缘
        */
-      x = (Math.random() - 0.5) * worldWidth * 0.6;
+      x = (random.next() - 0.5) * worldWidth * 0.6;
     } else {
       /**
        * 多平台布局策略 - 分区均匀分布
@@ -504,7 +1175,7 @@ export default class LevelGenerator {
       const maxOffset = sectionWidth * 0.4;                     // 最大允许偏移量
       
       // 最终X坐标 = 分区中心 + 随机偏移
-      x = sectionCenter + (Math.random() - 0.5) * maxOffset;
+      x = sectionCenter + (random.next() - 0.5) * maxOffset;
     }
     
     /**
@@ -528,83 +1199,78 @@ export default class LevelGenerator {
   /**
    * 选择平台类型
    */
-  choosePlatformType(layerNum, config, specialChance) {
-    const rand = Math.random();
+  choosePlatformType(layerNum, config, specialChance, random = this.random) {
+    const rand = random.next();
+    let chosenType;
     
     // 特殊平台概率（注意：rand < specialChance 表示生成特殊平台）
     if (rand < specialChance) {
       const specialTypes = config.specialPlatforms;
-      const chosenType = specialTypes[Math.floor(Math.random() * specialTypes.length)];
-      return chosenType;
+      chosenType = random.pick(specialTypes);
+    } else {
+      // 普通平台
+      const primaryTypes = config.primaryPlatforms;
+      chosenType = random.pick(primaryTypes);
     }
     
-    // 普通平台
-    const primaryTypes = config.primaryPlatforms;
-    const chosenType = primaryTypes[Math.floor(Math.random() * primaryTypes.length)];
-    return chosenType;
+    // 替换在随机选择之后进行，不消耗随机数，其余生成内容保持不变
+    return this.platformTypeFilter ? this.platformTypeFilter(chosenType, layerNum) : chosenType;
   }
 
   /**
    * 计算平台尺寸
+   * 
+   * 基础宽度由平台类型的行为模块给出（generation.width），未给出时为110。
    */
-  calculatePlatformSize(platformType, layerNum) {
-    let baseWidth = 110; // 增加基础宽度以提升游戏体验
+  calculatePlatformSize(platformType, layerNum, random = this.random) {
+    const generation = this.getPlatformGeneration(platformType);
+    let baseWidth = generation.width !== undefined ? generation.width : 110;
     let baseHeight = 20;
     
-    // 根据类型调整尺寸
-    switch (platformType) {
-      case PLATFORM_TYPES.MOVING:
-        baseWidth = 100; // 移动平台增加宽度
-        break;
-      case PLATFORM_TYPES.FRAGILE:
-        baseWidth = 95; // 易碎平台增加宽度
-        break;
-      case PLATFORM_TYPES.BOUNCE:
-        baseWidth = 120; // 弹跳平台增加宽度
-        break;
-      case PLATFORM_TYPES.ICE:
-        baseWidth = 105; // 冰块平台增加宽度
-        break;
-      case PLATFORM_TYPES.DISAPPEARING:
-        baseWidth = 100; // 消失平台增加宽度
-        break;
-      case PLATFORM_TYPES.DANGEROUS:
-        baseWidth = 115; // 危险平台增加宽度
-        break;
-    }
-    
     // 随层数调整（后期平台更小更难，但不要太极端）
     const sizeReduction = Math.min(0.25, layerNum * 0.002); // 减少缩减率
     baseWidth *= (1 - sizeReduction);
     
     return {
-      width: baseWidth + Math.random() * 20, // 恢复随机变化
+      width: baseWidth + random.next() * 20, // 恢复随机变化
       height: baseHeight
     };
   }
 
   /**
    * 应用特殊平台属性
+   * 
+   * 按本层难度调整平台属性，由平台类型的行为模块实现（generation.applyDifficulty）。
    */
   applySpecialPlatformProperties(platform, difficulty) {
-    switch (platform.platformType) {
-      case PLATFORM_TYPES.MOVING:
-        platform.moveSpeed = difficulty.movePlatformSpeed;
-        break;
-      case PLATFORM_TYPES.FRAGILE:
-        platform.maxSteps = difficulty.fragilePlatformDurability;
-        break;
-      case PLATFORM_TYPES.DISAPPEARING:
-        platform.disappearDelay = Math.max(0.5, 1.5 - difficulty.specialPlatformChance);
-        break;
-      case PLATFORM_TYPES.DANGEROUS:
-        // 危险平台的伤害几率随层数增加
-        platform.damageChance = Math.min(0.5, 0.2 + difficulty.specialPlatformChance * 0.3);
-        platform.damageAmount = 1;
-        break;
+    const generation = this.getPlatformGeneration(platform.platformType);
+    if (generation.applyDifficulty) {
+      generation.applyDifficulty(platform, difficulty);
     }
   }
 
+  /**
+   * 平台类型的关卡生成参数（行为模块的 generation，未提供时为空对象）
+   */
+  getPlatformGeneration(platformType) {
+    const behavior = getPlatformBehavior(platformType);
+    return (behavior && behavior.generation) || {};
+  }
+
+  /**
+   * 平台上能否放置生命果实和道具（generation.holdsCollectibles，默认可以）
+   */
+  canHoldCollectibles(platform) {
+    return this.getPlatformGeneration(platform.platformType).holdsCollectibles !== false;
+  }
+
+  /**
+   * 平台能否改造成平台组合（generation.structureSource，默认可以）
+   */
+  canBuildStructure(platform) {
+    return this.getPlatformGeneration(platform.platformType).structureSource !== false;
+  }
+
   /**
    * 确保平台可达性
    */
@@ -651,37 +1317,30 @@ export default class LevelGenerator {
 
 
   /**
-   * 生成生命果实
+   * 生成生命果实和道具
    * 
    * 生命果实生成算法：
    * - 基于层数和难度动态调整生成概率
    * - 随机选择合适的平台放置果实
    * - 确保生命果实分布合理，不会过于稀少或密集
    * 
+   * 道具按主题配置 powerUps 的概率和权重生成，每层最多一个，不与生命果实放在同一平台。
+   * 道具和漂浮相位使用本层随机数派生的独立序列，不影响原有果实的生成结果。
+   * 
    * @param {number} layerNum - 层数
    * @param {Array} platforms - 当前层的平台数组
    * @param {Object} config - 主题配置
    * @param {Object} difficulty - 难度参数
+   * @param {SeededRandom} random - 随机数生成器
    * @returns {Array} 生命果实数组
    */
-  generateLifeFruits(layerNum, platforms, config, difficulty) {
+  generateLifeFruits(layerNum, platforms, config, difficulty, random = this.random) {
     const lifeFruits = [];
+    const collectibleRandom = random.derive('collectibles');
+    const usedPlatforms = new Set();
     
-    // 生命果实生成概率基于层数：
-    // - 前10层：较高概率（40%），帮助新手积累生命  
-    // - 11-50层：中等概率（35%），保持平衡
-    // - 51-75层：较低概率（30%），增加挑战
-    // - 76-100层：稀有概率（25%），高难度区域
-    let baseSpawnChance;
-    if (layerNum <= 10) {
-      baseSpawnChance = 0.40; // 40%概率（提高后）
-    } else if (layerNum <= 50) {
-      baseSpawnChance = 0.35; // 35%概率（提高后）
-    } else if (layerNum <= 75) {
-      baseSpawnChance = 0.30; // 30%概率（提高后）
-    } else {
-      baseSpawnChance = 0.25; // 25%概率（提高后）
-    }
+    // 生命果实基础概率由天界定义（fruitChance），越深的天界越稀有；无尽模式使用固定概率
+    let baseSpawnChance = layerNum >= ENDLESS_CONFIG.startLayer ? ENDLESS_CONFIG.fruitChance : config.fruitChance;
     
     // 特殊层数奖励：每10层增加额外生成机会
     if (layerNum % 10 === 0) {
@@ -690,57 +1349,272 @@ export default class LevelGenerator {
     
     // 基于平台数量调整概率：平台越少，生成概率越高（补偿机制）
     const platformCountModifier = platforms.length <= 2 ? 1.3 : 1.0;
-    const finalSpawnChance = Math.min(0.8, baseSpawnChance * platformCountModifier); // 上限提高到80%
+    const finalSpawnChance = Math.min(0.8, baseSpawnChance * platformCountModifier * this.modifiers.fruitChance * this.difficultyAdjustment.fruitChance); // 上限提高到80%
     
     // 检查是否生成生命果实
-    const randomValue = Math.random();
+    const randomValue = random.next();
     const shouldGenerate = randomValue < finalSpawnChance;
     
     if (shouldGenerate) {
       // 选择一个合适的平台放置生命果实
-      const suitablePlatforms = platforms.filter(platform => {
-        // 过滤掉不适合放置果实的平台类型
-        return platform.platformType !== PLATFORM_TYPES.DISAPPEARING && 
-               platform.platformType !== PLATFORM_TYPES.MOVING;
-      });
+      // 过滤掉不适合放置果实的平台类型
+      const suitablePlatforms = platforms.filter(platform => this.canHoldCollectibles(platform));
       
       if (suitablePlatforms.length > 0) {
         // 随机选择一个平台
-        const selectedPlatform = suitablePlatforms[Math.floor(Math.random() * suitablePlatforms.length)];
+        const selectedPlatform = random.pick(suitablePlatforms);
         
         // 在平台上方创建生命果实，调整位置让玩家更容易收集
         const fruitX = selectedPlatform.x;
         const fruitY = selectedPlatform.y - selectedPlatform.height/2 - 20; // 平台上方20像素，更容易收集
         
-        const lifeFruit = new LifeFruit(fruitX, fruitY, this.audioManager, layerNum);
+        const lifeFruit = new LifeFruit(fruitX, fruitY, this.audioManager, layerNum, {
+          phase: collectibleRandom.next() * Math.PI * 2
+        });
         lifeFruits.push(lifeFruit);
+        usedPlatforms.add(selectedPlatform);
         
       }
     }
     
     // 极稀有情况：在超高难度层（90+层）偶尔生成额外果实
-    if (layerNum >= 90 && Math.random() < 0.05) { // 5%概率
+    if (layerNum >= 90 && random.next() < 0.05) { // 5%概率
       const extraPlatforms = platforms.filter(platform => 
         platform.platformType === PLATFORM_TYPES.NORMAL
       );
       
       if (extraPlatforms.length > 0) {
-        const extraPlatform = extraPlatforms[Math.floor(Math.random() * extraPlatforms.length)];
+        const extraPlatform = random.pick(extraPlatforms);
         const extraFruit = new LifeFruit(
           extraPlatform.x, 
           extraPlatform.y - extraPlatform.height/2 - 20, 
           this.audioManager,
-          layerNum
+          layerNum,
+          { phase: collectibleRandom.next() * Math.PI * 2 }
         );
         lifeFruits.push(extraFruit);
+        usedPlatforms.add(extraPlatform);
         
         // 额外生命果实生成（超高难度补偿）
       }
     }
     
+    const powerUp = this.generatePowerUp(layerNum, platforms, config, usedPlatforms, collectibleRandom);
+    if (powerUp) {
+      lifeFruits.push(powerUp);
+    }
+    
     return lifeFruits;
   }
 
+  /**
+   * 按主题规则生成道具
+   * 
+   * @param {number} layerNum - 层数
+   * @param {Array} platforms - 当前层的平台数组
+   * @param {Object} config - 主题配置
+   * @param {Set} usedPlatforms - 已放置生命果实的平台
+   * @param {SeededRandom} random - 随机数生成器
+   * @returns {PowerUp|null} 道具，本层不生成时为null
+   */
+  generatePowerUp(layerNum, platforms, config, usedPlatforms, random) {
+    const rules = config.powerUps;
+    if (!rules || layerNum < (rules.minLayer || 1)) return null;
+    if (!random.chance(Math.min(1, rules.chance * this.modifiers.powerUpChance))) return null;
+    
+    const candidates = platforms.filter(platform =>
+      !usedPlatforms.has(platform) && this.canHoldCollectibles(platform)
+    );
+    if (candidates.length === 0) return null;
+    
+    const platform = random.pick(candidates);
+    const type = this.chooseWeighted(rules.weights, random);
+    
+    return new PowerUp(
+      platform.x,
+      platform.y - platform.height/2 - 22,
+      type,
+      this.audioManager,
+      layerNum,
+      { phase: random.next() * Math.PI * 2 }
+    );
+  }
+
+  /**
+   * 按权重选择类型（道具、敌人）
+   * 
+   * @param {Object} weights - 类型 -> 权重
+   * @param {SeededRandom} random - 随机数生成器
+   * @returns {string} 选中的类型
+   */
+  chooseWeighted(weights, random) {
+    const types = Object.keys(weights);
+    const total = types.reduce((sum, type) => sum + weights[type], 0);
+    let roll = random.next() * total;
+    
+    for (const type of types) {
+      roll -= weights[type];
+      if (roll < 0) return type;
+    }
+    return types[types.length - 1];
+  }
+
+  /**
+   * 放置障碍物
+   * 
+   * 在相邻平台之间的空隙中放置主题对应的障碍物：每个空隙按 hazardDensity
+   * （随难度略有提高）的概率放置一个，竖直位置在两平台中间附近，
+   * 水平位置避开上下两个平台的落点范围，沿平台边缘下落的路线不会被挡住。
+   * 
+   * @param {number} layerNum - 层数
+   * @param {Array<Platform>} platforms - 本层平台
+   * @param {Object} config - 主题配置
+   * @param {Object} difficulty - 难度参数
+   * @param {SeededRandom} random - 障碍物专用随机数
+   * @returns {Array<Obstacle>} 障碍物列表
+   */
+  generateObstacles(layerNum, platforms, config, difficulty, random) {
+    const obstacles = [];
+    const rules = config.obstacles;
+    if (!rules || !config.hazardDensity) return obstacles;
+    
+    const obstacleConfig = OBSTACLE_CONFIGS[rules.type];
+    const chance = Math.min(0.6, config.hazardDensity * this.modifiers.hazardDensity * (1 + difficulty.specialPlatformChance));
+    const sorted = platforms
+      .filter(platform => platform && !platform.isEmpty)
+      .sort((a, b) => a.y - b.y);
+    
+    const worldHalfWidth = this.screenWidth * 1.5 / 2 - obstacleConfig.width;
+    const clearance = obstacleConfig.width / 2 + 30; // 与平台落点范围保持的水平距离
+    
+    for (let i = 1; i < sorted.length; i++) {
+      const upper = sorted[i - 1];
+      const lower = sorted[i];
+      const gap = lower.y - upper.y;
+      
+      // 先掷骰再判断空隙大小，保证每个空隙消耗的随机数个数固定
+      const place = random.chance(chance);
+      const offsetY = random.range(-0.15, 0.15) * gap;
+      if (!place || gap < obstacleConfig.height + 60) continue;
+      
+      const blocked = [upper, lower].map(platform => {
+        const [lo, hi] = this.reachabilityAnalyzer.getCatchSpan(platform);
+        return [lo - clearance, hi + clearance];
+      });
+      
+      // 最多尝试几次，找不到空位就放弃这个空隙
+      let x = null;
+      for (let attempt = 0; attempt < 6; attempt++) {
+        const candidate = random.range(-worldHalfWidth, worldHalfWidth);
+        if (blocked.every(([lo, hi]) => candidate < lo || candidate > hi)) {
+          x = candidate;
+          break;
+        }
+      }
+      if (x === null) continue;
+      
+      obstacles.push(new Obstacle(
+        x,
+        (upper.y + lower.y) / 2 + offsetY,
+        rules.type,
+        this.audioManager,
+        layerNum,
+        { phase: random.next() }
+      ));
+    }
+    
+    return obstacles;
+  }
+
+  /**
+   * 按主题刷怪表生成敌人
+   * 
+   * 与障碍物一样按相邻平台之间的空隙逐个掷骰，每层不超过 maxPerLayer 个：
+   * - 霜灵绕空隙上方的平台环绕
+   * - 风暴精魄停在空隙中间，等玩家靠近
+   * - 乌鸦在空隙中间的高度左右巡逻
+   * 
+   * @param {number} layerNum - 层数
+   * @param {Array<Platform>} platforms - 本层平台
+   * @param {Object} config - 主题配置
+   * @param {Object} difficulty - 难度参数
+   * @param {SeededRandom} random - 敌人专用随机数
+   * @returns {Array<Enemy>} 敌人列表
+   */
+  generateEnemies(layerNum, platforms, config, difficulty, random) {
+    const enemies = [];
+    const rules = config.enemies;
+    if (!rules || layerNum < (rules.minLayer || 1)) return enemies;
+    
+    const chance = Math.min(0.5, rules.chance * this.modifiers.enemyChance * (1 + difficulty.specialPlatformChance));
+    const sorted = platforms
+      .filter(platform => platform && !platform.isEmpty)
+      .sort((a, b) => a.y - b.y);
+    const worldHalfWidth = this.screenWidth * 1.5 / 2;
+    
+    for (let i = 1; i < sorted.length && enemies.length < rules.maxPerLayer; i++) {
+      const upper = sorted[i - 1];
+      const lower = sorted[i];
+      const gap = lower.y - upper.y;
+      
+      // 先掷骰再判断空隙大小，保证每个空隙消耗的随机数个数固定
+      const place = random.chance(chance);
+      const type = this.chooseWeighted(rules.weights, random);
+      const roll = random.next();
+      const direction = random.chance(0.5) ? 1 : -1;
+      if (!place || gap < ENEMY_CONFIGS[type].height + 80) continue;
+      
+      const midY = (upper.y + lower.y) / 2;
+      let enemy;
+      
+      switch (type) {
+        case ENEMY_TYPES.FROST_SPRITE: {
+          enemy = this.createEnemy(type, upper.x, upper.y, layerNum);
+          enemy.spawn({
+            centerX: upper.x,
+            centerY: upper.y,
+            radiusX: upper.width / 2 + 30,
+            radiusY: Math.min(50, gap * 0.3),
+            angle: roll * Math.PI * 2,
+            direction
+          });
+          break;
+        }
+        
+        case ENEMY_TYPES.STORM_WISP: {
+          const x = upper.x + (roll - 0.5) * 160;
+          enemy = this.createEnemy(type, Math.max(-worldHalfWidth, Math.min(worldHalfWidth, x)), midY, layerNum);
+          enemy.spawn();
+          break;
+        }
+        
+        case ENEMY_TYPES.CROW: {
+          const span = 80 + roll * 80;
+          const centerX = (upper.x + lower.x) / 2;
+          const left = Math.max(-worldHalfWidth, centerX - span);
+          const right = Math.min(worldHalfWidth, centerX + span);
+          enemy = this.createEnemy(type, (left + right) / 2, midY, layerNum);
+          enemy.spawn({ left, right, direction });
+          break;
+        }
+      }
+      
+      enemies.push(enemy);
+    }
+    
+    return enemies;
+  }
+
+  /**
+   * 创建敌人（优先从对象池获取）
+   */
+  createEnemy(type, x, y, layerNum) {
+    if (this.enemyPool) {
+      return this.enemyPool.get(type, x, y, layerNum);
+    }
+    return new Enemy(x, y, type, this.audioManager, layerNum);
+  }
+
   /**
    * 批量生成多层
    */
@@ -781,11 +1655,16 @@ export default class LevelGenerator {
       totalLayers: this.generationHistory.size,
       themeDistribution: {},
       avgPlatformCount: 0,
-      avgObstacleCount: 0
+      avgObstacleCount: 0,
+      avgEnemyCount: 0,
+      regeneratedLayers: 0,  // 因不可达而重新生成的层数
+      patchedLayers: 0,      // 重新生成仍不可达、经过修补的层数
+      setPieceLayers: 0      // 使用手工布局的层数
     };
     
     let totalPlatforms = 0;
     let totalObstacles = 0;
+    let totalEnemies = 0;
     
     for (const [layer, data] of this.generationHistory) {
       // 主题分布
@@ -797,11 +1676,20 @@ export default class LevelGenerator {
       // 平均统计
       totalPlatforms += data.platformCount;
       totalObstacles += data.obstacleCount;
+      totalEnemies += data.enemyCount;
+      
+      // 可达性统计
+      if (data.reachability) {
+        if (data.reachability.attempts > 1) stats.regeneratedLayers++;
+        if (data.reachability.patched) stats.patchedLayers++;
+      }
+      if (data.setPiece) stats.setPieceLayers++;
     }
     
     if (stats.totalLayers > 0) {
       stats.avgPlatformCount = totalPlatforms / stats.totalLayers;
       stats.avgObstacleCount = totalObstacles / stats.totalLayers;
+      stats.avgEnemyCount = totalEnemies / stats.totalLayers;
     }
     
     return stats;
@@ -812,9 +1700,41 @@ export default class LevelGenerator {
    */
   reset() {
     this.generationHistory.clear();
+    this.lastLayerExit = null;
     // 生成器已重置
   }
 
+  /**
+   * 设置整局的生成修正系数
+   * 
+   * 未指定的系数恢复为默认值1，因此每局开始时都应调用一次（不修正时传空对象）。
+   * 
+   * @param {Object} modifiers - 部分或全部 DEFAULT_GENERATION_MODIFIERS 中的系数
+   */
+  setModifiers(modifiers = {}) {
+    this.modifiers = { ...DEFAULT_GENERATION_MODIFIERS, ...modifiers };
+  }
+
+  /**
+   * 设置整局的平台类型替换函数
+   * 
+   * @param {Function|null} filter - (platformType, layerNum) => platformType，null 为不替换
+   */
+  setPlatformTypeFilter(filter) {
+    this.platformTypeFilter = filter;
+  }
+
+  /**
+   * 设置难度调整（之后生成的层生效）
+   * 
+   * 未指定的项恢复为不调整，因此每局开始时都应调用一次（不调整时传空对象）。
+   * 
+   * @param {Object} adjustment - 部分或全部 DEFAULT_DIFFICULTY_ADJUSTMENT 中的项
+   */
+  setDifficultyAdjustment(adjustment = {}) {
+    this.difficultyAdjustment = { ...DEFAULT_DIFFICULTY_ADJUSTMENT, ...adjustment };
+  }
+
   /**
    * 预览层配置（不实际生成对象）
    */
@@ -830,6 +1750,10 @@ export default class LevelGenerator {
       difficulty,
       estimatedPlatforms: Math.floor(difficulty.platformCount),
       specialPlatformChance: Math.round(difficulty.specialPlatformChance * 100) + '%',
+      obstacleType: config.obstacles ? config.obstacles.type : null,
+      enemyTypes: config.enemies ? Object.keys(config.enemies.weights) : [],
+      guardian: this.getGuardianForLayer(layerNum) ? this.getGuardianForLayer(layerNum).name : null,
+      setPiece: this.fixedSetPieces.has(layerNum) ? this.fixedSetPieces.get(layerNum).name : null,
       colors: config.colors
     };
   }
@@ -0,0 +1,329 @@
+/**
+ * @file reachability-analyzer.js
+ * @description 天使下凡一百层游戏关卡可达性分析器
+ *
+ * 按玩家真实的物理参数（重力、最大下落速度、水平移动速度）计算下落弧线，
+ * 验证生成的每一层至少存在一条可以存活的下落路径。
+ *
+ * 分析模型：
+ * - 支撑点（support）：玩家离开某个位置时的状态 { y, vy0, intervals }，
+ *   intervals 为玩家可以从中起跳（开始下落）的水平区间列表
+ * - 一次下落：从支撑点下降 dy 所需时间 t，期间水平最多移动 speed * t，
+ *   可到达的区间与目标平台的着陆区间相交即可着陆
+ * - 安全下落：单次下落高度不超过失败判定距离（游戏中为2层高度）
+ *
+ * 平台行为由平台类型注册表中各类型的 reachability 钩子声明（见 platform-registry.js），
+ * 没有声明的类型按稳定平台处理：着陆区间以平台中心为准，玩家可走到平台边缘后下落。
+ * 钩子可以使用分析器提供的起跳方式：
+ * - edgeTakeoff：走到平台边缘后下落（稳定平台）
+ * - spanTakeoff：从平台上任意位置起跳，可带向上的初速度（移动、弹跳平台）
+ * - walkTakeoff：平台失效前还能走一段时间，随后从所在位置下落（消失、崩塌平台）
+ *
+ * 层与层之间串联分析：上一层所有可到达平台的起跳状态作为下一层的入口，
+ * 逐层保证可达即可保证整局存在可存活路径。
+ */
+
+import { getPlatformBehavior } from '../entities/platform-registry.js';
+
+/**
+ * 默认物理参数（与 Player、Platform 保持一致）
+ */
+export const REACHABILITY_CONFIG = {
+  gravity: 980,               // 重力加速度（像素/秒²），Player.gravity
+  maxFallSpeed: 600,          // 最大下降速度（像素/秒），Player.maxFallSpeed
+  horizontalSpeed: 200,       // 水平移动速度（像素/秒），Player.horizontalSpeed
+  footHalfWidth: 6,           // 玩家脚步碰撞盒半宽，Player.collisionBox.width / 2
+  collisionWidthScale: 1.4,   // 平台碰撞宽度相对于平台宽度的倍数，Platform.checkCollisionWithPlayer
+  bounceSpeed: 400,           // 弹跳平台基础弹射速度，乘以 bounciness
+  failFallDistance: 1200,     // 失败判定的下落距离（2层高度）
+  worldLeft: -562.5,          // 玩家可移动的世界左边界
+  worldRight: 562.5,          // 玩家可移动的世界右边界
+  safetyFactor: 0.85,         // 水平可达距离的安全系数（留出玩家反应和离散步长误差）
+  minDrop: 40                 // 修补平台时距离起跳点的最小下落高度
+};
+
+/**
+ * 区间工具：扩展、裁剪、求交、合并
+ */
+function dilate(intervals, amount) {
+  return intervals.map(([lo, hi]) => [lo - amount, hi + amount]);
+}
+
+function clip(intervals, lo, hi) {
+  const result = [];
+  for (const [a, b] of intervals) {
+    const clippedLo = Math.max(a, lo);
+    const clippedHi = Math.min(b, hi);
+    if (clippedLo <= clippedHi) {
+      result.push([clippedLo, clippedHi]);
+    }
+  }
+  return result;
+}
+
+function merge(intervals) {
+  const sorted = intervals.slice().sort((a, b) => a[0] - b[0]);
+  const result = [];
+  for (const interval of sorted) {
+    const last = result[result.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      result.push([interval[0], interval[1]]);
+    }
+  }
+  return result;
+}
+
+function totalLength(intervals) {
+  return intervals.reduce((sum, [lo, hi]) => sum + (hi - lo), 0);
+}
+
+/**
+ * 平台类型声明的可达性钩子
+ *
+ * @param {Platform} platform - 平台
+ * @returns {Object} reachability 钩子（未声明时为空对象）
+ */
+function getReachability(platform) {
+  const behavior = getPlatformBehavior(platform.platformType);
+  return (behavior && behavior.reachability) || {};
+}
+
+/**
+ * 关卡可达性分析器
+ *
+ * @class ReachabilityAnalyzer
+ */
+export default class ReachabilityAnalyzer {
+  /**
+   * @constructor
+   * @param {Object} options - 覆盖 REACHABILITY_CONFIG 中的参数
+   */
+  constructor(options = {}) {
+    this.config = { ...REACHABILITY_CONFIG, ...options };
+  }
+
+  /**
+   * 计算从初速度 vy0 开始下降 dy 所需的时间
+   *
+   * 先匀加速到最大下落速度，之后匀速下落。
+   * 必须是下落过程中到达目标高度（向上弹起时经过不算）。
+   *
+   * @param {number} dy - 下降高度（向下为正，可为负表示目标在上方）
+   * @param {number} vy0 - 初始竖直速度（向下为正）
+   * @returns {number} 所需时间（秒），无法到达时为Infinity
+   */
+  getFallTime(dy, vy0 = 0) {
+    const { gravity, maxFallSpeed } = this.config;
+
+    if (vy0 >= 0 && dy <= 0) return Infinity;
+
+    // 向上起跳时，目标不能高于最高点
+    if (vy0 < 0 && dy < -(vy0 * vy0) / (2 * gravity)) return Infinity;
+
+    // 加速阶段结束时的时间和位移
+    const accelTime = (maxFallSpeed - vy0) / gravity;
+    const accelDistance = vy0 * accelTime + 0.5 * gravity * accelTime * accelTime;
+
+    if (dy <= accelDistance) {
+      // 取较大的根：下落过程中到达
+      return (-vy0 + Math.sqrt(vy0 * vy0 + 2 * gravity * dy)) / gravity;
+    }
+
+    return accelTime + (dy - accelDistance) / maxFallSpeed;
+  }
+
+  /**
+   * 平台的着陆区间（玩家中心X坐标范围）
+   *
+   * @param {Platform} platform - 平台
+   * @returns {Array<number>} [左边界, 右边界]
+   */
+  getCatchSpan(platform) {
+    const { collisionWidthScale, footHalfWidth } = this.config;
+    const halfWidth = platform.width * collisionWidthScale / 2 + footHalfWidth;
+    const reachability = getReachability(platform);
+
+    if (reachability.catchSpan) {
+      return reachability.catchSpan(platform, halfWidth);
+    }
+    return [platform.x - halfWidth, platform.x + halfWidth];
+  }
+
+  /**
+   * 玩家着陆后能从哪里起跳
+   *
+   * @param {Platform} platform - 平台
+   * @param {Array} landing - 着陆区间列表
+   * @returns {Object} 支撑点 { y, vy0, intervals }
+   */
+  getTakeoff(platform, landing) {
+    const reachability = getReachability(platform);
+
+    if (reachability.takeoff) {
+      return reachability.takeoff(platform, landing, this);
+    }
+    return this.edgeTakeoff(platform);
+  }
+
+  /**
+   * 起跳方式：走到平台边缘后下落（稳定平台）
+   *
+   * @param {Platform} platform - 平台
+   * @returns {Object} 支撑点
+   */
+  edgeTakeoff(platform) {
+    const [spanLo, spanHi] = this.getCatchSpan(platform);
+    return { y: platform.y, vy0: 0, intervals: [[spanLo, spanLo], [spanHi, spanHi]] };
+  }
+
+  /**
+   * 起跳方式：从平台上任意位置起跳
+   *
+   * @param {Platform} platform - 平台
+   * @param {number} vy0 - 起跳时的竖直速度（向下为正，弹起时为负）
+   * @returns {Object} 支撑点
+   */
+  spanTakeoff(platform, vy0 = 0) {
+    const [spanLo, spanHi] = this.getCatchSpan(platform);
+    return { y: platform.y, vy0, intervals: [[spanLo, spanHi]] };
+  }
+
+  /**
+   * 起跳方式：着陆后还能走 seconds 秒，随后从所在位置下落
+   *
+   * @param {Platform} platform - 平台
+   * @param {Array} landing - 着陆区间列表
+   * @param {number} seconds - 平台失效前的时间（0为从着陆位置直接下落）
+   * @returns {Object} 支撑点
+   */
+  walkTakeoff(platform, landing, seconds) {
+    const { horizontalSpeed, safetyFactor } = this.config;
+    const [spanLo, spanHi] = this.getCatchSpan(platform);
+    const walk = horizontalSpeed * safetyFactor * seconds;
+    return { y: platform.y, vy0: 0, intervals: clip(dilate(landing, walk), spanLo, spanHi) };
+  }
+
+  /**
+   * 从支撑点下落到目标平台，计算着陆区间
+   *
+   * @param {Object} support - 支撑点
+   * @param {Platform} platform - 目标平台
+   * @returns {Array} 着陆区间列表，无法着陆时为空数组
+   */
+  getLanding(support, platform) {
+    const { horizontalSpeed, safetyFactor, failFallDistance, worldLeft, worldRight } = this.config;
+    const dy = platform.y - support.y;
+
+    if (dy > failFallDistance) return [];
+
+    const time = this.getFallTime(dy, support.vy0);
+    if (!Number.isFinite(time)) return [];
+
+    const reach = clip(dilate(support.intervals, horizontalSpeed * safetyFactor * time), worldLeft, worldRight);
+    const [spanLo, spanHi] = this.getCatchSpan(platform);
+    return merge(clip(reach, spanLo, spanHi));
+  }
+
+  /**
+   * 分析一层平台的可达性
+   *
+   * 从入口支撑点出发，反复尝试下落到本层各平台，直到可到达集合不再变化。
+   * 下落途中可能先碰到其他平台，这种情况同样是一条可达路径，因此不做遮挡判断。
+   *
+   * @param {Array<Platform>} platforms - 本层平台
+   * @param {Array<Object>} entrySupports - 入口支撑点（通常是上一层的出口）
+   * @returns {Object} { solvable, reached: Map<Platform, Array>, exits: Array, unreached: Array<Platform> }
+   */
+  analyzeLayer(platforms, entrySupports) {
+    const candidates = platforms.filter(p => p && !p.destroyed && !p.isEmpty);
+    const reached = new Map();
+    const queue = entrySupports.slice();
+
+    // 着陆区间只会扩大，迭代次数有上限，防止区间反复微小增长
+    let iterations = 0;
+    const maxIterations = (candidates.length + entrySupports.length) * 4;
+
+    while (queue.length > 0 && iterations < maxIterations) {
+      const support = queue.shift();
+      iterations++;
+
+      for (const platform of candidates) {
+        const landing = this.getLanding(support, platform);
+        if (landing.length === 0) continue;
+
+        const previous = reached.get(platform) || [];
+        const combined = merge(previous.concat(landing));
+        if (totalLength(combined) > totalLength(previous) + 0.5 || previous.length === 0) {
+          reached.set(platform, combined);
+          queue.push(this.getTakeoff(platform, combined));
+        }
+      }
+    }
+
+    const exits = [];
+    for (const [platform, landing] of reached) {
+      exits.push(this.getTakeoff(platform, landing));
+    }
+
+    return {
+      solvable: reached.size > 0,
+      reached,
+      exits,
+      unreached: candidates.filter(p => !reached.has(p))
+    };
+  }
+
+  /**
+   * 修补无法到达的层：把改动最小的一个平台移入可达范围
+   *
+   * @param {Array<Platform>} platforms - 本层平台
+   * @param {Array<Object>} entrySupports - 入口支撑点
+   * @param {Object} bounds - 平台允许放置的水平范围 { left, right }
+   * @returns {Platform|null} 被移动的平台，无法修补时为null
+   */
+  patchLayer(platforms, entrySupports, bounds) {
+    const { horizontalSpeed, safetyFactor, failFallDistance, minDrop } = this.config;
+    let best = null;
+
+    for (const platform of platforms) {
+      if (!platform || platform.destroyed || platform.isEmpty) continue;
+
+      for (const support of entrySupports) {
+        // 先把高度限制在安全下落范围内
+        const y = Math.max(support.y + minDrop, Math.min(platform.y, support.y + failFallDistance * 0.8));
+        const time = this.getFallTime(y - support.y, support.vy0);
+        if (!Number.isFinite(time)) continue;
+
+        const reach = dilate(support.intervals, horizontalSpeed * safetyFactor * time);
+        const [spanLo, spanHi] = this.getCatchSpan(platform);
+        const halfSpan = (spanHi - spanLo) / 2;
+        const centerX = (spanLo + spanHi) / 2;
+
+        for (const [lo, hi] of reach) {
+          // 平台中心移入可达区间（留出半个着陆区间的余量），同时不超出放置范围
+          const targetCenter = Math.max(lo + halfSpan * 0.5, Math.min(hi - halfSpan * 0.5, centerX));
+          const shift = Math.max(bounds.left, Math.min(bounds.right, targetCenter)) - centerX;
+          const cost = Math.abs(shift) + Math.abs(y - platform.y);
+
+          if (!best || cost < best.cost) {
+            best = { platform, shift, y, cost };
+          }
+        }
+      }
+    }
+
+    if (!best) return null;
+
+    const reachability = getReachability(best.platform);
+    if (reachability.shift) {
+      reachability.shift(best.platform, best.shift);
+    } else {
+      best.platform.x += best.shift;
+    }
+    best.platform.y = best.y;
+
+    return best.platform;
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * @file realm-definitions.js
+ * @description 天界定义
+ *
+ * 四个天界的全部数据集中在这里，各子系统只读取、不再各自维护：
+ * - layers：层数范围，决定主题、检查点和普通模式的终点（最后一个天界的最后一层）
+ * - platformWeights：普通/特殊平台的类型权重，platformSpacing：平台间距
+ * - hazardDensity / obstacles / enemies / structures / powerUps：障碍物、敌人、平台组合和道具
+ * - fruitChance：生命果实的基础出现概率（每10层的里程碑层另有加成）
+ * - guardian：守护者层的守护者（见 guardian-encounters.js）
+ * - colors：主题色，ui：信息面板配色，background：背景图和无图时的渐变
+ * - particles：下降粒子样式，music：背景音乐
+ *
+ * 新增或调整天界只需修改本文件。层数范围须从第1层开始首尾相接；
+ * 对象的顺序即天界的先后顺序。
+ */
+
+import { PLATFORM_TYPES } from '../entities/platform.js';
+import { POWERUP_TYPES } from '../entities/power-up.js';
+import { OBSTACLE_TYPES } from '../entities/obstacle.js';
+import { ENEMY_TYPES } from '../entities/enemy.js';
+import { GUARDIAN_PATTERNS } from './guardian-encounters.js';
+
+/**
+ * 天界主题枚举
+ *
+ * 主题设计遵循从温和到极端的难度梯度：
+ * - DAWN（朝霞天界）：入门区域，以常规和易碎平台为主
+ * - CLOUD（云海天界）：进阶区域，引入冰滑和移动平台
+ * - THUNDER（雷音天界）：高级区域，弹跳和消失平台增加挑战，定时弹簧和传送门对登场
+ * - EARTH（凡间边界）：终极区域，所有平台类型混合，传送带和崩塌链最多，最高难度
+ */
+export const REALM_THEMES = {
+  DAWN: 'dawn',        // 朝霞天界 (1-10层) - 新手友好，温暖色调
+  CLOUD: 'cloud',      // 云海天界 (11-50层) - 滑动机制，冷色调
+  THUNDER: 'thunder',  // 雷音天界 (51-75层) - 动态元素，紫色调
+  EARTH: 'earth'       // 凡间边界 (76-100层) - 极限挑战，暗色调
+};
+
+/**
+ * 天界定义（按先后顺序）
+ */
+export const REALMS = {
+  [REALM_THEMES.DAWN]: {
+    name: '朝霞天界',
+    layers: [1, 10],
+    platformWeights: {
+      primary: { [PLATFORM_TYPES.NORMAL]: 1, [PLATFORM_TYPES.FRAGILE]: 1 },
+      special: { [PLATFORM_TYPES.DISAPPEARING]: 1, [PLATFORM_TYPES.MOVING]: 1, [PLATFORM_TYPES.DANGEROUS]: 1 }
+    },
+    hazardDensity: 0.1,
+    platformSpacing: { min: 120, max: 200 },
+    fruitChance: 0.40,  // 生命果实基础概率：帮助新手积累生命
+    // 障碍物：朝霞天界是新手区域，不放置障碍物
+    obstacles: null,
+    // 敌人：朝霞天界没有敌人
+    enemies: null,
+    // 守护者：朝霞天界没有守护者层
+    guardian: null,
+    // 道具：从第3层开始出现，以缓降和护盾帮助新手
+    powerUps: {
+      chance: 0.12,
+      minLayer: 3,
+      weights: {
+        [POWERUP_TYPES.SLOW_FALL]: 3,
+        [POWERUP_TYPES.SHIELD]: 2,
+        [POWERUP_TYPES.DOUBLE_SCORE]: 1
+      }
+    },
+    colors: {
+      primary: '#FFB74D',
+      secondary: '#FFD54F',
+      accent: '#FFA726'
+    },
+    ui: {
+      panelTop: 'rgba(255, 183, 77, 0.9)',
+      panelBottom: 'rgba(255, 213, 79, 0.8)',
+      border: '#FFD700',
+      primaryText: '#FFFFFF',
+      secondaryText: '#FFF3C4'
+    },
+    background: {
+      image: 'images/backgrounds/bg_dawn.png',
+      gradient: ['#FFA726', '#FFD54F']
+    },
+    particles: { color: '#FFD54F' },  // 金光粒子
+    music: '/audio/bgm.mp3'
+  },
+  [REALM_THEMES.CLOUD]: {
+    name: '云海天界',
+    layers: [11, 50],
+    platformWeights: {
+      primary: { [PLATFORM_TYPES.NORMAL]: 1, [PLATFORM_TYPES.ICE]: 1 },
+      special: { [PLATFORM_TYPES.MOVING]: 1, [PLATFORM_TYPES.FRAGILE]: 1, [PLATFORM_TYPES.DANGEROUS]: 1 }
+    },
+    hazardDensity: 0.15,
+    platformSpacing: { min: 140, max: 220 },
+    fruitChance: 0.35,  // 生命果实基础概率：保持平衡
+    // 障碍物：冰晶，碰到受伤并短暂冰冻
+    obstacles: { type: OBSTACLE_TYPES.ICE_CRYSTAL },
+    // 敌人：霜灵绕平台环绕
+    enemies: {
+      chance: 0.12,
+      maxPerLayer: 1,
+      minLayer: 15,
+      weights: {
+        [ENEMY_TYPES.FROST_SPRITE]: 1
+      }
+    },
+    // 守护者（第25、50层）：落羽和塌陷
+    // duration 为需坚持的秒数，exitOpenTime 为出口开启时间，奖励不受倍率影响
+    guardian: {
+      name: '霜羽守护者',
+      duration: 18,
+      exitOpenTime: 8,
+      patterns: [GUARDIAN_PATTERNS.FALLING_FEATHERS, GUARDIAN_PATTERNS.COLLAPSING_FLOOR],
+      bonus: 300,
+      flawlessBonus: 200
+    },
+    // 冰块平台为主，冰冻免疫最常见
+    powerUps: {
+      chance: 0.15,
+      weights: {
+        [POWERUP_TYPES.FREEZE_IMMUNITY]: 3,
+        [POWERUP_TYPES.MAGNET]: 2,
+        [POWERUP_TYPES.SHIELD]: 2,
+        [POWERUP_TYPES.DOUBLE_SCORE]: 2,
+        [POWERUP_TYPES.SLOW_FALL]: 1
+      }
+    },
+    colors: {
+      primary: '#81D4FA',
+      secondary: '#B3E5FC',
+      accent: '#4FC3F7'
+    },
+    ui: {
+      panelTop: 'rgba(129, 212, 250, 0.9)',
+      panelBottom: 'rgba(179, 229, 252, 0.8)',
+      border: '#81D4FA',
+      primaryText: '#FFFFFF',
+      secondaryText: '#E1F5FE'
+    },
+    background: {
+      image: 'images/backgrounds/bg_cloud.png',
+      gradient: ['#4FC3F7', '#B3E5FC']
+    },
+    particles: { color: '#B3E5FC' },  // 云朵粒子
+    music: '/audio/bgm.mp3'
+  },
+  [REALM_THEMES.THUNDER]: {
+    name: '雷音天界',
+    layers: [51, 75],
+    platformWeights: {
+      primary: { [PLATFORM_TYPES.NORMAL]: 1, [PLATFORM_TYPES.BOUNCE]: 1 },
+      // 雷音天界以定时弹簧为主
+      special: {
+        [PLATFORM_TYPES.MOVING]: 1,
+        [PLATFORM_TYPES.DISAPPEARING]: 1,
+        [PLATFORM_TYPES.ICE]: 1,
+        [PLATFORM_TYPES.DANGEROUS]: 1,
+        [PLATFORM_TYPES.SPRING]: 2,
+        [PLATFORM_TYPES.CONVEYOR]: 1
+      }
+    },
+    hazardDensity: 0.2,
+    platformSpacing: { min: 160, max: 240 },
+    fruitChance: 0.30,  // 生命果实基础概率：增加挑战
+    // 障碍物：避雷针，周期性放电
+    obstacles: { type: OBSTACLE_TYPES.LIGHTNING_ROD },
+    // 敌人：风暴精魄为主，偶尔有霜灵
+    enemies: {
+      chance: 0.15,
+      maxPerLayer: 2,
+      weights: {
+        [ENEMY_TYPES.STORM_WISP]: 3,
+        [ENEMY_TYPES.FROST_SPRITE]: 1
+      }
+    },
+    // 平台组合：雷音天界以传送门为特色
+    structures: {
+      teleporterPairChance: 0.2,
+      crumblingChainChance: 0.1
+    },
+    // 守护者（第75层）：扫雷为主
+    guardian: {
+      name: '雷霆守护者',
+      duration: 22,
+      exitOpenTime: 10,
+      patterns: [GUARDIAN_PATTERNS.SWEEPING_LIGHTNING, GUARDIAN_PATTERNS.FALLING_FEATHERS, GUARDIAN_PATTERNS.COLLAPSING_FLOOR],
+      bonus: 500,
+      flawlessBonus: 300
+    },
+    // 弹跳和消失平台，护盾和缓降更有用
+    powerUps: {
+      chance: 0.18,
+      weights: {
+        [POWERUP_TYPES.SHIELD]: 3,
+        [POWERUP_TYPES.SLOW_FALL]: 2,
+        [POWERUP_TYPES.MAGNET]: 2,
+        [POWERUP_TYPES.DOUBLE_SCORE]: 2,
+        [POWERUP_TYPES.FREEZE_IMMUNITY]: 1
+      }
+    },
+    colors: {
+      primary: '#CE93D8',
+      secondary: '#E1BEE7',
+      accent: '#AB47BC'
+    },
+    ui: {
+      panelTop: 'rgba(206, 147, 216, 0.9)',
+      panelBottom: 'rgba(225, 190, 231, 0.8)',
+      border: '#CE93D8',
+      primaryText: '#FFFFFF',
+      secondaryText: '#F3E5F5'
+    },
+    background: {
+      image: 'images/backgrounds/bg_thunder.png',
+      gradient: ['#AB47BC', '#E1BEE7']
+    },
+    particles: { color: '#E1BEE7' },  // 柔和雷光粒子
+    music: '/audio/bgm.mp3'
+  },
+  [REALM_THEMES.EARTH]: {
+    name: '凡间边界',
+    layers: [76, 100],
+    platformWeights: {
+      primary: { [PLATFORM_TYPES.NORMAL]: 1, [PLATFORM_TYPES.FRAGILE]: 1, [PLATFORM_TYPES.DANGEROUS]: 1 },
+      // 凡间边界以传送带为主
+      special: {
+        [PLATFORM_TYPES.DISAPPEARING]: 1,
+        [PLATFORM_TYPES.MOVING]: 1,
+        [PLATFORM_TYPES.BOUNCE]: 1,
+        [PLATFORM_TYPES.ICE]: 1,
+        [PLATFORM_TYPES.DANGEROUS]: 1,
+        [PLATFORM_TYPES.CONVEYOR]: 2,
+        [PLATFORM_TYPES.SPRING]: 1
+      }
+    },
+    hazardDensity: 0.25,
+    platformSpacing: { min: 180, max: 280 },
+    fruitChance: 0.25,  // 生命果实基础概率：高难度区域，果实稀有
+    // 障碍物：荆棘丛
+    obstacles: { type: OBSTACLE_TYPES.THORN_CLUSTER },
+    // 敌人：乌鸦为主，偶尔有风暴精魄
+    enemies: {
+      chance: 0.18,
+      maxPerLayer: 2,
+      weights: {
+        [ENEMY_TYPES.CROW]: 3,
+        [ENEMY_TYPES.STORM_WISP]: 1
+      }
+    },
+    // 平台组合：凡间边界以崩塌链为特色
+    structures: {
+      teleporterPairChance: 0.15,
+      crumblingChainChance: 0.3
+    },
+    // 守护者（第100层）：三种招式轮番上阵
+    guardian: {
+      name: '凡尘守护者',
+      duration: 26,
+      exitOpenTime: 12,
+      patterns: [GUARDIAN_PATTERNS.COLLAPSING_FLOOR, GUARDIAN_PATTERNS.SWEEPING_LIGHTNING, GUARDIAN_PATTERNS.FALLING_FEATHERS],
+      bonus: 800,
+      flawlessBonus: 400
+    },
+    // 危险平台最多，护盾最常见
+    powerUps: {
+      chance: 0.2,
+      weights: {
+        [POWERUP_TYPES.SHIELD]: 4,
+        [POWERUP_TYPES.SLOW_FALL]: 2,
+        [POWERUP_TYPES.FREEZE_IMMUNITY]: 2,
+        [POWERUP_TYPES.MAGNET]: 1,
+        [POWERUP_TYPES.DOUBLE_SCORE]: 1
+      }
+    },
+    colors: {
+      primary: '#8D6E63',
+      secondary: '#BCAAA4',
+      accent: '#6D4C41'
+    },
+    ui: {
+      panelTop: 'rgba(141, 110, 99, 0.9)',
+      panelBottom: 'rgba(188, 170, 164, 0.8)',
+      border: '#8D6E63',
+      primaryText: '#FFFFFF',
+      secondaryText: '#EFEBE9'
+    },
+    background: {
+      image: 'images/backgrounds/bg_earth.png',
+      gradient: ['#6D4C41', '#BCAAA4']
+    },
+    particles: { color: '#BCAAA4' },  // 大地粒子
+    music: '/audio/bgm.mp3'
+  }
+};
+
+/**
+ * 未知主题时使用的信息面板配色和背景渐变
+ */
+export const DEFAULT_REALM_STYLE = {
+  ui: {
+    panelTop: 'rgba(128, 128, 128, 0.9)',
+    panelBottom: 'rgba(169, 169, 169, 0.8)',
+    border: '#A9A9A9',
+    primaryText: '#FFFFFF',
+    secondaryText: '#F5F5F5'
+  },
+  gradient: ['#333333', '#666666']
+};
+
+/**
+ * 凡间边界的最后一层，越过这一层即抵达人间（普通模式通关）
+ */
+export const HUMAN_WORLD_LAYER = Math.max(...Object.values(REALMS).map(realm => realm.layers[1]));
+
+/**
+ * 指定主题的天界定义
+ *
+ * @param {string} theme - 主题ID
+ * @returns {Object|null} 天界定义，未知主题为null
+ */
+export function getRealm(theme) {
+  return REALMS[theme] || null;
+}
+
+/**
+ * 层数范围包含指定层的天界
+ *
+ * @param {number} layerNum - 层数
+ * @returns {string|null} 主题ID，超出所有天界（人间之下）时为null
+ */
+export function findRealmForLayer(layerNum) {
+  return Object.keys(REALMS).find(theme => {
+    const [first, last] = REALMS[theme].layers;
+    return layerNum >= first && layerNum <= last;
+  }) || null;
+}
+
+/**
+ * 把类型权重展开为等概率抽取的列表（权重为几就重复几次，保持定义顺序）
+ *
+ * @param {Object} weights - { 类型: 权重 }
+ * @returns {Array<string>}
+ */
+export function expandWeights(weights) {
+  const list = [];
+  for (const [type, weight] of Object.entries(weights)) {
+    for (let i = 0; i < weight; i++) {
+      list.push(type);
+    }
+  }
+  return list;
+}
+
+/**
+ * 各天界的背景图路径
+ *
+ * @returns {Object} { 主题ID: 图片路径 }
+ */
+export function getRealmBackgroundPaths() {
+  const paths = {};
+  for (const [theme, realm] of Object.entries(REALMS)) {
+    paths[theme] = realm.background.image;
+  }
+  return paths;
+}
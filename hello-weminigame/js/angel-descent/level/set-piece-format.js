@@ -0,0 +1,227 @@
+/**
+ * @file set-piece-format.js
+ * @description 天使下凡一百层游戏手工布局（set piece）数据格式
+ *
+ * 手工布局是设计师用 JSON 描述的一整层平台，关卡生成器在指定的层插入，
+ * 或按天界和难度从布局池中抽取，代替该层的程序化平台。
+ *
+ * 数据结构（JSON）：
+ * {
+ *   format: 1,                 // 布局格式版本
+ *   id: 'cloud_spiral',        // 布局ID（唯一）
+ *   name: '云阶回旋',           // 显示名称
+ *   layers: [30],              // 固定插入的层（可选，不能是守护者层）
+ *   pool: {                    // 加入布局池（可选，layers 和 pool 至少有一个）
+ *     realms: ['cloud'],       // 可以出现的天界（缺省为全部天界）
+ *     difficulty: [0.3, 0.6],  // 可以出现的难度范围（本层特殊平台概率，缺省为不限）
+ *     weight: 1                // 抽取权重（缺省为1）
+ *   },
+ *   platforms: [
+ *     {
+ *       type: 'moving',        // 平台类型（平台类型注册表中的类型ID）
+ *       x: -120,               // 平台中心的水平坐标（世界坐标，0为中心）
+ *       y: 150,                // 平台中心距层顶部的距离
+ *       width: 100,            // 平台宽度
+ *       moveRange: 80,         // 移动范围（仅移动平台，缺省为60）
+ *       link: 3,               // 传送门出口平台的序号（仅传送门入口，出口须在入口下方）
+ *       chain: 'a',            // 崩塌链标识（仅崩塌平台，相同标识的平台按列出顺序组成一条链）
+ *       fruit: 'life'          // 平台上方的收集品：'life' 为生命果实，或 POWERUP_TYPES 的取值（移动平台除外）
+ *     }
+ *   ]
+ * }
+ *
+ * 格式校验只检查数据本身（类型、范围、传送门配对）；能否从上一层落到本层
+ * 由关卡生成器在插入时按可达性规则验证。
+ */
+
+import { PLATFORM_TYPES } from '../entities/platform.js';
+import { hasPlatformType } from '../entities/platform-registry.js';
+import { POWERUP_TYPES } from '../entities/power-up.js';
+import { GUARDIAN_INTERVAL } from './guardian-encounters.js';
+import { REALMS } from './realm-definitions.js';
+
+/**
+ * 当前布局格式版本
+ */
+export const SET_PIECE_FORMAT_VERSION = 1;
+
+/**
+ * 布局的几何约束（与关卡生成器保持一致）
+ */
+export const SET_PIECE_LIMITS = {
+  worldHalfWidth: 281.25,   // 平台（含移动范围）不能超出的世界半宽
+  layerHeight: 600,         // 层高，y 必须在 [0, layerHeight) 内
+  minWidth: 30,
+  maxWidth: 300,
+  maxMoveRange: 200,
+  maxPlatforms: 12
+};
+
+/**
+ * 平台上方可以放置的收集品
+ */
+const FRUIT_TYPES = ['life', ...Object.values(POWERUP_TYPES)];
+
+/**
+ * 校验一个平台
+ *
+ * @param {Object} platform - 平台数据
+ * @param {number} index - 平台序号
+ * @param {Array<Object>} platforms - 本布局的全部平台
+ * @param {string} id - 布局ID（用于错误信息）
+ * @throws {Error} 数据不正确时抛出
+ */
+function validatePlatform(platform, index, platforms, id) {
+  const where = `布局 ${id} 的第${index}个平台`;
+
+  if (!platform || typeof platform !== 'object') {
+    throw new Error(`${where}无效`);
+  }
+  if (!hasPlatformType(platform.type)) {
+    throw new Error(`${where}类型无效: ${platform.type}`);
+  }
+  if (!Number.isFinite(platform.x) || !Number.isFinite(platform.y) || !Number.isFinite(platform.width)) {
+    throw new Error(`${where}缺少位置或宽度`);
+  }
+  if (platform.width < SET_PIECE_LIMITS.minWidth || platform.width > SET_PIECE_LIMITS.maxWidth) {
+    throw new Error(`${where}宽度超出范围: ${platform.width}`);
+  }
+  if (platform.y < 0 || platform.y >= SET_PIECE_LIMITS.layerHeight) {
+    throw new Error(`${where}不在本层范围内: y=${platform.y}`);
+  }
+
+  if (platform.moveRange !== undefined) {
+    if (platform.type !== PLATFORM_TYPES.MOVING) {
+      throw new Error(`${where}不是移动平台，不能设置移动范围`);
+    }
+    if (!Number.isFinite(platform.moveRange) || platform.moveRange < 0 || platform.moveRange > SET_PIECE_LIMITS.maxMoveRange) {
+      throw new Error(`${where}移动范围无效: ${platform.moveRange}`);
+    }
+  }
+  const reach = Math.abs(platform.x) + platform.width / 2 +
+    (platform.type === PLATFORM_TYPES.MOVING ? (platform.moveRange !== undefined ? platform.moveRange : 60) : 0);
+  if (reach > SET_PIECE_LIMITS.worldHalfWidth) {
+    throw new Error(`${where}超出世界范围: x=${platform.x}`);
+  }
+
+  if (platform.type === PLATFORM_TYPES.TELEPORTER) {
+    const isEntry = platform.link !== undefined;
+    const isExit = platforms.some(other => other && other.link === index);
+    if (isEntry === isExit) {
+      throw new Error(`${where}是传送门，必须恰好作为一对传送门的入口或出口`);
+    }
+    if (isEntry) {
+      const exit = platforms[platform.link];
+      if (!Number.isInteger(platform.link) || !exit || exit.type !== PLATFORM_TYPES.TELEPORTER || platform.link === index) {
+        throw new Error(`${where}的传送门出口无效: ${platform.link}`);
+      }
+      if (exit.y <= platform.y) {
+        throw new Error(`${where}的传送门出口必须在入口下方`);
+      }
+      if (platforms.filter(other => other && other.link === platform.link).length > 1) {
+        throw new Error(`${where}的传送门出口被多个入口共用`);
+      }
+    }
+  } else if (platform.link !== undefined) {
+    throw new Error(`${where}不是传送门，不能设置出口`);
+  }
+
+  if (platform.chain !== undefined) {
+    if (platform.type !== PLATFORM_TYPES.CRUMBLING) {
+      throw new Error(`${where}不是崩塌平台，不能加入崩塌链`);
+    }
+    if (typeof platform.chain !== 'string' || platform.chain.length === 0) {
+      throw new Error(`${where}的崩塌链标识无效`);
+    }
+  }
+
+  if (platform.fruit !== undefined) {
+    if (!FRUIT_TYPES.includes(platform.fruit)) {
+      throw new Error(`${where}的收集品无效: ${platform.fruit}`);
+    }
+    if (platform.type === PLATFORM_TYPES.MOVING) {
+      throw new Error(`${where}是移动平台，不能放置收集品`);
+    }
+  }
+}
+
+/**
+ * 解析并校验布局数据
+ *
+ * @param {string|Object} data - JSON字符串或布局对象
+ * @returns {Object} 校验通过的布局对象
+ * @throws {Error} 数据格式不正确时抛出
+ */
+export function parseSetPiece(data) {
+  const layout = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!layout || typeof layout !== 'object') {
+    throw new Error('布局数据无效');
+  }
+  if (layout.format !== SET_PIECE_FORMAT_VERSION) {
+    throw new Error(`不支持的布局格式版本: ${layout.format}`);
+  }
+  if (typeof layout.id !== 'string' || layout.id.length === 0) {
+    throw new Error('布局缺少ID');
+  }
+  const id = layout.id;
+  if (typeof layout.name !== 'string') {
+    throw new Error(`布局 ${id} 缺少名称`);
+  }
+  if (layout.layers === undefined && layout.pool === undefined) {
+    throw new Error(`布局 ${id} 既没有指定层也没有加入布局池`);
+  }
+
+  if (layout.layers !== undefined) {
+    if (!Array.isArray(layout.layers) || !layout.layers.every(layer => Number.isInteger(layer) && layer >= 1)) {
+      throw new Error(`布局 ${id} 的插入层无效`);
+    }
+    const guardianLayer = layout.layers.find(layer => layer % GUARDIAN_INTERVAL === 0);
+    if (guardianLayer !== undefined) {
+      throw new Error(`布局 ${id} 不能插入守护者层: ${guardianLayer}`);
+    }
+  }
+
+  if (layout.pool !== undefined) {
+    const pool = layout.pool;
+    if (!pool || typeof pool !== 'object') {
+      throw new Error(`布局 ${id} 的布局池设置无效`);
+    }
+    if (pool.realms !== undefined && !(Array.isArray(pool.realms) && pool.realms.every(theme => REALMS[theme]))) {
+      throw new Error(`布局 ${id} 的天界无效`);
+    }
+    if (pool.difficulty !== undefined && !(Array.isArray(pool.difficulty) && pool.difficulty.length === 2 &&
+        pool.difficulty.every(Number.isFinite) && pool.difficulty[0] <= pool.difficulty[1])) {
+      throw new Error(`布局 ${id} 的难度范围无效`);
+    }
+    if (pool.weight !== undefined && !(Number.isFinite(pool.weight) && pool.weight > 0)) {
+      throw new Error(`布局 ${id} 的抽取权重无效: ${pool.weight}`);
+    }
+  }
+
+  if (!Array.isArray(layout.platforms) || layout.platforms.length === 0) {
+    throw new Error(`布局 ${id} 没有平台`);
+  }
+  if (layout.platforms.length > SET_PIECE_LIMITS.maxPlatforms) {
+    throw new Error(`布局 ${id} 的平台过多: ${layout.platforms.length}`);
+  }
+  layout.platforms.forEach((platform, index) => validatePlatform(platform, index, layout.platforms, id));
+
+  return layout;
+}
+
+/**
+ * 布局是否可以出现在指定天界和难度的层
+ *
+ * @param {Object} layout - 布局对象
+ * @param {string} theme - 本层天界
+ * @param {number} difficulty - 本层难度（特殊平台概率）
+ * @returns {boolean}
+ */
+export function matchesPool(layout, theme, difficulty) {
+  const pool = layout.pool;
+  if (!pool) return false;
+  if (pool.realms && !pool.realms.includes(theme)) return false;
+  if (pool.difficulty && (difficulty < pool.difficulty[0] || difficulty > pool.difficulty[1])) return false;
+  return true;
+}
@@ -0,0 +1,88 @@
+/**
+ * @file set-piece-layouts.js
+ * @description 手工布局（set piece）数据
+ *
+ * 设计师在这里添加或修改手工布局，无需改动关卡生成器。每个布局都是纯 JSON
+ * （格式见 set-piece-format.js），可以直接与 .json 文件互相复制；
+ * 运行时也可以通过 LevelGenerator.addSetPiece() 添加 JSON 字符串形式的布局。
+ *
+ * 关卡生成器启动时逐个校验这些布局，格式错误会直接抛出，避免带着坏数据发布。
+ */
+
+export const SET_PIECE_LAYOUTS = [
+  {
+    "format": 1,
+    "id": "dawn_stairs",
+    "name": "霞光阶梯",
+    "layers": [10],
+    "platforms": [
+      { "type": "normal", "x": -180, "y": 90, "width": 110 },
+      { "type": "normal", "x": -60, "y": 200, "width": 100, "fruit": "life" },
+      { "type": "bounce", "x": 60, "y": 310, "width": 110 },
+      { "type": "normal", "x": 180, "y": 430, "width": 110, "fruit": "shield" }
+    ]
+  },
+  {
+    "format": 1,
+    "id": "dawn_twin_clouds",
+    "name": "双云",
+    "pool": { "realms": ["dawn"] },
+    "platforms": [
+      { "type": "normal", "x": -130, "y": 160, "width": 120, "fruit": "life" },
+      { "type": "normal", "x": 130, "y": 160, "width": 120 },
+      { "type": "bounce", "x": 0, "y": 390, "width": 120 }
+    ]
+  },
+  {
+    "format": 1,
+    "id": "cloud_spiral",
+    "name": "云阶回旋",
+    "layers": [30],
+    "platforms": [
+      { "type": "ice", "x": -190, "y": 100, "width": 105 },
+      { "type": "bounce", "x": 0, "y": 230, "width": 120 },
+      { "type": "ice", "x": 190, "y": 330, "width": 105, "fruit": "life" },
+      { "type": "normal", "x": 0, "y": 460, "width": 110, "fruit": "magnet" }
+    ]
+  },
+  {
+    "format": 1,
+    "id": "cloud_ferry",
+    "name": "云渡",
+    "pool": { "realms": ["cloud"], "difficulty": [0.3, 0.7] },
+    "platforms": [
+      { "type": "teleporter", "x": -200, "y": 80, "width": 100, "link": 2 },
+      { "type": "moving", "x": 0, "y": 220, "width": 100, "moveRange": 120 },
+      { "type": "teleporter", "x": 200, "y": 420, "width": 100, "fruit": "life" },
+      { "type": "normal", "x": -150, "y": 380, "width": 110 }
+    ]
+  },
+  {
+    "format": 1,
+    "id": "thunder_gauntlet",
+    "name": "雷鸣长廊",
+    "pool": { "realms": ["thunder"], "difficulty": [0.5, 1] },
+    "platforms": [
+      { "type": "crumbling", "x": -210, "y": 120, "width": 40, "chain": "upper" },
+      { "type": "crumbling", "x": -150, "y": 120, "width": 40, "chain": "upper" },
+      { "type": "crumbling", "x": -90, "y": 120, "width": 40, "chain": "upper" },
+      { "type": "dangerous", "x": 60, "y": 220, "width": 115 },
+      { "type": "moving", "x": -40, "y": 340, "width": 100, "moveRange": 100 },
+      { "type": "crumbling", "x": 110, "y": 460, "width": 40, "chain": "lower" },
+      { "type": "crumbling", "x": 170, "y": 460, "width": 40, "chain": "lower", "fruit": "life" },
+      { "type": "crumbling", "x": 230, "y": 460, "width": 40, "chain": "lower" }
+    ]
+  },
+  {
+    "format": 1,
+    "id": "earth_homeward",
+    "name": "归途",
+    "pool": { "realms": ["earth"], "difficulty": [0.6, 1] },
+    "platforms": [
+      { "type": "disappearing", "x": -160, "y": 100, "width": 100 },
+      { "type": "spring", "x": 80, "y": 200, "width": 100 },
+      { "type": "fragile", "x": -80, "y": 330, "width": 95 },
+      { "type": "conveyor", "x": 160, "y": 450, "width": 120, "fruit": "life" }
+    ]
+  }
+];
@@ -0,0 +1,96 @@
+/**
+ * @file checkpoint-manager.js
+ * @description 天使下凡一百层游戏检查点管理器
+ *
+ * 每个天界的起始层是一个检查点（来自天界定义 realm-definitions.js）。
+ * 到达检查点即解锁并写入玩家档案；失败后可以选择从已解锁的检查点继续，
+ * 以同一种子从检查点层重新生成世界（各层按层号派生随机数，生成结果与整局一致）。
+ * 回放模式下只记录本局到达的检查点，不写入档案。
+ */
+
+import { REALMS } from '../level/realm-definitions.js';
+
+/**
+ * 检查点管理器
+ *
+ * @class CheckpointManager
+ */
+export default class CheckpointManager {
+  /**
+   * @constructor
+   * @param {AngelDescentGame} game - 游戏实例
+   */
+  constructor(game) {
+    this.game = game;
+  }
+
+  /**
+   * 所有检查点（各天界起始层），按层号升序
+   *
+   * @returns {Array<Object>} [{ layer, theme, name }]
+   */
+  getCheckpoints() {
+    return Object.keys(REALMS)
+      .map(theme => ({
+        layer: REALMS[theme].layers[0],
+        theme,
+        name: REALMS[theme].name
+      }))
+      .sort((a, b) => a.layer - b.layer);
+  }
+
+  /**
+   * 获取指定层号的检查点
+   *
+   * @param {number} layer - 层号
+   * @returns {Object|null} 检查点，该层不是检查点时为null
+   */
+  getCheckpoint(layer) {
+    return this.getCheckpoints().find(checkpoint => checkpoint.layer === layer) || null;
+  }
+
+  /**
+   * 已解锁的检查点
+   *
+   * @returns {Array<Object>} 检查点列表
+   */
+  getUnlockedCheckpoints() {
+    const unlocked = this.game.profile ? this.game.profile.unlockedCheckpoints : [1];
+    return this.getCheckpoints().filter(checkpoint => unlocked.includes(checkpoint.layer));
+  }
+
+  /**
+   * 失败后可继续的检查点：已解锁的最深检查点（第1层即重新开始，不算）
+   *
+   * @returns {Object|null} 检查点
+   */
+  getContinueCheckpoint() {
+    const unlocked = this.getUnlockedCheckpoints().filter(checkpoint => checkpoint.layer > 1);
+    return unlocked.length > 0 ? unlocked[unlocked.length - 1] : null;
+  }
+
+  /**
+   * 玩家到达新的层：经过的检查点全部解锁
+   *
+   * @param {number} previousLayer - 之前的层数
+   * @param {number} currentLayer - 新的层数
+   * @returns {Array<Object>} 本次新解锁的检查点
+   */
+  onLayerReached(previousLayer, currentLayer) {
+    const unlocked = [];
+    if (this.game.replayPlayer) return unlocked;
+
+    for (const checkpoint of this.getCheckpoints()) {
+      if (checkpoint.layer > previousLayer && checkpoint.layer <= currentLayer) {
+        if (this.game.saveManager.unlockCheckpoint(checkpoint.layer)) {
+          unlocked.push(checkpoint);
+        }
+      }
+    }
+
+    if (unlocked.length > 0) {
+      this.game.profile = this.game.saveManager.load();
+    }
+    return unlocked;
+  }
+}
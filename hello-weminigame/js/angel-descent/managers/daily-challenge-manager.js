@@ -0,0 +1,209 @@
+/**
+ * @file daily-challenge-manager.js
+ * @description 天使下凡一百层游戏每日挑战管理器
+ *
+ * 每天所有玩家挑战同一个世界：对局种子由日历日期派生（daily_YYYY-MM-DD），
+ * 同一日期派生的随机数还决定当天的修正组合（0-2个，整局放大或缩小各类内容的生成概率）。
+ * 日期统一按北京时间划分（不用设备的本地时区），不同时区的玩家在同一时刻挑战同一个世界，
+ * 成绩历史和日历也使用同一个日期键。
+ *
+ * 每天只有第一局计入成绩（开始即占用当天的正式挑战，中途退出按开始时记录），
+ * 之后的对局都是练习，不写入档案。正式成绩保存在玩家档案的 dailyHistory 中，
+ * 日历界面按月展示已完成的日期和连续挑战天数。
+ */
+
+import SeededRandom from '../core/random.js';
+
+/**
+ * 每日挑战参数
+ */
+export const DAILY_CONFIG = {
+  unlockRuns: 3,          // 累计完成多少局后解锁（新玩家先熟悉玩法，保留失败后自动重开）
+  modifierChance: 0.7,    // 当天带修正的概率
+  maxModifiers: 2,        // 当天最多几个修正
+  utcOffsetHours: 8       // 划分日期的时区（北京时间 UTC+8）
+};
+
+/**
+ * 每日修正
+ *
+ * generation 中的系数传给 LevelGenerator.setModifiers()，多个修正的同名系数相乘。
+ */
+export const DAILY_MODIFIERS = {
+  thorns: {
+    name: '荆棘丛生',
+    description: '障碍物增加50%',
+    generation: { hazardDensity: 1.5 }
+  },
+  swarm: {
+    name: '群魔乱舞',
+    description: '敌人出现概率翻倍',
+    generation: { enemyChance: 2 }
+  },
+  barren: {
+    name: '果实凋零',
+    description: '生命果实出现概率减半',
+    generation: { fruitChance: 0.5 }
+  },
+  surge: {
+    name: '宝物涌现',
+    description: '道具出现概率翻倍',
+    generation: { powerUpChance: 2 }
+  }
+};
+
+/**
+ * 挑战时区的当前日期
+ *
+ * 返回的 Date 已按 DAILY_CONFIG.utcOffsetHours 平移，年月日只能用 getUTC* 系列读取。
+ *
+ * @param {number} time - 时间戳（毫秒），默认为现在
+ * @returns {Date} 日期
+ */
+export function getChallengeDate(time = Date.now()) {
+  return new Date(time + DAILY_CONFIG.utcOffsetHours * 3600 * 1000);
+}
+
+/**
+ * 日期键（YYYY-MM-DD，取 UTC 年月日）
+ *
+ * @param {Date} date - getChallengeDate() 或 Date.UTC() 得到的日期
+ * @returns {string} 日期键
+ */
+export function formatDateKey(date) {
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${date.getUTCFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 合并多个每日修正的生成系数
+ *
+ * @param {Array<string>} modifierIds - 修正ID列表
+ * @returns {Object} LevelGenerator.setModifiers() 的参数
+ */
+export function getModifierGeneration(modifierIds) {
+  const generation = {};
+  for (const id of modifierIds) {
+    const modifier = DAILY_MODIFIERS[id];
+    if (!modifier) continue;
+    for (const [key, value] of Object.entries(modifier.generation)) {
+      generation[key] = (generation[key] || 1) * value;
+    }
+  }
+  return generation;
+}
+
+/**
+ * 每日挑战管理器
+ *
+ * @class DailyChallengeManager
+ */
+export default class DailyChallengeManager {
+  /**
+   * @constructor
+   * @param {AngelDescentGame} game - 游戏实例
+   */
+  constructor(game) {
+    this.game = game;
+  }
+
+  /**
+   * 今天的日期键
+   *
+   * @returns {string} 日期键
+   */
+  getTodayKey() {
+    return formatDateKey(getChallengeDate());
+  }
+
+  /**
+   * 指定日期的挑战（种子和修正只由日期决定）
+   *
+   * @param {string} dateKey - 日期键，默认为今天
+   * @returns {{dateKey: string, seed: string, modifiers: Array<string>}}
+   */
+  getChallenge(dateKey = this.getTodayKey()) {
+    const seed = `daily_${dateKey}`;
+    const random = new SeededRandom(seed).derive('modifiers');
+
+    const modifiers = [];
+    if (random.chance(DAILY_CONFIG.modifierChance)) {
+      const pool = Object.keys(DAILY_MODIFIERS);
+      const count = 1 + random.int(DAILY_CONFIG.maxModifiers);
+      while (modifiers.length < count && pool.length > 0) {
+        modifiers.push(pool.splice(random.int(pool.length), 1)[0]);
+      }
+    }
+
+    return { dateKey, seed, modifiers };
+  }
+
+  /**
+   * 指定日期的正式成绩
+   *
+   * @param {string} dateKey - 日期键
+   * @returns {Object|null} { layer, score, reason, modifiers }，当天未挑战时为null
+   */
+  getResult(dateKey) {
+    const history = this.game.profile ? this.game.profile.dailyHistory : {};
+    return history[dateKey] || null;
+  }
+
+  /**
+   * 当天的正式挑战是否已经用掉
+   *
+   * @param {string} dateKey - 日期键
+   * @returns {boolean}
+   */
+  hasAttempted(dateKey) {
+    return this.getResult(dateKey) !== null;
+  }
+
+  /**
+   * 连续挑战天数（截至今天；今天还没挑战时截至昨天）
+   *
+   * @returns {number} 天数
+   */
+  getStreak() {
+    const date = getChallengeDate();
+    if (!this.hasAttempted(formatDateKey(date))) {
+      date.setUTCDate(date.getUTCDate() - 1);
+    }
+
+    let streak = 0;
+    while (this.hasAttempted(formatDateKey(date))) {
+      streak++;
+      date.setUTCDate(date.getUTCDate() - 1);
+    }
+    return streak;
+  }
+
+  /**
+   * 日历中一个月的所有日期
+   *
+   * @param {number} year - 年
+   * @param {number} month - 月（0-11）
+   * @returns {{firstWeekday: number, days: Array<Object>}} 1号是星期几（0为周日）和每天的 { day, dateKey, result, isToday }
+   */
+  getMonth(year, month) {
+    const todayKey = this.getTodayKey();
+    const dayCount = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const days = [];
+
+    for (let day = 1; day <= dayCount; day++) {
+      const dateKey = formatDateKey(new Date(Date.UTC(year, month, day)));
+      days.push({
+        day,
+        dateKey,
+        result: this.getResult(dateKey),
+        isToday: dateKey === todayKey
+      });
+    }
+
+    return {
+      firstWeekday: new Date(Date.UTC(year, month, 1)).getUTCDay(),
+      days
+    };
+  }
+}
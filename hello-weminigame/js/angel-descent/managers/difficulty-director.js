@@ -0,0 +1,282 @@
+/**
+ * @file difficulty-director.js
+ * @description 天使下凡一百层游戏自适应难度
+ *
+ * 关卡难度原本只由层数决定。自适应难度根据玩家的表现在此基础上微调：
+ * - 本局最近几层：受伤次数、拾取果实和道具的个数、每层用时
+ * - 最近几局：开局后很快失败的次数（决定开局时的紧张度）
+ *
+ * 表现汇总为 -1 到 1 的紧张度（负数为放缓，正数为加紧），每到达新的一层最多变化 maxStep，
+ * 按 DIRECTOR_BOUNDS 换算为平台数量、特殊平台概率、移动平台速度和生命果实概率的调整，
+ * 交给 LevelGenerator.setDifficultyAdjustment() 作用于之后生成的层。
+ *
+ * 本局的表现只来自固定步长的逻辑帧，录像记录开局紧张度即可复现全部调整。
+ * 纯净模式（档案设置 pureMode）和每日挑战不做任何调整。
+ * 每次调整都写入调整日志（getLog()），便于检查。
+ */
+
+import { DEFAULT_DIFFICULTY_ADJUSTMENT } from '../level/level-generator.js';
+
+/**
+ * 自适应难度参数
+ */
+export const DIRECTOR_CONFIG = {
+  windowLayers: 8,          // 按最近多少层的表现评估
+  minSamples: 3,            // 至少经过多少层才开始调整
+  targetLayerTime: 1.5,     // 每层的参考用时（秒），更慢视为吃力
+  damageWeight: 1.5,        // 每层平均受伤次数对紧张度的影响
+  pickupWeight: 0.5,        // 每层平均拾取个数对紧张度的影响
+  timeWeight: 0.5,          // 用时快慢对紧张度的影响
+  maxStep: 0.1,             // 每层紧张度最多变化多少
+  recentRuns: 5,            // 开局参考最近几局
+  quickDeathLayers: 15,     // 开局后多少层内失败算作很快失败
+  quickDeathPenalty: 0.15,  // 每次很快失败降低的开局紧张度
+  completionBonus: 0.15,    // 每次通关提高的开局紧张度
+  maxStartTension: 0.5,     // 开局紧张度的绝对值上限
+  logLimit: 200             // 调整日志最多保留的条数
+};
+
+/**
+ * 紧张度为 ±1 时各项的最大调整
+ */
+export const DIRECTOR_BOUNDS = {
+  platformCount: 1,             // 平台数量 ∓1（放缓时增加平台）
+  specialPlatformChance: 0.25,  // 特殊平台概率 ×(1±0.25)
+  movePlatformSpeed: 0.2,       // 移动平台速度 ×(1±0.2)
+  fruitChance: 0.5              // 生命果实概率 ×(1∓0.5)（放缓时更多果实）
+};
+
+/**
+ * 限制数值范围
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * 紧张度对应的难度调整
+ *
+ * @param {number} tension - 紧张度（-1 到 1）
+ * @returns {Object} LevelGenerator.setDifficultyAdjustment() 的参数，紧张度为0时不调整
+ */
+export function getDifficultyAdjustment(tension) {
+  if (tension === 0) {
+    return { ...DEFAULT_DIFFICULTY_ADJUSTMENT };
+  }
+  return {
+    platformCount: -tension * DIRECTOR_BOUNDS.platformCount,
+    specialPlatformChance: 1 + tension * DIRECTOR_BOUNDS.specialPlatformChance,
+    movePlatformSpeed: 1 + tension * DIRECTOR_BOUNDS.movePlatformSpeed,
+    fruitChance: 1 - tension * DIRECTOR_BOUNDS.fruitChance
+  };
+}
+
+/**
+ * 自适应难度
+ *
+ * @class DifficultyDirector
+ */
+export default class DifficultyDirector {
+  /**
+   * @constructor
+   * @param {AngelDescentGame} game - 游戏实例
+   */
+  constructor(game) {
+    this.game = game;
+    this.recentRuns = [];   // 最近几局的结果 { reason, layers }（只在本次游戏期间保留）
+    this.begin(null);
+  }
+
+  /**
+   * 开始新的一局
+   *
+   * @param {Object|null} state - { startTension }，为null时本局不调整（纯净）
+   */
+  begin(state) {
+    this.enabled = state !== null;
+    this.startTension = this.enabled ? state.startTension : 0;
+    this.tension = this.startTension;
+    this.samples = [];        // 最近几层的表现 { time, damage, pickups }
+    this.layerTime = 0;       // 到达当前层后经过的时间
+    this.layerDamage = 0;     // 到达当前层后的受伤次数
+    this.layerPickups = 0;    // 到达当前层后拾取的果实和道具
+    this.log = [];
+
+    this.applyAdjustment();
+    if (this.enabled) {
+      this.writeLog(this.game.runStartLayer, null);
+    }
+  }
+
+  /**
+   * 本局是否启用自适应难度
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * 按最近几局的结果计算下一局的开局紧张度
+   *
+   * @returns {number} 紧张度
+   */
+  getStartTension() {
+    let tension = 0;
+    for (const run of this.recentRuns) {
+      if (run.reason === 'complete') {
+        tension += DIRECTOR_CONFIG.completionBonus;
+      } else if (run.layers < DIRECTOR_CONFIG.quickDeathLayers) {
+        tension -= DIRECTOR_CONFIG.quickDeathPenalty;
+      }
+    }
+    return clamp(tension, -DIRECTOR_CONFIG.maxStartTension, DIRECTOR_CONFIG.maxStartTension);
+  }
+
+  /**
+   * 记录一局的结果（回放不计入）
+   *
+   * @param {string} reason - 结束原因（'complete' 为通关）
+   * @param {number} layers - 本局下降的层数
+   */
+  onRunFinished(reason, layers) {
+    this.recentRuns.push({ reason, layers });
+    if (this.recentRuns.length > DIRECTOR_CONFIG.recentRuns) {
+      this.recentRuns.shift();
+    }
+  }
+
+  /**
+   * 每个逻辑帧更新：累计当前层用时
+   *
+   * @param {number} deltaTime - 逻辑帧时长（秒）
+   */
+  update(deltaTime) {
+    this.layerTime += deltaTime;
+  }
+
+  /**
+   * 玩家受伤（GAME_EVENTS.PLAYER_DAMAGED）
+   */
+  onPlayerDamaged() {
+    this.layerDamage++;
+  }
+
+  /**
+   * 拾取生命果实或道具
+   */
+  onPickup() {
+    this.layerPickups++;
+  }
+
+  /**
+   * 玩家到达新的层：记录这几层的表现并调整紧张度
+   *
+   * @param {number} previousLayer - 之前的层数
+   * @param {number} currentLayer - 新的层数
+   */
+  onLayerReached(previousLayer, currentLayer) {
+    if (!this.enabled) return;
+
+    // 一次越过多层时平分用时，受伤和拾取计入第一层
+    const layers = currentLayer - previousLayer;
+    for (let i = 0; i < layers; i++) {
+      this.samples.push({
+        time: this.layerTime / layers,
+        damage: i === 0 ? this.layerDamage : 0,
+        pickups: i === 0 ? this.layerPickups : 0
+      });
+    }
+    while (this.samples.length > DIRECTOR_CONFIG.windowLayers) {
+      this.samples.shift();
+    }
+    this.layerTime = 0;
+    this.layerDamage = 0;
+    this.layerPickups = 0;
+
+    if (this.samples.length < DIRECTOR_CONFIG.minSamples) return;
+
+    const metrics = this.getMetrics();
+    const target = clamp(metrics.performance, -1, 1);
+    const step = clamp(target - this.tension, -DIRECTOR_CONFIG.maxStep, DIRECTOR_CONFIG.maxStep);
+    if (step === 0) return;
+
+    this.tension = clamp(this.tension + step, -1, 1);
+    this.applyAdjustment();
+    this.writeLog(currentLayer, metrics);
+  }
+
+  /**
+   * 最近几层的表现
+   *
+   * @returns {Object} { damageRate, pickupRate, averageLayerTime, performance }
+   */
+  getMetrics() {
+    const count = this.samples.length;
+    const total = this.samples.reduce((sum, sample) => ({
+      time: sum.time + sample.time,
+      damage: sum.damage + sample.damage,
+      pickups: sum.pickups + sample.pickups
+    }), { time: 0, damage: 0, pickups: 0 });
+
+    const damageRate = total.damage / count;
+    const pickupRate = total.pickups / count;
+    const averageLayerTime = total.time / count;
+    const speed = clamp((DIRECTOR_CONFIG.targetLayerTime - averageLayerTime) / DIRECTOR_CONFIG.targetLayerTime, -1, 1);
+
+    return {
+      damageRate,
+      pickupRate,
+      averageLayerTime,
+      performance: pickupRate * DIRECTOR_CONFIG.pickupWeight +
+        speed * DIRECTOR_CONFIG.timeWeight -
+        damageRate * DIRECTOR_CONFIG.damageWeight
+    };
+  }
+
+  /**
+   * 把当前紧张度对应的调整交给关卡生成器
+   */
+  applyAdjustment() {
+    if (this.game.levelGenerator) {
+      this.game.levelGenerator.setDifficultyAdjustment(getDifficultyAdjustment(this.tension));
+    }
+  }
+
+  /**
+   * 写入一条调整日志
+   *
+   * @param {number} layer - 调整时所在的层
+   * @param {Object|null} metrics - 触发调整的表现，开局时为null
+   */
+  writeLog(layer, metrics) {
+    this.log.push({
+      layer,
+      tension: this.tension,
+      metrics,
+      adjustment: getDifficultyAdjustment(this.tension)
+    });
+    if (this.log.length > DIRECTOR_CONFIG.logLimit) {
+      this.log.shift();
+    }
+  }
+
+  /**
+   * 本局的调整日志（第一条为开局状态）
+   *
+   * @returns {Array<Object>} [{ layer, tension, metrics, adjustment }]
+   */
+  getLog() {
+    return this.log.slice();
+  }
+
+  /**
+   * 录像中记录的开局状态
+   *
+   * @returns {Object|null} { startTension }，本局不调整时为null
+   */
+  getState() {
+    return this.enabled ? { startTension: this.startTension } : null;
+  }
+}
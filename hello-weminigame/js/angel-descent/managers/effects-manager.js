@@ -3,6 +3,8 @@
  * @description 天使下凡一百层游戏特效管理器
  */
 
+import { getRealm } from '../level/realm-definitions.js';
+
 /**
  * 特效管理器 - 负责处理所有视觉特效和粒子系统
  */
@@ -173,11 +175,8 @@ export default class EffectsManager {
    * 获取当前主题的粒子颜色
    */
   getCurrentThemeParticleColor() {
-    const layer = this.game.gameData.currentLayer;
-    if (layer <= 25) return '#FFD54F'; // 朝霞天界 - 金光粒子
-    if (layer <= 50) return '#B3E5FC'; // 云海天界 - 云朵粒子  
-    if (layer <= 75) return '#E1BEE7'; // 雷音天界 - 柔和雷光粒子
-    return '#BCAAA4'; // 凡间边界 - 大地粒子
+    const theme = this.game.levelGenerator.getThemeForLayer(this.game.gameData.currentLayer);
+    return getRealm(theme).particles.color;
   }
 
   /**
@@ -0,0 +1,594 @@
+/**
+ * @file guardian-manager.js
+ * @description 天使下凡一百层游戏守护者遭遇战管理器
+ *
+ * 守护者层的竞技场由 LevelGenerator 生成（见 level/guardian-encounters.js），
+ * 这里负责遭遇战的流程：
+ * - 天使第一次落到竞技场地面时开始，按守护者定义的招式顺序循环阶段
+ * - 坚持到时间结束，或踩上已开启的出口平台即通关
+ * - 通关后竞技场从天使脚下向两侧逐段崩塌，天使继续下落，获得天界奖励
+ * - 守护者层未通关前，不生成它以下的层
+ * - 竞速模式的目标层是守护者层时，落到竞技场即完成竞速，不进行遭遇战
+ *
+ * 招式的随机数由本局种子按层号派生，落点只依赖逻辑帧和玩家位置，回放结果一致。
+ */
+
+import { GAME_EVENTS } from '../../event-manager.js';
+import { PLATFORM_TYPES } from '../entities/platform.js';
+import { GUARDIAN_INTERVAL, GUARDIAN_PATTERNS, GUARDIAN_PATTERN_CONFIGS, GUARDIAN_ARENA } from '../level/guardian-encounters.js';
+
+/**
+ * 守护者遭遇战管理器
+ *
+ * @class GuardianManager
+ */
+export default class GuardianManager {
+  /**
+   * @constructor
+   * @param {AngelDescentGame} game - 游戏实例
+   */
+  constructor(game) {
+    this.game = game;
+    this.reset();
+  }
+
+  /**
+   * 重置（新的一局）
+   */
+  reset() {
+    this.arenas = new Map();          // 层号 -> 竞技场
+    this.clearedLayers = new Set();   // 本局已通关的守护者层
+    this.active = null;               // 进行中的遭遇战
+    this.collapsing = [];             // 通关后等待崩塌的平台 { platform, delay }
+    this.banner = null;               // 开始/通关提示 { text, color, time }
+  }
+
+  /**
+   * 加入生成好的竞技场
+   *
+   * @param {Object} arena - LevelGenerator.generateGuardianLayer() 返回的 guardian 字段
+   */
+  addArena(arena) {
+    this.arenas.set(arena.layer, {
+      ...arena,
+      // 地面按段记录状态，塌陷后恢复时替换为新平台
+      slots: arena.floor.map(platform => ({
+        platform,
+        x: platform.x,
+        state: 'solid',   // solid / warning / open
+        timer: 0
+      }))
+    });
+  }
+
+  /**
+   * 当前允许生成到的最大层：本局第一个尚未通关的守护者层
+   *
+   * @returns {number} 层号，没有未通关的守护者层时为Infinity
+   */
+  getGenerationLimit() {
+    const generator = this.game.levelGenerator;
+    const startLayer = this.game.runStartLayer;
+    const firstLayer = Math.ceil(startLayer / GUARDIAN_INTERVAL) * GUARDIAN_INTERVAL;
+
+    // 无尽模式没有终点（maxLayer为Infinity），但轮换的天界都有守护者，循环总会在下一个未通关的守护者层返回
+    for (let layer = firstLayer; layer <= this.game.gameData.maxLayer; layer += GUARDIAN_INTERVAL) {
+      if (generator.isGuardianLayer(layer) && !this.clearedLayers.has(layer)) {
+        return layer;
+      }
+    }
+    return Infinity;
+  }
+
+  /**
+   * 是否有进行中的遭遇战
+   *
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.active !== null;
+  }
+
+  /**
+   * 玩家踩上平台（GAME_EVENTS.PLATFORM_STEP）
+   *
+   * @param {Platform} platform - 平台
+   */
+  onPlatformStep(platform) {
+    if (!platform.guardianRole) return;
+
+    const arena = this.arenas.get(platform.layer);
+    if (!arena || this.clearedLayers.has(arena.layer)) return;
+
+    if (!this.active) {
+      if (platform.guardianRole === 'pit') return;
+
+      // 竞速模式的目标层是守护者层时，落到竞技场即到达终点，不进行遭遇战
+      if (this.game.isTimeAttackRun() && arena.layer >= this.game.gameData.maxLayer) {
+        this.game.gameComplete();
+      } else {
+        this.start(arena);
+      }
+      return;
+    }
+
+    if (platform.guardianRole === 'exit' && this.active.exitOpen) {
+      this.complete('exit');
+    } else if (platform.guardianRole === 'pit') {
+      // 掉进深坑：受伤并弹回地面
+      const player = this.game.player;
+      player.takeDamage(GUARDIAN_ARENA.pitDamage, 'guardian_pit');
+      player.velocity.y = -GUARDIAN_ARENA.pitBounceSpeed;
+      player.onGround = false;
+    }
+  }
+
+  /**
+   * 玩家受伤（GAME_EVENTS.PLAYER_DAMAGED）：失去无伤奖励
+   */
+  onPlayerDamaged() {
+    if (this.active) {
+      this.active.damaged = true;
+    }
+  }
+
+  /**
+   * 开始遭遇战
+   *
+   * @param {Object} arena - 竞技场
+   */
+  start(arena) {
+    this.active = {
+      arena,
+      encounter: arena.encounter,
+      random: this.game.random.derive(`guardian_${arena.layer}`),
+      time: 0,
+      phaseIndex: -1,
+      patternTimer: 0,
+      sweepX: 0,
+      sweepDirection: 1,
+      hazards: [],
+      exitOpen: false,
+      damaged: false
+    };
+
+    this.showBanner(arena.encounter.name, '#FFD54F');
+    this.game.eventManager.emit(GAME_EVENTS.GUARDIAN_STARTED, {
+      layer: arena.layer,
+      name: arena.encounter.name
+    });
+  }
+
+  /**
+   * 每个逻辑帧更新
+   *
+   * @param {number} deltaTime - 逻辑帧时长（秒）
+   */
+  update(deltaTime) {
+    if (this.banner) {
+      this.banner.time -= deltaTime;
+      if (this.banner.time <= 0) {
+        this.banner = null;
+      }
+    }
+
+    this.updateCollapse(deltaTime);
+
+    const active = this.active;
+    if (!active) return;
+
+    active.time += deltaTime;
+
+    if (!active.exitOpen && active.time >= active.encounter.exitOpenTime) {
+      active.exitOpen = true;
+      this.showBanner('出口已开启', '#FFD700');
+    }
+
+    // 招式阶段按顺序循环
+    const patterns = active.encounter.patterns;
+    const phaseIndex = Math.floor(active.time / GUARDIAN_ARENA.phaseDuration) % patterns.length;
+    if (phaseIndex !== active.phaseIndex) {
+      active.phaseIndex = phaseIndex;
+      this.startPattern(patterns[phaseIndex]);
+    }
+
+    active.patternTimer -= deltaTime;
+    if (active.patternTimer <= 0) {
+      const pattern = patterns[phaseIndex];
+      active.patternTimer += GUARDIAN_PATTERN_CONFIGS[pattern].interval;
+      this.firePattern(pattern);
+    }
+
+    this.updateHazards(deltaTime);
+    this.updateFloor(deltaTime);
+
+    if (active.time >= active.encounter.duration) {
+      this.complete('survived');
+    }
+  }
+
+  /**
+   * 进入招式阶段
+   *
+   * @param {string} pattern - 招式
+   */
+  startPattern(pattern) {
+    const active = this.active;
+    active.patternTimer = 0;
+
+    if (pattern === GUARDIAN_PATTERNS.SWEEPING_LIGHTNING) {
+      const { columnWidth } = GUARDIAN_PATTERN_CONFIGS[pattern];
+      const halfWidth = this.getArenaHalfWidth() - columnWidth / 2;
+      active.sweepDirection = active.random.chance(0.5) ? 1 : -1;
+      active.sweepX = -halfWidth * active.sweepDirection;
+    }
+  }
+
+  /**
+   * 发动一次招式
+   *
+   * @param {string} pattern - 招式
+   */
+  firePattern(pattern) {
+    const active = this.active;
+    const config = GUARDIAN_PATTERN_CONFIGS[pattern];
+    const player = this.game.player;
+    const halfWidth = this.getArenaHalfWidth();
+
+    switch (pattern) {
+      case GUARDIAN_PATTERNS.FALLING_FEATHERS: {
+        const x = player.x + active.random.range(-config.spread, config.spread);
+        active.hazards.push({
+          pattern,
+          x: Math.max(-halfWidth, Math.min(halfWidth, x)),
+          y: active.arena.floorY - config.spawnHeight,
+          sway: active.random.next() * Math.PI * 2,
+          time: 0
+        });
+        break;
+      }
+
+      case GUARDIAN_PATTERNS.SWEEPING_LIGHTNING: {
+        active.hazards.push({ pattern, x: active.sweepX, time: 0 });
+
+        // 扫到竞技场边缘后反向
+        const edge = halfWidth - config.columnWidth / 2;
+        active.sweepX += config.step * active.sweepDirection;
+        if (Math.abs(active.sweepX) > edge) {
+          active.sweepDirection = -active.sweepDirection;
+          active.sweepX = Math.max(-edge, Math.min(edge, active.sweepX)) + config.step * active.sweepDirection;
+        }
+        break;
+      }
+
+      case GUARDIAN_PATTERNS.COLLAPSING_FLOOR:
+        this.collapseFloor(config);
+        break;
+    }
+  }
+
+  /**
+   * 塌陷：优先选择玩家脚下的地面，出口不会塌陷
+   *
+   * @param {Object} config - 塌陷招式参数
+   */
+  collapseFloor(config) {
+    const slots = this.active.arena.slots;
+    const opened = slots.filter(slot => slot.state !== 'solid').length;
+    const candidates = slots.filter(slot => slot.state === 'solid' && slot.platform.guardianRole === 'floor');
+
+    // 先取随机数再判断，保证每次发动消耗的随机数个数固定
+    const fallback = candidates.length > 0 ? this.active.random.pick(candidates) : null;
+    if (opened >= config.maxOpen || !fallback) return;
+
+    const halfSegment = GUARDIAN_ARENA.segmentWidth / 2;
+    const playerX = this.game.player.x;
+    const target = candidates.find(slot => Math.abs(slot.x - playerX) <= halfSegment) || fallback;
+
+    target.state = 'warning';
+    target.timer = config.warnTime;
+  }
+
+  /**
+   * 更新地面：预警中的地面震动后塌陷，塌陷的地面到时恢复
+   *
+   * @param {number} deltaTime - 逻辑帧时长（秒）
+   */
+  updateFloor(deltaTime) {
+    const arena = this.active.arena;
+    const config = GUARDIAN_PATTERN_CONFIGS[GUARDIAN_PATTERNS.COLLAPSING_FLOOR];
+
+    for (const slot of arena.slots) {
+      if (slot.state === 'solid') continue;
+
+      slot.timer -= deltaTime;
+
+      if (slot.state === 'warning') {
+        slot.platform.shakeAmount = Math.max(slot.platform.shakeAmount, 2 + (1 - slot.timer / config.warnTime) * 4);
+        if (slot.timer <= 0) {
+          slot.platform.breakPlatform();
+          slot.state = 'open';
+          slot.timer = config.reformTime;
+        }
+      } else if (slot.timer <= 0) {
+        slot.platform = this.createFloorSegment(arena, slot.x, 'floor');
+        slot.state = 'solid';
+      }
+    }
+  }
+
+  /**
+   * 创建竞技场地面平台并加入游戏
+   */
+  createFloorSegment(arena, x, role) {
+    const { segmentWidth, segmentHeight } = GUARDIAN_ARENA;
+    const platform = this.game.levelGenerator.createPlatform(
+      PLATFORM_TYPES.NORMAL, x, arena.floorY, segmentWidth, segmentHeight, arena.layer
+    );
+    platform.guardianRole = role;
+    this.game.addPlatforms([platform]);
+    return platform;
+  }
+
+  /**
+   * 更新落羽和雷柱，结束的移除
+   *
+   * @param {number} deltaTime - 逻辑帧时长（秒）
+   */
+  updateHazards(deltaTime) {
+    const active = this.active;
+    const featherConfig = GUARDIAN_PATTERN_CONFIGS[GUARDIAN_PATTERNS.FALLING_FEATHERS];
+    const lightningConfig = GUARDIAN_PATTERN_CONFIGS[GUARDIAN_PATTERNS.SWEEPING_LIGHTNING];
+
+    active.hazards = active.hazards.filter(hazard => {
+      hazard.time += deltaTime;
+
+      if (hazard.pattern === GUARDIAN_PATTERNS.FALLING_FEATHERS) {
+        hazard.y += featherConfig.fallSpeed * deltaTime;
+        return hazard.y < active.arena.pitY;
+      }
+      return hazard.time < lightningConfig.warnTime + lightningConfig.strikeTime;
+    });
+  }
+
+  /**
+   * 检查招式与玩家的碰撞（伤害交给 Player.takeDamage，受伤事件由生命值变化触发）
+   *
+   * @param {Player} player - 玩家
+   */
+  checkCollisions(player) {
+    if (!this.active || player.destroyed) return;
+
+    for (const hazard of this.active.hazards) {
+      if (player.isInvulnerable) return;
+
+      if (this.isHazardHitting(hazard, player)) {
+        const config = GUARDIAN_PATTERN_CONFIGS[hazard.pattern];
+        player.takeDamage(config.damage, `guardian_${hazard.pattern}`);
+      }
+    }
+  }
+
+  /**
+   * 招式是否命中玩家
+   */
+  isHazardHitting(hazard, player) {
+    const config = GUARDIAN_PATTERN_CONFIGS[hazard.pattern];
+    const halfWidth = player.width / 2;
+    const halfHeight = player.height / 2;
+
+    if (hazard.pattern === GUARDIAN_PATTERNS.FALLING_FEATHERS) {
+      return Math.abs(hazard.x - player.x) < config.width / 2 + halfWidth &&
+             Math.abs(hazard.y - player.y) < config.height / 2 + halfHeight;
+    }
+
+    // 雷柱只在落雷期间有伤害，竖直方向覆盖整个竞技场
+    const striking = hazard.time >= config.warnTime && hazard.time < config.warnTime + config.strikeTime;
+    const arena = this.active.arena;
+    return striking &&
+           Math.abs(hazard.x - player.x) < config.columnWidth / 2 + halfWidth * 0.5 &&
+           player.y > arena.top && player.y < arena.pitY;
+  }
+
+  /**
+   * 通关：发放奖励，竞技场从玩家脚下向两侧逐段崩塌
+   *
+   * @param {string} reason - 'survived' 坚持到时间结束，'exit' 踩上出口
+   */
+  complete(reason) {
+    const active = this.active;
+    const arena = active.arena;
+    const encounter = active.encounter;
+    this.active = null;
+    this.clearedLayers.add(arena.layer);
+
+    // 深坑立即消失，地面按与玩家的距离依次崩塌
+    const playerX = this.game.player.x;
+    for (const platform of arena.pit) {
+      this.collapsing.push({ platform, delay: 0 });
+    }
+    for (const slot of arena.slots) {
+      if (slot.state === 'open') continue;
+      const distance = Math.abs(slot.x - playerX) / GUARDIAN_ARENA.segmentWidth;
+      this.collapsing.push({ platform: slot.platform, delay: Math.floor(distance) * GUARDIAN_ARENA.collapseStagger });
+    }
+
+    const flawlessBonus = active.damaged ? 0 : encounter.flawlessBonus;
+    this.showBanner(`${encounter.name} 已击退 +${encounter.bonus + flawlessBonus}`, '#FFD700');
+    this.game.eventManager.emit(GAME_EVENTS.GUARDIAN_CLEARED, {
+      layer: arena.layer,
+      name: encounter.name,
+      reason,
+      time: active.time,
+      bonus: encounter.bonus,
+      flawlessBonus
+    });
+
+    this.arenas.delete(arena.layer);
+  }
+
+  /**
+   * 通关后竞技场逐段崩塌
+   *
+   * @param {number} deltaTime - 逻辑帧时长（秒）
+   */
+  updateCollapse(deltaTime) {
+    if (this.collapsing.length === 0) return;
+
+    this.collapsing = this.collapsing.filter(entry => {
+      entry.delay -= deltaTime;
+      if (entry.delay > 0) return true;
+
+      if (!entry.platform.destroyed) {
+        entry.platform.breakPlatform();
+      }
+      return false;
+    });
+  }
+
+  /**
+   * 竞技场半宽
+   */
+  getArenaHalfWidth() {
+    return GUARDIAN_ARENA.segmentCount * GUARDIAN_ARENA.segmentWidth / 2;
+  }
+
+  /**
+   * 显示提示横幅
+   */
+  showBanner(text, color) {
+    this.banner = { text, color, time: 2.5 };
+  }
+
+  /**
+   * 渲染竞技场上的招式和出口（世界坐标，在摄像机变换内调用）
+   *
+   * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+   */
+  render(ctx) {
+    const active = this.active;
+    if (!active) return;
+
+    const arena = active.arena;
+    ctx.save();
+
+    // 出口：未开启时暗淡，开启后金色光柱
+    const exit = arena.exit;
+    if (exit && !exit.destroyed) {
+      const pulse = 0.6 + 0.4 * Math.sin(active.time * 6);
+      ctx.globalAlpha = active.exitOpen ? 0.35 * pulse : 0.12;
+      ctx.fillStyle = '#FFD700';
+      ctx.fillRect(exit.x - exit.width / 2, arena.top, exit.width, exit.y - arena.top);
+      ctx.globalAlpha = active.exitOpen ? 1 : 0.5;
+      ctx.fillStyle = active.exitOpen ? '#FFD700' : '#9E9E9E';
+      ctx.font = 'bold 14px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(active.exitOpen ? '出口' : '🔒', exit.x, exit.y - 20);
+    }
+
+    // 深坑：暗红色警示
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = '#B71C1C';
+    for (const platform of arena.pit) {
+      if (platform.destroyed) continue;
+      ctx.fillRect(platform.x - platform.width / 2, platform.y - platform.height / 2 - 6, platform.width, 6);
+    }
+
+    const lightningConfig = GUARDIAN_PATTERN_CONFIGS[GUARDIAN_PATTERNS.SWEEPING_LIGHTNING];
+    const featherConfig = GUARDIAN_PATTERN_CONFIGS[GUARDIAN_PATTERNS.FALLING_FEATHERS];
+    for (const hazard of active.hazards) {
+      if (hazard.pattern === GUARDIAN_PATTERNS.FALLING_FEATHERS) {
+        this.renderFeather(ctx, hazard, featherConfig);
+      } else {
+        this.renderLightning(ctx, hazard, lightningConfig, arena);
+      }
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * 渲染落羽
+   */
+  renderFeather(ctx, hazard, config) {
+    ctx.save();
+    ctx.translate(hazard.x, hazard.y);
+    ctx.rotate(Math.sin(hazard.time * 4 + hazard.sway) * 0.4);
+    ctx.globalAlpha = 0.95;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.ellipse(0, 0, config.width / 2, config.height / 2, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#B0BEC5';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, -config.height / 2);
+    ctx.lineTo(0, config.height / 2 + 4);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * 渲染雷柱：预警时为闪烁的虚框，落雷时为亮白色光柱
+   */
+  renderLightning(ctx, hazard, config, arena) {
+    const left = hazard.x - config.columnWidth / 2;
+    const height = arena.pitY - arena.top;
+
+    if (hazard.time < config.warnTime) {
+      const progress = hazard.time / config.warnTime;
+      ctx.globalAlpha = 0.15 + 0.25 * progress;
+      ctx.fillStyle = '#CE93D8';
+      ctx.fillRect(left, arena.top, config.columnWidth, height);
+    } else {
+      ctx.globalAlpha = 0.85;
+      ctx.fillStyle = '#FFF59D';
+      ctx.fillRect(left, arena.top, config.columnWidth, height);
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(hazard.x - 6, arena.top, 12, height);
+    }
+  }
+
+  /**
+   * 渲染遭遇战界面：守护者名称、剩余时间条和提示横幅（屏幕坐标）
+   *
+   * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+   * @param {number} screenWidth - 屏幕宽度
+   * @param {number} screenHeight - 屏幕高度
+   */
+  renderHUD(ctx, screenWidth, screenHeight) {
+    const active = this.active;
+    if (!active && !this.banner) return;
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    if (active) {
+      const width = screenWidth - 80;
+      const x = 40;
+      const y = screenHeight - 60;
+      const remaining = Math.max(0, active.encounter.duration - active.time);
+      const progress = remaining / active.encounter.duration;
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+      ctx.fillRect(x, y, width, 10);
+      ctx.fillStyle = '#FFD54F';
+      ctx.fillRect(x, y, width * progress, 10);
+
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = 'bold 14px Arial';
+      ctx.fillText(`${active.encounter.name} · ${Math.ceil(remaining)}s`, screenWidth / 2, y - 14);
+    }
+
+    if (this.banner) {
+      ctx.globalAlpha = Math.min(1, this.banner.time);
+      ctx.fillStyle = this.banner.color;
+      ctx.font = 'bold 22px Arial';
+      ctx.fillText(this.banner.text, screenWidth / 2, screenHeight * 0.3);
+    }
+
+    ctx.restore();
+  }
+}
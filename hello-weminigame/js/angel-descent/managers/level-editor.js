@@ -0,0 +1,1031 @@
+/**
+ * @file level-editor.js
+ * @description 天使下凡一百层游戏关卡编辑器
+ *
+ * 设计师在游戏内用触摸编辑一整层的平台和收集品，随时切换到试玩验证手感，
+ * 不必修改生成器常量再从第1层重玩。编辑结果使用手工布局（set piece）的
+ * JSON 格式（见 set-piece-format.js），保存在本地存储中，
+ * exportLayout() 导出的 JSON 可以直接粘贴进 set-piece-layouts.js。
+ *
+ * 操作方式：
+ * - 点击平台选中，拖动平台移动位置，拖动选中平台两端的手柄调整宽度
+ * - 拖动起点平台调整试玩时天使落下的水平位置（起点不属于布局）
+ * - 底部工具栏：切换类型、切换收集品、添加、删除、试玩、保存、读取、退出
+ *
+ * 编辑器直接复用游戏世界：平台和收集品由关卡生成器按布局创建（与正式插入时一致），
+ * 由渲染管理器绘制，每次修改后整层重建。试玩时游戏切换到进行状态，
+ * 天使落过本层或生命耗尽后回到编辑状态；试玩不录像、不计入档案。
+ */
+
+import Platform, { PLATFORM_TYPES } from '../entities/platform.js';
+import { getPlatformBehavior, getPlatformTypeIds } from '../entities/platform-registry.js';
+import { POWERUP_TYPES, POWERUP_EFFECTS } from '../entities/power-up.js';
+import SeededRandom from '../core/random.js';
+import { SET_PIECE_FORMAT_VERSION, SET_PIECE_LIMITS, parseSetPiece } from '../level/set-piece-format.js';
+import { SET_PIECE_LAYOUTS } from '../level/set-piece-layouts.js';
+import { getHost } from '../../runtime/host.js';
+
+/**
+ * 编辑器参数
+ */
+export const LEVEL_EDITOR_CONFIG = {
+  storageKey: 'angel_descent_editor_layouts', // 已保存布局的存储键（布局ID到布局的映射）
+  snap: 5,                 // 拖动时位置和宽度对齐的网格（像素）
+  handleSize: 16,          // 宽度手柄的边长（屏幕像素）
+  touchSlop: 12,           // 点选平台时向外放宽的距离（屏幕像素）
+  spawnWidth: 150,         // 起点平台宽度（与开局的起始平台一致）
+  spawnHeight: 100,        // 起点平台在本层顶部上方的高度
+  playTestMargin: 150,     // 天使落到本层底部以下多远算试玩通过
+  logOnSave: false         // 调试用：保存时在控制台输出布局 JSON
+};
+
+/**
+ * 可以通过“类型”按钮切换到的平台类型（平台类型注册表中的全部类型，按注册顺序）
+ *
+ * 传送门必须成对出现，只保留读取的布局中已有的传送门，不能单独切换出来。
+ */
+function getEditableTypes() {
+  return getPlatformTypeIds().filter(type => type !== PLATFORM_TYPES.TELEPORTER);
+}
+
+/**
+ * 平台类型的显示名称（行为模块的 name，未提供时显示类型ID）
+ */
+function getPlatformTypeName(type) {
+  const behavior = getPlatformBehavior(type);
+  return behavior && behavior.name ? behavior.name : type;
+}
+
+/**
+ * “收集品”按钮的切换顺序（undefined 为不放置）
+ */
+const FRUIT_CYCLE = [undefined, 'life', ...Object.values(POWERUP_TYPES)];
+
+/**
+ * 工具栏按钮，按显示顺序（每行四个）
+ */
+const TOOLBAR_BUTTONS = [
+  { id: 'type', label: '类型', needsSelection: true },
+  { id: 'fruit', label: '收集品', needsSelection: true },
+  { id: 'add', label: '添加' },
+  { id: 'delete', label: '删除', needsSelection: true },
+  { id: 'play', label: '试玩' },
+  { id: 'save', label: '保存' },
+  { id: 'load', label: '读取' },
+  { id: 'exit', label: '退出' }
+];
+
+/**
+ * 状态栏颜色
+ */
+const STATUS_COLORS = {
+  info: '#FFFFFF',
+  warning: '#FFB74D',
+  error: '#EF5350'
+};
+
+/**
+ * 点是否在矩形内
+ */
+function isInside(x, y, rect) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+/**
+ * 深拷贝布局（编辑时不修改内置布局和调用方传入的对象）
+ */
+function cloneLayout(layout) {
+  return JSON.parse(JSON.stringify(layout));
+}
+
+/**
+ * 对齐到编辑网格
+ */
+function snap(value) {
+  return Math.round(value / LEVEL_EDITOR_CONFIG.snap) * LEVEL_EDITOR_CONFIG.snap;
+}
+
+/**
+ * 关卡编辑器
+ *
+ * @class LevelEditor
+ */
+export default class LevelEditor {
+  /**
+   * @constructor
+   * @param {AngelDescentGame} game - 游戏实例
+   */
+  constructor(game) {
+    this.game = game;
+    this.active = false;        // 是否打开（编辑或试玩中）
+    this.playTesting = false;   // 是否正在试玩
+    this.playTestResult = null; // 试玩中途结束的原因（如生命耗尽），在本帧末尾处理
+    this.layerNum = 1;          // 正在编辑的层
+    this.layout = null;         // 正在编辑的布局（手工布局格式）
+    this.slots = [];            // 与布局平台一一对应的世界平台
+    this.spawnPlatform = null;  // 起点平台（只在编辑器中存在，不属于布局）
+    this.spawnX = 0;
+    this.selected = null;       // 选中平台的序号
+    this.drag = null;           // 拖动状态 { mode, index, side, startX, startY, origin }
+    this.unreached = new Set(); // 从本层顶部落下无法到达的平台序号
+    this.loadIndex = -1;        // “读取”按钮上一次读取的位置
+    this.status = '';
+    this.statusColor = STATUS_COLORS.info;
+  }
+
+  /**
+   * 编辑器是否打开（编辑或试玩中）
+   *
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * 是否正在试玩
+   *
+   * @returns {boolean}
+   */
+  isPlayTesting() {
+    return this.active && this.playTesting;
+  }
+
+  /**
+   * 是否正在编辑（打开且不在试玩）
+   *
+   * @returns {boolean}
+   */
+  isEditing() {
+    return this.active && !this.playTesting;
+  }
+
+  /**
+   * 解析并校验要编辑的布局
+   *
+   * @param {string|Object} data - 布局的 JSON 字符串或对象
+   * @returns {Object} 布局的副本
+   * @throws {Error} 格式不正确时抛出
+   */
+  parseLayout(data) {
+    return parseSetPiece(typeof data === 'string' ? data : cloneLayout(data));
+  }
+
+  /**
+   * 打开编辑器
+   *
+   * 没有指定布局时从当前世界中截取该层的平台和收集品（世界中没有该层时按程序化规则生成一份）。
+   * 布局指定了插入层时编辑该层；守护者层由竞技场占据，改为编辑上一层。
+   *
+   * @param {number} layerNum - 要编辑的层
+   * @param {Object|null} layout - parseLayout() 的结果，null为截取该层
+   */
+  open(layerNum, layout = null) {
+    const generator = this.game.levelGenerator;
+    let layer = layout && layout.layers ? layout.layers[0] : Math.max(1, layerNum);
+    if (generator.isGuardianLayer(layer)) {
+      layer -= 1;
+    }
+
+    this.layerNum = layer;
+    this.layout = layout || this.captureLayer(layer);
+    this.active = true;
+    this.playTesting = false;
+    this.playTestResult = null;
+    this.selected = null;
+    this.drag = null;
+    this.spawnX = 0;
+
+    // 背景和天界配色跟随编辑的层
+    this.game.gameData.currentLayer = layer;
+    this.game.currentBackgroundTheme = this.game.getCurrentBackgroundTheme();
+    this.game.previousBackgroundTheme = null;
+    this.game.backgroundTransition.active = false;
+
+    this.applyChanges(`编辑第${layer}层`);
+    this.focusCamera();
+  }
+
+  /**
+   * 关闭编辑器，释放编辑用的平台
+   */
+  close() {
+    this.active = false;
+    this.playTesting = false;
+    this.drag = null;
+    this.slots = [];
+    this.spawnPlatform = null;
+    this.game.clearWorld();
+  }
+
+  /**
+   * 从世界中截取一层，转换为布局
+   *
+   * 移动平台记录移动中心；崩塌链按链上的顺序排列；收集品归到正下方的平台。
+   * 程序化平台可能略微超出布局格式允许的范围，截取时收拢到范围内；超出平台数量上限的部分丢弃。
+   *
+   * @param {number} layerNum - 层数
+   * @returns {Object} 布局
+   */
+  captureLayer(layerNum) {
+    const generator = this.game.levelGenerator;
+    let platforms = this.game.platforms.filter(platform => platform.layer === layerNum);
+    let collectibles = this.game.lifeFruits.filter(collectible => collectible.layer === layerNum && !collectible.collected);
+    let generated = null;
+
+    // 世界中没有该层（尚未生成或已清理）：按程序化规则生成一份，截取后释放
+    if (platforms.length === 0) {
+      generated = generator.generateLayer(layerNum);
+      platforms = generated.platforms;
+      collectibles = generated.lifeFruits;
+    }
+
+    const top = generator.getLayerTopY(layerNum);
+    const ordered = [];
+    for (const platform of platforms) {
+      if (platform.isEmpty || platform.destroyed || platform.guardianRole || ordered.includes(platform)) continue;
+      if (platform.chain) {
+        platform.chain
+          .filter(member => platforms.includes(member) && !member.destroyed)
+          .forEach(member => ordered.push(member));
+      } else {
+        ordered.push(platform);
+      }
+    }
+    const captured = ordered.slice(0, SET_PIECE_LIMITS.maxPlatforms);
+    const chainLabels = new Map();
+
+    const data = captured.map(platform => {
+      const item = {
+        type: platform.platformType,
+        x: Math.round(platform.platformType === PLATFORM_TYPES.MOVING ? platform.startX : platform.x),
+        y: Math.round(platform.y - top),
+        width: Math.round(platform.width)
+      };
+      if (platform.platformType === PLATFORM_TYPES.MOVING) {
+        item.moveRange = Math.round(platform.moveRange);
+      }
+      if (platform.teleportTarget && captured.includes(platform.teleportTarget)) {
+        item.link = captured.indexOf(platform.teleportTarget);
+      }
+      if (platform.chain) {
+        if (!chainLabels.has(platform.chain)) {
+          chainLabels.set(platform.chain, String.fromCharCode(97 + chainLabels.size));
+        }
+        item.chain = chainLabels.get(platform.chain);
+      }
+      this.clampPlatform(item);
+      return item;
+    });
+
+    for (const collectible of collectibles) {
+      const index = captured.findIndex(platform =>
+        platform.platformType !== PLATFORM_TYPES.MOVING &&
+        Math.abs(collectible.x - platform.x) <= platform.width / 2 &&
+        platform.y - collectible.y > 0 && platform.y - collectible.y <= 60
+      );
+      if (index >= 0 && data[index].fruit === undefined) {
+        data[index].fruit = collectible.hasTag('power_up') ? collectible.powerUpType : 'life';
+      }
+    }
+
+    if (generated) {
+      generator.releasePlatforms(generated.platforms);
+    }
+
+    const layout = {
+      format: SET_PIECE_FORMAT_VERSION,
+      id: `layer_${layerNum}`,
+      name: `第${layerNum}层`,
+      layers: [layerNum],
+      platforms: data
+    };
+    this.repairStructures(layout.platforms);
+    return layout;
+  }
+
+  /**
+   * 按当前布局重建本层：释放旧平台，由关卡生成器重新创建平台和收集品
+   */
+  rebuild() {
+    const game = this.game;
+    const generator = game.levelGenerator;
+    const top = generator.getLayerTopY(this.layerNum);
+
+    game.clearWorld();
+
+    // 固定的随机数：同一布局每次重建（以及每次试玩）的平台行为都相同
+    const random = new SeededRandom(`editor_${this.layerNum}`);
+    const difficulty = generator.calculateDifficulty(this.layerNum);
+    this.slots = generator.createSetPiecePlatforms(this.layerNum, this.layout, difficulty, random);
+    const platforms = this.slots.filter(Boolean);
+    const collectibles = generator.createSetPieceCollectibles(
+      this.layerNum, { layout: this.layout, slots: this.slots }, random.derive('collectibles')
+    );
+
+    // 可达性按从本层顶部任意位置落下计算（与生成器缺少上一层信息时一致）
+    const entry = [{
+      y: top,
+      vy0: 0,
+      intervals: [[-SET_PIECE_LIMITS.worldHalfWidth, SET_PIECE_LIMITS.worldHalfWidth]]
+    }];
+    const analysis = generator.reachabilityAnalyzer.analyzeLayer(platforms, entry);
+    this.unreached = new Set(analysis.unreached.map(platform => this.slots.indexOf(platform)));
+
+    this.spawnPlatform = new Platform(
+      this.spawnX,
+      top - LEVEL_EDITOR_CONFIG.spawnHeight,
+      LEVEL_EDITOR_CONFIG.spawnWidth,
+      20,
+      PLATFORM_TYPES.NORMAL,
+      this.layerNum - 1,
+      game.audioManager
+    );
+    game.addPlatforms([this.spawnPlatform, ...platforms]);
+    game.addLifeFruits(collectibles);
+    this.placePlayer();
+  }
+
+  /**
+   * 把天使放到起点平台上
+   */
+  placePlayer() {
+    const player = this.game.player;
+    if (!player) return;
+
+    player.reset();
+    player.x = this.spawnPlatform.x;
+    player.y = this.spawnPlatform.y - this.spawnPlatform.height / 2 - player.height / 2;
+    player.resetInterpolation();
+    this.game.lastPlayerLives = null;
+  }
+
+  /**
+   * 编辑视角：缩小到整层可见，画面位于标题栏和工具栏之间
+   */
+  focusCamera() {
+    const camera = this.game.camera;
+    const layout = this.getLayout();
+    const top = this.game.levelGenerator.getLayerTopY(this.layerNum);
+    const areaTop = layout.header.height;
+    const areaBottom = layout.toolbar.y;
+
+    // 需要看到的世界范围：起点平台上方的天使到本层底部
+    const worldTop = top - LEVEL_EDITOR_CONFIG.spawnHeight - 80;
+    const worldBottom = top + SET_PIECE_LIMITS.layerHeight;
+    const zoom = Math.min(
+      this.game.logicalWidth / (SET_PIECE_LIMITS.worldHalfWidth * 2 + 40),
+      (areaBottom - areaTop) / (worldBottom - worldTop)
+    );
+    camera.setZoom(zoom, true);
+    camera.resetShake();
+
+    const view = camera.getViewSize();
+    const worldCenterY = (worldTop + worldBottom) / 2;
+    const screenCenterY = (areaTop + areaBottom) / 2;
+    camera.moveTo(-view.width / 2, worldCenterY - screenCenterY / camera.zoom);
+  }
+
+  /**
+   * 修改布局后：修复传送门配对、重建本层并显示校验结果
+   *
+   * @param {string} message - 布局有效时显示的提示
+   */
+  applyChanges(message) {
+    this.repairStructures(this.layout.platforms);
+    this.rebuild();
+
+    const error = this.validate();
+    if (error) {
+      this.setStatus(error, 'error');
+    } else if (this.unreached.size > 0) {
+      this.setStatus(`${message} · ${this.unreached.size}个平台从上方无法到达`, 'warning');
+    } else {
+      this.setStatus(message, 'info');
+    }
+  }
+
+  /**
+   * 按布局格式校验当前布局
+   *
+   * @returns {string|null} 错误信息，有效时为null
+   */
+  validate() {
+    try {
+      parseSetPiece(cloneLayout(this.layout));
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * 设置状态栏提示
+   *
+   * @param {string} text - 提示文字
+   * @param {string} level - 'info' / 'warning' / 'error'
+   */
+  setStatus(text, level = 'info') {
+    this.status = text;
+    this.statusColor = STATUS_COLORS[level];
+  }
+
+  /**
+   * 修复传送门和崩塌链：没有配对的传送门改为普通平台，出口序号失效的入口同样处理，
+   * 不是崩塌平台的去掉崩塌链，移动平台去掉收集品
+   *
+   * @param {Array<Object>} platforms - 布局的平台
+   */
+  repairStructures(platforms) {
+    platforms.forEach(data => {
+      if (data.type !== PLATFORM_TYPES.MOVING) delete data.moveRange;
+      if (data.type === PLATFORM_TYPES.MOVING) delete data.fruit;
+      if (data.type !== PLATFORM_TYPES.CRUMBLING) delete data.chain;
+      if (data.type !== PLATFORM_TYPES.TELEPORTER) delete data.link;
+    });
+
+    // 改掉一个传送门可能让它的另一半失去配对，反复检查直到没有变化
+    let changed = true;
+    while (changed) {
+      changed = false;
+      platforms.forEach((data, index) => {
+        if (data.type !== PLATFORM_TYPES.TELEPORTER) return;
+
+        if (data.link !== undefined) {
+          const exit = platforms[data.link];
+          const shared = platforms.filter(other => other.link === data.link).length > 1;
+          if (!exit || exit.type !== PLATFORM_TYPES.TELEPORTER || data.link === index || shared) {
+            delete data.link;
+          }
+        }
+        const isEntry = data.link !== undefined;
+        const isExit = platforms.some(other => other.link === index);
+        if (isEntry === isExit) {
+          data.type = PLATFORM_TYPES.NORMAL;
+          delete data.link;
+          changed = true;
+        }
+      });
+    }
+  }
+
+  /**
+   * 把平台限制在世界范围内（含移动范围）
+   *
+   * @param {Object} data - 布局中的平台
+   */
+  clampPlatform(data) {
+    data.width = Math.max(SET_PIECE_LIMITS.minWidth, Math.min(SET_PIECE_LIMITS.maxWidth, data.width));
+    data.y = Math.max(0, Math.min(SET_PIECE_LIMITS.layerHeight - LEVEL_EDITOR_CONFIG.snap, data.y));
+
+    const range = data.type === PLATFORM_TYPES.MOVING ? (data.moveRange !== undefined ? data.moveRange : 60) : 0;
+    const maxX = Math.max(0, Math.floor(SET_PIECE_LIMITS.worldHalfWidth - data.width / 2 - range));
+    data.x = Math.max(-maxX, Math.min(maxX, data.x));
+  }
+
+  /**
+   * 工具栏等界面元素的布局（渲染和触摸判定共用）
+   */
+  getLayout() {
+    const width = this.game.logicalWidth;
+    const height = this.game.logicalHeight;
+    const gap = 8;
+    const buttonHeight = 36;
+    const perRow = 4;
+    const buttonWidth = (width - 20 - gap * (perRow - 1)) / perRow;
+    const rows = Math.ceil(TOOLBAR_BUTTONS.length / perRow);
+    const buttonsTop = height - rows * buttonHeight - (rows - 1) * gap - 12;
+
+    const buttons = TOOLBAR_BUTTONS.map((button, index) => ({
+      ...button,
+      rect: {
+        x: 10 + (index % perRow) * (buttonWidth + gap),
+        y: buttonsTop + Math.floor(index / perRow) * (buttonHeight + gap),
+        width: buttonWidth,
+        height: buttonHeight
+      }
+    }));
+
+    return {
+      header: { x: 0, y: 0, width, height: 44 },
+      toolbar: { x: 0, y: buttonsTop - 30, width, height: height - buttonsTop + 30 },
+      buttons,
+      stop: { x: width / 2 - 55, y: height - 56, width: 110, height: 40 }
+    };
+  }
+
+  /**
+   * 处理触摸开始：工具栏按钮，或选中、开始拖动平台
+   *
+   * @returns {string|null} 'play' 开始试玩，'exit' 退出编辑器，其他为null
+   */
+  handleTouch(e) {
+    if (!this.isEditing()) return null;
+
+    const touch = e.touches[0];
+    const layout = this.getLayout();
+
+    const button = layout.buttons.find(item => isInside(touch.clientX, touch.clientY, item.rect));
+    if (button) {
+      return this.runCommand(button.id);
+    }
+    if (isInside(touch.clientX, touch.clientY, layout.toolbar) || isInside(touch.clientX, touch.clientY, layout.header)) {
+      return null;
+    }
+
+    const world = this.game.camera.screenToWorld(touch.clientX, touch.clientY);
+    this.drag = this.pickDrag(world.x, world.y);
+    if (this.drag && this.drag.mode !== 'spawn') {
+      this.selected = this.drag.index;
+    } else if (!this.drag) {
+      this.selected = null;
+    }
+    return null;
+  }
+
+  /**
+   * 找到触摸点下的拖动目标：选中平台的宽度手柄优先，其次是平台（后列出的在上层），最后是起点平台
+   *
+   * @param {number} worldX - 触摸点的世界X坐标
+   * @param {number} worldY - 触摸点的世界Y坐标
+   * @returns {Object|null} 拖动状态
+   */
+  pickDrag(worldX, worldY) {
+    const zoom = this.game.camera.zoom;
+    const top = this.game.levelGenerator.getLayerTopY(this.layerNum);
+    const slop = LEVEL_EDITOR_CONFIG.touchSlop / zoom;
+    const handle = LEVEL_EDITOR_CONFIG.handleSize / zoom;
+    const platforms = this.layout.platforms;
+    const begin = (mode, index, side, origin) => ({ mode, index, side, startX: worldX, startY: worldY, origin });
+
+    if (this.selected !== null && platforms[this.selected]) {
+      const data = platforms[this.selected];
+      for (const side of [-1, 1]) {
+        const handleX = data.x + side * data.width / 2;
+        if (Math.abs(worldX - handleX) <= handle && Math.abs(worldY - (top + data.y)) <= handle) {
+          return begin('resize', this.selected, side, { ...data });
+        }
+      }
+    }
+
+    for (let index = platforms.length - 1; index >= 0; index--) {
+      const data = platforms[index];
+      if (Math.abs(worldX - data.x) <= data.width / 2 + slop && Math.abs(worldY - (top + data.y)) <= 10 + slop) {
+        return begin('move', index, 0, { ...data });
+      }
+    }
+
+    const spawn = this.spawnPlatform;
+    const player = this.game.player;
+    const spawnTop = player ? player.y - player.height / 2 : spawn.y - 10;
+    if (Math.abs(worldX - spawn.x) <= spawn.width / 2 + slop && worldY >= spawnTop - slop && worldY <= spawn.y + 10 + slop) {
+      return begin('spawn', null, 0, { x: this.spawnX });
+    }
+    return null;
+  }
+
+  /**
+   * 处理触摸移动：拖动平台、调整宽度或移动起点
+   */
+  handleTouchMove(e) {
+    if (!this.isEditing() || !this.drag) return;
+
+    const touch = e.touches[0];
+    const world = this.game.camera.screenToWorld(touch.clientX, touch.clientY);
+    const dx = world.x - this.drag.startX;
+    const dy = world.y - this.drag.startY;
+    const origin = this.drag.origin;
+
+    if (this.drag.mode === 'spawn') {
+      const maxX = SET_PIECE_LIMITS.worldHalfWidth - LEVEL_EDITOR_CONFIG.spawnWidth / 2;
+      this.spawnX = Math.max(-maxX, Math.min(maxX, snap(origin.x + dx)));
+      this.rebuild();
+      return;
+    }
+
+    const data = this.layout.platforms[this.drag.index];
+    if (this.drag.mode === 'move') {
+      data.x = snap(origin.x + dx);
+      data.y = snap(origin.y + dy);
+    } else {
+      // 拖动一端，另一端保持不动
+      const side = this.drag.side;
+      const fixedEnd = origin.x - side * origin.width / 2;
+      const movedEnd = origin.x + side * origin.width / 2 + dx;
+      data.width = snap(Math.max(SET_PIECE_LIMITS.minWidth, Math.min(SET_PIECE_LIMITS.maxWidth, side * (movedEnd - fixedEnd))));
+      data.x = Math.round(fixedEnd + side * data.width / 2);
+    }
+    this.clampPlatform(data);
+    this.applyChanges(this.describePlatform(this.drag.index));
+  }
+
+  /**
+   * 处理触摸结束：结束拖动
+   */
+  handleTouchEnd() {
+    this.drag = null;
+  }
+
+  /**
+   * 执行工具栏命令
+   *
+   * @param {string} id - 按钮ID
+   * @returns {string|null} 需要游戏处理的动作（'play' / 'exit'），其他为null
+   */
+  runCommand(id) {
+    const button = TOOLBAR_BUTTONS.find(item => item.id === id);
+    const data = this.selected !== null ? this.layout.platforms[this.selected] : null;
+    if (button.needsSelection && !data) {
+      this.setStatus('请先点击选中一个平台', 'warning');
+      return null;
+    }
+
+    switch (id) {
+      case 'type': {
+        const types = getEditableTypes();
+        data.type = types[(types.indexOf(data.type) + 1) % types.length];
+        this.clampPlatform(data);
+        this.applyChanges(this.describePlatform(this.selected));
+        return null;
+      }
+      case 'fruit': {
+        if (data.type === PLATFORM_TYPES.MOVING) {
+          this.setStatus('移动平台不能放置收集品', 'warning');
+          return null;
+        }
+        const next = FRUIT_CYCLE[(FRUIT_CYCLE.indexOf(data.fruit) + 1) % FRUIT_CYCLE.length];
+        if (next === undefined) {
+          delete data.fruit;
+        } else {
+          data.fruit = next;
+        }
+        this.applyChanges(this.describePlatform(this.selected));
+        return null;
+      }
+      case 'add':
+        this.addPlatform();
+        return null;
+      case 'delete':
+        this.removePlatform(this.selected);
+        return null;
+      case 'play':
+        return 'play';
+      case 'save':
+        this.save();
+        return null;
+      case 'load':
+        this.loadNext();
+        return null;
+      case 'exit':
+        return 'exit';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 在本层中部添加一个普通平台并选中
+   */
+  addPlatform() {
+    const platforms = this.layout.platforms;
+    if (platforms.length >= SET_PIECE_LIMITS.maxPlatforms) {
+      this.setStatus(`每层最多${SET_PIECE_LIMITS.maxPlatforms}个平台`, 'warning');
+      return;
+    }
+
+    platforms.push({ type: PLATFORM_TYPES.NORMAL, x: 0, y: SET_PIECE_LIMITS.layerHeight / 2, width: 100 });
+    this.selected = platforms.length - 1;
+    this.applyChanges(`已添加 ${this.describePlatform(this.selected)}`);
+  }
+
+  /**
+   * 删除平台，后面平台的传送门出口序号随之前移
+   *
+   * @param {number} index - 平台序号
+   */
+  removePlatform(index) {
+    const platforms = this.layout.platforms;
+    platforms.splice(index, 1);
+    platforms.forEach(data => {
+      if (data.link === index) {
+        delete data.link;
+      } else if (data.link > index) {
+        data.link -= 1;
+      }
+    });
+    this.selected = null;
+    this.applyChanges(`已删除第${index}个平台`);
+  }
+
+  /**
+   * 平台的描述文字（状态栏显示）
+   *
+   * @param {number} index - 平台序号
+   * @returns {string}
+   */
+  describePlatform(index) {
+    const data = this.layout.platforms[index];
+    let text = `#${index} ${getPlatformTypeName(data.type)} x=${data.x} y=${data.y} 宽${data.width}`;
+    if (data.fruit) {
+      text += ` · ${data.fruit === 'life' ? '生命果实' : POWERUP_EFFECTS[data.fruit].name}`;
+    }
+    return text;
+  }
+
+  /**
+   * 读取已保存的布局
+   *
+   * @returns {Object} 布局ID到布局的映射，存储内容损坏时为空
+   */
+  getSavedLayouts() {
+    const raw = getHost().getStorage(LEVEL_EDITOR_CONFIG.storageKey);
+    if (!raw) return {};
+
+    try {
+      const saved = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (error) {
+      console.warn('已保存的编辑器布局无法解析:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 保存当前布局（按布局ID覆盖）
+   *
+   * @returns {boolean} 是否保存成功（布局无效时不保存）
+   */
+  save() {
+    const error = this.validate();
+    if (error) {
+      this.setStatus(`无法保存：${error}`, 'error');
+      return false;
+    }
+
+    const saved = this.getSavedLayouts();
+    saved[this.layout.id] = cloneLayout(this.layout);
+    getHost().setStorage(LEVEL_EDITOR_CONFIG.storageKey, JSON.stringify(saved));
+    if (LEVEL_EDITOR_CONFIG.logOnSave) {
+      console.log(`已保存布局 ${this.layout.id}:\n${this.exportLayout()}`);
+    }
+    this.setStatus(`已保存 ${this.layout.name}（${this.layout.id}）`, 'info');
+    return true;
+  }
+
+  /**
+   * 导出当前布局
+   *
+   * @returns {string} 布局的 JSON 字符串
+   */
+  exportLayout() {
+    return JSON.stringify(this.layout, null, 2);
+  }
+
+  /**
+   * 读取布局替换当前编辑的内容
+   *
+   * @param {string|Object} data - 布局的 JSON 字符串或对象
+   * @throws {Error} 格式不正确时抛出（当前内容保持不变）
+   */
+  load(data) {
+    const layout = this.parseLayout(data);
+    const layer = layout.layers ? layout.layers[0] : this.layerNum;
+
+    this.layout = layout;
+    this.selected = null;
+    if (layer !== this.layerNum) {
+      this.layerNum = layer;
+      this.game.gameData.currentLayer = layer;
+      this.game.currentBackgroundTheme = this.game.getCurrentBackgroundTheme();
+      this.focusCamera();
+    }
+    this.applyChanges(`已读取 ${layout.name}（${layout.id}）`);
+  }
+
+  /**
+   * 依次读取已保存的布局和内置的手工布局（同ID时已保存的优先）
+   */
+  loadNext() {
+    const saved = Object.values(this.getSavedLayouts());
+    const candidates = [...saved, ...SET_PIECE_LAYOUTS.filter(layout => !saved.some(item => item.id === layout.id))];
+    if (candidates.length === 0) {
+      this.setStatus('没有可读取的布局', 'warning');
+      return;
+    }
+
+    this.loadIndex = (this.loadIndex + 1) % candidates.length;
+    try {
+      this.load(candidates[this.loadIndex]);
+    } catch (error) {
+      this.setStatus(`无法读取：${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 开始试玩：按布局重建本层，天使从起点平台出发，镜头恢复正常跟随
+   */
+  beginPlayTest() {
+    this.playTesting = true;
+    this.playTestResult = null;
+    this.drag = null;
+    this.rebuild();
+
+    const camera = this.game.camera;
+    camera.setZoom(1, true);
+    camera.follow(this.game.player.x, this.game.player.y);
+    camera.snapToTarget();
+  }
+
+  /**
+   * 结束试玩，回到编辑状态
+   *
+   * @param {string} message - 状态栏显示的试玩结果
+   */
+  endPlayTest(message) {
+    this.playTesting = false;
+    this.playTestResult = null;
+    this.applyChanges(message);
+    this.focusCamera();
+  }
+
+  /**
+   * 试玩中天使生命耗尽（在本帧末尾结束试玩）
+   */
+  onPlayerDeath() {
+    this.playTestResult = '试玩失败：生命耗尽';
+  }
+
+  /**
+   * 试玩的每帧检查
+   *
+   * @returns {string|null} 试玩结束时返回结果文字，否则为null
+   */
+  updatePlayTest() {
+    if (this.playTestResult) return this.playTestResult;
+
+    const bottom = this.game.levelGenerator.getLayerTopY(this.layerNum) + SET_PIECE_LIMITS.layerHeight;
+    if (this.game.player.y > bottom + LEVEL_EDITOR_CONFIG.playTestMargin) {
+      return `试玩通过：剩余生命 ${this.game.player.lives}`;
+    }
+    return null;
+  }
+
+  /**
+   * 试玩时的触摸：点击“返回编辑”按钮结束试玩
+   *
+   * @returns {boolean} 是否点中了按钮
+   */
+  handlePlayTestTouch(e) {
+    const touch = e.touches[0];
+    return isInside(touch.clientX, touch.clientY, this.getLayout().stop);
+  }
+
+  /**
+   * 在世界坐标中渲染编辑辅助：层边界、平台碰撞框、移动范围、传送门连线、选中框和宽度手柄
+   *
+   * 调用时已应用摄像机变换。
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   */
+  renderWorld(ctx) {
+    if (!this.isEditing()) return;
+
+    const zoom = this.game.camera.zoom;
+    const top = this.game.levelGenerator.getLayerTopY(this.layerNum);
+    const bottom = top + SET_PIECE_LIMITS.layerHeight;
+    const halfWidth = SET_PIECE_LIMITS.worldHalfWidth;
+    const platforms = this.layout.platforms;
+
+    ctx.save();
+    ctx.lineWidth = 1.5 / zoom;
+
+    // 本层范围
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.setLineDash([8 / zoom, 6 / zoom]);
+    ctx.strokeRect(-halfWidth, top, halfWidth * 2, bottom - top);
+
+    // 传送门连线
+    ctx.strokeStyle = '#BA68C8';
+    platforms.forEach(data => {
+      if (data.link === undefined || !platforms[data.link]) return;
+      const exit = platforms[data.link];
+      ctx.beginPath();
+      ctx.moveTo(data.x, top + data.y);
+      ctx.lineTo(exit.x, top + exit.y);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    platforms.forEach((data, index) => {
+      const y = top + data.y;
+
+      // 移动范围
+      if (data.type === PLATFORM_TYPES.MOVING) {
+        const range = data.moveRange !== undefined ? data.moveRange : 60;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(data.x - range - data.width / 2, y);
+        ctx.lineTo(data.x + range + data.width / 2, y);
+        ctx.stroke();
+      }
+
+      // 碰撞框：选中为黄色，无法到达为红色
+      if (index === this.selected) {
+        ctx.strokeStyle = '#FFD700';
+        ctx.lineWidth = 3 / zoom;
+      } else {
+        ctx.strokeStyle = this.unreached.has(index) ? '#EF5350' : 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 1.5 / zoom;
+      }
+      ctx.strokeRect(data.x - data.width / 2, y - 10, data.width, 20);
+
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = `${12 / zoom}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`#${index}`, data.x, y + 14);
+    });
+
+    // 选中平台的宽度手柄
+    if (this.selected !== null && platforms[this.selected]) {
+      const data = platforms[this.selected];
+      const size = LEVEL_EDITOR_CONFIG.handleSize / zoom;
+      ctx.fillStyle = '#FFD700';
+      for (const side of [-1, 1]) {
+        ctx.fillRect(data.x + side * data.width / 2 - size / 2, top + data.y - size / 2, size, size);
+      }
+    }
+
+    // 起点标记
+    if (this.spawnPlatform) {
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = `${12 / zoom}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText('起点', this.spawnPlatform.x, this.spawnPlatform.y + 14);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * 渲染编辑器界面：编辑时为标题栏、状态栏和工具栏，试玩时为“返回编辑”按钮
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   */
+  render(ctx) {
+    if (!this.active) return;
+
+    const width = this.game.logicalWidth;
+    const layout = this.getLayout();
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    if (this.playTesting) {
+      this.renderButton(ctx, layout.stop, '返回编辑', '#FFD700', true);
+      ctx.restore();
+      return;
+    }
+
+    // 标题栏
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(layout.header.x, layout.header.y, layout.header.width, layout.header.height);
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 16px Arial';
+    ctx.fillText(`关卡编辑 · 第${this.layerNum}层 · ${this.layout.name}`, width / 2, 15);
+    ctx.fillStyle = '#CCCCCC';
+    ctx.font = '12px Arial';
+    const count = `${this.layout.platforms.length}/${SET_PIECE_LIMITS.maxPlatforms} 个平台`;
+    ctx.fillText(this.selected !== null ? `${count} · 选中 ${this.describePlatform(this.selected)}` : count, width / 2, 33);
+
+    // 状态栏和工具栏
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(layout.toolbar.x, layout.toolbar.y, layout.toolbar.width, layout.toolbar.height);
+    ctx.fillStyle = this.statusColor;
+    ctx.font = '12px Arial';
+    ctx.fillText(this.status, width / 2, layout.toolbar.y + 15, width - 20);
+
+    for (const button of layout.buttons) {
+      const enabled = !button.needsSelection || this.selected !== null;
+      this.renderButton(ctx, button.rect, button.label, enabled ? '#FFFFFF' : '#777777', enabled);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * 渲染一个按钮
+   */
+  renderButton(ctx, rect, label, color, highlighted) {
+    ctx.fillStyle = highlighted ? 'rgba(255, 255, 255, 0.18)' : 'rgba(255, 255, 255, 0.06)';
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.fillStyle = color;
+    ctx.font = 'bold 14px Arial';
+    ctx.fillText(label, rect.x + rect.width / 2, rect.y + rect.height / 2);
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * @file mutator-manager.js
+ * @description 天使下凡一百层游戏突变管理器
+ *
+ * 突变是开局前可自由组合的规则改动（低重力、镜像操控、一命通关等），整局生效。
+ * 每个突变是一个声明式对象，按需提供以下钩子，多个突变的同类钩子组合生效：
+ * - player.modifiers：角色属性倍率（如 gravity），与道具效果的倍率相乘
+ * - player.maxLives / player.mirrorControls：生命上限（取最小）、左右操作互换
+ * - generator.platformType：关卡生成时替换平台类型（多个依次套用）
+ * - render(ctx, game)：在游戏世界之上、界面之下绘制
+ * - timeScale：游戏速度倍率（每帧推进的逻辑帧数，不改变逻辑帧时长，录像仍可复现）
+ * - scoreMultiplier：得分倍率，整局所有得分都乘以各突变倍率之积
+ *
+ * 选择的突变只在本次游戏期间保留，对普通和无尽模式生效；每日挑战不带突变。
+ * 本局的突变记录在录像和得分结算中，便于比较成绩。
+ */
+
+import { PLATFORM_TYPES } from '../entities/platform.js';
+import { SCREEN_WIDTH, SCREEN_HEIGHT } from '../../render.js';
+
+/**
+ * 突变参数
+ */
+export const MUTATOR_CONFIG = {
+  unlockRuns: 3,          // 累计完成多少局后解锁
+  fogClearDepth: 120,     // 迷雾：天使下方完全可见的距离（屏幕像素）
+  fogFadeDepth: 160       // 迷雾：从可见到完全遮挡的过渡距离
+};
+
+/**
+ * 迷雾：遮住天使下方较远的区域，只能看清脚下不远处
+ */
+function renderFog(ctx, game) {
+  if (!game.player || !game.camera) return;
+
+  const clearY = game.camera.worldToScreen(game.player.x, game.player.y).y + MUTATOR_CONFIG.fogClearDepth;
+  const solidY = clearY + MUTATOR_CONFIG.fogFadeDepth;
+  if (clearY >= SCREEN_HEIGHT) return;
+
+  ctx.save();
+  const gradient = ctx.createLinearGradient(0, clearY, 0, solidY);
+  gradient.addColorStop(0, 'rgba(20, 20, 35, 0)');
+  gradient.addColorStop(1, 'rgba(20, 20, 35, 0.96)');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, clearY, SCREEN_WIDTH, solidY - clearY);
+  ctx.fillStyle = 'rgba(20, 20, 35, 0.96)';
+  ctx.fillRect(0, solidY, SCREEN_WIDTH, Math.max(0, SCREEN_HEIGHT - solidY));
+  ctx.restore();
+}
+
+/**
+ * 突变定义（按选择界面的显示顺序）
+ */
+export const MUTATORS = {
+  low_gravity: {
+    name: '低重力',
+    description: '重力减弱40%，下落更从容',
+    scoreMultiplier: 0.8,
+    player: { modifiers: { gravity: 0.6 } }
+  },
+  mirrored: {
+    name: '镜像',
+    description: '左右操作互换',
+    scoreMultiplier: 1.3,
+    player: { mirrorControls: true }
+  },
+  hardcore: {
+    name: '一命',
+    description: '只有1点生命，受伤即失败',
+    scoreMultiplier: 1.5,
+    player: { maxLives: 1 }
+  },
+  all_fragile: {
+    name: '全易碎',
+    description: '除危险平台外都是易碎平台',
+    scoreMultiplier: 1.4,
+    generator: {
+      platformType: type => (type === PLATFORM_TYPES.DANGEROUS ? type : PLATFORM_TYPES.FRAGILE)
+    }
+  },
+  fog: {
+    name: '迷雾',
+    description: '只能看清脚下不远处',
+    scoreMultiplier: 1.3,
+    render: renderFog
+  },
+  double_speed: {
+    name: '双倍速',
+    description: '游戏速度翻倍',
+    scoreMultiplier: 1.5,
+    timeScale: 2
+  }
+};
+
+/**
+ * 一组突变的得分倍率（各突变倍率之积）
+ *
+ * @param {Array<string>} mutatorIds - 突变ID列表
+ * @returns {number} 倍率，没有突变时为1
+ */
+export function getMutatorMultiplier(mutatorIds) {
+  return mutatorIds.reduce((multiplier, id) => multiplier * (MUTATORS[id] ? MUTATORS[id].scoreMultiplier : 1), 1);
+}
+
+/**
+ * 突变管理器
+ *
+ * @class MutatorManager
+ */
+export default class MutatorManager {
+  /**
+   * @constructor
+   * @param {AngelDescentGame} game - 游戏实例
+   */
+  constructor(game) {
+    this.game = game;
+    this.selected = [];  // 玩家选择的突变（下一局开始时生效）
+    this.active = [];    // 本局生效的突变
+  }
+
+  /**
+   * 玩家选择的突变ID
+   *
+   * @returns {Array<string>}
+   */
+  getSelected() {
+    return this.selected.slice();
+  }
+
+  /**
+   * 是否选择了指定突变
+   *
+   * @param {string} id - 突变ID
+   * @returns {boolean}
+   */
+  isSelected(id) {
+    return this.selected.includes(id);
+  }
+
+  /**
+   * 选择或取消一个突变（保持 MUTATORS 中的顺序）
+   *
+   * @param {string} id - 突变ID
+   */
+  toggle(id) {
+    if (!MUTATORS[id]) return;
+
+    const selected = this.isSelected(id)
+      ? this.selected.filter(other => other !== id)
+      : this.selected.concat(id);
+    this.selected = Object.keys(MUTATORS).filter(other => selected.includes(other));
+  }
+
+  /**
+   * 本局生效的突变ID
+   *
+   * @returns {Array<string>}
+   */
+  getActive() {
+    return this.active.slice();
+  }
+
+  /**
+   * 设置本局生效的突变并应用到关卡生成器和角色
+   *
+   * 必须在重置角色和生成关卡之前调用（角色重置时按新的生命上限回满）。
+   *
+   * @param {Array<string>} mutatorIds - 突变ID列表，未知ID被忽略
+   */
+  setActive(mutatorIds) {
+    this.active = mutatorIds.filter(id => MUTATORS[id]);
+    this.apply();
+  }
+
+  /**
+   * 将本局突变应用到关卡生成器和角色
+   */
+  apply() {
+    if (this.game.levelGenerator) {
+      this.game.levelGenerator.setPlatformTypeFilter(this.getPlatformTypeFilter());
+    }
+    if (this.game.player) {
+      this.game.player.setRunRules(this.getPlayerRules());
+    }
+  }
+
+  /**
+   * 本局突变组合出的角色规则
+   *
+   * @returns {Object} Player.setRunRules() 的参数
+   */
+  getPlayerRules() {
+    const rules = { modifiers: {}, maxLives: null, mirrorControls: false };
+
+    for (const id of this.active) {
+      const player = MUTATORS[id].player;
+      if (!player) continue;
+
+      for (const [name, value] of Object.entries(player.modifiers || {})) {
+        rules.modifiers[name] = (rules.modifiers[name] || 1) * value;
+      }
+      if (player.maxLives !== undefined) {
+        rules.maxLives = rules.maxLives === null ? player.maxLives : Math.min(rules.maxLives, player.maxLives);
+      }
+      if (player.mirrorControls) {
+        rules.mirrorControls = true;
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * 本局突变组合出的平台类型替换函数
+   *
+   * @returns {Function|null} LevelGenerator.setPlatformTypeFilter() 的参数，没有替换时为null
+   */
+  getPlatformTypeFilter() {
+    const filters = this.active
+      .map(id => MUTATORS[id].generator && MUTATORS[id].generator.platformType)
+      .filter(Boolean);
+    if (filters.length === 0) return null;
+
+    return (type, layerNum) => filters.reduce((current, filter) => filter(current, layerNum), type);
+  }
+
+  /**
+   * 本局的游戏速度倍率
+   *
+   * @returns {number} 倍率，没有突变时为1
+   */
+  getTimeScale() {
+    return this.active.reduce((scale, id) => scale * (MUTATORS[id].timeScale || 1), 1);
+  }
+
+  /**
+   * 本局的得分倍率
+   *
+   * @returns {number} 倍率，没有突变时为1
+   */
+  getScoreMultiplier() {
+    return getMutatorMultiplier(this.active);
+  }
+
+  /**
+   * 绘制本局突变的画面效果（屏幕坐标，在游戏世界之上、界面之下）
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   */
+  render(ctx) {
+    for (const id of this.active) {
+      if (MUTATORS[id].render) {
+        MUTATORS[id].render(ctx, this.game);
+      }
+    }
+  }
+}
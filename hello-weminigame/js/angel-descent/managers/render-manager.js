@@ -3,6 +3,13 @@
  * @description 天使下凡一百层游戏渲染管理器
  */
 
+import { SCORE_CATEGORIES } from './score-manager.js';
+import { POWERUP_EFFECTS } from '../entities/power-up.js';
+import { HUMAN_WORLD_LAYER } from '../level/level-generator.js';
+import { getRealm, DEFAULT_REALM_STYLE } from '../level/realm-definitions.js';
+import { MUTATORS } from './mutator-manager.js';
+import { formatTime, formatDelta, getDeltaColor } from './time-attack-manager.js';
+
 /**
  * 渲染管理器 - 负责处理所有渲染相关的功能
  */
@@ -27,24 +34,30 @@ export default class RenderManager {
     this.renderBackground();
     this.renderBackgroundParticles(); // 背景粒子也应该静态，不跟随摄像机
     
-    // 应用摄像机变换
+    // 应用摄像机变换（与实体一样在两个逻辑帧之间插值）
     if (this.game.camera) {
-      const offset = this.game.camera.getOffset();
       this.ctx.save();
-      this.ctx.translate(offset.x, offset.y);
+      this.game.camera.applyTransform(this.ctx, this.game.interpolationAlpha);
     }
     
     // 渲染游戏世界中需要跟随摄像机的元素
     this.renderPlatforms();
+    this.renderObstacles();
     this.renderLifeFruits();
+    this.renderEnemies();
+    this.game.guardianManager.render(this.ctx);
     this.renderPlayer();
     this.renderFallEffectParticles();
+    this.game.levelEditor.renderWorld(this.ctx);
     
     // 恢复摄像机变换
     if (this.game.camera) {
       this.ctx.restore();
     }
     
+    // 突变的画面效果（如迷雾）盖住游戏世界，但不遮挡界面
+    this.game.mutatorManager.render(this.ctx);
+    
     // 渲染UI（不受摄像机影响）
     this.renderUI();
   }
@@ -131,54 +144,17 @@ export default class RenderManager {
   }
   
   /**
-   * 为指定主题渲染渐变背景
+   * 为指定主题渲染渐变背景（天界定义中的 background.gradient）
    * 
    * @param {string} theme - 背景主题名称
    */
   renderGradientBackgroundForTheme(theme) {
-    // 根据主题映射到游戏层主题
-    let gameTheme;
-    switch (theme) {
-      case 'dawn':
-        gameTheme = 'fire';
-        break;
-      case 'cloud':
-        gameTheme = 'ice';
-        break;
-      case 'thunder':
-        gameTheme = 'thunder';
-        break;
-      case 'earth':
-        gameTheme = 'abyss';
-        break;
-      default:
-        gameTheme = 'fire';
-    }
+    const realm = getRealm(theme);
+    const [top, bottom] = realm ? realm.background.gradient : DEFAULT_REALM_STYLE.gradient;
     
-    // 创建对应的渐变
     const gradient = this.ctx.createLinearGradient(0, 0, 0, this.logicalHeight);
-    
-    switch (gameTheme) {
-      case 'fire':
-        gradient.addColorStop(0, '#FFA726');
-        gradient.addColorStop(1, '#FFD54F');
-        break;
-      case 'ice':
-        gradient.addColorStop(0, '#4FC3F7');
-        gradient.addColorStop(1, '#B3E5FC');
-        break;
-      case 'thunder':
-        gradient.addColorStop(0, '#AB47BC');
-        gradient.addColorStop(1, '#E1BEE7');
-        break;
-      case 'abyss':
-        gradient.addColorStop(0, '#6D4C41');
-        gradient.addColorStop(1, '#BCAAA4');
-        break;
-      default:
-        gradient.addColorStop(0, '#333333');
-        gradient.addColorStop(1, '#666666');
-    }
+    gradient.addColorStop(0, top);
+    gradient.addColorStop(1, bottom);
     
     this.ctx.fillStyle = gradient;
     this.ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
@@ -243,35 +219,7 @@ export default class RenderManager {
   renderGradientBackground() {
     const layer = this.game.gameData.currentLayer;
     const themeInfo = this.game.levelGenerator.getThemeInfo(layer);
-    
-    // 使用主题色彩创建渐变背景
-    const gradient = this.ctx.createLinearGradient(0, 0, 0, this.logicalHeight);
-    
-    // 根据主题选择渐变色
-    switch (themeInfo.theme) {
-      case 'fire':
-        gradient.addColorStop(0, '#FFA726');
-        gradient.addColorStop(1, '#FFD54F');
-        break;
-      case 'ice':
-        gradient.addColorStop(0, '#4FC3F7');
-        gradient.addColorStop(1, '#B3E5FC');
-        break;
-      case 'thunder':
-        gradient.addColorStop(0, '#AB47BC');
-        gradient.addColorStop(1, '#E1BEE7');
-        break;
-      case 'abyss':
-        gradient.addColorStop(0, '#6D4C41');
-        gradient.addColorStop(1, '#BCAAA4');
-        break;
-      default:
-        gradient.addColorStop(0, '#333333');
-        gradient.addColorStop(1, '#666666');
-    }
-    
-    this.ctx.fillStyle = gradient;
-    this.ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
+    this.renderGradientBackgroundForTheme(themeInfo.theme);
   }
 
   /**
@@ -325,12 +273,13 @@ export default class RenderManager {
    * 渲染平台
    */
   renderPlatforms() {
-    // 获取摄像机偏移，计算可见区域，配合扩大的视野增加渲染范围
-    const offset = this.game.camera.getOffset();
-    const visibleTop = -offset.y - 200; // 进一步扩展上边界以配合新视野
-    const visibleBottom = -offset.y + this.logicalHeight + 300; // 进一步扩展下边界以配合新视野
+    // 计算可见区域，上下扩展一段距离（配合前瞻和震动）
+    const visible = this.game.camera.getVisibleBounds();
+    const visibleTop = visible.top - 200;
+    const visibleBottom = visible.bottom + 300;
     
-    for (const platform of this.game.platforms) {
+    // 只遍历空间索引中与可见区域相交的桶
+    for (const platform of this.game.platformIndex.query(visibleTop, visibleBottom)) {
       // 跳过空层标记对象
       if (platform.isEmpty) {
         continue;
@@ -340,25 +289,55 @@ export default class RenderManager {
       if (platform.render && typeof platform.render === 'function') {
         // 视觉裁剪：只渲染在可见区域内或附近的平台
         if (platform.y >= visibleTop && platform.y <= visibleBottom) {
-          platform.render(this.ctx);
+          platform.renderInterpolated(this.ctx, this.game.interpolationAlpha);
         }
       }
     }
   }
 
+  /**
+   * 渲染障碍物
+   */
+  renderObstacles() {
+    const visible = this.game.camera.getVisibleBounds();
+    const visibleTop = visible.top - 200;
+    const visibleBottom = visible.bottom + 300;
+    
+    for (const obstacle of this.game.obstacleIndex.query(visibleTop, visibleBottom)) {
+      if (obstacle.y >= visibleTop && obstacle.y <= visibleBottom) {
+        obstacle.renderInterpolated(this.ctx, this.game.interpolationAlpha);
+      }
+    }
+  }
+
+  /**
+   * 渲染敌人
+   */
+  renderEnemies() {
+    const visible = this.game.camera.getVisibleBounds();
+    const visibleTop = visible.top - 200;
+    const visibleBottom = visible.bottom + 300;
+    
+    for (const enemy of this.game.enemyIndex.query(visibleTop, visibleBottom)) {
+      if (enemy.y >= visibleTop && enemy.y <= visibleBottom) {
+        enemy.renderInterpolated(this.ctx, this.game.interpolationAlpha);
+      }
+    }
+  }
+
   /**
    * 渲染生命果实
    */
   renderLifeFruits() {
-    // 获取摄像机偏移，计算可见区域
-    const offset = this.game.camera.getOffset();
-    const visibleTop = -offset.y - 200;
-    const visibleBottom = -offset.y + this.logicalHeight + 300;
+    // 计算可见区域
+    const visible = this.game.camera.getVisibleBounds();
+    const visibleTop = visible.top - 200;
+    const visibleBottom = visible.bottom + 300;
     
-    for (const lifeFruit of this.game.lifeFruits) {
+    for (const lifeFruit of this.game.lifeFruitIndex.query(visibleTop, visibleBottom)) {
       // 视觉裁剪：只渲染在可见区域内或附近的生命果实
       if (lifeFruit.y >= visibleTop && lifeFruit.y <= visibleBottom) {
-        lifeFruit.render(this.ctx);
+        lifeFruit.renderInterpolated(this.ctx, this.game.interpolationAlpha);
       }
     }
   }
@@ -369,8 +348,8 @@ export default class RenderManager {
   renderPlayer() {
     if (!this.game.player) return;
     
-    // 使用Player类的render方法
-    this.game.player.render(this.ctx);
+    // 使用Player类的render方法（插值到渲染时刻）
+    this.game.player.renderInterpolated(this.ctx, this.game.interpolationAlpha);
   }
 
   /**
@@ -441,7 +420,7 @@ export default class RenderManager {
       x: 15,
       y: 15,
       width: Math.floor(this.logicalWidth / 3.2),  // 约占屏幕宽度的1/3
-      height: 100,
+      height: 126,
       borderRadius: 15,
       padding: 14
     };
@@ -488,12 +467,11 @@ export default class RenderManager {
     this.ctx.fillStyle = '#2C2C2C';
     this.ctx.font = 'bold 17px Arial, sans-serif';
     this.ctx.textAlign = 'left';
-    // 显示倒数层数：第1层显示为第100层，第100层显示为第1层
-    const displayLayer = this.game.gameData.maxLayer - this.game.gameData.currentLayer + 1;
+    const layerText = this.formatLayer(this.game.gameData.currentLayer);
     // 添加文字阴影效果
-    this.ctx.fillText(`第 ${displayLayer} 层`, textX + 1, textStartY + 1);
+    this.ctx.fillText(layerText, textX + 1, textStartY + 1);
     this.ctx.fillStyle = themeColors.primaryText;
-    this.ctx.fillText(`第 ${displayLayer} 层`, textX, textStartY);
+    this.ctx.fillText(layerText, textX, textStartY);
     this.ctx.restore();
     
     // 渲染主题名称（副标题）- 优化字体和颜色
@@ -594,58 +572,92 @@ export default class RenderManager {
     this.ctx.fillText(livesText, labelX + 79, labelY);
     this.ctx.restore();
     
+    // 渲染得分和当前连击倍率
+    const scoreY = textStartY + lineHeight * 3;
+    const multiplier = this.game.scoreManager.getMultiplier();
+    this.ctx.save();
+    this.ctx.textAlign = 'left';
+    this.ctx.font = 'bold 15px Arial, sans-serif';
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    this.ctx.fillText(`★ ${this.game.gameData.score}`, labelX + 1, scoreY + 1);
+    this.ctx.fillStyle = themeColors.primaryText;
+    this.ctx.fillText(`★ ${this.game.gameData.score}`, labelX, scoreY);
+    if (multiplier > 1) {
+      this.ctx.textAlign = 'right';
+      this.ctx.font = 'bold 13px Arial, sans-serif';
+      this.ctx.fillStyle = '#FFD700';
+      this.ctx.fillText(`×${multiplier.toFixed(2)}`, panelConfig.x + panelConfig.width - panelConfig.padding, scoreY);
+    }
+    this.ctx.restore();
+    
     // 添加装饰性星星粒子效果
     this.renderPanelDecorations(panelConfig, themeColors);
     
     this.ctx.restore();
+    
+    return panelConfig.y + panelConfig.height;
+  }
+
+  /**
+   * 渲染道具效果计时（信息面板下方，每个效果一行）
+   * 
+   * @param {number} top - 起始Y坐标
+   */
+  renderActiveEffects(top) {
+    const player = this.game.player;
+    if (!player) return;
+    
+    const effects = player.getActiveEffects();
+    if (effects.length === 0) return;
+    
+    const x = 15;
+    const width = 96;
+    const height = 22;
+    const gap = 6;
+    
+    this.ctx.save();
+    this.ctx.textBaseline = 'middle';
+    
+    effects.forEach((effect, index) => {
+      const definition = POWERUP_EFFECTS[effect.type];
+      const y = top + index * (height + gap);
+      const progress = Math.max(0, Math.min(1, effect.remaining / effect.duration));
+      
+      // 即将到期时闪烁
+      const expiring = effect.remaining < 2;
+      this.ctx.globalAlpha = expiring ? 0.55 + 0.45 * Math.sin(Date.now() * 0.015) : 1;
+      
+      this.drawRoundedRect(x, y, width, height, 10, 'rgba(0, 0, 0, 0.45)');
+      
+      // 剩余时间进度条
+      if (progress > 0) {
+        const alpha = this.ctx.globalAlpha;
+        this.ctx.globalAlpha = alpha * 0.4;
+        this.drawRoundedRect(x, y, Math.max(height, width * progress), height, 10, definition.color);
+        this.ctx.globalAlpha = alpha;
+      }
+      
+      this.ctx.strokeStyle = definition.color;
+      this.ctx.lineWidth = 1.2;
+      this.drawRoundedRectStroke(x, y, width, height, 10);
+      
+      this.ctx.fillStyle = '#FFFFFF';
+      this.ctx.font = 'bold 12px Arial, sans-serif';
+      this.ctx.textAlign = 'left';
+      this.ctx.fillText(`${definition.icon} ${definition.name}`, x + 8, y + height / 2);
+      this.ctx.textAlign = 'right';
+      this.ctx.fillText(`${Math.ceil(effect.remaining)}s`, x + width - 8, y + height / 2);
+    });
+    
+    this.ctx.restore();
   }
   
   /**
-   * 获取主题对应的UI颜色配置
+   * 获取主题对应的UI颜色配置（天界定义中的 ui）
    */
   getThemeUIColors(theme) {
-    switch (theme) {
-      case 'dawn':
-        return {
-          panelTop: 'rgba(255, 183, 77, 0.9)',
-          panelBottom: 'rgba(255, 213, 79, 0.8)',
-          border: '#FFD700',
-          primaryText: '#FFFFFF',
-          secondaryText: '#FFF3C4'
-        };
-      case 'cloud':
-        return {
-          panelTop: 'rgba(129, 212, 250, 0.9)',
-          panelBottom: 'rgba(179, 229, 252, 0.8)',
-          border: '#81D4FA',
-          primaryText: '#FFFFFF',
-          secondaryText: '#E1F5FE'
-        };
-      case 'thunder':
-        return {
-          panelTop: 'rgba(206, 147, 216, 0.9)',
-          panelBottom: 'rgba(225, 190, 231, 0.8)',
-          border: '#CE93D8',
-          primaryText: '#FFFFFF',
-          secondaryText: '#F3E5F5'
-        };
-      case 'earth':
-        return {
-          panelTop: 'rgba(141, 110, 99, 0.9)',
-          panelBottom: 'rgba(188, 170, 164, 0.8)',
-          border: '#8D6E63',
-          primaryText: '#FFFFFF',
-          secondaryText: '#EFEBE9'
-        };
-      default:
-        return {
-          panelTop: 'rgba(128, 128, 128, 0.9)',
-          panelBottom: 'rgba(169, 169, 169, 0.8)',
-          border: '#A9A9A9',
-          primaryText: '#FFFFFF',
-          secondaryText: '#F5F5F5'
-        };
-    }
+    const realm = getRealm(theme);
+    return realm ? realm.ui : DEFAULT_REALM_STYLE.ui;
   }
   
   /**
@@ -806,8 +818,14 @@ export default class RenderManager {
    * 渲染UI
    */
   renderUI() {
-    // 渲染美术风格的游戏信息面板
-    this.renderGameInfoPanel();
+    // 关卡编辑器有自己的界面（由编辑器渲染）
+    if (this.game.currentState === 'editor') return;
+    
+    // 渲染美术风格的游戏信息面板和道具计时
+    const panelBottom = this.renderGameInfoPanel();
+    this.renderActiveEffects(panelBottom + 10);
+    this.game.guardianManager.renderHUD(this.ctx, this.logicalWidth, this.logicalHeight);
+    this.game.timeAttackManager.renderHUD(this.ctx, this.logicalWidth);
     
     // 移除调试信息，保持界面简洁美观
     
@@ -838,13 +856,49 @@ export default class RenderManager {
       this.ctx.font = '14px Arial';
       this.ctx.fillText(failureInfo.detail, this.logicalWidth/2, this.logicalHeight/2 + 10);
       
-      // 重启提示和成绩
+      // 重启提示和成绩（有可继续的检查点时由按钮选择，不自动重新开始）
+      const buttons = this.getGameOverButtons();
       this.ctx.fillStyle = '#FFFFFF';
       this.ctx.font = '16px Arial';
-      this.ctx.fillText('点击屏幕立即重试 或 3秒后自动重新开始', this.logicalWidth/2, this.logicalHeight/2 + 40);
-      // 显示倒数层数：实际第1层显示为第100层
-      const deepestDisplayLayer = this.game.gameData.maxLayer - this.game.gameData.currentLayer + 1;
-      this.ctx.fillText(`最深到达第 ${deepestDisplayLayer} 层`, this.logicalWidth/2, this.logicalHeight/2 + 70);
+      let restartHint = '点击屏幕立即重试 或 3秒后自动重新开始';
+      if (buttons) {
+        restartHint = buttons.continue ? '选择重新开始 或 从检查点继续' : '选择下一局的玩法';
+      }
+      this.ctx.fillText(restartHint, this.logicalWidth/2, this.logicalHeight/2 + 40);
+      this.ctx.fillText(`最深到达${this.formatLayer(this.game.gameData.currentLayer)}`, this.logicalWidth/2, this.logicalHeight/2 + 70);
+      
+      // 历史最佳纪录（来自玩家档案，无尽模式单独计算，每日挑战显示本局是否计入成绩，竞速模式显示目标的最快用时）
+      const endless = this.game.isEndlessRun();
+      const bestLayer = this.game.profile ? (endless ? this.game.profile.bestEndlessLayer : this.game.profile.bestLayer) : 0;
+      this.ctx.font = '14px Arial';
+      if (this.game.isTimeAttackRun()) {
+        const best = this.game.timeAttackManager.getPersonalBest(this.game.runTarget);
+        this.ctx.fillStyle = '#4DD0E1';
+        const bestText = best ? `最佳 ${formatTime(best.time)}` : '尚未完成';
+        this.ctx.fillText(`竞速 ${this.game.runTarget} 层 · ${bestText}`, this.logicalWidth/2, this.logicalHeight/2 + 95);
+      } else if (this.game.dailyRun) {
+        this.ctx.fillStyle = '#CE93D8';
+        const dailyText = this.game.dailyRun.practice ? '每日挑战练习（不计成绩）' : '每日挑战成绩已记录';
+        this.ctx.fillText(dailyText, this.logicalWidth/2, this.logicalHeight/2 + 95);
+      } else if (this.game.newRecords.layer) {
+        this.ctx.fillStyle = '#FFD700';
+        this.ctx.fillText(endless ? '🏆 刷新无尽模式纪录！' : '🏆 刷新最佳纪录！', this.logicalWidth/2, this.logicalHeight/2 + 95);
+      } else if (bestLayer > 0) {
+        this.ctx.fillStyle = '#CCCCCC';
+        this.ctx.fillText(`最佳纪录：${this.formatLayer(bestLayer)}`, this.logicalWidth/2, this.logicalHeight/2 + 95);
+      }
+      
+      this.renderScoreSummary(this.logicalHeight/2 + 130);
+      
+      if (buttons) {
+        this.renderGameOverButtons(buttons);
+      }
+    }
+    
+    // 竞速完成：显示用时和分段，不显示得分
+    if (this.game.currentState === 'level_complete' && this.game.isTimeAttackRun()) {
+      this.renderTimeAttackResult();
+      return;
     }
     
     // 游戏完成提示
@@ -863,7 +917,281 @@ export default class RenderManager {
       this.ctx.font = '14px Arial';
       this.ctx.fillStyle = '#CCCCCC';
       this.ctx.fillText('点击屏幕重新体验下凡之旅', this.logicalWidth/2, this.logicalHeight/2 + 60);
+      
+      this.renderScoreSummary(this.logicalHeight/2 + 100);
+      
+      const buttons = this.getLevelCompleteButtons();
+      if (buttons) {
+        this.renderButtons(this.getButtonItems(buttons));
+      }
+    }
+  }
+
+  /**
+   * 渲染竞速完成界面：完成用时、与个人最佳的差值和各天界用时
+   */
+  renderTimeAttackResult() {
+    const result = this.game.timeAttackManager.getResult();
+    if (!result) return;
+    
+    const centerX = this.logicalWidth/2;
+    const centerY = this.logicalHeight/2;
+    
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    this.ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
+    this.ctx.textAlign = 'center';
+    
+    this.ctx.fillStyle = '#4DD0E1';
+    this.ctx.font = 'bold 28px Arial';
+    this.ctx.fillText('⏱ 竞速完成！', centerX, centerY - 110);
+    this.ctx.fillStyle = '#CCCCCC';
+    this.ctx.font = '14px Arial';
+    this.ctx.fillText(`下降 ${result.target} 层`, centerX, centerY - 80);
+    
+    this.ctx.fillStyle = '#FFFFFF';
+    this.ctx.font = 'bold 36px Arial';
+    this.ctx.fillText(formatTime(result.time), centerX, centerY - 35);
+    
+    // 与个人最佳比较（回放不刷新纪录，只显示差值）
+    this.ctx.font = '16px Arial';
+    const deltaText = result.delta !== null ? formatDelta(result.delta) : '';
+    if (this.game.newRecords.time) {
+      this.ctx.fillStyle = '#FFD700';
+      this.ctx.fillText(`🏆 刷新个人最佳！${deltaText}`, centerX, centerY - 5);
+    } else if (result.previousBest !== null) {
+      this.ctx.fillStyle = getDeltaColor(result.delta);
+      this.ctx.fillText(`最佳 ${formatTime(result.previousBest)} · ${deltaText}`, centerX, centerY - 5);
+    }
+    
+    // 各天界用时，有个人最佳时附上差值
+    this.ctx.font = '14px Arial';
+    result.realmSplits.forEach((realm, index) => {
+      const realmDelta = realm.delta !== null ? ` ${formatDelta(realm.delta)}` : '';
+      this.ctx.fillStyle = getDeltaColor(realm.delta);
+      this.ctx.fillText(`${realm.name} ${formatTime(realm.time)}${realmDelta}`, centerX, centerY + 25 + index * 20);
+    });
+    
+    this.ctx.fillStyle = '#CCCCCC';
+    this.ctx.fillText('点击屏幕以同一目标再次竞速', centerX, centerY + 120);
+    this.ctx.restore();
+    
+    const buttons = this.getLevelCompleteButtons();
+    if (buttons) {
+      this.renderButtons(this.getButtonItems(buttons));
+    }
+  }
+
+  /**
+   * 层号的显示文字
+   * 
+   * 普通模式显示倒数层数（第1层显示为第100层，第100层显示为第1层），
+   * 无尽模式显示越过人间之后的深度（第101层显示为无尽第1层），
+   * 竞速模式显示已下降的层数和目标层数。
+   * 
+   * @param {number} layer - 内部层号
+   * @returns {string} 显示文字
+   */
+  formatLayer(layer) {
+    if (this.game.isEndlessRun()) {
+      return `无尽第 ${layer - HUMAN_WORLD_LAYER} 层`;
+    }
+    if (this.game.isTimeAttackRun()) {
+      return `第 ${Math.min(layer, this.game.runTarget)} / ${this.game.runTarget} 层`;
+    }
+    return `第 ${HUMAN_WORLD_LAYER - layer + 1} 层`;
+  }
+
+  /**
+   * 通关界面的按钮布局（渲染和触摸判定共用）
+   * 
+   * 点击按钮以外的位置重新开始，因此只列出无尽模式、每日挑战、突变和竞速。
+   * 
+   * @returns {Object|null} { endless, daily, mutators, timeAttack }，都未解锁时为null
+   */
+  getLevelCompleteButtons() {
+    const ids = [];
+    if (this.game.isEndlessUnlocked()) ids.push('endless');
+    if (this.game.isDailyUnlocked()) ids.push('daily');
+    if (this.game.isMutatorsUnlocked()) ids.push('mutators');
+    if (this.game.isTimeAttackUnlocked()) ids.push('timeAttack');
+    if (ids.length === 0) return null;
+    
+    return this.layoutButtons(ids, this.logicalHeight/2 + 190);
+  }
+
+  /**
+   * 按钮排版：每行两个（超过四个按钮时每行三个），每行的按钮平分整行宽度
+   * 
+   * @param {Array<string>} ids - 按钮ID，按显示顺序
+   * @param {number} y - 第一行的Y坐标
+   * @returns {Object} 按钮ID到矩形的映射
+   */
+  layoutButtons(ids, y) {
+    const gap = 16;
+    const rowGap = 12;
+    const height = 44;
+    const fullWidth = this.logicalWidth - 40;
+    const perRow = ids.length > 4 ? 3 : 2;
+    const buttons = {};
+    
+    ids.forEach((id, index) => {
+      const row = Math.floor(index / perRow);
+      const column = index % perRow;
+      const rowCount = Math.min(perRow, ids.length - row * perRow);
+      const width = (fullWidth - gap * (rowCount - 1)) / rowCount;
+      buttons[id] = {
+        x: 20 + column * (width + gap),
+        y: y + row * (height + rowGap),
+        width,
+        height
+      };
+    });
+    return buttons;
+  }
+
+  /**
+   * 失败界面的按钮布局（渲染和触摸判定共用）
+   * 
+   * 重新开始（普通模式）始终在第一个；只有普通模式可以从检查点继续；
+   * 无尽模式、每日挑战、突变和竞速解锁后也在这里进入；开启关卡编辑器入口后还有关卡编辑。
+   * 
+   * @returns {Object|null} { restart, continue, checkpoint, endless, daily, mutators, timeAttack, editor }，除重新开始外没有可选按钮时为null
+   */
+  getGameOverButtons() {
+    const checkpoint = this.game.runMode === 'normal' ? this.game.checkpointManager.getContinueCheckpoint() : null;
+    const ids = ['restart'];
+    if (checkpoint) ids.push('continue');
+    if (this.game.isEndlessUnlocked()) ids.push('endless');
+    if (this.game.isDailyUnlocked()) ids.push('daily');
+    if (this.game.isMutatorsUnlocked()) ids.push('mutators');
+    if (this.game.isTimeAttackUnlocked()) ids.push('timeAttack');
+    if (this.game.isLevelEditorEnabled()) ids.push('editor');
+    if (ids.length === 1) return null;
+    
+    const buttons = this.layoutButtons(ids, this.logicalHeight/2 + 215);
+    buttons.checkpoint = checkpoint;
+    return buttons;
+  }
+
+  /**
+   * 渲染失败界面的按钮
+   * 
+   * @param {Object} buttons - getGameOverButtons() 的返回值
+   */
+  renderGameOverButtons(buttons) {
+    this.renderButtons(this.getButtonItems(buttons));
+  }
+
+  /**
+   * 结算界面按钮的文字和配色
+   * 
+   * @param {Object} buttons - getGameOverButtons() 或 getLevelCompleteButtons() 的返回值
+   * @returns {Array<Object>} renderButtons() 的参数
+   */
+  getButtonItems(buttons) {
+    const items = [];
+    if (buttons.restart) {
+      const label = this.game.isTimeAttackRun() ? '再次竞速' : '重新开始';
+      items.push({ rect: buttons.restart, label, fill: 'rgba(255, 255, 255, 0.15)', color: '#FFFFFF' });
+    }
+    if (buttons.continue) {
+      items.push({ rect: buttons.continue, label: `从${buttons.checkpoint.name}继续`, fill: 'rgba(255, 215, 0, 0.25)', color: '#FFD700' });
+    }
+    if (buttons.endless) {
+      let label = '无尽模式';
+      if (this.game.isEndlessRun()) label = '再次挑战无尽';
+      else if (this.game.currentState === 'level_complete') label = '进入无尽模式';
+      items.push({ rect: buttons.endless, label, fill: 'rgba(206, 147, 216, 0.25)', color: '#CE93D8' });
+    }
+    if (buttons.daily) {
+      items.push({ rect: buttons.daily, label: '每日挑战', fill: 'rgba(100, 181, 246, 0.25)', color: '#64B5F6' });
+    }
+    if (buttons.mutators) {
+      const count = this.game.mutatorManager.getSelected().length;
+      const label = count > 0 ? `突变（${count}）` : '突变';
+      items.push({ rect: buttons.mutators, label, fill: 'rgba(255, 138, 101, 0.25)', color: '#FF8A65' });
+    }
+    if (buttons.timeAttack) {
+      items.push({ rect: buttons.timeAttack, label: '竞速', fill: 'rgba(77, 208, 225, 0.25)', color: '#4DD0E1' });
+    }
+    if (buttons.editor) {
+      items.push({ rect: buttons.editor, label: '关卡编辑', fill: 'rgba(255, 255, 255, 0.1)', color: '#BDBDBD' });
+    }
+    return items;
+  }
+
+  /**
+   * 渲染一组圆角按钮
+   * 
+   * @param {Array<Object>} items - [{ rect, label, fill, color }]
+   */
+  renderButtons(items) {
+    this.ctx.save();
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.lineWidth = 1.5;
+    
+    for (const item of items) {
+      const { x, y, width, height } = item.rect;
+      this.drawRoundedRect(x, y, width, height, 10, item.fill);
+      this.ctx.strokeStyle = item.color;
+      this.drawRoundedRectStroke(x, y, width, height, 10);
+      this.ctx.fillStyle = item.color;
+      this.ctx.font = width < 120 ? 'bold 13px Arial' : 'bold 15px Arial'; // 每行三个按钮时缩小字号
+      this.ctx.fillText(item.label, x + width / 2, y + height / 2);
     }
+    
+    this.ctx.restore();
+  }
+
+  /**
+   * 渲染本局得分结算
+   * 
+   * @param {number} y - 总分所在行的Y坐标
+   */
+  renderScoreSummary(y) {
+    const summary = this.game.scoreSummary;
+    if (!summary) return;
+    
+    this.ctx.save();
+    this.ctx.textAlign = 'center';
+    
+    // 总分
+    this.ctx.fillStyle = '#FFD700';
+    this.ctx.font = 'bold 22px Arial';
+    this.ctx.fillText(`得分 ${summary.score}`, this.logicalWidth/2, y);
+    
+    // 分项明细（只显示有得分的项）
+    const parts = Object.keys(SCORE_CATEGORIES)
+      .filter(category => summary.breakdown[category] > 0)
+      .map(category => `${SCORE_CATEGORIES[category]} ${summary.breakdown[category]}`);
+    this.ctx.fillStyle = '#CCCCCC';
+    this.ctx.font = '13px Arial';
+    if (parts.length > 0) {
+      this.ctx.fillText(parts.join(' · '), this.logicalWidth/2, y + 24);
+    }
+    this.ctx.fillText(`最长无伤 ${summary.bestStreakLayers} 层 · 最终倍率 ×${summary.multiplier.toFixed(2)}`, this.logicalWidth/2, y + 44);
+    
+    // 最高分（无尽模式单独计算，每日挑战和竞速模式不比较），本局有突变时在前面注明突变和倍率
+    const profile = this.game.runMode === 'daily' || this.game.runMode === 'time_attack' ? null : this.game.profile;
+    const bestScore = profile ? (this.game.isEndlessRun() ? profile.bestEndlessScore : profile.bestScore) : 0;
+    const recordParts = [];
+    if (summary.mutators.length > 0) {
+      const names = summary.mutators.map(id => MUTATORS[id].name).join('、');
+      recordParts.push(`突变 ${names} ×${summary.mutatorMultiplier.toFixed(2)}`);
+    }
+    if (this.game.newRecords.score) {
+      this.ctx.fillStyle = '#FFD700';
+      recordParts.push('🏆 刷新最高分！');
+    } else if (bestScore > 0) {
+      recordParts.push(`最高分 ${bestScore}`);
+    }
+    if (recordParts.length > 0) {
+      this.ctx.fillText(recordParts.join(' · '), this.logicalWidth/2, y + 64);
+    }
+    
+    this.ctx.restore();
   }
 
   /**
@@ -0,0 +1,257 @@
+/**
+ * @file score-manager.js
+ * @description 天使下凡一百层游戏计分管理器
+ *
+ * 计分来源：
+ * - 下降层数：每到达新的一层得分
+ * - 特殊平台：踩过声明了 score 的平台类型（易碎、消失、危险等，见平台类型注册表）
+ *   并安全离开（到达下一层前未受伤）得分
+ * - 生命果实和道具：每收集一个得分
+ * - 无伤连击：连续无伤下降的层数越多倍率越高，每提升一级额外奖励
+ * - 用时奖励：成功下凡时按剩余标准时间结算
+ * - 守护者：击退守护者层的守护者获得天界奖励，全程无伤额外奖励（不乘倍率）
+ *
+ * 层数、平台、果实、连击得分都乘以当前倍率（双倍得分道具生效时再乘以道具倍率）；
+ * 本局有突变时，所有得分（包括守护者和用时奖励）再乘以突变倍率。
+ * 受伤会清空连击和待结算的平台。
+ * 所有判定都在固定步长的逻辑帧内完成，同一录像回放得到相同分数。
+ */
+
+import { getPlatformBehavior } from '../entities/platform-registry.js';
+
+/**
+ * 计分配置
+ */
+export const SCORE_CONFIG = {
+  LAYER_POINTS: 10,                 // 每下降一层（安全通过特殊平台的得分见各平台类型的 score）
+  LIFE_FRUIT_POINTS: 50,            // 每个生命果实
+  POWERUP_POINTS: 20,               // 每个道具（计入果实分类）
+  STREAK_LAYERS_PER_LEVEL: 10,      // 每连续无伤多少层倍率提升一级
+  STREAK_MULTIPLIER_STEP: 0.25,     // 每级倍率增量
+  MAX_MULTIPLIER: 3,                // 倍率上限
+  STREAK_LEVEL_BONUS: 100,          // 倍率每提升一级的额外奖励
+  TIME_PAR: 300,                    // 用时奖励的标准时间（秒）
+  TIME_BONUS_PER_SECOND: 5          // 比标准时间每快1秒的奖励
+};
+
+/**
+ * 得分分类（结算界面按此顺序展示）
+ */
+export const SCORE_CATEGORIES = {
+  layers: '层数',
+  platforms: '平台',
+  fruits: '果实',
+  streak: '连击',
+  guardian: '守护',
+  time: '用时'
+};
+
+/**
+ * 计分管理器
+ *
+ * @class ScoreManager
+ */
+export default class ScoreManager {
+  /**
+   * @constructor
+   * @param {AngelDescentGame} game - 游戏实例
+   */
+  constructor(game) {
+    this.game = game;
+    this.reset();
+  }
+
+  /**
+   * 重置本局得分
+   */
+  reset() {
+    this.score = 0;
+    this.breakdown = {};
+    for (const category of Object.keys(SCORE_CATEGORIES)) {
+      this.breakdown[category] = 0;
+    }
+
+    this.streakLayers = 0;         // 当前连续无伤层数
+    this.bestStreakLayers = 0;     // 本局最长连续无伤层数
+    this.pendingPlatforms = [];    // 已踩过、尚未安全离开的特殊平台的得分
+    this.platformsSurvived = 0;
+    this.fruitsCollected = 0;
+    this.powerUpsCollected = 0;
+    this.guardiansCleared = 0;
+    this.runTime = 0;              // 本局用时（秒，按逻辑帧累计）
+    this.summary = null;           // 本局结算
+
+    this.syncGameData();
+  }
+
+  /**
+   * 当前倍率（由无伤连击决定）
+   *
+   * @returns {number} 倍率
+   */
+  getMultiplier() {
+    const level = Math.floor(this.streakLayers / SCORE_CONFIG.STREAK_LAYERS_PER_LEVEL);
+    return Math.min(SCORE_CONFIG.MAX_MULTIPLIER, 1 + level * SCORE_CONFIG.STREAK_MULTIPLIER_STEP);
+  }
+
+  /**
+   * 道具提供的得分倍率（双倍得分）
+   *
+   * @returns {number} 倍率
+   */
+  getEffectMultiplier() {
+    const player = this.game.player;
+    return player ? player.getModifier('scoreMultiplier') : 1;
+  }
+
+  /**
+   * 本局突变的得分倍率
+   *
+   * @returns {number} 倍率
+   */
+  getMutatorMultiplier() {
+    const mutatorManager = this.game.mutatorManager;
+    return mutatorManager ? mutatorManager.getScoreMultiplier() : 1;
+  }
+
+  /**
+   * 每个逻辑帧更新：累计用时
+   *
+   * @param {number} deltaTime - 逻辑帧时长（秒）
+   */
+  update(deltaTime) {
+    this.runTime += deltaTime;
+  }
+
+  /**
+   * 玩家受伤（GAME_EVENTS.PLAYER_DAMAGED）：连击清零，待结算的平台不再计分
+   */
+  onPlayerDamaged() {
+    this.streakLayers = 0;
+    this.pendingPlatforms = [];
+  }
+
+  /**
+   * 玩家到达新的层
+   *
+   * @param {number} previousLayer - 之前的层数
+   * @param {number} currentLayer - 新的层数
+   */
+  onLayerReached(previousLayer, currentLayer) {
+    // 离开上方平台，结算踩过的特殊平台
+    for (const points of this.pendingPlatforms) {
+      this.award('platforms', points);
+      this.platformsSurvived++;
+    }
+    this.pendingPlatforms = [];
+
+    for (let layer = previousLayer + 1; layer <= currentLayer; layer++) {
+      const previousMultiplier = this.getMultiplier();
+      this.streakLayers++;
+      this.bestStreakLayers = Math.max(this.bestStreakLayers, this.streakLayers);
+
+      if (this.getMultiplier() > previousMultiplier) {
+        this.award('streak', SCORE_CONFIG.STREAK_LEVEL_BONUS);
+      }
+
+      this.award('layers', SCORE_CONFIG.LAYER_POINTS);
+    }
+  }
+
+  /**
+   * 玩家踩上平台
+   *
+   * @param {Platform} platform - 平台
+   * @param {boolean} isFirstStep - 是否第一次被踩
+   */
+  onPlatformStep(platform, isFirstStep) {
+    if (!isFirstStep) return;
+
+    const behavior = getPlatformBehavior(platform.platformType);
+    if (behavior && behavior.score !== undefined) {
+      this.pendingPlatforms.push(behavior.score);
+    }
+  }
+
+  /**
+   * 收集生命果实
+   */
+  onLifeFruitCollected() {
+    this.fruitsCollected++;
+    this.award('fruits', SCORE_CONFIG.LIFE_FRUIT_POINTS);
+  }
+
+  /**
+   * 收集道具
+   */
+  onPowerUpCollected() {
+    this.powerUpsCollected++;
+    this.award('fruits', SCORE_CONFIG.POWERUP_POINTS);
+  }
+
+  /**
+   * 击退守护者（GAME_EVENTS.GUARDIAN_CLEARED）
+   *
+   * @param {number} bonus - 天界奖励
+   * @param {number} flawlessBonus - 无伤奖励（受过伤为0）
+   */
+  onGuardianCleared(bonus, flawlessBonus) {
+    this.guardiansCleared++;
+    this.award('guardian', bonus + flawlessBonus, false);
+  }
+
+  /**
+   * 按当前倍率加分
+   *
+   * @param {string} category - 得分分类
+   * @param {number} points - 基础分
+   * @param {boolean} applyMultiplier - 是否乘以倍率（连击倍率和道具倍率，突变倍率总是生效）
+   */
+  award(category, points, applyMultiplier = true) {
+    const basePoints = applyMultiplier ? points * this.getMultiplier() * this.getEffectMultiplier() : points;
+    const gained = Math.round(basePoints * this.getMutatorMultiplier());
+    this.breakdown[category] += gained;
+    this.score += gained;
+    this.syncGameData();
+  }
+
+  /**
+   * 本局结束，生成结算
+   *
+   * @param {string} reason - 结束原因（'complete' 为成功下凡）
+   * @returns {Object} 结算 { score, breakdown, multiplier, bestStreakLayers, platformsSurvived, fruitsCollected, powerUpsCollected, guardiansCleared, time, mutators, mutatorMultiplier, adaptiveDifficulty }
+   */
+  finish(reason) {
+    if (this.summary) return this.summary;
+
+    if (reason === 'complete') {
+      const secondsUnderPar = Math.max(0, SCORE_CONFIG.TIME_PAR - this.runTime);
+      this.award('time', Math.floor(secondsUnderPar) * SCORE_CONFIG.TIME_BONUS_PER_SECOND, false);
+    }
+
+    this.summary = {
+      score: this.score,
+      breakdown: { ...this.breakdown },
+      multiplier: this.getMultiplier(),
+      bestStreakLayers: this.bestStreakLayers,
+      platformsSurvived: this.platformsSurvived,
+      fruitsCollected: this.fruitsCollected,
+      powerUpsCollected: this.powerUpsCollected,
+      guardiansCleared: this.guardiansCleared,
+      time: this.runTime,
+      mutators: this.game.mutatorManager ? this.game.mutatorManager.getActive() : [],
+      mutatorMultiplier: this.getMutatorMultiplier(),
+      adaptiveDifficulty: this.game.difficultyDirector ? this.game.difficultyDirector.isEnabled() : false
+    };
+    return this.summary;
+  }
+
+  /**
+   * 同步到游戏数据（界面从 gameData.score 读取）
+   */
+  syncGameData() {
+    if (this.game.gameData) {
+      this.game.gameData.score = this.score;
+    }
+  }
+}
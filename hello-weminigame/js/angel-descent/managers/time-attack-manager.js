@@ -0,0 +1,267 @@
+/**
+ * @file time-attack-manager.js
+ * @description 天使下凡一百层游戏竞速模式管理器
+ *
+ * 竞速模式的目标是以最快速度下降到第25/50/100层（越过目标层即完成；目标层都是守护者层，落到竞技场即算到达，不进行遭遇战）。
+ * 用时按逻辑帧累计，与刷新率无关。每到达新的一层记录一次分段（从开局到该层的累计用时），
+ * 与该目标的个人最佳分段比较，HUD 中实时显示领先（绿色）或落后（红色）；
+ * 离开一个天界时还比较在该天界内的用时。
+ *
+ * 个人最佳（完成用时和逐层分段）保存在玩家档案的 timeAttackBests 中。
+ * 竞速模式不带突变、不调整难度，保证各局成绩可以比较。
+ */
+
+import { HUMAN_WORLD_LAYER } from '../level/level-generator.js';
+
+/**
+ * 竞速模式参数
+ */
+export const TIME_ATTACK_CONFIG = {
+  targets: [25, 50, HUMAN_WORLD_LAYER],  // 可选的目标层数
+  unlockRuns: 3,                         // 累计完成多少局后解锁
+  splitDisplayTime: 3                    // 分段对比在 HUD 中显示的时长（秒）
+};
+
+/**
+ * 用时的显示文字（m:ss.cc）
+ *
+ * @param {number} seconds - 用时（秒）
+ * @returns {string}
+ */
+export function formatTime(seconds) {
+  const centiseconds = Math.floor(seconds * 100);
+  const minutes = Math.floor(centiseconds / 6000);
+  const secondsPart = String(Math.floor(centiseconds / 100) % 60).padStart(2, '0');
+  const centisecondsPart = String(centiseconds % 100).padStart(2, '0');
+  return `${minutes}:${secondsPart}.${centisecondsPart}`;
+}
+
+/**
+ * 与个人最佳的差值显示文字（+1.23 为落后，-0.45 为领先）
+ *
+ * @param {number} delta - 差值（秒）
+ * @returns {string}
+ */
+export function formatDelta(delta) {
+  return `${delta > 0 ? '+' : '-'}${Math.abs(delta).toFixed(2)}`;
+}
+
+/**
+ * 差值的颜色：领先为绿色，落后为红色
+ *
+ * @param {number|null} delta - 差值（秒），没有个人最佳时为null
+ * @returns {string}
+ */
+export function getDeltaColor(delta) {
+  if (delta === null) return '#FFFFFF';
+  return delta <= 0 ? '#66BB6A' : '#EF5350';
+}
+
+/**
+ * 竞速模式管理器
+ *
+ * @class TimeAttackManager
+ */
+export default class TimeAttackManager {
+  /**
+   * @constructor
+   * @param {AngelDescentGame} game - 游戏实例
+   */
+  constructor(game) {
+    this.game = game;
+    this.begin(null);
+  }
+
+  /**
+   * 开始新的一局
+   *
+   * @param {number|null} target - 目标层数，不是竞速模式时为null
+   */
+  begin(target) {
+    this.target = target;
+    this.best = target !== null ? this.getPersonalBest(target) : null;
+    this.time = 0;
+    this.splits = [];          // splits[i] 为到达第 i+2 层时的累计用时
+    this.lastSplit = null;     // 最近一次分段对比 { layer, time, delta }
+    this.lastRealmSplit = null; // 最近离开的天界的用时对比 { name, time, delta }
+    this.splitTimer = 0;       // 分段对比剩余显示时间
+    this.realmTimer = 0;       // 天界用时对比剩余显示时间
+    this.result = null;
+  }
+
+  /**
+   * 本局是否为竞速模式
+   *
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.target !== null;
+  }
+
+  /**
+   * 指定目标的个人最佳
+   *
+   * @param {number} target - 目标层数
+   * @returns {Object|null} { time, splits }，没有完成过时为null
+   */
+  getPersonalBest(target) {
+    const bests = this.game.profile ? this.game.profile.timeAttackBests : {};
+    return bests[target] || null;
+  }
+
+  /**
+   * 每个逻辑帧更新：累计用时
+   *
+   * @param {number} deltaTime - 逻辑帧时长（秒）
+   */
+  update(deltaTime) {
+    if (!this.isActive() || this.result) return;
+
+    this.time += deltaTime;
+    this.splitTimer = Math.max(0, this.splitTimer - deltaTime);
+    this.realmTimer = Math.max(0, this.realmTimer - deltaTime);
+  }
+
+  /**
+   * 玩家到达新的层：记录分段并与个人最佳比较
+   *
+   * @param {number} previousLayer - 之前的层数
+   * @param {number} currentLayer - 新的层数
+   */
+  onLayerReached(previousLayer, currentLayer) {
+    if (!this.isActive() || this.result) return;
+
+    const lastLayer = Math.min(currentLayer, this.target + 1);
+    for (let layer = previousLayer + 1; layer <= lastLayer; layer++) {
+      this.splits[layer - 2] = this.time;
+    }
+    if (lastLayer <= previousLayer) return;
+
+    this.lastSplit = {
+      layer: lastLayer,
+      time: this.time,
+      delta: this.getSplitDelta(lastLayer - 2, this.time)
+    };
+
+    // 越过天界起点：比较刚离开的天界内的用时
+    const realm = this.getRealmSplits(this.splits)
+      .filter(split => split.endLayer > previousLayer && split.endLayer <= lastLayer)
+      .pop();
+    if (realm) {
+      this.lastRealmSplit = { name: realm.name, time: realm.time, delta: realm.delta };
+      this.realmTimer = TIME_ATTACK_CONFIG.splitDisplayTime;
+    }
+    this.splitTimer = TIME_ATTACK_CONFIG.splitDisplayTime;
+  }
+
+  /**
+   * 某个分段与个人最佳的差值
+   *
+   * @param {number} index - 分段序号
+   * @param {number} time - 本局的累计用时
+   * @returns {number|null} 差值（秒），没有个人最佳时为null
+   */
+  getSplitDelta(index, time) {
+    if (!this.best || this.best.splits[index] === undefined) return null;
+    return time - this.best.splits[index];
+  }
+
+  /**
+   * 按天界汇总分段：每个天界从起点层到下一个天界起点（或终点）的用时
+   *
+   * @param {Array<number>} splits - 逐层分段
+   * @param {number} target - 目标层数，默认为本局目标
+   * @param {Object|null} best - 用于比较的个人最佳，默认为本局开始时的个人最佳
+   * @returns {Array<Object>} [{ name, startLayer, endLayer, time, delta }]，只包含已经走完的天界
+   */
+  getRealmSplits(splits, target = this.target, best = this.best) {
+    const timeAt = (layer, list) => (layer <= 1 ? 0 : list[layer - 2]);
+    const starts = this.game.checkpointManager.getCheckpoints().filter(checkpoint => checkpoint.layer <= target);
+    const realms = [];
+
+    starts.forEach((checkpoint, index) => {
+      const endLayer = index + 1 < starts.length ? starts[index + 1].layer : target + 1;
+      const end = timeAt(endLayer, splits);
+      if (end === undefined) return;
+
+      const time = end - timeAt(checkpoint.layer, splits);
+      let delta = null;
+      if (best && timeAt(endLayer, best.splits) !== undefined) {
+        delta = time - (timeAt(endLayer, best.splits) - timeAt(checkpoint.layer, best.splits));
+      }
+      realms.push({ name: checkpoint.name, startLayer: checkpoint.layer, endLayer, time, delta });
+    });
+    return realms;
+  }
+
+  /**
+   * 完成目标，生成结算
+   *
+   * 目标层是守护者层时，落到竞技场即完成，最后一个分段以完成时的用时为准。
+   *
+   * @returns {Object} { target, time, splits, realmSplits, previousBest, delta }
+   */
+  finish() {
+    if (this.result) return this.result;
+
+    this.splits[this.target - 1] = this.time;
+    this.result = {
+      target: this.target,
+      time: this.time,
+      splits: this.splits.slice(),
+      realmSplits: this.getRealmSplits(this.splits),
+      previousBest: this.best ? this.best.time : null,
+      delta: this.best ? this.time - this.best.time : null
+    };
+    return this.result;
+  }
+
+  /**
+   * 本局结算（未完成时为null）
+   *
+   * @returns {Object|null}
+   */
+  getResult() {
+    return this.result;
+  }
+
+  /**
+   * 渲染竞速 HUD：右上角的计时、最近的分段对比和天界用时对比
+   *
+   * @param {CanvasRenderingContext2D} ctx - 画布上下文
+   * @param {number} screenWidth - 屏幕宽度
+   */
+  renderHUD(ctx, screenWidth) {
+    if (!this.isActive()) return;
+
+    const right = screenWidth - 15;
+    ctx.save();
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillRect(right - 150, 15, 150, this.splitTimer > 0 || this.realmTimer > 0 ? 92 : 52);
+
+    ctx.fillStyle = '#CCCCCC';
+    ctx.font = '12px Arial';
+    const bestText = this.best ? ` · 最佳 ${formatTime(this.best.time)}` : '';
+    ctx.fillText(`竞速 ${this.target} 层${bestText}`, right - 8, 31);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 20px Arial';
+    ctx.fillText(formatTime(this.time), right - 8, 56);
+
+    if (this.splitTimer > 0 && this.lastSplit) {
+      ctx.font = 'bold 14px Arial';
+      ctx.fillStyle = getDeltaColor(this.lastSplit.delta);
+      const splitDelta = this.lastSplit.delta !== null ? formatDelta(this.lastSplit.delta) : formatTime(this.lastSplit.time);
+      ctx.fillText(`第 ${this.lastSplit.layer - 1} 层 ${splitDelta}`, right - 8, 78);
+    }
+    if (this.realmTimer > 0 && this.lastRealmSplit) {
+      ctx.font = '12px Arial';
+      ctx.fillStyle = getDeltaColor(this.lastRealmSplit.delta);
+      const realmDelta = this.lastRealmSplit.delta !== null ? ` ${formatDelta(this.lastRealmSplit.delta)}` : '';
+      ctx.fillText(`${this.lastRealmSplit.name} ${formatTime(this.lastRealmSplit.time)}${realmDelta}`, right - 8, 98);
+    }
+    ctx.restore();
+  }
+}
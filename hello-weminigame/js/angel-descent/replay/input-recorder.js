@@ -0,0 +1,100 @@
+/**
+ * @file input-recorder.js
+ * @description 天使下凡一百层游戏输入录制器
+ *
+ * 每个固定逻辑帧记录一次左右输入状态，使用游程编码压缩：
+ * 玩家通常长时间按住同一方向，一局数千帧的输入一般只有几百个数字。
+ */
+
+import { REPLAY_FORMAT_VERSION, encodeInput, copyRunConfig } from './replay-format.js';
+import { GAME_VERSION } from '../version.js';
+
+/**
+ * 输入录制器
+ *
+ * @class InputRecorder
+ */
+export default class InputRecorder {
+  constructor() {
+    this.recording = false;
+    this.run = null;     // 本局配置
+    this.tickRate = 60;
+    this.ticks = 0;
+    this.inputs = [];    // 游程编码：[输入值, 连续帧数, ...]
+    this.result = null;
+  }
+
+  /**
+   * 开始录制新的一局
+   *
+   * @param {Object} run - 本局配置 { seed, startLayer, mode, modifiers, mutators, director, target }（见 replay-format.js）
+   * @param {number} tickRate - 逻辑帧率
+   */
+  begin(run, tickRate = 60) {
+    this.recording = true;
+    this.run = copyRunConfig(run);
+    this.tickRate = tickRate;
+    this.ticks = 0;
+    this.inputs = [];
+    this.result = null;
+  }
+
+  /**
+   * 记录一个逻辑帧的输入
+   *
+   * @param {boolean} leftPressed - 是否按下左
+   * @param {boolean} rightPressed - 是否按下右
+   */
+  record(leftPressed, rightPressed) {
+    if (!this.recording) return;
+
+    const value = encodeInput(leftPressed, rightPressed);
+    const lastIndex = this.inputs.length - 2;
+
+    if (lastIndex >= 0 && this.inputs[lastIndex] === value) {
+      this.inputs[lastIndex + 1]++;
+    } else {
+      this.inputs.push(value, 1);
+    }
+
+    this.ticks++;
+  }
+
+  /**
+   * 结束录制
+   *
+   * @param {Object} result - 结束结果，如 { reason: 'fell_into_void', layer: 63 }
+   */
+  finish(result = null) {
+    if (!this.recording) return;
+
+    this.recording = false;
+    this.result = result;
+  }
+
+  /**
+   * 是否正在录制
+   */
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * 获取录像对象
+   *
+   * @returns {Object|null} 录像对象，从未开始录制时返回null
+   */
+  getReplay() {
+    if (this.run === null) return null;
+
+    return {
+      format: REPLAY_FORMAT_VERSION,
+      gameVersion: GAME_VERSION,
+      run: copyRunConfig(this.run),
+      tickRate: this.tickRate,
+      ticks: this.ticks,
+      inputs: this.inputs.slice(),
+      result: this.result
+    };
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * @file replay-format.js
+ * @description 天使下凡一百层游戏录像数据格式
+ *
+ * 录像记录一局游戏的本局配置和每个固定逻辑帧的左右输入状态，
+ * 配合确定性的关卡生成和固定步长模拟即可完整复现整局游戏。
+ *
+ * 数据结构（JSON）：
+ * {
+ *   format: 2,               // 录像格式版本
+ *   gameVersion: '1.1.0',    // 录制时的游戏版本
+ *   run: {                   // 本局配置（重新开始同一局所需的全部参数，字段均必填）
+ *     seed: 123456,          // 对局种子
+ *     startLayer: 1,         // 起始层（从检查点继续时大于1）
+ *     mode: 'normal',        // 游戏模式（normal / endless / daily / time_attack）
+ *     modifiers: [],         // 本局的修正ID（每日挑战）
+ *     mutators: [],          // 本局的突变ID
+ *     director: { startTension: -0.15 }, // 自适应难度的开局状态（null为纯净，不调整难度）
+ *     target: 50             // 竞速模式的目标层数（其他模式为null）
+ *   },
+ *   tickRate: 60,            // 逻辑帧率
+ *   ticks: 5400,             // 总逻辑帧数
+ *   inputs: [0, 120, 1, 45], // 游程编码：[输入值, 连续帧数, 输入值, 连续帧数, ...]
+ *   result: { reason, layer, score } // 结束结果（未结束时为null，用于回归校验）
+ * }
+ *
+ * 输入值为位掩码：1 = 左，2 = 右
+ *
+ * 录像只能在录制它的游戏版本上回放：关卡生成或模拟规则变化时必须递增 GAME_VERSION，
+ * 录像格式变化时递增 REPLAY_FORMAT_VERSION，其他版本的录像直接拒绝，不用默认值补齐。
+ */
+
+import { GAME_VERSION } from '../version.js';
+
+/**
+ * 当前录像格式版本
+ */
+export const REPLAY_FORMAT_VERSION = 2;
+
+/**
+ * 录像支持的游戏模式（与 GAME_MODES 的取值一致）
+ */
+const REPLAY_MODES = ['normal', 'endless', 'daily', 'time_attack'];
+
+/**
+ * 输入位掩码
+ */
+export const INPUT_BITS = {
+  LEFT: 1,
+  RIGHT: 2
+};
+
+/**
+ * 将左右输入状态编码为位掩码
+ *
+ * @param {boolean} leftPressed - 是否按下左
+ * @param {boolean} rightPressed - 是否按下右
+ * @returns {number} 输入值
+ */
+export function encodeInput(leftPressed, rightPressed) {
+  return (leftPressed ? INPUT_BITS.LEFT : 0) | (rightPressed ? INPUT_BITS.RIGHT : 0);
+}
+
+/**
+ * 将位掩码解码为左右输入状态
+ *
+ * @param {number} value - 输入值
+ * @returns {{leftPressed: boolean, rightPressed: boolean}} 输入状态
+ */
+export function decodeInput(value) {
+  return {
+    leftPressed: (value & INPUT_BITS.LEFT) !== 0,
+    rightPressed: (value & INPUT_BITS.RIGHT) !== 0
+  };
+}
+
+/**
+ * 复制本局配置（列表和自适应难度状态不与原对象共享）
+ *
+ * @param {Object} run - 本局配置 { seed, startLayer, mode, modifiers, mutators, director, target }
+ * @returns {Object} 配置副本
+ */
+export function copyRunConfig(run) {
+  return {
+    seed: run.seed,
+    startLayer: run.startLayer,
+    mode: run.mode,
+    modifiers: run.modifiers.slice(),
+    mutators: run.mutators.slice(),
+    director: run.director ? { ...run.director } : null,
+    target: run.target
+  };
+}
+
+/**
+ * 校验本局配置
+ *
+ * @param {Object} run - 本局配置
+ * @throws {Error} 配置不完整或取值无效时抛出
+ */
+function validateRunConfig(run) {
+  if (!run || typeof run !== 'object') {
+    throw new Error('录像缺少本局配置');
+  }
+  if (run.seed === undefined || run.seed === null) {
+    throw new Error('录像缺少对局种子');
+  }
+  if (!(Number.isInteger(run.startLayer) && run.startLayer >= 1)) {
+    throw new Error(`录像起始层无效: ${run.startLayer}`);
+  }
+  if (!REPLAY_MODES.includes(run.mode)) {
+    throw new Error(`录像游戏模式无效: ${run.mode}`);
+  }
+  if (!(Array.isArray(run.modifiers) && run.modifiers.every(id => typeof id === 'string'))) {
+    throw new Error('录像修正列表无效');
+  }
+  if (!(Array.isArray(run.mutators) && run.mutators.every(id => typeof id === 'string'))) {
+    throw new Error('录像突变列表无效');
+  }
+  if (run.director !== null &&
+      !(run.director && typeof run.director === 'object' && Number.isFinite(run.director.startTension))) {
+    throw new Error('录像自适应难度状态无效');
+  }
+  if (run.target !== null && !(Number.isInteger(run.target) && run.target >= 1)) {
+    throw new Error(`录像竞速目标无效: ${run.target}`);
+  }
+  if ((run.mode === 'time_attack') !== (run.target !== null)) {
+    throw new Error('录像竞速目标与游戏模式不符');
+  }
+}
+
+/**
+ * 序列化录像为字符串
+ *
+ * @param {Object} replay - 录像对象
+ * @returns {string} JSON字符串
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * 解析并校验录像数据
+ *
+ * @param {string|Object} data - JSON字符串或录像对象
+ * @returns {Object} 校验通过的录像对象
+ * @throws {Error} 数据格式不正确或由其他版本录制时抛出
+ */
+export function parseReplay(data) {
+  const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('录像数据无效');
+  }
+  if (replay.format !== REPLAY_FORMAT_VERSION) {
+    throw new Error(`不支持的录像格式版本: ${replay.format}`);
+  }
+  if (replay.gameVersion !== GAME_VERSION) {
+    throw new Error(`录像由版本 ${replay.gameVersion} 录制，与当前版本 ${GAME_VERSION} 的关卡生成或模拟规则不同，无法回放`);
+  }
+  validateRunConfig(replay.run);
+  if (!Array.isArray(replay.inputs) || replay.inputs.length % 2 !== 0) {
+    throw new Error('录像输入数据损坏');
+  }
+
+  const totalTicks = replay.inputs.reduce((sum, value, index) => (index % 2 === 1 ? sum + value : sum), 0);
+  if (totalTicks !== replay.ticks) {
+    throw new Error(`录像帧数不一致: 记录${replay.ticks}帧，实际${totalTicks}帧`);
+  }
+  if (replay.result !== null &&
+      !(replay.result && typeof replay.result === 'object' && Number.isInteger(replay.result.layer) && Number.isFinite(replay.result.score))) {
+    throw new Error('录像结束结果无效');
+  }
+
+  return replay;
+}
@@ -0,0 +1,90 @@
+/**
+ * @file replay-player.js
+ * @description 天使下凡一百层游戏录像回放器
+ *
+ * 按逻辑帧依次取出录像中的输入状态，替代触摸输入驱动游戏。
+ */
+
+import { parseReplay, decodeInput, copyRunConfig } from './replay-format.js';
+
+/**
+ * 录像回放器
+ *
+ * @class ReplayPlayer
+ */
+export default class ReplayPlayer {
+  /**
+   * @constructor
+   * @param {string|Object} data - 录像数据（JSON字符串或对象）
+   * @throws {Error} 录像数据无效或由其他版本录制时抛出
+   */
+  constructor(data) {
+    this.replay = parseReplay(data);
+
+    this.runIndex = 0;    // 当前游程下标（指向输入值）
+    this.runOffset = 0;   // 当前游程内已消耗的帧数
+    this.tickIndex = 0;   // 已回放的逻辑帧数
+  }
+
+  /**
+   * 本局配置（副本）
+   *
+   * @returns {Object} { seed, startLayer, mode, modifiers, mutators, director, target }
+   */
+  getRunConfig() {
+    return copyRunConfig(this.replay.run);
+  }
+
+  /**
+   * 取出下一个逻辑帧的输入
+   *
+   * @returns {{leftPressed: boolean, rightPressed: boolean}|null} 输入状态，回放结束返回null
+   */
+  next() {
+    const inputs = this.replay.inputs;
+
+    while (this.runIndex < inputs.length && this.runOffset >= inputs[this.runIndex + 1]) {
+      this.runIndex += 2;
+      this.runOffset = 0;
+    }
+
+    if (this.runIndex >= inputs.length) {
+      return null;
+    }
+
+    this.runOffset++;
+    this.tickIndex++;
+    return decodeInput(inputs[this.runIndex]);
+  }
+
+  /**
+   * 是否已回放完所有输入
+   */
+  isFinished() {
+    return this.tickIndex >= this.replay.ticks;
+  }
+
+  /**
+   * 回放进度（0-1）
+   */
+  getProgress() {
+    return this.replay.ticks > 0 ? this.tickIndex / this.replay.ticks : 1;
+  }
+
+  /**
+   * 将实际结束结果与录像记录的结果对比
+   *
+   * @param {Object} actual - 实际结果 { reason, layer, score }
+   * @returns {{expected: Object|null, actual: Object, matched: boolean|null}} 对比结果，录像无记录时matched为null
+   */
+  compareResult(actual) {
+    const expected = this.replay.result;
+    const matched = expected
+      ? expected.reason === actual.reason &&
+        expected.layer === actual.layer &&
+        expected.score === actual.score
+      : null;
+
+    return { expected, actual, matched };
+  }
+}
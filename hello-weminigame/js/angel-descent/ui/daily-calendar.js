@@ -0,0 +1,241 @@
+/**
+ * @file daily-calendar.js
+ * @description 每日挑战日历界面
+ *
+ * 从失败或通关界面打开，显示今天的挑战（日期、修正、今日成绩、连续天数）
+ * 和按月排列的日历，完成过正式挑战的日期高亮并标出当天的得分。
+ * 底部按钮开始今天的正式挑战（已挑战过时为练习）或返回。
+ */
+
+import { SCREEN_WIDTH, SCREEN_HEIGHT } from '../../render.js';
+import { HUMAN_WORLD_LAYER } from '../level/level-generator.js';
+import { DAILY_MODIFIERS, getChallengeDate } from '../managers/daily-challenge-manager.js';
+
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+
+/**
+ * 点是否在矩形内
+ */
+function isInside(x, y, rect) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+/**
+ * 每日挑战日历类
+ */
+export default class DailyCalendar {
+  /**
+   * @constructor
+   * @param {DailyChallengeManager} dailyChallengeManager - 每日挑战管理器
+   */
+  constructor(dailyChallengeManager) {
+    this.manager = dailyChallengeManager;
+    this.logicalWidth = SCREEN_WIDTH;
+    this.logicalHeight = SCREEN_HEIGHT;
+    this.isVisible = false;
+
+    // 当前显示的月份
+    this.year = 0;
+    this.month = 0;
+  }
+
+  /**
+   * 打开日历（显示今天所在的月份，按挑战时区）
+   */
+  open() {
+    const today = getChallengeDate();
+    this.year = today.getUTCFullYear();
+    this.month = today.getUTCMonth();
+    this.isVisible = true;
+  }
+
+  /**
+   * 关闭日历
+   */
+  close() {
+    this.isVisible = false;
+  }
+
+  /**
+   * 是否正在显示
+   */
+  isShowing() {
+    return this.isVisible;
+  }
+
+  /**
+   * 切换显示的月份
+   *
+   * @param {number} offset - 月份偏移（-1为上个月，1为下个月）
+   */
+  changeMonth(offset) {
+    const date = new Date(Date.UTC(this.year, this.month + offset, 1));
+    this.year = date.getUTCFullYear();
+    this.month = date.getUTCMonth();
+  }
+
+  /**
+   * 界面布局（渲染和触摸判定共用）
+   */
+  getLayout() {
+    const width = this.logicalWidth;
+    const gridX = 20;
+    const cellWidth = (width - 40) / 7;
+    const monthY = 245;
+
+    return {
+      monthY,
+      prevMonth: { x: 20, y: monthY - 22, width: 60, height: 36 },
+      nextMonth: { x: width - 80, y: monthY - 22, width: 60, height: 36 },
+      grid: { x: gridX, y: monthY + 40, cellWidth, cellHeight: 34 },
+      start: { x: 20, y: monthY + 275, width: width - 40, height: 44 },
+      close: { x: 20, y: monthY + 331, width: width - 40, height: 44 }
+    };
+  }
+
+  /**
+   * 处理触摸事件
+   *
+   * @returns {string|null} 'start' 开始今天的挑战，'close' 返回，其他位置为null
+   */
+  handleTouch(e) {
+    if (!this.isVisible) return null;
+
+    const touch = e.touches[0];
+    const layout = this.getLayout();
+
+    if (isInside(touch.clientX, touch.clientY, layout.start)) {
+      return 'start';
+    }
+    if (isInside(touch.clientX, touch.clientY, layout.close)) {
+      this.close();
+      return 'close';
+    }
+    if (isInside(touch.clientX, touch.clientY, layout.prevMonth)) {
+      this.changeMonth(-1);
+    } else if (isInside(touch.clientX, touch.clientY, layout.nextMonth)) {
+      this.changeMonth(1);
+    }
+    return null;
+  }
+
+  /**
+   * 渲染日历界面
+   */
+  render(ctx) {
+    if (!this.isVisible) return;
+
+    const centerX = this.logicalWidth / 2;
+    const layout = this.getLayout();
+    const challenge = this.manager.getChallenge();
+    const result = this.manager.getResult(challenge.dateKey);
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+    ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+
+    // 标题和日期
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 26px Arial';
+    ctx.fillText('每日挑战', centerX, 70);
+    const [year, month, day] = challenge.dateKey.split('-').map(Number);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '15px Arial';
+    ctx.fillText(`${year}年${month}月${day}日 · 所有玩家同一个世界`, centerX, 98);
+
+    // 今日修正
+    ctx.font = '14px Arial';
+    ctx.fillStyle = '#CE93D8';
+    if (challenge.modifiers.length === 0) {
+      ctx.fillText('今日无修正', centerX, 128);
+    } else {
+      challenge.modifiers.forEach((id, index) => {
+        const modifier = DAILY_MODIFIERS[id];
+        ctx.fillText(`${modifier.name}：${modifier.description}`, centerX, 128 + index * 22);
+      });
+    }
+
+    // 今日成绩和连续天数
+    ctx.fillStyle = '#CCCCCC';
+    let status = '今日正式挑战尚未开始';
+    if (result && result.reason === null) {
+      status = '今日正式挑战已开始（未完成）';
+    } else if (result) {
+      status = `今日成绩：最深第 ${HUMAN_WORLD_LAYER - result.layer + 1} 层 · 得分 ${result.score}`;
+    }
+    ctx.fillText(status, centerX, 180);
+    ctx.fillText(`连续挑战 ${this.manager.getStreak()} 天`, centerX, 204);
+
+    this.renderMonth(ctx, layout);
+
+    // 按钮
+    const startLabel = result ? '练习（不计成绩）' : '开始正式挑战';
+    this.renderButton(ctx, layout.start, startLabel, 'rgba(255, 215, 0, 0.25)', '#FFD700');
+    this.renderButton(ctx, layout.close, '返回', 'rgba(255, 255, 255, 0.15)', '#FFFFFF');
+
+    ctx.restore();
+  }
+
+  /**
+   * 渲染月历：完成正式挑战的日期显示为金色并标出得分，今天加边框
+   */
+  renderMonth(ctx, layout) {
+    const { grid, monthY } = layout;
+    const month = this.manager.getMonth(this.year, this.month);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 17px Arial';
+    ctx.fillText(`${this.year}年${this.month + 1}月`, this.logicalWidth / 2, monthY);
+    ctx.fillText('‹', layout.prevMonth.x + layout.prevMonth.width / 2, monthY);
+    ctx.fillText('›', layout.nextMonth.x + layout.nextMonth.width / 2, monthY);
+
+    ctx.font = '12px Arial';
+    ctx.fillStyle = '#999999';
+    WEEKDAY_NAMES.forEach((name, index) => {
+      ctx.fillText(name, grid.x + grid.cellWidth * (index + 0.5), grid.y - 10);
+    });
+
+    for (const entry of month.days) {
+      const slot = month.firstWeekday + entry.day - 1;
+      const x = grid.x + (slot % 7) * grid.cellWidth;
+      const y = grid.y + Math.floor(slot / 7) * grid.cellHeight;
+      const completed = entry.result && entry.result.reason !== null;
+
+      if (completed) {
+        ctx.fillStyle = 'rgba(255, 215, 0, 0.3)';
+        ctx.fillRect(x + 2, y + 2, grid.cellWidth - 4, grid.cellHeight - 4);
+      }
+      if (entry.isToday) {
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(x + 2, y + 2, grid.cellWidth - 4, grid.cellHeight - 4);
+      }
+
+      ctx.fillStyle = completed ? '#FFD700' : '#DDDDDD';
+      ctx.font = '13px Arial';
+      ctx.fillText(String(entry.day), x + grid.cellWidth / 2, y + (completed ? 16 : 22));
+      if (completed) {
+        ctx.font = '9px Arial';
+        ctx.fillText(String(entry.result.score), x + grid.cellWidth / 2, y + 28);
+      }
+    }
+  }
+
+  /**
+   * 渲染按钮
+   */
+  renderButton(ctx, rect, label, fill, color) {
+    ctx.fillStyle = fill;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.fillStyle = color;
+    ctx.font = 'bold 15px Arial';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, rect.x + rect.width / 2, rect.y + rect.height / 2);
+    ctx.textBaseline = 'alphabetic';
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * @file mutator-select.js
+ * @description 突变选择界面
+ *
+ * 从失败或通关界面打开，逐行列出所有突变（名称、说明、得分倍率），
+ * 点击一行选择或取消，下方显示当前组合的总得分倍率。
+ * 底部按钮以选择的突变开始新的一局或返回（返回时保留选择）。
+ */
+
+import { SCREEN_WIDTH, SCREEN_HEIGHT } from '../../render.js';
+import { MUTATORS, getMutatorMultiplier } from '../managers/mutator-manager.js';
+
+/**
+ * 点是否在矩形内
+ */
+function isInside(x, y, rect) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+/**
+ * 突变选择界面类
+ */
+export default class MutatorSelect {
+  /**
+   * @constructor
+   * @param {MutatorManager} mutatorManager - 突变管理器
+   */
+  constructor(mutatorManager) {
+    this.manager = mutatorManager;
+    this.logicalWidth = SCREEN_WIDTH;
+    this.logicalHeight = SCREEN_HEIGHT;
+    this.isVisible = false;
+  }
+
+  /**
+   * 打开选择界面
+   */
+  open() {
+    this.isVisible = true;
+  }
+
+  /**
+   * 关闭选择界面
+   */
+  close() {
+    this.isVisible = false;
+  }
+
+  /**
+   * 是否正在显示
+   */
+  isShowing() {
+    return this.isVisible;
+  }
+
+  /**
+   * 界面布局（渲染和触摸判定共用）
+   */
+  getLayout() {
+    const width = this.logicalWidth;
+    const rowHeight = 52;
+    const rows = Object.keys(MUTATORS).map((id, index) => ({
+      id,
+      rect: { x: 20, y: 120 + index * (rowHeight + 6), width: width - 40, height: rowHeight }
+    }));
+    const listBottom = 120 + rows.length * (rowHeight + 6);
+
+    return {
+      rows,
+      multiplierY: listBottom + 26,
+      start: { x: 20, y: listBottom + 50, width: width - 40, height: 44 },
+      close: { x: 20, y: listBottom + 106, width: width - 40, height: 44 }
+    };
+  }
+
+  /**
+   * 处理触摸事件
+   *
+   * @returns {string|null} 'start' 开始新的一局，'close' 返回，其他位置为null
+   */
+  handleTouch(e) {
+    if (!this.isVisible) return null;
+
+    const touch = e.touches[0];
+    const layout = this.getLayout();
+
+    if (isInside(touch.clientX, touch.clientY, layout.start)) {
+      return 'start';
+    }
+    if (isInside(touch.clientX, touch.clientY, layout.close)) {
+      this.close();
+      return 'close';
+    }
+    const row = layout.rows.find(item => isInside(touch.clientX, touch.clientY, item.rect));
+    if (row) {
+      this.manager.toggle(row.id);
+    }
+    return null;
+  }
+
+  /**
+   * 渲染选择界面
+   */
+  render(ctx) {
+    if (!this.isVisible) return;
+
+    const centerX = this.logicalWidth / 2;
+    const layout = this.getLayout();
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+    ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+
+    ctx.fillStyle = '#FF8A65';
+    ctx.font = 'bold 26px Arial';
+    ctx.fillText('突变', centerX, 70);
+    ctx.fillStyle = '#CCCCCC';
+    ctx.font = '14px Arial';
+    ctx.fillText('自由组合规则改动，整局得分乘以突变倍率', centerX, 98);
+
+    for (const row of layout.rows) {
+      this.renderRow(ctx, row.rect, MUTATORS[row.id], this.manager.isSelected(row.id));
+    }
+
+    // 当前组合的总倍率
+    const selected = this.manager.getSelected();
+    ctx.fillStyle = selected.length > 0 ? '#FF8A65' : '#999999';
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'center';
+    const multiplierText = selected.length > 0
+      ? `已选 ${selected.length} 个突变 · 得分 ×${getMutatorMultiplier(selected).toFixed(2)}`
+      : '未选择突变（标准规则）';
+    ctx.fillText(multiplierText, centerX, layout.multiplierY);
+
+    this.renderButton(ctx, layout.start, '开始新的一局', 'rgba(255, 138, 101, 0.25)', '#FF8A65');
+    this.renderButton(ctx, layout.close, '返回', 'rgba(255, 255, 255, 0.15)', '#FFFFFF');
+
+    ctx.restore();
+  }
+
+  /**
+   * 渲染一行突变：左侧名称和说明，右侧得分倍率，选中时高亮
+   */
+  renderRow(ctx, rect, mutator, selected) {
+    ctx.fillStyle = selected ? 'rgba(255, 138, 101, 0.3)' : 'rgba(255, 255, 255, 0.08)';
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    if (selected) {
+      ctx.strokeStyle = '#FF8A65';
+      ctx.lineWidth = 1.5;
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    }
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = selected ? '#FF8A65' : '#FFFFFF';
+    ctx.font = 'bold 15px Arial';
+    ctx.fillText(`${selected ? '✓ ' : ''}${mutator.name}`, rect.x + 12, rect.y + 22);
+    ctx.fillStyle = '#BBBBBB';
+    ctx.font = '12px Arial';
+    ctx.fillText(mutator.description, rect.x + 12, rect.y + 41);
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = mutator.scoreMultiplier >= 1 ? '#FFD700' : '#90CAF9';
+    ctx.font = 'bold 14px Arial';
+    ctx.fillText(`×${mutator.scoreMultiplier.toFixed(1)}`, rect.x + rect.width - 12, rect.y + 31);
+    ctx.textAlign = 'center';
+  }
+
+  /**
+   * 渲染按钮
+   */
+  renderButton(ctx, rect, label, fill, color) {
+    ctx.fillStyle = fill;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.fillStyle = color;
+    ctx.font = 'bold 15px Arial';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, rect.x + rect.width / 2, rect.y + rect.height / 2);
+    ctx.textBaseline = 'alphabetic';
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * @file time-attack-select.js
+ * @description 竞速模式目标选择界面
+ *
+ * 从失败或通关界面打开，逐行列出可选的目标层数和各自的个人最佳
+ * （完成用时和各天界用时），点击一行即以该目标开始竞速，底部按钮返回。
+ */
+
+import { SCREEN_WIDTH, SCREEN_HEIGHT } from '../../render.js';
+import { TIME_ATTACK_CONFIG, formatTime } from '../managers/time-attack-manager.js';
+
+/**
+ * 点是否在矩形内
+ */
+function isInside(x, y, rect) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+/**
+ * 竞速模式目标选择界面类
+ */
+export default class TimeAttackSelect {
+  /**
+   * @constructor
+   * @param {TimeAttackManager} timeAttackManager - 竞速模式管理器
+   */
+  constructor(timeAttackManager) {
+    this.manager = timeAttackManager;
+    this.logicalWidth = SCREEN_WIDTH;
+    this.logicalHeight = SCREEN_HEIGHT;
+    this.isVisible = false;
+    this.selectedTarget = null;
+  }
+
+  /**
+   * 打开选择界面
+   */
+  open() {
+    this.selectedTarget = null;
+    this.isVisible = true;
+  }
+
+  /**
+   * 关闭选择界面
+   */
+  close() {
+    this.isVisible = false;
+  }
+
+  /**
+   * 是否正在显示
+   */
+  isShowing() {
+    return this.isVisible;
+  }
+
+  /**
+   * 最近一次点选的目标层数
+   *
+   * @returns {number|null}
+   */
+  getSelectedTarget() {
+    return this.selectedTarget;
+  }
+
+  /**
+   * 界面布局（渲染和触摸判定共用）
+   */
+  getLayout() {
+    const width = this.logicalWidth;
+    const rowHeight = 84;
+    const rows = TIME_ATTACK_CONFIG.targets.map((target, index) => ({
+      target,
+      rect: { x: 20, y: 130 + index * (rowHeight + 12), width: width - 40, height: rowHeight }
+    }));
+    const listBottom = 130 + rows.length * (rowHeight + 12);
+
+    return {
+      rows,
+      close: { x: 20, y: listBottom + 20, width: width - 40, height: 44 }
+    };
+  }
+
+  /**
+   * 处理触摸事件
+   *
+   * @returns {string|null} 'start' 以选择的目标开始（见 getSelectedTarget()），'close' 返回，其他位置为null
+   */
+  handleTouch(e) {
+    if (!this.isVisible) return null;
+
+    const touch = e.touches[0];
+    const layout = this.getLayout();
+
+    const row = layout.rows.find(item => isInside(touch.clientX, touch.clientY, item.rect));
+    if (row) {
+      this.selectedTarget = row.target;
+      return 'start';
+    }
+    if (isInside(touch.clientX, touch.clientY, layout.close)) {
+      this.close();
+      return 'close';
+    }
+    return null;
+  }
+
+  /**
+   * 渲染选择界面
+   */
+  render(ctx) {
+    if (!this.isVisible) return;
+
+    const centerX = this.logicalWidth / 2;
+    const layout = this.getLayout();
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+    ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+
+    ctx.fillStyle = '#4DD0E1';
+    ctx.font = 'bold 26px Arial';
+    ctx.fillText('竞速模式', centerX, 70);
+    ctx.fillStyle = '#CCCCCC';
+    ctx.font = '14px Arial';
+    ctx.fillText('以最快速度抵达目标层 · 不带突变、不调整难度', centerX, 98);
+
+    for (const row of layout.rows) {
+      this.renderRow(ctx, row.rect, row.target);
+    }
+
+    // 返回按钮
+    const rect = layout.close;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 15px Arial';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('返回', rect.x + rect.width / 2, rect.y + rect.height / 2);
+
+    ctx.restore();
+  }
+
+  /**
+   * 渲染一个目标：目标层数、个人最佳用时和各天界用时
+   */
+  renderRow(ctx, rect, target) {
+    const best = this.manager.getPersonalBest(target);
+
+    ctx.fillStyle = 'rgba(77, 208, 225, 0.15)';
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.strokeStyle = '#4DD0E1';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#4DD0E1';
+    ctx.font = 'bold 18px Arial';
+    ctx.fillText(`下降 ${target} 层`, rect.x + 14, rect.y + 30);
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = best ? '#FFD700' : '#999999';
+    ctx.font = 'bold 16px Arial';
+    ctx.fillText(best ? `最佳 ${formatTime(best.time)}` : '尚未完成', rect.x + rect.width - 14, rect.y + 30);
+
+    // 个人最佳的各天界用时
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#BBBBBB';
+    ctx.font = '12px Arial';
+    if (best) {
+      // 每行两个天界
+      const realms = this.manager.getRealmSplits(best.splits, target, null);
+      for (let i = 0; i < realms.length; i += 2) {
+        const text = realms.slice(i, i + 2).map(realm => `${realm.name} ${formatTime(realm.time)}`).join(' · ');
+        ctx.fillText(text, rect.x + 14, rect.y + 54 + (i / 2) * 18);
+      }
+    } else {
+      ctx.fillText('点击开始', rect.x + 14, rect.y + 58);
+    }
+    ctx.textAlign = 'center';
+  }
+}
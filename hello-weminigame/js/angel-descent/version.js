@@ -0,0 +1,12 @@
+/**
+ * @file version.js
+ * @description 天使下凡一百层游戏版本号
+ *
+ * 发布时与 CHANGELOG.md 中的版本保持一致。录像、存档等持久化数据会记录该版本，
+ * 便于判断数据是否由当前版本的游戏逻辑产生。
+ *
+ * 关卡生成或模拟规则（平台、收集品、障碍、敌人、难度调整等）每次变化都必须递增该版本：
+ * 录像只能在录制它的版本上回放，其他版本的录像会被拒绝。
+ */
+
+export const GAME_VERSION = '1.1.0';
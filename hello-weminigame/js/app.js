@@ -34,11 +34,12 @@
  * - 状态机模式：应用生命周期的状态管理
  */
 
-import './render'; // 初始化Canvas渲染系统
-import { canvas } from './render'; // 导入画布实例用于游戏渲染
+import './render.js'; // 初始化Canvas渲染系统
+import { canvas } from './render.js'; // 导入画布实例用于游戏渲染
 import AngelDescentGame from './angel-descent/angel-descent-game.js';
-import Music from './runtime/music';
+import Music from './runtime/music.js';
 import { globalInputSystem } from './input/input-system.js';
+import { getHost } from './runtime/host.js';
 
 // 获取2D渲染上下文，用于基础绘图操作
 const ctx = canvas.getContext('2d');
@@ -204,20 +205,15 @@ export default class App {
    * 处理触摸移动事件
    * 
    * 当用户在屏幕上移动手指时触发，用于实现拖拽、滑动等手势。
-   * 目前天使下凡一百层游戏暂不支持触摸移动事件处理。
-   * 
-   * 未来可扩展功能：
-   * - 滑动手势识别
-   * - 拖拽操作
-   * - 多点触控支持
-   * - 手势轨迹记录
+   * 目前只有天使下凡一百层游戏的关卡编辑器使用（拖动平台和调整宽度）。
    * 
    * @method handleTouchMove
    * @param {TouchEvent} e - 触摸移动事件对象
    */
   handleTouchMove(e) {
-    // 天使下凡一百层游戏暂不支持TouchMove事件
-    // 未来可在此处添加手势识别和拖拽功能
+    if (this.angelDescent && this.angelDescent.handleTouchMove) {
+      this.angelDescent.handleTouchMove(e);
+    }
   }
 
   /**
@@ -460,7 +456,7 @@ export default class App {
     this.render();
     
     // 请求下一个动画帧，保持循环运行
-    this.aniId = requestAnimationFrame(this.loop.bind(this));
+    this.aniId = getHost().requestAnimationFrame(this.loop.bind(this));
   }
 
   /**
@@ -488,10 +484,10 @@ export default class App {
    */
   start() {
     // 安全地取消任何现有的动画帧请求
-    cancelAnimationFrame(this.aniId);
+    getHost().cancelAnimationFrame(this.aniId);
     
     // 启动新的应用主循环
-    this.aniId = requestAnimationFrame(this.loop.bind(this));
+    this.aniId = getHost().requestAnimationFrame(this.loop.bind(this));
   }
 
   /**
@@ -520,6 +516,6 @@ export default class App {
    */
   stop() {
     // 取消当前的动画帧请求，停止主循环
-    cancelAnimationFrame(this.aniId);
+    getHost().cancelAnimationFrame(this.aniId);
   }
 }
\ No newline at end of file
@@ -13,6 +13,11 @@ export const GAME_EVENTS = {
   PLAYER_DEATH: 'player_death',
   LEVEL_COMPLETE: 'level_complete',
   PLATFORM_STEP: 'platform_step',
+  PLATFORM_BROKEN: 'platform_broken',
+  PLAYER_DAMAGED: 'player_damaged',
+  PLAYER_BOUNCED: 'player_bounced',
+  GUARDIAN_STARTED: 'guardian_started',
+  GUARDIAN_CLEARED: 'guardian_cleared',
   GAME_OVER: 'game_over'
 };
 
@@ -9,6 +9,7 @@
 import { INPUT_EVENTS } from './input-events.js';
 import { GESTURE_TYPES, SWIPE_DIRECTIONS } from './gesture-types.js';
 import { PIXEL_RATIO } from '../render.js';
+import { getHost } from '../runtime/host.js';
 
 /**
  * 触摸点数据结构
@@ -193,8 +194,13 @@ export default class InputSystem {
     }
   }
 
+  /**
+   * 绑定宿主触摸事件（微信环境下即 wx.onTouchStart 等）
+   */
   initializeWeChatInput() {
-    wx.onTouchStart((event) => {
+    const host = getHost();
+
+    host.onTouchStart((event) => {
       if (!this.isEnabled) return;
       this.handleTouchStart(this.convertWeChatEvent(event));
       if (this.touchCallback) {
@@ -202,7 +208,7 @@ export default class InputSystem {
       }
     });
 
-    wx.onTouchMove((event) => {
+    host.onTouchMove((event) => {
       if (!this.isEnabled) return;
       this.handleTouchMove(this.convertWeChatEvent(event));
       if (this.touchCallback) {
@@ -210,7 +216,7 @@ export default class InputSystem {
       }
     });
 
-    wx.onTouchEnd((event) => {
+    host.onTouchEnd((event) => {
       if (!this.isEnabled) return;
       this.handleTouchEnd(this.convertWeChatEvent(event));
       if (this.touchCallback) {
@@ -218,7 +224,7 @@ export default class InputSystem {
       }
     });
 
-    wx.onTouchCancel((event) => {
+    host.onTouchCancel((event) => {
       if (!this.isEnabled) return;
       this.handleTouchCancel(this.convertWeChatEvent(event));
       if (this.touchCallback) {
@@ -243,7 +249,7 @@ export default class InputSystem {
   }
 
   handleTouchStart(event) {
-    const timestamp = Date.now();
+    const timestamp = getHost().now();
     
     event.touches.forEach(touch => {
       const coords = this.getTouchCoordinates(touch);
@@ -263,7 +269,7 @@ export default class InputSystem {
    * @param {Object} event - 触摸事件
    */
   handleTouchMove(event) {
-    const timestamp = Date.now();
+    const timestamp = getHost().now();
     
     event.touches.forEach(touch => {
       const touchPoint = this.touches.get(touch.identifier);
@@ -285,7 +291,7 @@ export default class InputSystem {
    * @param {Object} event - 触摸事件
    */
   handleTouchEnd(event) {
-    const timestamp = Date.now();
+    const timestamp = getHost().now();
     
     // 在微信小游戏中，touchend事件可能不包含结束的触摸点
     // 所以需要特殊处理
@@ -324,7 +330,7 @@ export default class InputSystem {
    * @param {Object} event - 触摸事件
    */
   handleTouchCancel(event) {
-    const timestamp = Date.now();
+    const timestamp = getHost().now();
     
     // 触摸取消时清理所有触摸状态
     this.processGestures('touchcancel');
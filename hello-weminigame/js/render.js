@@ -11,26 +11,33 @@
  * 
  * 特别针对微信小游戏环境进行优化，支持各种设备的屏幕适配，
  * 包括曲面屏、刘海屏、水滴屏等特殊形态的屏幕。
+ * 
+ * 画布和窗口信息通过宿主适配器获取（见 runtime/host.js），
+ * 在非微信环境（如 Node 测试）下由 HeadlessHost 提供。
  */
 
+import { getHost } from './runtime/host.js';
+
+const host = getHost();
+
 // 确保全局对象存在，用于跨模块共享Canvas实例
 if (typeof GameGlobal === 'undefined') {
-  global.GameGlobal = {};
+  globalThis.GameGlobal = {};
 }
 
 /**
  * 游戏主画布实例
- * 使用微信小游戏API创建的Canvas对象，所有游戏内容都在此画布上渲染
+ * 由宿主平台创建的Canvas对象，所有游戏内容都在此画布上渲染
  */
-export const canvas = wx.createCanvas();
+export const canvas = host.createCanvas();
 GameGlobal.canvas = canvas; // 保存到全局对象供其他模块使用
 
 /**
  * 获取设备窗口信息
- * 优先使用新版API wx.getWindowInfo()，降级到 wx.getSystemInfoSync()
+ * 微信环境下优先使用新版API wx.getWindowInfo()，降级到 wx.getSystemInfoSync()
  * 包含屏幕尺寸、安全区域、像素比等关键信息
  */
-const windowInfo = wx.getWindowInfo ? wx.getWindowInfo() : wx.getSystemInfoSync();
+const windowInfo = host.getWindowInfo();
 
 /**
  * 设备像素比
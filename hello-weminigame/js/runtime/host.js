@@ -0,0 +1,40 @@
+/**
+ * @file host.js
+ * @description 当前宿主平台访问入口
+ *
+ * 全局唯一的宿主适配器实例。首次访问时自动检测运行环境：
+ * 存在 wx 全局对象时使用 WeChatHost，否则使用 HeadlessHost。
+ *
+ * 注意：render.js 在导入时即创建画布，因此自定义宿主（如指定屏幕尺寸的
+ * HeadlessHost）必须在导入 render.js / app.js 之前通过 setHost 设置。
+ */
+
+import WeChatHost from './host/wechat-host.js';
+import HeadlessHost from './host/headless-host.js';
+
+/**
+ * 当前宿主实例
+ * @type {HostAdapter|null}
+ */
+let currentHost = null;
+
+/**
+ * 获取当前宿主（首次调用时自动检测）
+ *
+ * @returns {HostAdapter} 宿主适配器
+ */
+export function getHost() {
+  if (!currentHost) {
+    currentHost = typeof wx !== 'undefined' ? new WeChatHost() : new HeadlessHost();
+  }
+  return currentHost;
+}
+
+/**
+ * 设置当前宿主
+ *
+ * @param {HostAdapter} host - 宿主适配器
+ */
+export function setHost(host) {
+  currentHost = host;
+}
@@ -0,0 +1,366 @@
+/**
+ * @file headless-host.js
+ * @description 无界面宿主适配器（纯 Node 环境）
+ *
+ * 用于在 CI 机器上启动完整的 App / AngelDescentGame 进行自动化测试和数值平衡模拟：
+ * - 画布与2D上下文为空实现，所有绘制调用直接忽略
+ * - 图像在设置 src 后异步触发 onload（尺寸可配置）
+ * - 音频为空实现，仅记录播放次数
+ * - 触摸事件由测试代码通过 dispatchTouch 注入
+ * - 存储为内存 Map
+ * - 计时使用虚拟时钟，由 stepFrame / advance 手动推进，结果与机器性能无关
+ *
+ * 启动入口见 headless.js（node headless.js [帧数]）。
+ *
+ * 使用方式（必须在导入 render.js / app.js 之前设置宿主）：
+ *   setHost(new HeadlessHost({ screenWidth: 375, screenHeight: 667 }));
+ *   const { default: App } = await import('./js/app.js');
+ *   new App();
+ *   host.runFrames(600);
+ */
+
+import HostAdapter from './host-adapter.js';
+
+/**
+ * 默认帧间隔（毫秒）
+ */
+const DEFAULT_FRAME_MS = 1000 / 60;
+
+/**
+ * 创建空实现的2D上下文
+ *
+ * 常用状态属性可正常读写；返回值会被使用的方法（measureText、渐变等）
+ * 返回最小可用对象；其余任意绘制方法都返回空函数。
+ */
+function createHeadlessContext(canvas) {
+  const gradient = { addColorStop() {} };
+  const target = {
+    canvas,
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    lineWidth: 1,
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    shadowColor: 'transparent',
+    shadowBlur: 0,
+    measureText(text) {
+      return { width: String(text).length * 8 };
+    },
+    createLinearGradient() {
+      return gradient;
+    },
+    createRadialGradient() {
+      return gradient;
+    },
+    createPattern() {
+      return null;
+    },
+    getImageData(x, y, width, height) {
+      return { width, height, data: new Uint8ClampedArray(Math.max(0, width * height * 4)) };
+    }
+  };
+  const noop = () => {};
+
+  return new Proxy(target, {
+    get(obj, prop) {
+      if (prop in obj) return obj[prop];
+      return noop;
+    }
+  });
+}
+
+/**
+ * 创建空实现的画布
+ */
+function createHeadlessCanvas() {
+  const canvas = {
+    width: 0,
+    height: 0,
+    context: null,
+    getContext() {
+      if (!this.context) {
+        this.context = createHeadlessContext(this);
+      }
+      return this.context;
+    }
+  };
+  return canvas;
+}
+
+/**
+ * 无界面宿主
+ *
+ * @class HeadlessHost
+ */
+export default class HeadlessHost extends HostAdapter {
+  name = 'headless';
+
+  /**
+   * @constructor
+   * @param {Object} options - 配置
+   * @param {number} options.screenWidth - 逻辑屏幕宽度
+   * @param {number} options.screenHeight - 逻辑屏幕高度
+   * @param {number} options.pixelRatio - 像素比
+   * @param {boolean} options.imagesLoad - 图像是否加载成功（false时触发onerror，走无贴图渲染）
+   * @param {Object} options.storage - 初始存储内容
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      screenWidth: 375,
+      screenHeight: 667,
+      pixelRatio: 1,
+      imagesLoad: true,
+      storage: {},
+      ...options
+    };
+
+    // 虚拟时钟
+    this.currentTime = 0;
+    this.nextTimerId = 1;
+    this.timers = new Map();       // id -> { callback, time }
+    this.frameCallbacks = new Map(); // id -> callback
+
+    // 触摸回调
+    this.touchHandlers = {
+      touchstart: [],
+      touchmove: [],
+      touchend: [],
+      touchcancel: []
+    };
+
+    // 内存存储
+    this.storage = new Map(Object.entries(this.options.storage));
+
+    // 音频播放统计
+    this.audioPlayCount = 0;
+  }
+
+  createCanvas() {
+    return createHeadlessCanvas();
+  }
+
+  createImage() {
+    const host = this;
+    const image = {
+      width: 0,
+      height: 0,
+      complete: false,
+      onload: null,
+      onerror: null,
+      _src: ''
+    };
+
+    Object.defineProperty(image, 'src', {
+      get() {
+        return this._src;
+      },
+      set(value) {
+        this._src = value;
+        // 异步触发加载回调，与真实环境的时序一致（不依赖虚拟时钟）
+        Promise.resolve().then(() => {
+          if (host.options.imagesLoad) {
+            image.width = 64;
+            image.height = 64;
+            image.complete = true;
+            if (image.onload) image.onload();
+          } else if (image.onerror) {
+            image.onerror(new Error('headless: image loading disabled'));
+          }
+        });
+      }
+    });
+
+    return image;
+  }
+
+  createAudio() {
+    const host = this;
+    return {
+      src: '',
+      volume: 1,
+      loop: false,
+      autoplay: false,
+      currentTime: 0,
+      paused: true,
+      play() {
+        this.paused = false;
+        host.audioPlayCount++;
+      },
+      pause() {
+        this.paused = true;
+      },
+      stop() {
+        this.paused = true;
+        this.currentTime = 0;
+      },
+      destroy() {},
+      onEnded() {},
+      onError() {}
+    };
+  }
+
+  getWindowInfo() {
+    const { screenWidth, screenHeight, pixelRatio } = this.options;
+    return {
+      screenWidth,
+      screenHeight,
+      windowWidth: screenWidth,
+      windowHeight: screenHeight,
+      pixelRatio,
+      safeArea: {
+        top: 0,
+        left: 0,
+        right: screenWidth,
+        bottom: screenHeight,
+        width: screenWidth,
+        height: screenHeight
+      }
+    };
+  }
+
+  onTouchStart(callback) {
+    this.touchHandlers.touchstart.push(callback);
+  }
+
+  onTouchMove(callback) {
+    this.touchHandlers.touchmove.push(callback);
+  }
+
+  onTouchEnd(callback) {
+    this.touchHandlers.touchend.push(callback);
+  }
+
+  onTouchCancel(callback) {
+    this.touchHandlers.touchcancel.push(callback);
+  }
+
+  /**
+   * 注入触摸事件（测试和模拟使用）
+   *
+   * @param {string} type - touchstart/touchmove/touchend/touchcancel
+   * @param {Array<{clientX:number, clientY:number, identifier?:number}>} touches - 当前触摸点
+   */
+  dispatchTouch(type, touches = []) {
+    const handlers = this.touchHandlers[type];
+    if (!handlers) {
+      throw new Error(`未知的触摸事件类型: ${type}`);
+    }
+
+    const normalized = touches.map((touch, index) => ({
+      identifier: touch.identifier !== undefined ? touch.identifier : index,
+      clientX: touch.clientX,
+      clientY: touch.clientY
+    }));
+    const ended = type === 'touchend' || type === 'touchcancel';
+    const event = {
+      touches: ended ? [] : normalized,
+      changedTouches: normalized,
+      timeStamp: this.currentTime
+    };
+
+    handlers.forEach(handler => handler(event));
+  }
+
+  getStorage(key) {
+    return this.storage.has(key) ? this.storage.get(key) : '';
+  }
+
+  setStorage(key, value) {
+    this.storage.set(key, value);
+  }
+
+  removeStorage(key) {
+    this.storage.delete(key);
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  setTimeout(callback, delay = 0) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { callback, time: this.currentTime + delay });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  requestAnimationFrame(callback) {
+    const id = this.nextTimerId++;
+    this.frameCallbacks.set(id, callback);
+    return id;
+  }
+
+  cancelAnimationFrame(id) {
+    this.frameCallbacks.delete(id);
+  }
+
+  /**
+   * 推进虚拟时钟并执行到期的定时器
+   *
+   * @param {number} ms - 推进的毫秒数
+   */
+  advance(ms) {
+    const targetTime = this.currentTime + ms;
+
+    // 按到期时间顺序执行，回调中新增的定时器如果在本次范围内也会被执行
+    for (;;) {
+      let nextId = null;
+      let nextTimer = null;
+      for (const [id, timer] of this.timers) {
+        if (timer.time <= targetTime && (!nextTimer || timer.time < nextTimer.time)) {
+          nextId = id;
+          nextTimer = timer;
+        }
+      }
+      if (!nextTimer) break;
+
+      this.timers.delete(nextId);
+      this.currentTime = Math.max(this.currentTime, nextTimer.time);
+      nextTimer.callback();
+    }
+
+    this.currentTime = targetTime;
+  }
+
+  /**
+   * 推进一帧：推进时钟后执行本帧之前注册的所有动画帧回调
+   *
+   * @param {number} frameMs - 帧间隔（毫秒）
+   */
+  stepFrame(frameMs = DEFAULT_FRAME_MS) {
+    this.advance(frameMs);
+
+    const callbacks = Array.from(this.frameCallbacks.values());
+    this.frameCallbacks.clear();
+    callbacks.forEach(callback => callback(this.currentTime));
+  }
+
+  /**
+   * 连续推进多帧
+   *
+   * @param {number} count - 帧数
+   * @param {number} frameMs - 帧间隔（毫秒）
+   */
+  runFrames(count, frameMs = DEFAULT_FRAME_MS) {
+    for (let i = 0; i < count; i++) {
+      this.stepFrame(frameMs);
+    }
+  }
+
+  getCapabilities() {
+    return {
+      touchEvents: true,
+      audioSupport: true,
+      imageLoading: this.options.imagesLoad,
+      storage: true
+    };
+  }
+}
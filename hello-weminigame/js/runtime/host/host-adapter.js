@@ -0,0 +1,148 @@
+/**
+ * @file host-adapter.js
+ * @description 宿主平台适配器接口
+ *
+ * 游戏代码不直接访问 wx 全局对象，而是通过宿主适配器获取平台能力：
+ * - 画布：createCanvas
+ * - 图像：createImage
+ * - 音频：createAudio（与 InnerAudioContext 接口一致）
+ * - 触摸：onTouchStart / onTouchMove / onTouchEnd / onTouchCancel
+ * - 存储：getStorage / setStorage / removeStorage（同步接口）
+ * - 系统信息：getWindowInfo
+ * - 计时：now / setTimeout / clearTimeout / requestAnimationFrame / cancelAnimationFrame
+ *
+ * 具体实现：
+ * - WeChatHost：微信小游戏运行环境
+ * - HeadlessHost：纯 Node 环境，用于自动化测试和数值平衡模拟
+ */
+
+/**
+ * 宿主平台适配器基类
+ *
+ * 子类必须实现画布、图像、音频、触摸、存储和系统信息接口；
+ * 计时接口默认使用标准全局函数，子类可按需覆盖。
+ *
+ * @class HostAdapter
+ */
+export default class HostAdapter {
+  /**
+   * 宿主名称（用于日志和兼容性测试）
+   * @type {string}
+   */
+  name = 'abstract';
+
+  /**
+   * 创建画布
+   * @returns {Canvas} 画布对象，需支持 width/height 和 getContext('2d')
+   */
+  createCanvas() {
+    throw new Error(`${this.name} 宿主未实现 createCanvas`);
+  }
+
+  /**
+   * 创建图像对象
+   * @returns {Image} 图像对象，需支持 src/onload/onerror
+   */
+  createImage() {
+    throw new Error(`${this.name} 宿主未实现 createImage`);
+  }
+
+  /**
+   * 创建音频上下文
+   * @returns {InnerAudioContext} 音频对象，需支持 src/volume/loop/autoplay/currentTime/play/pause/stop
+   */
+  createAudio() {
+    throw new Error(`${this.name} 宿主未实现 createAudio`);
+  }
+
+  /**
+   * 获取窗口信息
+   * @returns {Object} 包含 screenWidth/screenHeight/pixelRatio/safeArea 的信息对象
+   */
+  getWindowInfo() {
+    throw new Error(`${this.name} 宿主未实现 getWindowInfo`);
+  }
+
+  /**
+   * 注册触摸回调
+   * @param {Function} callback - 回调函数，参数为包含 touches/changedTouches 的事件对象
+   */
+  onTouchStart(callback) {
+    throw new Error(`${this.name} 宿主未实现 onTouchStart`);
+  }
+
+  onTouchMove(callback) {
+    throw new Error(`${this.name} 宿主未实现 onTouchMove`);
+  }
+
+  onTouchEnd(callback) {
+    throw new Error(`${this.name} 宿主未实现 onTouchEnd`);
+  }
+
+  onTouchCancel(callback) {
+    throw new Error(`${this.name} 宿主未实现 onTouchCancel`);
+  }
+
+  /**
+   * 同步读取本地存储
+   * @param {string} key - 键名
+   * @returns {*} 存储的值，不存在时返回空字符串（与 wx.getStorageSync 一致）
+   */
+  getStorage(key) {
+    throw new Error(`${this.name} 宿主未实现 getStorage`);
+  }
+
+  /**
+   * 同步写入本地存储
+   * @param {string} key - 键名
+   * @param {*} value - 值
+   */
+  setStorage(key, value) {
+    throw new Error(`${this.name} 宿主未实现 setStorage`);
+  }
+
+  /**
+   * 同步删除本地存储
+   * @param {string} key - 键名
+   */
+  removeStorage(key) {
+    throw new Error(`${this.name} 宿主未实现 removeStorage`);
+  }
+
+  /**
+   * 当前时间（毫秒）
+   * @returns {number} 时间戳
+   */
+  now() {
+    return Date.now();
+  }
+
+  setTimeout(callback, delay) {
+    return setTimeout(callback, delay);
+  }
+
+  clearTimeout(id) {
+    clearTimeout(id);
+  }
+
+  requestAnimationFrame(callback) {
+    return requestAnimationFrame(callback);
+  }
+
+  cancelAnimationFrame(id) {
+    cancelAnimationFrame(id);
+  }
+
+  /**
+   * 宿主能力检测
+   * @returns {Object} 各项能力是否可用
+   */
+  getCapabilities() {
+    return {
+      touchEvents: false,
+      audioSupport: false,
+      imageLoading: false,
+      storage: false
+    };
+  }
+}
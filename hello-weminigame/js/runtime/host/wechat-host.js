@@ -0,0 +1,89 @@
+/**
+ * @file wechat-host.js
+ * @description 微信小游戏宿主适配器
+ *
+ * 将宿主适配器接口映射到微信小游戏原生 API（wx.*）。
+ */
+
+import HostAdapter from './host-adapter.js';
+
+/**
+ * 微信小游戏宿主
+ *
+ * @class WeChatHost
+ */
+export default class WeChatHost extends HostAdapter {
+  name = 'wechat';
+
+  createCanvas() {
+    return wx.createCanvas();
+  }
+
+  createImage() {
+    return wx.createImage();
+  }
+
+  createAudio() {
+    return wx.createInnerAudioContext();
+  }
+
+  /**
+   * 获取窗口信息
+   * 优先使用新版API wx.getWindowInfo()，降级到 wx.getSystemInfoSync()
+   */
+  getWindowInfo() {
+    return wx.getWindowInfo ? wx.getWindowInfo() : wx.getSystemInfoSync();
+  }
+
+  onTouchStart(callback) {
+    wx.onTouchStart(callback);
+  }
+
+  onTouchMove(callback) {
+    wx.onTouchMove(callback);
+  }
+
+  onTouchEnd(callback) {
+    wx.onTouchEnd(callback);
+  }
+
+  onTouchCancel(callback) {
+    wx.onTouchCancel(callback);
+  }
+
+  getStorage(key) {
+    try {
+      return wx.getStorageSync(key);
+    } catch (error) {
+      console.warn(`读取本地存储失败(${key}):`, error);
+      return '';
+    }
+  }
+
+  setStorage(key, value) {
+    try {
+      wx.setStorageSync(key, value);
+    } catch (error) {
+      console.warn(`写入本地存储失败(${key}):`, error);
+    }
+  }
+
+  removeStorage(key) {
+    try {
+      wx.removeStorageSync(key);
+    } catch (error) {
+      console.warn(`删除本地存储失败(${key}):`, error);
+    }
+  }
+
+  getCapabilities() {
+    return {
+      touchEvents: typeof wx.onTouchStart === 'function' &&
+                   typeof wx.onTouchMove === 'function' &&
+                   typeof wx.onTouchEnd === 'function',
+      audioSupport: typeof wx.createInnerAudioContext === 'function',
+      imageLoading: typeof wx.createImage === 'function',
+      storage: typeof wx.getStorageSync === 'function'
+    };
+  }
+}
@@ -9,13 +9,15 @@
  * - 音频资源的预加载和优化
  * - 音频上下文的统一管理
  * 
- * 使用微信小游戏的 wx.createInnerAudioContext() API 创建音频上下文，
+ * 通过宿主适配器创建音频上下文（微信环境下即 wx.createInnerAudioContext()），
  * 支持音频的暂停、继续、音量控制等功能。
  * 
  * 设计模式：单例模式
  * 使用场景：全局音频管理，避免重复创建音频实例
  */
 
+import { getHost } from './host.js';
+
 /**
  * 单例实例引用
  * 用于实现单例模式，确保整个应用只有一个音频管理器实例
@@ -42,7 +44,7 @@ export default class Music {
    * 用于播放游戏的背景音乐，设置为循环播放模式
    * @type {InnerAudioContext}
    */
-  bgmAudio = wx.createInnerAudioContext();
+  bgmAudio = getHost().createAudio();
   
   
   /**
@@ -50,21 +52,21 @@ export default class Music {
    * 用于播放玩家落在平台上的音效
    * @type {InnerAudioContext}
    */
-  platformLandAudio = wx.createInnerAudioContext();
+  platformLandAudio = getHost().createAudio();
   
   /**
    * 平台破碎音效音频上下文
    * 用于播放易碎平台破碎的音效
    * @type {InnerAudioContext}
    */
-  platformBreakAudio = wx.createInnerAudioContext();
+  platformBreakAudio = getHost().createAudio();
   
   /**
    * 平台消失音效音频上下文
    * 用于播放消失平台消失的音效
    * @type {InnerAudioContext}
    */
-  platformVanishAudio = wx.createInnerAudioContext();
+  platformVanishAudio = getHost().createAudio();
   
   
   /**
@@ -72,21 +74,49 @@ export default class Music {
    * 用于播放天使受到伤害时的音效
    * @type {InnerAudioContext}
    */
-  angelHurtAudio = wx.createInnerAudioContext();
+  angelHurtAudio = getHost().createAudio();
 
   /**
    * 天使冰冻音效音频上下文
    * 用于播放天使被冰冻时的音效
    * @type {InnerAudioContext}
    */
-  angelFrozenAudio = wx.createInnerAudioContext();
+  angelFrozenAudio = getHost().createAudio();
 
   /**
    * 生命果实收集音效音频上下文
    * 用于播放玩家收集生命果实时的音效
    * @type {InnerAudioContext}
    */
-  lifeFruitCollectAudio = wx.createInnerAudioContext();
+  lifeFruitCollectAudio = getHost().createAudio();
+
+  /**
+   * 弹簧弹射音效音频上下文
+   * 用于播放定时弹簧平台蓄满后弹射玩家的音效
+   * @type {InnerAudioContext}
+   */
+  springLaunchAudio = getHost().createAudio();
+
+  /**
+   * 传送门音效音频上下文
+   * 用于播放玩家被传送门平台传送时的音效
+   * @type {InnerAudioContext}
+   */
+  platformTeleportAudio = getHost().createAudio();
+
+  /**
+   * 崩塌链音效音频上下文
+   * 用于播放崩塌链平台开始崩塌时的音效
+   * @type {InnerAudioContext}
+   */
+  platformCrumbleAudio = getHost().createAudio();
+
+  /**
+   * 传送带音效音频上下文
+   * 用于播放玩家踏上传送带平台时的音效
+   * @type {InnerAudioContext}
+   */
+  conveyorStartAudio = getHost().createAudio();
 
   /**
    * 构造函数 - 实现单例模式
@@ -115,7 +145,11 @@ export default class Music {
       platformVanish: 0,
       angelHurt: 0,
       angelFrozen: 0,
-      lifeFruitCollect: 0
+      lifeFruitCollect: 0,
+      springLaunch: 0,
+      platformTeleport: 0,
+      platformCrumble: 0,
+      conveyorStart: 0
     };
     
     this.soundCooldowns = {
@@ -124,9 +158,16 @@ export default class Music {
       platformVanish: 300,
       angelHurt: 300,
       angelFrozen: 400,
-      lifeFruitCollect: 250
+      lifeFruitCollect: 250,
+      springLaunch: 200,
+      platformTeleport: 400,
+      platformCrumble: 300,
+      conveyorStart: 500
     };
 
+    // 音效总音量（0-1），各音效在此基础上按自身比例缩放
+    this.soundEffectVolume = 1.0;
+
     // 配置背景音乐
     this.bgmAudio.loop = true;        // 启用循环播放
     this.bgmAudio.autoplay = true;    // 启用自动播放
@@ -151,6 +192,34 @@ export default class Music {
     // 配置收集品音效资源路径和音量
     this.lifeFruitCollectAudio.src = '/audio/life_fruit_collect.mp3'; // 生命果实收集音效
     this.lifeFruitCollectAudio.volume = 0.7;                        // 收集音效音量70%
+    
+    // 配置特殊平台音效：暂时复用已有音频，用不同的播放速率区分
+    this.springLaunchAudio.src = '/audio/platform_land.mp3';         // 弹簧弹射音效（高音调落地声）
+    this.springLaunchAudio.playbackRate = 1.8;
+    this.springLaunchAudio.volume = 0.9;                            // 弹射音效音量90%
+    this.platformTeleportAudio.src = '/audio/life_fruit_collect.mp3'; // 传送门音效（低音调收集声）
+    this.platformTeleportAudio.playbackRate = 0.6;
+    this.platformTeleportAudio.volume = 0.8;                        // 传送音效音量80%
+    this.platformCrumbleAudio.src = '/audio/platform_fragile_break.mp3'; // 崩塌链音效（低沉的破碎声）
+    this.platformCrumbleAudio.playbackRate = 0.7;
+    this.platformCrumbleAudio.volume = 0.7;                         // 崩塌音效音量70%
+    this.conveyorStartAudio.src = '/audio/platform_disappear_vanish.mp3'; // 传送带音效（快速的消失声）
+    this.conveyorStartAudio.playbackRate = 1.5;
+    this.conveyorStartAudio.volume = 0.5;                           // 传送带音效音量50%
+  }
+
+  /**
+   * 切换背景音乐
+   * 
+   * 与正在播放的曲目相同时不做任何事，不会从头开始播放。
+   * 
+   * @param {string} src - 背景音乐文件路径
+   */
+  playBgm(src) {
+    if (!src || this.bgmAudio.src === src) return;
+    
+    this.bgmAudio.src = src;
+    this.bgmAudio.play();
   }
 
   /**
@@ -160,7 +229,7 @@ export default class Music {
    * @private
    */
   canPlaySound(soundType) {
-    const currentTime = Date.now();
+    const currentTime = getHost().now();
     const lastPlayTime = this.lastPlayTimes[soundType] || 0;
     const cooldown = this.soundCooldowns[soundType] || 0;
     
@@ -173,7 +242,7 @@ export default class Music {
    * @private
    */
   updateLastPlayTime(soundType) {
-    this.lastPlayTimes[soundType] = Date.now();
+    this.lastPlayTimes[soundType] = getHost().now();
   }
 
   
@@ -311,6 +380,74 @@ export default class Music {
     this.updateLastPlayTime('lifeFruitCollect'); // 更新播放时间记录
   }
   
+  /**
+   * 播放弹簧弹射音效
+   * 
+   * 定时弹簧平台蓄满后把玩家弹起时播放。
+   * 
+   * @method playSpringLaunch
+   */
+  playSpringLaunch() {
+    if (!this.canPlaySound('springLaunch')) {
+      return; // 如果还在冷却期内，直接返回
+    }
+    
+    this.springLaunchAudio.currentTime = 0;    // 重置播放位置到开头
+    this.springLaunchAudio.play();             // 播放音效
+    this.updateLastPlayTime('springLaunch');   // 更新播放时间记录
+  }
+  
+  /**
+   * 播放传送门音效
+   * 
+   * 玩家踩上传送门入口、被传送到出口平台时播放。
+   * 
+   * @method playPlatformTeleport
+   */
+  playPlatformTeleport() {
+    if (!this.canPlaySound('platformTeleport')) {
+      return; // 如果还在冷却期内，直接返回
+    }
+    
+    this.platformTeleportAudio.currentTime = 0;  // 重置播放位置到开头
+    this.platformTeleportAudio.play();           // 播放音效
+    this.updateLastPlayTime('platformTeleport'); // 更新播放时间记录
+  }
+  
+  /**
+   * 播放崩塌链音效
+   * 
+   * 崩塌链平台被踩到、整条链开始崩塌时播放（每节崩塌时另有破碎音效）。
+   * 
+   * @method playPlatformCrumble
+   */
+  playPlatformCrumble() {
+    if (!this.canPlaySound('platformCrumble')) {
+      return; // 如果还在冷却期内，直接返回
+    }
+    
+    this.platformCrumbleAudio.currentTime = 0;  // 重置播放位置到开头
+    this.platformCrumbleAudio.play();           // 播放音效
+    this.updateLastPlayTime('platformCrumble'); // 更新播放时间记录
+  }
+  
+  /**
+   * 播放传送带音效
+   * 
+   * 玩家第一次踏上传送带平台时播放。
+   * 
+   * @method playConveyorStart
+   */
+  playConveyorStart() {
+    if (!this.canPlaySound('conveyorStart')) {
+      return; // 如果还在冷却期内，直接返回
+    }
+    
+    this.conveyorStartAudio.currentTime = 0;   // 重置播放位置到开头
+    this.conveyorStartAudio.play();            // 播放音效
+    this.updateLastPlayTime('conveyorStart');  // 更新播放时间记录
+  }
+  
   /**
    * 动态调整背景音乐音量
    * @param {number} volume - 音量值 (0.0-1.0)
@@ -325,11 +462,17 @@ export default class Music {
    */
   setSoundEffectVolume(volume) {
     const clampedVolume = Math.max(0, Math.min(1, volume));
+    this.soundEffectVolume = clampedVolume;
     this.platformLandAudio.volume = clampedVolume * 0.9;
     this.platformBreakAudio.volume = clampedVolume * 0.8;
     this.platformVanishAudio.volume = clampedVolume * 0.8;
     this.angelHurtAudio.volume = clampedVolume * 0.8;
     this.angelFrozenAudio.volume = clampedVolume * 0.7;
+    this.lifeFruitCollectAudio.volume = clampedVolume * 0.7;
+    this.springLaunchAudio.volume = clampedVolume * 0.9;
+    this.platformTeleportAudio.volume = clampedVolume * 0.8;
+    this.platformCrumbleAudio.volume = clampedVolume * 0.7;
+    this.conveyorStartAudio.volume = clampedVolume * 0.5;
   }
   
   /**
@@ -339,11 +482,17 @@ export default class Music {
   getVolumeSettings() {
     return {
       bgm: this.bgmAudio.volume,
+      soundEffect: this.soundEffectVolume,
       platformLand: this.platformLandAudio.volume,
       platformBreak: this.platformBreakAudio.volume,
       platformVanish: this.platformVanishAudio.volume,
       angelHurt: this.angelHurtAudio.volume,
-      angelFrozen: this.angelFrozenAudio.volume
+      angelFrozen: this.angelFrozenAudio.volume,
+      lifeFruitCollect: this.lifeFruitCollectAudio.volume,
+      springLaunch: this.springLaunchAudio.volume,
+      platformTeleport: this.platformTeleportAudio.volume,
+      platformCrumble: this.platformCrumbleAudio.volume,
+      conveyorStart: this.conveyorStartAudio.volume
     };
   }
 }
@@ -3,6 +3,8 @@
  * @description 游戏资源管理器 - 微信小游戏图像加载和缓存系统
  */
 
+import { getHost } from './host.js';
+
 /**
  * 游戏资源管理器
  * 单例模式的资源管理系统，为微信小游戏提供图像加载和缓存功能。
@@ -13,13 +15,8 @@ export default class ResourceManager {
     this.loadingPromises = new Map();
     this.resourceExists = new Map();
     
-    // 预定义的背景图像路径
-    this.backgroundPaths = {
-      cloud: 'images/backgrounds/bg_cloud.png',
-      dawn: 'images/backgrounds/bg_dawn.png',
-      thunder: 'images/backgrounds/bg_thunder.png',
-      earth: 'images/backgrounds/bg_earth.png'
-    };
+    // 背景图像路径（主题 → 路径），由游戏在预加载时传入（见 preloadBackgrounds()）
+    this.backgroundPaths = {};
     
     // 预定义的角色图像路径
     this.characterPaths = {
@@ -36,28 +33,15 @@ export default class ResourceManager {
       move_right_02: 'images/character/effects/angel_move_right_02.png'
     };
     
-    // 预定义的平台图像路径
-    this.platformPaths = {
-      normal: 'images/platforms/platform_normal.png',
-      fragile: 'images/platforms/platform_fragile.png',
-      moving: 'images/platforms/platform_normal.png', // 复用普通平台，渲染时添加金色覆盖
-      disappearing: 'images/platforms/platform_normal.png', // 复用普通平台，渲染时添加粉色覆盖
-      ice: 'images/platforms/platform_normal.png', // 复用普通平台，渲染时添加蓝色覆盖
-      bounce: 'images/platforms/platform_bounce.png',
-      dangerous: 'images/platforms/platform_danger.png'
-    };
+    // 平台图像路径（平台类型 → 路径），由游戏在预加载时传入（见 preloadPlatforms()）
+    this.platformPaths = {};
     
     // 初始化完成
   }
   
   createImage() {
-    // 微信小游戏环境使用wx.createImage
-    if (typeof wx !== 'undefined' && wx.createImage) {
-      return wx.createImage();
-    }
-    
-    // 浏览器环境fallback（主要用于开发调试）
-    return new Image();
+    // 由宿主创建图像（微信小游戏环境即wx.createImage）
+    return getHost().createImage();
   }
   
   async loadImage(imagePath) {
@@ -93,17 +77,18 @@ export default class ResourceManager {
     return new Promise((resolve) => {
       const image = this.createImage();
       
-      const timeoutId = setTimeout(() => {
+      const host = getHost();
+      const timeoutId = host.setTimeout(() => {
         resolve(null);
       }, 5000);
       
       image.onload = () => {
-        clearTimeout(timeoutId);
+        host.clearTimeout(timeoutId);
         resolve(image);
       };
       
       image.onerror = () => {
-        clearTimeout(timeoutId);
+        host.clearTimeout(timeoutId);
         resolve(null);
       };
       
@@ -133,16 +118,16 @@ export default class ResourceManager {
     return resultMap;
   }
   
-  async preloadBackgrounds() {
-    const backgroundPaths = Object.values(this.backgroundPaths);
-    const results = await this.preloadImages(backgroundPaths);
+  async preloadBackgrounds(backgroundPaths) {
+    // 主题到图像路径的映射由游戏传入（天界定义中的背景图）
+    this.backgroundPaths = { ...backgroundPaths };
+    const results = await this.preloadImages(Object.values(this.backgroundPaths));
     
     // 创建主题映射
     const backgroundMap = new Map();
-    backgroundMap.set('cloud', results.get(this.backgroundPaths.cloud));
-    backgroundMap.set('dawn', results.get(this.backgroundPaths.dawn));
-    backgroundMap.set('thunder', results.get(this.backgroundPaths.thunder));
-    backgroundMap.set('earth', results.get(this.backgroundPaths.earth));
+    for (const [theme, path] of Object.entries(this.backgroundPaths)) {
+      backgroundMap.set(theme, results.get(path));
+    }
     
     return backgroundMap;
   }
@@ -174,19 +159,16 @@ export default class ResourceManager {
     return effectMap;
   }
   
-  async preloadPlatforms() {
-    const platformPaths = Object.values(this.platformPaths);
-    const results = await this.preloadImages(platformPaths);
+  async preloadPlatforms(platformPaths) {
+    // 平台类型到图像路径的映射由游戏传入（平台类型注册表中各类型的图像）
+    this.platformPaths = { ...platformPaths };
+    const results = await this.preloadImages(Object.values(this.platformPaths));
     
     // 创建平台类型映射
     const platformMap = new Map();
-    platformMap.set('normal', results.get(this.platformPaths.normal));
-    platformMap.set('fragile', results.get(this.platformPaths.fragile));
-    platformMap.set('moving', results.get(this.platformPaths.moving));
-    platformMap.set('disappearing', results.get(this.platformPaths.disappearing));
-    platformMap.set('ice', results.get(this.platformPaths.ice));
-    platformMap.set('bounce', results.get(this.platformPaths.bounce));
-    platformMap.set('dangerous', results.get(this.platformPaths.dangerous));
+    for (const [type, path] of Object.entries(this.platformPaths)) {
+      platformMap.set(type, results.get(path));
+    }
     
     return platformMap;
   }
@@ -263,12 +245,20 @@ export default class ResourceManager {
   
   
   
+  /**
+   * 资源加载兼容性测试
+   *
+   * 按宿主声明的能力检测图像创建、加载和缓存是否可用，
+   * 微信小游戏和无界面宿主走同一套检测。
+   *
+   * @returns {Promise<Object>} 各项测试是否通过
+   */
   async testWeChatCompatibility() {
+    const capabilities = getHost().getCapabilities();
     const testResults = {
-      environment: typeof wx !== 'undefined',
       imageCreation: false,
-      imageLoading: false,
-      caching: false,
+      imageLoading: capabilities.imageLoading === true,
+      caching: capabilities.imageLoading === true,
       errorHandling: true
     };
     
@@ -279,11 +269,6 @@ export default class ResourceManager {
       console.warn('图像对象创建失败:', error);
     }
     
-    if (testResults.environment) {
-      testResults.imageLoading = true;
-      testResults.caching = true;
-    }
-    
     return testResults;
   }
 }
@@ -0,0 +1,480 @@
+/**
+ * @file save-manager.js
+ * @description 玩家档案持久化存储
+ *
+ * 通过宿主存储接口（微信环境为 wx.getStorageSync / wx.setStorageSync，
+ * 无界面环境为内存存储）保存玩家档案，包括：
+ * - 最佳纪录（最深到达层数、最高分），无尽模式的纪录单独保存
+ * - 已解锁的检查点（各天界起始层）
+ * - 每日挑战的历史成绩
+ * - 竞速模式各目标层数的个人最佳用时和逐层分段
+ * - 累计局数
+ * - 新手指引完成状态
+ * - 音量设置、纯净模式（关闭自适应难度）和关卡编辑器入口开关
+ *
+ * 可靠性设计：
+ * - 版本化：档案带 version 字段，格式变更时按迁移表逐级升级
+ * - 双份保存：每次写入同时更新备份键，主数据损坏时从备份恢复；
+ *   主数据和备份都不可用时，默认档案只写主数据，不覆盖备份
+ * - 字段校验：逐字段校验类型和范围，非法字段回退默认值而不是整体丢弃
+ * - 损坏留档：每个无法解析的存储项各自另存到一个 _corrupt_N 键，便于排查
+ * - 新版本只读：档案来自更新版本的游戏时不算损坏，本次运行只在内存中使用，
+ *   不写回存储，避免旧版客户端抹掉新版的档案
+ */
+
+import { getHost } from './host.js';
+
+/**
+ * 当前档案格式版本
+ */
+export const PROFILE_SCHEMA_VERSION = 1;
+
+/**
+ * 档案存储键
+ */
+const STORAGE_KEY = 'angel_descent_profile';
+const BACKUP_KEY = `${STORAGE_KEY}_backup`;
+const CORRUPT_KEY = `${STORAGE_KEY}_corrupt`;
+
+/**
+ * 损坏留档最多保留的份数（已满时不再留档）
+ */
+const CORRUPT_SLOTS = 10;
+
+/**
+ * 每日挑战历史最多保留的天数（超出时丢弃最早的记录）
+ */
+const DAILY_HISTORY_LIMIT = 366;
+
+/**
+ * 创建默认档案
+ *
+ * @returns {Object} 默认档案
+ */
+export function createDefaultProfile() {
+  return {
+    version: PROFILE_SCHEMA_VERSION,
+    bestLayer: 0,              // 最深到达层数（内部层号，1为最高层）
+    bestScore: 0,              // 单局最高分
+    bestEndlessLayer: 0,       // 无尽模式最深到达层数（内部层号，从101开始）
+    bestEndlessScore: 0,       // 无尽模式单局最高分
+    totalRuns: 0,              // 累计完成的局数
+    unlockedCheckpoints: [1],  // 已解锁的检查点层号（第1层始终可用）
+    dailyHistory: {},          // 每日挑战正式成绩，键为日期（YYYY-MM-DD）
+    timeAttackBests: {},       // 竞速模式个人最佳，键为目标层数：{ time, splits }
+    tutorialCompleted: false,  // 是否完成新手指引
+    settings: {
+      bgmVolume: 0.3,          // 背景音乐音量（0-1）
+      soundEffectVolume: 1.0,  // 音效总音量（0-1）
+      pureMode: false,         // 纯净模式：关闭自适应难度，难度只由层数决定
+      levelEditor: false       // 失败界面显示关卡编辑器入口（供设计师使用）
+    }
+  };
+}
+
+/**
+ * 档案迁移表
+ *
+ * 键为源版本号，值为升级到下一版本的函数。
+ * 新增格式版本时在此追加一项，并递增 PROFILE_SCHEMA_VERSION。
+ */
+const MIGRATIONS = {
+  /**
+   * v0 → v1：早期未带版本号的数据（仅含零散字段），其余字段由 sanitize 取默认值
+   */
+  0: (data) => ({
+    version: 1,
+    bestLayer: data.bestLayer || data.maxLayer || 0,
+    totalRuns: data.totalRuns || 0,
+    tutorialCompleted: !!(data.tutorialCompleted || data.hasCompletedTutorial),
+    settings: data.settings || {}
+  })
+};
+
+/**
+ * 数值字段校验
+ */
+function sanitizeNumber(value, fallback, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * 检查点列表校验：正整数、去重、升序，始终包含第1层
+ */
+function sanitizeCheckpoints(value) {
+  const layers = Array.isArray(value) ? value : [];
+  const valid = layers.filter(layer => Number.isInteger(layer) && layer >= 1);
+  return Array.from(new Set([1, ...valid])).sort((a, b) => a - b);
+}
+
+/**
+ * 每日挑战历史校验：日期键合法、成绩为非负整数，只保留最近的 DAILY_HISTORY_LIMIT 天
+ */
+function sanitizeDailyHistory(value) {
+  const history = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const dateKeys = Object.keys(history)
+    .filter(dateKey => /^\d{4}-\d{2}-\d{2}$/.test(dateKey) && history[dateKey] && typeof history[dateKey] === 'object')
+    .sort()
+    .slice(-DAILY_HISTORY_LIMIT);
+
+  const sanitized = {};
+  for (const dateKey of dateKeys) {
+    const entry = history[dateKey];
+    sanitized[dateKey] = {
+      layer: Math.floor(sanitizeNumber(entry.layer, 0, 0, Number.MAX_SAFE_INTEGER)),
+      score: Math.floor(sanitizeNumber(entry.score, 0, 0, Number.MAX_SAFE_INTEGER)),
+      reason: typeof entry.reason === 'string' ? entry.reason : null,
+      modifiers: Array.isArray(entry.modifiers) ? entry.modifiers.filter(id => typeof id === 'string') : []
+    };
+  }
+  return sanitized;
+}
+
+/**
+ * 竞速模式个人最佳校验：目标层数为正整数、用时为正数、分段为非负数列表
+ */
+function sanitizeTimeAttackBests(value) {
+  const bests = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const sanitized = {};
+
+  for (const key of Object.keys(bests)) {
+    const target = Number(key);
+    const entry = bests[key];
+    if (!Number.isInteger(target) || target < 1 || !entry || typeof entry !== 'object') continue;
+
+    const time = sanitizeNumber(entry.time, 0, 0, Number.MAX_SAFE_INTEGER);
+    if (time <= 0) continue;
+
+    const splits = Array.isArray(entry.splits)
+      ? entry.splits.filter(split => typeof split === 'number' && Number.isFinite(split) && split >= 0)
+      : [];
+    sanitized[target] = { time, splits };
+  }
+  return sanitized;
+}
+
+/**
+ * 玩家档案存储管理器
+ *
+ * @class SaveManager
+ */
+export default class SaveManager {
+  /**
+   * @constructor
+   * @param {Object} storage - 存储后端，需提供 getStorage/setStorage/removeStorage，默认使用当前宿主
+   */
+  constructor(storage = getHost()) {
+    this.storage = storage;
+    this.profile = null;
+    this.readOnly = false;   // 档案来自更新版本的游戏，不写回存储
+  }
+
+  /**
+   * 读取档案（首次调用时从存储加载，之后返回缓存）
+   *
+   * @returns {Object} 玩家档案
+   */
+  load() {
+    if (this.profile) return this.profile;
+
+    // 主数据缺失或损坏时尝试备份
+    const primary = this.readEntry(STORAGE_KEY);
+    const entry = primary || this.readEntry(BACKUP_KEY);
+    if (!primary && entry) {
+      console.warn('玩家档案损坏，已从备份恢复');
+    }
+
+    if (!entry) {
+      // 主数据和备份都不可用：默认档案只写主数据，备份留到下一次正常保存时再更新
+      this.profile = createDefaultProfile();
+      this.storage.setStorage(STORAGE_KEY, JSON.stringify(this.profile));
+      return this.profile;
+    }
+
+    this.profile = entry.profile;
+    this.readOnly = entry.newer;
+    if (this.readOnly) {
+      console.warn('玩家档案来自更新版本的游戏，本次运行不会保存');
+      return this.profile;
+    }
+
+    // 迁移或修复后立即回写，保证存储中始终是当前格式
+    this.save();
+    return this.profile;
+  }
+
+  /**
+   * 读取并解析一个存储项
+   *
+   * @param {string} key - 存储键
+   * @returns {{profile: Object, newer: boolean}|null} 校验通过的档案（newer 表示来自更新版本的游戏），
+   *   不存在或损坏时返回null
+   * @private
+   */
+  readEntry(key) {
+    const raw = this.storage.getStorage(key);
+    if (raw === '' || raw === undefined || raw === null) {
+      return null;
+    }
+
+    try {
+      const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      if (data && typeof data === 'object' && typeof data.version === 'number' && data.version > PROFILE_SCHEMA_VERSION) {
+        // 更新版本的档案：只取当前版本认识的字段在内存中使用
+        return { profile: this.sanitize(data), newer: true };
+      }
+      return { profile: this.sanitize(this.migrate(data)), newer: false };
+    } catch (error) {
+      console.warn(`玩家档案解析失败(${key}):`, error);
+      this.stashCorrupt(key, raw);
+      return null;
+    }
+  }
+
+  /**
+   * 把损坏的存储项另存到一个空闲的留档键
+   *
+   * @param {string} key - 来源存储键
+   * @param {*} raw - 原始数据（字符串或宿主存储返回的对象）
+   * @private
+   */
+  stashCorrupt(key, raw) {
+    for (let slot = 0; slot < CORRUPT_SLOTS; slot++) {
+      const slotKey = `${CORRUPT_KEY}_${slot}`;
+      const existing = this.storage.getStorage(slotKey);
+      if (existing === '' || existing === undefined || existing === null) {
+        this.storage.setStorage(slotKey, JSON.stringify({ key, raw }));
+        return;
+      }
+    }
+    console.warn(`玩家档案损坏留档已满，未保存(${key})`);
+  }
+
+  /**
+   * 将旧版本档案逐级迁移到当前版本
+   *
+   * @param {Object} data - 原始档案
+   * @returns {Object} 当前版本档案
+   * @throws {Error} 数据不是对象或版本无法迁移时抛出
+   */
+  migrate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('档案数据不是对象');
+    }
+
+    let migrated = data;
+    let version = typeof migrated.version === 'number' ? migrated.version : 0;
+
+    if (version > PROFILE_SCHEMA_VERSION) {
+      throw new Error(`档案版本 ${version} 高于当前支持的版本 ${PROFILE_SCHEMA_VERSION}`);
+    }
+
+    while (version < PROFILE_SCHEMA_VERSION) {
+      const migration = MIGRATIONS[version];
+      if (!migration) {
+        throw new Error(`缺少档案迁移: v${version}`);
+      }
+      migrated = migration(migrated);
+      version = migrated.version;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * 逐字段校验档案，非法字段回退为默认值
+   *
+   * @param {Object} data - 当前版本档案
+   * @returns {Object} 校验后的档案
+   */
+  sanitize(data) {
+    const defaults = createDefaultProfile();
+    const settings = data.settings && typeof data.settings === 'object' ? data.settings : {};
+
+    return {
+      version: PROFILE_SCHEMA_VERSION,
+      bestLayer: Math.floor(sanitizeNumber(data.bestLayer, defaults.bestLayer, 0, Number.MAX_SAFE_INTEGER)),
+      bestScore: Math.floor(sanitizeNumber(data.bestScore, defaults.bestScore, 0, Number.MAX_SAFE_INTEGER)),
+      bestEndlessLayer: Math.floor(sanitizeNumber(data.bestEndlessLayer, defaults.bestEndlessLayer, 0, Number.MAX_SAFE_INTEGER)),
+      bestEndlessScore: Math.floor(sanitizeNumber(data.bestEndlessScore, defaults.bestEndlessScore, 0, Number.MAX_SAFE_INTEGER)),
+      totalRuns: Math.floor(sanitizeNumber(data.totalRuns, defaults.totalRuns, 0, Number.MAX_SAFE_INTEGER)),
+      unlockedCheckpoints: sanitizeCheckpoints(data.unlockedCheckpoints),
+      dailyHistory: sanitizeDailyHistory(data.dailyHistory),
+      timeAttackBests: sanitizeTimeAttackBests(data.timeAttackBests),
+      tutorialCompleted: typeof data.tutorialCompleted === 'boolean' ? data.tutorialCompleted : defaults.tutorialCompleted,
+      settings: {
+        bgmVolume: sanitizeNumber(settings.bgmVolume, defaults.settings.bgmVolume, 0, 1),
+        soundEffectVolume: sanitizeNumber(settings.soundEffectVolume, defaults.settings.soundEffectVolume, 0, 1),
+        pureMode: typeof settings.pureMode === 'boolean' ? settings.pureMode : defaults.settings.pureMode,
+        levelEditor: typeof settings.levelEditor === 'boolean' ? settings.levelEditor : defaults.settings.levelEditor
+      }
+    };
+  }
+
+  /**
+   * 保存档案（主数据和备份各写一份，只读档案不写）
+   */
+  save() {
+    if (!this.profile || this.readOnly) return;
+
+    const serialized = JSON.stringify(this.profile);
+    this.storage.setStorage(STORAGE_KEY, serialized);
+    this.storage.setStorage(BACKUP_KEY, serialized);
+  }
+
+  /**
+   * 修改档案并保存
+   *
+   * @param {Function} updater - 修改函数，参数为档案对象
+   * @returns {Object} 修改后的档案
+   */
+  update(updater) {
+    const profile = this.load();
+    updater(profile);
+    this.profile = this.sanitize(profile);
+    this.save();
+    return this.profile;
+  }
+
+  /**
+   * 记录一局结束
+   *
+   * @param {number} layer - 本局到达的最深层数
+   * @param {number} score - 本局得分
+   * @returns {{layer: boolean, score: boolean}} 是否刷新了最深层数、最高分纪录
+   */
+  recordRun(layer, score = 0) {
+    const { bestLayer, bestScore } = this.load();
+
+    this.update(profile => {
+      profile.totalRuns++;
+      profile.bestLayer = Math.max(profile.bestLayer, layer);
+      profile.bestScore = Math.max(profile.bestScore, score);
+    });
+
+    return {
+      layer: layer > bestLayer,
+      score: score > bestScore
+    };
+  }
+
+  /**
+   * 记录一局无尽模式结束（与普通模式的纪录分开保存）
+   *
+   * @param {number} layer - 本局到达的最深层数
+   * @param {number} score - 本局得分
+   * @returns {{layer: boolean, score: boolean}} 是否刷新了无尽模式的最深层数、最高分纪录
+   */
+  recordEndlessRun(layer, score = 0) {
+    const { bestEndlessLayer, bestEndlessScore } = this.load();
+
+    this.update(profile => {
+      profile.totalRuns++;
+      profile.bestEndlessLayer = Math.max(profile.bestEndlessLayer, layer);
+      profile.bestEndlessScore = Math.max(profile.bestEndlessScore, score);
+    });
+
+    return {
+      layer: layer > bestEndlessLayer,
+      score: score > bestEndlessScore
+    };
+  }
+
+  /**
+   * 记录一局竞速模式结束（只保存各目标的最快用时，不影响普通模式的纪录）
+   *
+   * @param {number} target - 目标层数
+   * @param {number|null} time - 完成用时（秒），未完成时为null
+   * @param {Array<number>} splits - 到达每一层时的累计用时
+   * @returns {boolean} 是否刷新了该目标的个人最佳
+   */
+  recordTimeAttackRun(target, time, splits = []) {
+    const best = this.load().timeAttackBests[target];
+    const isNewBest = time !== null && (!best || time < best.time);
+
+    this.update(profile => {
+      profile.totalRuns++;
+      if (isNewBest) {
+        profile.timeAttackBests[target] = { time, splits: splits.slice() };
+      }
+    });
+
+    return isNewBest;
+  }
+
+  /**
+   * 开始当天的每日挑战正式挑战
+   *
+   * 开始时即写入一条未结束的记录（reason为null），中途退出也算用掉了当天的正式挑战。
+   *
+   * @param {string} dateKey - 日期键（YYYY-MM-DD）
+   * @param {Array<string>} modifiers - 当天的修正ID
+   * @returns {boolean} 是否为当天第一次挑战（否则只能练习）
+   */
+  startDailyAttempt(dateKey, modifiers = []) {
+    if (this.load().dailyHistory[dateKey]) {
+      return false;
+    }
+
+    this.update(profile => {
+      profile.dailyHistory[dateKey] = { layer: 0, score: 0, reason: null, modifiers: modifiers.slice() };
+    });
+    return true;
+  }
+
+  /**
+   * 记录每日挑战正式挑战的结果
+   *
+   * @param {string} dateKey - 日期键（YYYY-MM-DD）
+   * @param {number} layer - 本局到达的最深层数
+   * @param {number} score - 本局得分
+   * @param {string} reason - 结束原因
+   * @returns {boolean} 是否写入（当天没有未结束的正式挑战时不写入）
+   */
+  finishDailyAttempt(dateKey, layer, score, reason) {
+    const entry = this.load().dailyHistory[dateKey];
+    if (!entry || entry.reason !== null) {
+      return false;
+    }
+
+    this.update(profile => {
+      profile.totalRuns++;
+      Object.assign(profile.dailyHistory[dateKey], { layer, score, reason });
+    });
+    return true;
+  }
+
+  /**
+   * 解锁检查点
+   *
+   * @param {number} layer - 检查点层号
+   * @returns {boolean} 是否为新解锁
+   */
+  unlockCheckpoint(layer) {
+    if (this.load().unlockedCheckpoints.includes(layer)) {
+      return false;
+    }
+
+    this.update(profile => {
+      profile.unlockedCheckpoints.push(layer);
+    });
+    return true;
+  }
+
+  /**
+   * 清空档案（恢复默认）
+   */
+  clear() {
+    this.storage.removeStorage(STORAGE_KEY);
+    this.storage.removeStorage(BACKUP_KEY);
+    for (let slot = 0; slot < CORRUPT_SLOTS; slot++) {
+      this.storage.removeStorage(`${CORRUPT_KEY}_${slot}`);
+    }
+    this.profile = createDefaultProfile();
+    this.readOnly = false;
+    this.save();
+  }
+}